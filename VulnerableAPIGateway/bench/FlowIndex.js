@@ -0,0 +1,78 @@
+/**
+ * Flow Index - Markdown index of the manifest by difficulty tier
+ * Rendered to docs/flows.md alongside expected-findings.json, and on demand
+ * for a subset (bench index --tier hard --feature stored)
+ */
+
+const { TIERS, FEATURES } = require('./FlowTaxonomy');
+
+const FEATURE_DESCRIPTIONS = {
+    'inter-procedural': 'taint passes through at least one service or helper method before the sink',
+    async: 'taint crosses an `await`, a promise or an async method on the way',
+    stored: 'taint is written to a session, context or store and read back later',
+    collection: 'taint travels inside an array or object (loops, spreads, indexed access)',
+    'dynamic-dispatch': 'the sink is reached through an instance field, computed member or `call`/`apply`',
+    'string-transform': 'taint is concatenated, interpolated, split, encoded or path-joined before the sink',
+    sanitizer: 'taint passes a sanitizer or validator from `utils/sanitizers.js` (weak) or `utils/safe/sanitizers.js` (strong) before the sink'
+};
+
+/**
+ * @param {object} manifest - parsed expected-findings.json
+ * @param {object} filter - { tiers, features, predicate } as given on the command line
+ */
+function formatIndex(manifest, filter = {}) {
+    const flows = filter.predicate ? manifest.flows.filter(filter.predicate) : manifest.flows;
+    const lines = [
+        '# Flow index',
+        '',
+        '<!-- Generated by `npm run manifest` from expected-findings.json; do not edit by hand -->',
+        ''
+    ];
+
+    const scope = [
+        filter.tiers?.length ? `tier ${filter.tiers.join(' or ')}` : null,
+        filter.features?.length ? `features ${filter.features.join(' + ')}` : null
+    ].filter(Boolean);
+    if (scope.length) lines.push(`Filtered to ${scope.join(', ')}: ${flows.length} of ${manifest.flows.length} flows.`, '');
+
+    const disabled = flows.filter(flow => flow.live === false).length;
+    if (disabled) lines.push(`Profile \`${manifest.profile.name}\` disables ${disabled} vulnerable flows: ${manifest.profile.description}`, '');
+
+    lines.push('| Tier | Vulnerable | Safe |', '|------|-----------:|-----:|');
+    for (const tier of TIERS) {
+        const inTier = flows.filter(flow => flow.tier === tier);
+        lines.push(`| ${tier} | ${inTier.filter(flow => flow.vulnerable).length} | ${inTier.filter(flow => !flow.vulnerable).length} |`);
+    }
+    lines.push('');
+
+    lines.push('| Feature | Flows | Meaning |', '|---------|------:|---------|');
+    for (const feature of FEATURES) {
+        const count = flows.filter(flow => flow.features.includes(feature)).length;
+        lines.push(`| \`${feature}\` | ${count} | ${FEATURE_DESCRIPTIONS[feature]} |`);
+    }
+    lines.push('');
+
+    for (const tier of TIERS) {
+        const inTier = flows.filter(flow => flow.tier === tier);
+        if (inTier.length === 0) continue;
+
+        lines.push(`## ${tier}`, '', '| Flow | CWE | Depth | Features | Verdict |', '|------|-----|-------|----------|---------|');
+        for (const flow of inTier) {
+            const features = flow.features.map(feature => `\`${feature}\``).join(', ') || '-';
+            lines.push(`| \`${flow.id}\` | ${flow.cwe} | ${flow.depth} | ${features} | ${verdict(flow)} |`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+function verdict(flow) {
+    if (!flow.vulnerable) return 'safe';
+    return flow.live === false ? 'disabled' : 'vulnerable';
+}
+
+module.exports = {
+    formatIndex,
+    FEATURE_DESCRIPTIONS
+};
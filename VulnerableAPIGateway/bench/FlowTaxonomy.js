@@ -0,0 +1,276 @@
+/**
+ * Flow Taxonomy - Difficulty tier and analysis features of each flow
+ * Reads the code a flow travels (source line -> hop call sites -> sink) and
+ * tags the capabilities a taint engine needs to follow it, so scores can be
+ * broken down by what a tool is missing
+ */
+
+const TIERS = ['easy', 'medium', 'hard'];
+
+/**
+ * Analysis features, each with the code patterns that require it
+ * Patterns are matched against the lines on the flow's path only
+ */
+const FEATURES = {
+    'inter-procedural': null,  // Taint passes through at least one hop
+    async: [/\bawait\b/, /\.then\(/, /\bnew Promise\(/],
+    stored: [/\bsession\.[A-Za-z_$]/, /\bthis\.(context|store|cache)\b/],
+    collection: [
+        /\.(map|forEach|filter|reduce|flatMap|push|concat)\(/,
+        /\bfor\s*\(\s*(?:const|let|var)\s+[^)]*\bof\b/,
+        /\bObject\.(entries|values|keys|assign|fromEntries)\(/,
+        /\.\.\.[A-Za-z_$]/,
+        /\b[A-Za-z_$][\w$]*\[\d+\]/
+    ],
+    'dynamic-dispatch': [
+        /\bthis\.[A-Za-z_$][\w$]*\.[A-Za-z_$][\w$]*\s*\(/,
+        /[\w$\]]\[[^\]]+\]\s*\(/,
+        /\.(call|apply)\(/
+    ],
+    'string-transform': [
+        /`[^`]*\$\{/,
+        /['"`]\s*\+|\+\s*['"`]/,
+        /\.(replace|replaceAll|split|join|trim|toLowerCase|toUpperCase|substring|slice|padStart|padEnd)\(/,
+        /\bJSON\.(stringify|parse)\(/,
+        /\.toString\(/,
+        /\bBuffer\.from\(/,
+        /\b(encodeURIComponent|decodeURIComponent)\(/,
+        /\bpath\.(join|resolve|normalize)\(/
+    ],
+    sanitizer: [/\b(?:Weak|Strong)Sanitizers\.[A-Za-z_$][\w$]*\(/]
+};
+
+// Sources that are read back from storage rather than taken from the request
+const STORED_SOURCES = ['Stored data', 'Session'];
+
+class FlowTaxonomy {
+    /**
+     * @param {SourceIndex} index - the index the flows were generated from
+     * @param {object} options - { isSink }: predicate for methods that end a flow
+     */
+    constructor(index, options = {}) {
+        this.index = index;
+        this.isSink = options.isSink || (() => false);
+    }
+
+    /**
+     * { tier, features } for a manifest flow
+     */
+    classify(flow) {
+        const lines = this.pathLines(flow);
+        const features = Object.keys(FEATURES).filter(feature => this.has(feature, flow, lines));
+        return { tier: tierOf(features), features };
+    }
+
+    /**
+     * StrongSanitizers checks called on the flow's path, by method name
+     */
+    sanitizers(flow) {
+        const checks = new Set();
+        for (const line of this.pathLines(flow).all) {
+            for (const match of line.matchAll(/\bStrongSanitizers\.([A-Za-z_$][\w$]*)\(/g)) {
+                checks.add(match[1]);
+            }
+        }
+        return [...checks];
+    }
+
+    has(feature, flow, lines) {
+        switch (feature) {
+            case 'inter-procedural':
+                return flow.hops.length > 0 || lines.helpers.length > 0;
+            case 'async':
+                return [...flow.hops.map(hop => this.index.method(hop.symbol)), ...lines.helpers].some(method => method?.isAsync)
+                    || matches(feature, lines.beforeSink);
+            case 'stored':
+                return STORED_SOURCES.includes(flow.source.kind) || matches(feature, lines.all);
+            case 'dynamic-dispatch':
+                return matches(feature, lines.calls);
+            default:
+                return matches(feature, lines.all);
+        }
+    }
+
+    /**
+     * Code on the flow's path: the entry from its source line to the first
+     * call, each hop up to its next call, and the sink call itself.
+     * Helpers called along the way that reach no sink themselves
+     * (TaintTransform.base64RoundTrip) add their bodies to the path.
+     * An inline sink's own statement is left out; it is the sink, not the path.
+     */
+    pathLines(flow) {
+        const { sink } = flow;
+        const stops = [...flow.hops.map(hop => hop.callSite), sink.callSite || (sink.inline ? { file: sink.file, line: sink.line } : null)];
+        const starts = [
+            { file: flow.entry.file, line: Math.max(flow.source.file === flow.entry.file ? flow.source.line : flow.entry.line, flow.entry.line) },
+            ...flow.hops.map(hop => ({ file: hop.file, line: hop.line, end: hop.endLine }))
+        ];
+
+        const segments = [];
+        const hopCalls = [];
+        const scanned = [];
+        let sinkCall = null;
+
+        starts.forEach((start, i) => {
+            const stop = stops[i];
+            const file = this.index.file(start.file);
+            const sameFile = stop && stop.file === start.file;
+            const end = sameFile ? stop.line : (start.end || flow.entry.endLine);
+            const owner = i === 0 ? null : this.index.method(flow.hops[i - 1].symbol)?.className;
+
+            // Sibling `case` branches are not on the path to a sink inside a switch
+            const branch = sameFile ? caseOf(file, stop.line, start.line) : null;
+            for (let n = start.line; n < end; n++) {
+                const other = caseOf(file, n, start.line);
+                if (other === null || other === branch) {
+                    segments.push(file.code(n));
+                    scanned.push({ code: file.code(n), owner });
+                }
+            }
+            if (!sameFile) return;
+
+            const call = statement(file, stop.line);
+            scanned.push({ code: call, owner });
+            if (i < flow.hops.length) hopCalls.push(call);
+            else sinkCall = call;
+        });
+
+        const helpers = this.helpersCalled(flow, scanned);
+        const helperLines = helpers.flatMap(method => bodyLines(method));
+
+        const beforeSink = [...segments, ...hopCalls, ...helperLines];
+        const calls = sinkCall === null ? hopCalls : [...hopCalls, sinkCall];
+        const all = sink.inline || sinkCall === null ? beforeSink : [...beforeSink, sinkCall];
+
+        return { all, beforeSink, calls, helpers };
+    }
+
+    /**
+     * Methods called on the path that are neither hops nor sinks: relays,
+     * transforms and stores the taint passes through. Calls are resolved
+     * on classes, on `this` inside a hop and on locals the entry creates
+     * with `new`
+     */
+    helpersCalled(flow, scanned) {
+        const onPath = new Set([...flow.hops.map(hop => hop.symbol), flow.sink.symbol]);
+        const locals = this.entryLocals(flow);
+        const helpers = new Map();
+        const pattern = /(?:^|[^\w$.])([A-Za-z_$][\w$]*)\.([A-Za-z_$][\w$]*)\s*\(/g;
+
+        for (const { code, owner } of scanned) {
+            let match;
+            while ((match = pattern.exec(code))) {
+                const receiver = match[1] === 'this' ? owner : locals.get(match[1]) || match[1];
+                const method = receiver && this.index.method(`${receiver}.${match[2]}`);
+                if (!method || onPath.has(method.symbol) || this.isSink(method)) continue;
+                helpers.set(method.symbol, method);
+            }
+        }
+
+        return [...helpers.values()];
+    }
+
+    // Locals of the entry body bound to a new instance: const context = new ContextPropagation()
+    entryLocals(flow) {
+        const file = this.index.file(flow.entry.file);
+        const locals = new Map();
+
+        for (let n = flow.entry.line; n < flow.entry.endLine; n++) {
+            const match = file.code(n).match(/(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*new\s+([A-Za-z_$][\w$]*)\(/);
+            if (match) locals.set(match[1], match[2]);
+        }
+
+        return locals;
+    }
+}
+
+/**
+ * easy:   one function, at most a string transform between source and sink
+ * medium: a hop, an await, a container or several transforms on the way
+ * hard:   taint that is stored and read back, dispatched through an object,
+ *         or a hop combined with two other features
+ */
+function tierOf(features) {
+    const has = feature => features.includes(feature);
+    const others = features.filter(feature => feature !== 'inter-procedural');
+
+    if (has('stored') || has('dynamic-dispatch') || (has('inter-procedural') && others.length >= 2)) return 'hard';
+    if (has('inter-procedural') || has('async') || has('collection')) return 'medium';
+    return 'easy';
+}
+
+/**
+ * Code of the statement starting at line n, following a call's arguments
+ * onto later lines until its parentheses close
+ */
+function statement(file, n) {
+    let text = file.code(n);
+    let depth = 0;
+
+    for (let m = n; m < n + 20; m++) {
+        if (m > n) text += '\n' + file.code(m);
+        for (const char of file.code(m)) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+        }
+        if (depth <= 0) break;
+    }
+
+    return text;
+}
+
+/**
+ * Line of the `case`/`default` label enclosing line n, or null outside a switch
+ */
+function caseOf(file, n, floor) {
+    let indent = file.indent(n);
+
+    for (let m = n - 1; m >= floor; m--) {
+        if (file.isBlank(m) || file.isComment(m)) continue;
+
+        const current = file.indent(m);
+        if (current >= indent) continue;
+
+        if (/^\s*(case\s+'[^']+'|default)\s*:/.test(file.line(m))) return m;
+        if (/^\s*switch\s*\(/.test(file.line(m))) return null;
+        indent = current;
+    }
+
+    return null;
+}
+
+/**
+ * Code lines of a method body, without its signature and closing brace
+ */
+function bodyLines(method) {
+    const lines = [];
+    for (let n = method.start + 1; n < method.end; n++) lines.push(method.file.code(n));
+    return lines;
+}
+
+function matches(feature, lines) {
+    return FEATURES[feature].some(pattern => lines.some(line => pattern.test(line)));
+}
+
+/**
+ * Filter predicate for --tier / --feature style options
+ * tiers: any of; features: all of
+ */
+function flowFilter({ tiers = [], features = [] } = {}) {
+    for (const tier of tiers) {
+        if (!TIERS.includes(tier)) throw new Error(`Unknown tier "${tier}" (expected one of ${TIERS.join(', ')})`);
+    }
+    for (const feature of features) {
+        if (!(feature in FEATURES)) throw new Error(`Unknown feature "${feature}" (expected one of ${Object.keys(FEATURES).join(', ')})`);
+    }
+
+    return flow => (tiers.length === 0 || tiers.includes(flow.tier))
+        && features.every(feature => flow.features.includes(feature));
+}
+
+module.exports = {
+    FlowTaxonomy,
+    TIERS,
+    FEATURES: Object.keys(FEATURES),
+    flowFilter
+};
@@ -0,0 +1,196 @@
+/**
+ * JS Tokenizer - Just enough of a JavaScript lexer to rewrite source safely
+ * Splits code into identifiers, punctuators, strings, template chunks, regex
+ * literals and comments with their offsets, so rewrites never touch text
+ * inside strings or comments
+ */
+
+// Longest first, so `===` is not read as `==` followed by `=`
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+    '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'
+];
+
+// After these keywords a `/` starts a regex literal rather than a division
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+    'return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete',
+    'void', 'throw', 'instanceof', 'yield', 'await'
+]);
+
+// Tokens after which a `{` opens an object literal or pattern, not a block
+const OBJECT_CONTEXT = new Set([
+    '=', '(', ',', ':', '[', '?', '||', '&&', '??', '...', 'return', 'const', 'let', 'var'
+]);
+
+/**
+ * Tokens of a source text: { type, value, start, end }
+ * Types: ident, number, string, template, regex, punct, comment
+ * Template literals become `template` chunks around the code tokens of
+ * their ${...} expressions
+ */
+function tokenize(text) {
+    const tokens = [];
+    const braces = [];
+    let i = 0;
+
+    const push = (type, start, end) => {
+        tokens.push({ type, value: text.slice(start, end), start, end });
+        return end;
+    };
+
+    // A template chunk runs from `start` to the closing backtick or the next ${
+    const templateChunk = (start, from) => {
+        let j = from;
+        while (j < text.length) {
+            if (text[j] === '\\') {
+                j += 2;
+            } else if (text[j] === '`') {
+                return push('template', start, j + 1);
+            } else if (text[j] === '$' && text[j + 1] === '{') {
+                braces.push('template');
+                return push('template', start, j + 2);
+            } else {
+                j++;
+            }
+        }
+        return push('template', start, text.length);
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+        const next = text[i + 1];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '/' && next === '/') {
+            const end = text.indexOf('\n', i);
+            i = push('comment', i, end === -1 ? text.length : end);
+        } else if (ch === '/' && next === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = push('comment', i, end === -1 ? text.length : end + 2);
+        } else if (ch === '\'' || ch === '"') {
+            let j = i + 1;
+            while (j < text.length && text[j] !== ch && text[j] !== '\n') j += text[j] === '\\' ? 2 : 1;
+            i = push('string', i, j + 1);
+        } else if (ch === '`') {
+            i = templateChunk(i, i + 1);
+        } else if (ch === '}' && braces[braces.length - 1] === 'template') {
+            braces.pop();
+            i = templateChunk(i, i + 1);
+        } else if (/[A-Za-z_$]/.test(ch)) {
+            let j = i + 1;
+            while (j < text.length && /[\w$]/.test(text[j])) j++;
+            i = push('ident', i, j);
+        } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(next))) {
+            let j = i + 1;
+            while (j < text.length && /[\w.]/.test(text[j])) j++;
+            i = push('number', i, j);
+        } else if (ch === '/' && regexAllowed(tokens)) {
+            i = push('regex', i, regexEnd(text, i));
+        } else {
+            const punct = PUNCTUATORS.find(p => text.startsWith(p, i)) || ch;
+            if (punct === '{') braces.push('{');
+            if (punct === '}') braces.pop();
+            i = push('punct', i, i + punct.length);
+        }
+    }
+
+    return tokens;
+}
+
+function regexAllowed(tokens) {
+    const last = significant(tokens, tokens.length - 1, -1);
+    if (!last) return true;
+    if (last.type === 'ident') return KEYWORDS_BEFORE_EXPRESSION.has(last.value);
+    if (last.type === 'punct') return ![')', ']', '}'].includes(last.value);
+    return false;
+}
+
+function regexEnd(text, start) {
+    let inClass = false;
+    let j = start + 1;
+
+    while (j < text.length && text[j] !== '\n') {
+        if (text[j] === '\\') {
+            j += 2;
+            continue;
+        }
+        if (text[j] === '[') inClass = true;
+        if (text[j] === ']') inClass = false;
+        if (text[j] === '/' && !inClass) break;
+        j++;
+    }
+
+    j++;
+    while (j < text.length && /[a-z]/.test(text[j])) j++;
+    return j;
+}
+
+/**
+ * Nearest non-comment token from index i in direction step (1 or -1)
+ */
+function significant(tokens, i, step) {
+    for (let k = i; k >= 0 && k < tokens.length; k += step) {
+        if (tokens[k].type !== 'comment') return tokens[k];
+    }
+    return null;
+}
+
+/**
+ * For every token, the innermost bracket it sits in: { token, object }
+ * where object is true for `{` opening an object literal or pattern
+ * (null at the top level and inside template expressions)
+ */
+function enclosingBrackets(tokens) {
+    const stack = [];
+    const enclosing = new Array(tokens.length).fill(null);
+
+    tokens.forEach((token, i) => {
+        enclosing[i] = stack[stack.length - 1] || null;
+        if (token.type === 'template') {
+            if (token.value.startsWith('}')) stack.pop();
+            if (token.value.endsWith('${')) stack.push({ token, object: false });
+        } else if (token.type === 'punct' && ['{', '[', '('].includes(token.value)) {
+            stack.push({ token, object: token.value === '{' && opensObject(tokens, i) });
+        } else if (token.type === 'punct' && ['}', ']', ')'].includes(token.value)) {
+            stack.pop();
+        }
+    });
+
+    return enclosing;
+}
+
+function opensObject(tokens, i) {
+    const before = significant(tokens, i - 1, -1);
+    if (!before || !OBJECT_CONTEXT.has(before.value)) return false;
+    if (before.value !== ':') return true;
+
+    // `case 'x': {` and `default: {` open blocks
+    const index = tokens.indexOf(before);
+    return significant(tokens, index - 1, -1)?.value !== 'default'
+        && significant(tokens, index - 2, -1)?.value !== 'case';
+}
+
+/**
+ * Index of the bracket closing the one opened at index i
+ */
+function matchingBracket(tokens, i) {
+    const open = tokens[i].value;
+    const close = { '{': '}', '[': ']', '(': ')' }[open];
+    let depth = 0;
+
+    for (let k = i; k < tokens.length; k++) {
+        if (tokens[k].type !== 'punct') continue;
+        if (tokens[k].value === open) depth++;
+        if (tokens[k].value === close && --depth === 0) return k;
+    }
+    return -1;
+}
+
+module.exports = {
+    tokenize,
+    significant,
+    enclosingBrackets,
+    matchingBracket
+};
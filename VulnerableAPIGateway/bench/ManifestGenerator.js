@@ -0,0 +1,978 @@
+/**
+ * Manifest Generator - Ground truth for every source -> sink flow
+ * Walks route handlers, global middleware and WebSocket actions through
+ * the service layer into the sink classes and emits expected-findings.json
+ */
+
+const path = require('path');
+const { SourceIndex, SINK_MARKER, SOURCE_MARKER, SAFE_MARKER } = require('./SourceIndex');
+const { FlowTaxonomy, TIERS, FEATURES } = require('./FlowTaxonomy');
+const { VulnProfile } = require('../config/vulnProfile');
+
+const MANIFEST_VERSION = 1;
+const SERVER_FILE = 'server.js';
+
+/**
+ * Sink classes and the weakness each of their methods represents
+ * Calls into these classes terminate a flow
+ */
+const SINK_CLASS_CWES = {
+    QueryBuilder: 'CWE-89',
+    AuditLogger: 'CWE-89',
+    CommandSink: 'CWE-78',
+    DockerSink: 'CWE-78',
+    SshSink: 'CWE-78',
+    SsrfSink: 'CWE-918',
+    SocketSink: 'CWE-918',
+    DnsSink: 'CWE-918',
+    PathTraversalSink: 'CWE-22',
+    FileUploadSink: 'CWE-434',
+    ArchiveSink: 'CWE-22',
+    LogSink: 'CWE-117',
+    TemplateSink: 'CWE-1336',
+    XssSink: 'CWE-79',
+    EmailSink: 'CWE-79'
+};
+
+const SINK_METHOD_CWES = {
+    'QueryBuilder.mongoFindWhere': 'CWE-943',
+    'QueryBuilder.mongoFind': 'CWE-943',
+    'FileUploadSink.saveUpload': 'CWE-22',
+    'FileUploadSink.saveToDirectory': 'CWE-22',
+    'TemplateSink.evaluateExpression': 'CWE-95',
+    'TemplateSink.createAndExecuteFunction': 'CWE-94',
+    'TemplateSink.runInSandbox': 'CWE-94',
+    'EmailSink.createEmailHeaders': 'CWE-93'
+};
+
+/**
+ * Mitigated counterparts (sinks/safe, config/database.js)
+ * Calls into these terminate a flow that is a true negative
+ */
+const SAFE_SINK_CLASS_CWES = {
+    SafeQueryBuilder: 'CWE-89',
+    SafeAuditLogger: 'CWE-89',
+    SafeCommandSink: 'CWE-78',
+    SafeDockerSink: 'CWE-78',
+    SafeSshSink: 'CWE-78',
+    SafeSsrfSink: 'CWE-918',
+    SafeSocketSink: 'CWE-918',
+    SafeDnsSink: 'CWE-918',
+    SafePathSink: 'CWE-22',
+    SafeUploadSink: 'CWE-22',
+    SafeArchiveSink: 'CWE-22',
+    SafeLogSink: 'CWE-117',
+    SafeTemplateSink: 'CWE-1336',
+    SafeXssSink: 'CWE-79',
+    SafeEmailSink: 'CWE-79'
+};
+
+const SAFE_SINK_METHOD_CWES = {
+    'SafeQueryBuilder.mongoFind': 'CWE-943',
+    'SafeQueryBuilder.mongoFindByField': 'CWE-943',
+    'SafeLogSink.readLog': 'CWE-22',
+    'SafeLogSink.searchLogs': 'CWE-78',
+    'SafeLogSink.rotateLog': 'CWE-78',
+    'SafeTemplateSink.evaluateExpression': 'CWE-95',
+    'SafeTemplateSink.callFunction': 'CWE-94',
+    'SafeEmailSink.createEmailHeaders': 'CWE-93'
+};
+
+// Weakness named by free-text `// SINK:` annotations (first match wins)
+const MARKER_CWES = [
+    [/XXE/, 'CWE-611'],
+    [/NoSQL/i, 'CWE-943'],
+    [/SQL/, 'CWE-89'],
+    [/SSTI|template injection/i, 'CWE-1336'],
+    [/XSS/, 'CWE-79'],
+    [/SSRF/, 'CWE-918'],
+    [/command (injection|execution)/i, 'CWE-78'],
+    [/header injection/i, 'CWE-93'],
+    [/label injection/i, 'CWE-93'],
+    [/information disclosure/i, 'CWE-209'],
+    [/sensitive data/i, 'CWE-532'],
+    [/path traversal|directory traversal|arbitrary file/i, 'CWE-22'],
+    [/\blog\b/i, 'CWE-117'],
+    [/\bfile\b/i, 'CWE-22']
+];
+
+// Sanitizer classes, weak and strong: a `// SINK:` or `// SAFE:` note never
+// marks one of their checks as the sink. Weak checks are only matched so the
+// flow carries the `sanitizer` feature; they never flip `vulnerable`
+const SANITIZER_CLASSES = ['WeakSanitizers', 'StrongSanitizers'];
+
+// Weaknesses each StrongSanitizers check rules out; a flow whose path passes
+// one covering its CWE is a true negative even when it ends in a plain sink.
+// isInternalIP is absent: on its own it leaves names that resolve inward
+const SANITIZER_CWES = {
+    commandArguments: ['CWE-78'],
+    confinePath: ['CWE-22'],
+    sqlIdentifier: ['CWE-89'],
+    integerIds: ['CWE-89'],
+    encodeHTML: ['CWE-79'],
+    encodeAttribute: ['CWE-79'],
+    encodeJS: ['CWE-79'],
+    encodeURL: ['CWE-79'],
+    safeURL: ['CWE-79'],
+    validateURL: ['CWE-918'],
+    sanitizeJSON: ['CWE-1321'],
+    validateContentType: ['CWE-434'],
+    validateEmail: ['CWE-93']
+};
+
+// Dangerous statements written directly in a handler instead of a sink class
+const INLINE_APIS = [
+    [/\bres\.(send|write|end)\(/, m => `res.${m[1]}`],
+    [/\.execute\(/, () => 'connection.execute'],
+    [/\bfs\.([A-Za-z]+)\(/, m => `fs.${m[1]}`]
+];
+
+const REQUEST_SOURCES = [
+    [/\breq\.body\b/, 'HTTP body'],
+    [/\breq\.query\b/, 'Query parameter'],
+    [/\breq\.params\b/, 'URL parameter'],
+    [/\breq\.headers\b/, 'HTTP header'],
+    [/\breq\.files\b/, 'Uploaded file'],
+    [/\breq\.session\b/, 'Session'],
+    [/\breq\.(originalUrl|url|ip)\b/, 'Request URL']
+];
+
+// Request objects a handler reads parameters from, and where a client puts them
+const REQUEST_PARAMETERS = {
+    params: 'path',
+    query: 'query',
+    body: 'body',
+    headers: 'header',
+    files: 'file'
+};
+
+const WEBSOCKET_ENTRY = {
+    handler: 'WebSocketService.handleMessage',
+    listener: 'WebSocketService.initialize'
+};
+
+const MAX_DEPTH = 8;
+
+class ManifestGenerator {
+    /**
+     * @param {string} root - gateway directory
+     * @param {object} options - { profile }: vulnerability profile deciding which flows are live
+     */
+    constructor(root = path.resolve(__dirname, '..'), options = {}) {
+        this.root = root;
+        this.profile = options.profile || process.env.VULN_PROFILE || 'all';
+        this.index = new SourceIndex(root);
+        this.taxonomy = new FlowTaxonomy(this.index, { isSink: method => sinkClassification(method) !== null });
+    }
+
+    /**
+     * Build the manifest object (deterministic for a given tree)
+     */
+    generate() {
+        const flows = [];
+
+        for (const entry of this.entries()) {
+            flows.push(...this.flowsForEntry(entry));
+        }
+
+        this.assignIds(flows);
+
+        const profile = VulnProfile.load(this.profile, flows);
+        for (const flow of flows) flow.live = profile.isFlowLive(flow);
+
+        return {
+            name: 'vulnerable-api-gateway',
+            version: MANIFEST_VERSION,
+            profile: profile.toJSON(),
+            summary: this.summarize(flows),
+            flows
+        };
+    }
+
+    /**
+     * Entry points: HTTP routes (and the middleware in front of them),
+     * global middleware and WebSocket actions
+     */
+    entries() {
+        const server = this.index.file(SERVER_FILE);
+        const entries = [];
+
+        for (const middleware of this.index.globalMiddleware(server)) {
+            const body = middleware.body || middleware.method;
+            entries.push({
+                kind: 'middleware',
+                route: 'ALL *',
+                variant: middleware.label,
+                body: { file: body.file, start: body.start, end: body.end, className: middleware.method?.className },
+                symbol: middleware.method?.symbol || null
+            });
+        }
+
+        for (const mount of this.index.mounts(server)) {
+            for (const route of this.index.routes(mount.file)) {
+                const name = `${route.method} ${joinPath(mount.prefix, route.path)}`;
+                entries.push({
+                    kind: 'http',
+                    route: name,
+                    body: { file: route.file, start: route.start, end: route.end },
+                    doc: route.doc
+                });
+
+                // Middleware in front of the handler runs on every request to the route
+                for (const method of [...mount.middleware, ...route.middleware]) {
+                    entries.push({
+                        kind: 'http',
+                        route: name,
+                        variant: method.symbol,
+                        body: { file: method.file, start: method.start, end: method.end, className: method.className },
+                        symbol: method.symbol,
+                        doc: method.doc
+                    });
+                }
+            }
+        }
+
+        const handler = this.index.method(WEBSOCKET_ENTRY.handler);
+        if (handler) {
+            entries.push({
+                kind: 'websocket',
+                body: { file: handler.file, start: handler.start, end: handler.end, className: handler.className },
+                symbol: handler.symbol,
+                listener: this.index.method(WEBSOCKET_ENTRY.listener)
+            });
+        }
+
+        return entries;
+    }
+
+    flowsForEntry(entry) {
+        const found = [];
+        this.visit(entry.body, entry.symbol ? [entry.symbol] : [], {}, found, 0);
+
+        return found.map(hit => {
+            const hops = hit.chain.slice(entry.symbol ? 1 : 0);
+            const callSites = [...hit.callSites];
+            const label = this.caseLabel(entry, hit, hops);
+            const route = entry.kind === 'websocket' ? `WS ${label || 'message'}` : entry.route;
+            const variant = entry.kind === 'websocket' ? null : (label || entry.variant || null);
+
+            // A sink inside a hop (inline statement or annotated callee) ends the chain there
+            if (hit.sink.symbol && hops[hops.length - 1] === hit.sink.symbol) {
+                hops.pop();
+                hit.sink.callSite = callSites.pop();
+            }
+
+            const sameFile = hit.sink.file === entry.body.file.path;
+
+            const flow = {
+                id: null,
+                route,
+                variant,
+                cwe: hit.cwe,
+                vulnerable: hit.vulnerable,
+                live: true,
+                depth: hops.length > 0 ? 'multi-hop' : sameFile ? 'direct' : 'cross-file',
+                tier: null,
+                features: [],
+                entry: { file: entry.body.file.path, line: entry.body.start, endLine: entry.body.end },
+                source: this.sourceFor(entry, hops[0]),
+                parameters: this.parametersFor(entry, route, hops[0] || hit.sink.symbol),
+                hops: hops.map((symbol, i) => {
+                    const method = this.index.method(symbol);
+                    return {
+                        symbol,
+                        file: method.file.path,
+                        line: method.start,
+                        endLine: method.end,
+                        callSite: callSites[i]
+                    };
+                }),
+                sink: hit.sink
+            };
+
+            Object.assign(flow, this.taxonomy.classify(flow));
+            if (this.taxonomy.sanitizers(flow).some(check => SANITIZER_CWES[check]?.includes(flow.cwe))) {
+                flow.vulnerable = false;
+            }
+            return flow;
+        });
+    }
+
+    /**
+     * Walk a function body collecting sink calls and inline sinks
+     * `constants` holds literal arguments that select switch branches in the callee
+     */
+    visit(body, chain, constants, found, depth) {
+        const { file } = body;
+        const className = body.className || null;
+        const locals = new Map();
+        const annotated = this.sinkMarkers(body);
+        const callLines = new Set();
+
+        for (let n = body.start + 1; n < body.end; n++) {
+            const code = file.code(n);
+            if (!code.trim()) continue;
+
+            const local = code.match(/(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*new\s+([A-Za-z_$][\w$]*)\(/);
+            if (local) locals.set(local[1], local[2]);
+
+            const calls = this.callsOnLine(file, n, className, locals);
+            if (calls.length > 0 || (local && this.index.classes.has(local[2]))) callLines.add(n);
+
+            if (this.isPrunedBranch(body, n, constants)) continue;
+
+            for (const call of calls) {
+                const callee = this.index.method(call.symbol);
+                if (!callee || chain.includes(call.symbol)) continue;
+
+                // Constant arguments carry no taint, but an instance may hold
+                // tainted state from an earlier call (context.set(key, req.body.x))
+                const sink = sinkClassification(callee);
+                if (call.literalOnly && (sink || !call.stateful)) continue;
+
+                const callSite = { file: file.path, line: n };
+
+                if (sink) {
+                    found.push({
+                        chain: [...chain],
+                        callSites: [],
+                        entryLine: n,
+                        cwe: sink.cwe,
+                        vulnerable: sink.vulnerable,
+                        sink: this.sinkLocation(callee, callSite)
+                    });
+                    continue;
+                }
+
+                if (depth >= MAX_DEPTH) continue;
+
+                const nested = [];
+                this.visit(
+                    { file: callee.file, start: callee.start, end: callee.end, className: callee.className },
+                    [...chain, call.symbol],
+                    this.constantArguments(file, n, call, callee),
+                    nested,
+                    depth + 1
+                );
+
+                // A `// SINK:` or `// SAFE:` note on a call that reaches no sink class marks the callee itself;
+                // a sanitizer called inside the noted statement never does
+                const marker = annotated.get(n);
+                if (nested.length === 0 && marker?.cwe && !SANITIZER_CLASSES.includes(callee.className)) {
+                    nested.push({
+                        chain: [...chain, call.symbol],
+                        callSites: [],
+                        entryLine: n,
+                        cwe: marker.cwe,
+                        vulnerable: marker.vulnerable,
+                        sink: this.sinkLocation(callee, null)
+                    });
+                }
+
+                for (const hit of nested) {
+                    hit.callSites.unshift(callSite);
+                    hit.entryLine = n;
+                    found.push(hit);
+                }
+            }
+        }
+
+        for (const inline of this.inlineSinks(body, annotated, callLines)) {
+            if (this.isPrunedBranch(body, inline.line, constants)) continue;
+
+            found.push({
+                chain: [...chain],
+                callSites: [],
+                entryLine: inline.line,
+                cwe: inline.cwe,
+                vulnerable: inline.vulnerable,
+                sink: {
+                    symbol: chain[chain.length - 1] || null,
+                    api: inline.api,
+                    inline: true,
+                    file: file.path,
+                    line: inline.line,
+                    range: [inline.line, inline.line]
+                }
+            });
+        }
+
+        found.sort((a, b) => a.entryLine - b.entryLine);
+    }
+
+    /**
+     * Calls to indexed classes on a line: Class.method(), this.method(),
+     * this.field.method(), local.method() for locals created with `new`
+     * (stateful: the instance may carry taint) and alias() for module-level
+     * aliases bound to a class method
+     */
+    callsOnLine(file, n, className, locals) {
+        const code = file.code(n);
+        const calls = [];
+        const pattern = /([A-Za-z_$][\w$]*)\.([A-Za-z_$][\w$]*)\s*\(/g;
+        let match;
+
+        while ((match = pattern.exec(code))) {
+            const [, receiver, method] = match;
+            const before = code.slice(0, match.index);
+            let target = null;
+            let stateful = false;
+
+            if (receiver === 'this' && className) {
+                target = className;
+            } else if (before.endsWith('this.') && className) {
+                target = this.index.classes.get(className)?.fields.get(receiver) || null;
+            } else if (this.index.classes.has(receiver)) {
+                target = receiver;
+            } else if (!before.endsWith('.') && locals.has(receiver)) {
+                target = locals.get(receiver);
+                stateful = true;
+            }
+
+            if (!target) continue;
+
+            const args = extractArguments(file, n, match.index + match[0].length);
+            calls.push({
+                symbol: `${target}.${method}`,
+                args,
+                literalOnly: isLiteralArgumentList(args),
+                stateful
+            });
+        }
+
+        const aliases = this.index.aliases(file);
+        const bare = /(^|[^\w$.])([A-Za-z_$][\w$]*)\s*\(/g;
+
+        while (aliases.size > 0 && (match = bare.exec(code))) {
+            const symbol = aliases.get(match[2]);
+            if (!symbol) continue;
+
+            const args = extractArguments(file, n, match.index + match[0].length);
+            calls.push({ symbol, args, literalOnly: isLiteralArgumentList(args) });
+        }
+
+        return calls;
+    }
+
+    /**
+     * `// SINK:` and `// SAFE:` annotations keyed by the code lines they describe
+     * An annotation covers the following lines up to a blank or comment line
+     */
+    sinkMarkers(body) {
+        const { file } = body;
+        const markers = new Map();
+
+        for (let n = body.start; n <= body.end; n++) {
+            const sinkMatch = file.line(n).match(SINK_MARKER);
+            const match = sinkMatch || file.line(n).match(SAFE_MARKER);
+            if (!match) continue;
+
+            const marker = { text: match[1].trim(), cwe: markerCwe(match[1]), vulnerable: Boolean(sinkMatch), line: n, window: [] };
+
+            if (!file.isComment(n)) {
+                // Trailing annotation on the statement itself
+                marker.trailing = true;
+                marker.window.push(n);
+            } else {
+                for (let m = n + 1; m < body.end && marker.window.length < 3; m++) {
+                    if (file.isBlank(m) || file.isComment(m)) break;
+                    marker.window.push(m);
+                }
+            }
+
+            for (const line of marker.window) markers.set(line, marker);
+        }
+
+        return markers;
+    }
+
+    /**
+     * Dangerous statements written directly in a body (no sink class involved)
+     * Annotations that describe a call into an indexed class are skipped
+     */
+    inlineSinks(body, markers, callLines) {
+        const { file } = body;
+        const sinks = [];
+        const seen = new Set();
+
+        for (const marker of new Set(markers.values())) {
+            if (!marker.cwe) continue;
+            if (marker.window.some(n => callLines.has(n))) continue;
+
+            if (marker.trailing) {
+                sinks.push({ line: marker.window[0], api: 'response', cwe: marker.cwe, vulnerable: marker.vulnerable });
+                seen.add(marker.window[0]);
+                continue;
+            }
+
+            const hit = this.inlineApi(file, marker.window, marker.cwe);
+            if (hit && !seen.has(hit.line)) {
+                sinks.push({ ...hit, cwe: marker.cwe, vulnerable: marker.vulnerable });
+                seen.add(hit.line);
+            }
+        }
+
+        // Raw SQL on the shared connection is always a sink, annotated or not
+        for (let n = body.start + 1; n < body.end; n++) {
+            if (!seen.has(n) && /\bdbConnection\.execute\(/.test(file.code(n))) {
+                sinks.push({ line: n, api: 'connection.execute', cwe: 'CWE-89', vulnerable: true });
+                seen.add(n);
+            }
+        }
+
+        return sinks.sort((a, b) => a.line - b.line);
+    }
+
+    inlineApi(file, window, cwe) {
+        for (const n of window) {
+            for (const [pattern, name] of INLINE_APIS) {
+                const match = file.code(n).match(pattern);
+                if (match) return { line: n, api: name(match) };
+            }
+        }
+
+        // HTML assembled in a template literal
+        const text = window.map(n => file.code(n)).join('\n');
+        if (cwe === 'CWE-79' && text.includes('`')) {
+            const line = window.find(n => file.code(n).includes('`'));
+            const template = file.lines.slice(line - 1, line + 2).join('\n');
+            if (template.includes('<')) return { line, api: 'html-template' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Location of the vulnerable statement inside a sink method:
+     * the first statement after a `// VULNERABLE` note, else the first statement
+     */
+    sinkLocation(method, callSite) {
+        const { file } = method;
+        let line = null;
+
+        for (let n = method.start + 1; n < method.end; n++) {
+            if (/\/\/\s*VULNERABLE/.test(file.line(n))) {
+                for (let m = n + 1; m < method.end; m++) {
+                    if (!file.isBlank(m) && !file.isComment(m)) {
+                        line = m;
+                        break;
+                    }
+                }
+                break;
+            }
+        }
+
+        if (line === null) {
+            for (let n = method.start + 1; n < method.end; n++) {
+                if (!file.isBlank(n) && !file.isComment(n)) {
+                    line = n;
+                    break;
+                }
+            }
+        }
+
+        return {
+            symbol: method.symbol,
+            file: file.path,
+            line,
+            range: [method.start, method.end],
+            callSite
+        };
+    }
+
+    /**
+     * Literal arguments at a call site, keyed by the callee's parameter names
+     * and by object-literal property names: fn({ operation: 'read' })
+     */
+    constantArguments(file, n, call, callee) {
+        const constants = {};
+        const args = splitTopLevel(call.args || '');
+
+        args.forEach((arg, i) => {
+            const literal = arg.trim().match(/^'([^']*)'$/);
+            if (literal && callee.params[i]) constants[callee.params[i]] = literal[1];
+        });
+
+        const property = /([A-Za-z_$][\w$]*)\s*:\s*'([^']*)'/g;
+        let match;
+        while ((match = property.exec(call.args || ''))) {
+            constants[match[1]] = match[2];
+        }
+
+        return constants;
+    }
+
+    /**
+     * True when `line` sits in a switch branch that a literal argument rules out
+     */
+    isPrunedBranch(body, line, constants) {
+        if (Object.keys(constants).length === 0) return false;
+
+        const context = this.switchContext(body, line);
+        if (!context.discriminant || !(context.discriminant in constants)) return false;
+
+        const value = constants[context.discriminant];
+        if (context.label === 'default') return context.labels.includes(value);
+        return context.label !== value;
+    }
+
+    /**
+     * Innermost switch/case enclosing `line` within a body
+     */
+    switchContext(body, line) {
+        const { file } = body;
+        let indent = file.indent(line);
+        let label = null;
+
+        for (let n = line - 1; n > body.start; n--) {
+            if (file.isBlank(n) || file.isComment(n)) continue;
+
+            const current = file.indent(n);
+            if (current >= indent) continue;
+
+            const caseMatch = file.line(n).match(/^\s*case\s+'([^']+)'\s*:/);
+            if (caseMatch || /^\s*default\s*:/.test(file.line(n))) {
+                if (label === null) label = caseMatch ? caseMatch[1] : 'default';
+                indent = current;
+                continue;
+            }
+
+            const switchMatch = file.line(n).match(/^\s*switch\s*\(([^)]+)\)/);
+            if (switchMatch && label !== null) {
+                const labels = [];
+                const end = file.blockEnd(n, '}');
+                for (let m = n + 1; m < end; m++) {
+                    const caseLabel = file.line(m).match(/^\s*case\s+'([^']+)'\s*:/);
+                    if (caseLabel && file.indent(m) === indent) labels.push(caseLabel[1]);
+                }
+                return { discriminant: switchMatch[1].trim(), label, labels };
+            }
+
+            indent = current;
+        }
+
+        return { discriminant: null, label, labels: [] };
+    }
+
+    /**
+     * `case` label of the branch a flow takes; a route handler that only
+     * delegates takes the label from the method it hands the request to
+     */
+    caseLabel(entry, hit, hops) {
+        const { label } = this.switchContext(entry.body, hit.entryLine);
+        const delegate = entry.kind === 'http' && label === null && hops.length > 0 && this.index.method(hops[0]);
+        if (!delegate || !this.onlyDelegates(entry.body)) return label;
+
+        const inner = hit.callSites[1] || hit.sink.callSite || hit.sink;
+        if (!inner || inner.file !== delegate.file.path) return label;
+        return this.switchContext(delegate, inner.line).label;
+    }
+
+    // A body whose only statement is `return Class.method(...)`
+    onlyDelegates(body) {
+        const statements = [];
+        for (let n = body.start + 1; n < body.end; n++) {
+            if (!body.file.isBlank(n) && !body.file.isComment(n)) statements.push(body.file.code(n));
+        }
+        return statements.length === 1 && /^\s*return\s+[A-Za-z_$][\w$]*\.[A-Za-z_$][\w$]*\(/.test(statements[0]);
+    }
+
+    /**
+     * Where tainted data enters an entry point
+     * A handler that only delegates takes the source of the method it calls
+     */
+    sourceFor(entry, delegate) {
+        const body = entry.kind === 'websocket' ? entry.listener : entry.body;
+        let found = this.findSource(body);
+
+        const method = delegate && this.index.method(delegate);
+        if (!found && method) found = this.findSource(method);
+
+        const chosen = found || { file: body.file, line: body.start, kind: 'Stored data' };
+        return {
+            kind: chosen.kind,
+            file: chosen.file.path,
+            line: chosen.line,
+            description: sourceLine(entry.doc)
+        };
+    }
+
+    /**
+     * Request parameters an entry reads, as { in, name }: route placeholders,
+     * destructured and dotted reads of req.body/query/params/headers/files
+     * (directly, through a TaintRelay hop or through a local holding them),
+     * or the payload fields a WebSocket action's handler takes
+     * A handler that only delegates takes the parameters of the method it
+     * calls; one that hands the whole object on, those its `Source:` line names
+     */
+    parametersFor(entry, route, delegate) {
+        const method = delegate && this.index.method(delegate);
+        const found = new Map();
+        const add = (location, name) => found.set(`${location} ${name}`, { in: location, name });
+
+        if (entry.kind === 'websocket') {
+            for (const name of method ? readsOf(bodyCode(method), 'payload') : []) add('message', name);
+            return [...found.values()];
+        }
+
+        for (const [, name] of route.matchAll(/:([A-Za-z_$][\w$]*)/g)) add('path', name);
+        const placeholders = found.size;
+
+        for (const body of [entry.body, method]) {
+            if (!body || found.size > placeholders) continue;
+            const code = bodyCode(body);
+            for (const [input, location] of Object.entries(REQUEST_PARAMETERS)) {
+                for (const object of requestObjects(code, `req\\.${input}`)) {
+                    for (const name of readsOf(code, object)) add(location, name);
+                }
+            }
+        }
+
+        if (found.size === placeholders) {
+            for (const [, input, name] of (sourceLine(entry.doc) || '').matchAll(/\breq\.(\w+)\.([A-Za-z_$][\w$]*)/g)) {
+                if (REQUEST_PARAMETERS[input]) add(REQUEST_PARAMETERS[input], name);
+            }
+        }
+
+        return [...found.values()];
+    }
+
+    /**
+     * First `// SOURCE:` annotation or request read in a body, or null
+     */
+    findSource(body) {
+        const { file } = body;
+        let marker = null;
+        let request = null;
+
+        for (let n = body.start; n <= body.end; n++) {
+            const match = file.line(n).match(SOURCE_MARKER);
+            if (match && !marker) {
+                let target = n + 1;
+                while (target < body.end && (file.isBlank(target) || file.isComment(target))) target++;
+                marker = { line: target, kind: match[1].trim() };
+            }
+
+            if (!request && !file.isComment(n)) {
+                for (const [pattern, kind] of REQUEST_SOURCES) {
+                    if (pattern.test(file.code(n))) {
+                        request = { line: n, kind };
+                        break;
+                    }
+                }
+            }
+        }
+
+        const chosen = [marker, request].filter(Boolean).sort((a, b) => a.line - b.line)[0];
+        return chosen ? { file, ...chosen } : null;
+    }
+
+    /**
+     * Stable, readable IDs: <verb>-<path>[.<variant>].<sink>
+     */
+    assignIds(flows) {
+        const seen = new Map();
+
+        for (const flow of flows) {
+            const parts = [slug(flow.route)];
+            if (flow.variant) parts.push(slug(flow.variant));
+            parts.push(flow.sink.symbol || slug(flow.sink.api));
+
+            let id = parts.join('.');
+            const count = (seen.get(id) || 0) + 1;
+            seen.set(id, count);
+            if (count > 1) id = `${id}.${count}`;
+
+            flow.id = id;
+        }
+    }
+
+    /**
+     * Counts for live vulnerable flows (true positives), safe flows (true
+     * negatives) and the vulnerable flows the profile disabled
+     */
+    summarize(flows) {
+        const count = subset => {
+            const byCwe = {};
+            const byDepth = {};
+            const byTier = Object.fromEntries(TIERS.map(tier => [tier, 0]));
+            const byFeature = Object.fromEntries(FEATURES.map(feature => [feature, 0]));
+
+            for (const flow of subset) {
+                byCwe[flow.cwe] = (byCwe[flow.cwe] || 0) + 1;
+                byDepth[flow.depth] = (byDepth[flow.depth] || 0) + 1;
+                byTier[flow.tier]++;
+                for (const feature of flow.features) byFeature[feature]++;
+            }
+
+            return { total: subset.length, byCwe: sortKeys(byCwe), byDepth: sortKeys(byDepth), byTier, byFeature };
+        };
+
+        return {
+            total: flows.length,
+            vulnerable: count(flows.filter(flow => flow.vulnerable && flow.live)),
+            safe: count(flows.filter(flow => !flow.vulnerable)),
+            disabled: count(flows.filter(flow => flow.vulnerable && !flow.live))
+        };
+    }
+}
+
+/**
+ * Weakness and verdict for a call into a sink class, or null for other classes
+ */
+function sinkClassification(method) {
+    if (SINK_CLASS_CWES[method.className]) {
+        return { cwe: SINK_METHOD_CWES[method.symbol] || SINK_CLASS_CWES[method.className], vulnerable: true };
+    }
+    if (SAFE_SINK_CLASS_CWES[method.className]) {
+        return { cwe: SAFE_SINK_METHOD_CWES[method.symbol] || SAFE_SINK_CLASS_CWES[method.className], vulnerable: false };
+    }
+    return null;
+}
+
+function markerCwe(text) {
+    for (const [pattern, cwe] of MARKER_CWES) {
+        if (pattern.test(text)) return cwe;
+    }
+    return null;
+}
+
+/**
+ * The `Source:` line of a doc comment without its label, joined with the
+ * lines it wraps onto (up to the next `Label:` line), or null
+ */
+function sourceLine(doc = []) {
+    const start = doc.findIndex(line => line.startsWith('Source:'));
+    if (start === -1) return null;
+
+    const lines = [doc[start].replace(/^Source:\s*/, '')];
+    for (const line of doc.slice(start + 1)) {
+        if (/^[A-Z][\w ]*:\s/.test(line)) break;
+        lines.push(line);
+    }
+    return lines.join(' ');
+}
+
+// Code of a method or handler body, comments blanked
+function bodyCode(body) {
+    const lines = [];
+    for (let n = body.start; n <= body.end; n++) lines.push(body.file.code(n));
+    return lines.join('\n');
+}
+
+/**
+ * Patterns for the expressions that hold a request object in a body: the
+ * object itself, a TaintRelay hop over it (`TaintRelay.multiHopRelay(req.body)`)
+ * and the locals either is assigned to (`const data = req.body`), transitively
+ */
+function requestObjects(code, object) {
+    const holders = [object];
+    for (let i = 0; i < holders.length; i++) {
+        const assigned = new RegExp(`(?<![\\w$.])([A-Za-z_$][\\w$]*)\\s*=\\s*(?:${holders[i]}|${relayed(holders[i])})(?![\\w$.?\\[(])`, 'g');
+        for (const [, name] of code.matchAll(assigned)) {
+            const local = name.replace(/\$/g, '\\$');
+            if (!holders.includes(local)) holders.push(local);
+        }
+    }
+    return holders.flatMap(holder => [holder, relayed(holder)]);
+}
+
+function relayed(object) {
+    return `(?:await\\s+)?TaintRelay\\.[A-Za-z_$][\\w$]*\\(\\s*${object}\\s*\\)`;
+}
+
+/**
+ * Property names read from an object: `const { a, b: c } = obj`, `obj.a`,
+ * `obj?.a` and `obj['a']`, in order of appearance; method calls are not reads
+ */
+function readsOf(code, object) {
+    const reads = [];
+    const patterns = [
+        new RegExp(`\\{([^{}]*)\\}\\s*=\\s*${object}(?![\\w$.?\\[])`, 'g'),
+        new RegExp(`\\b${object}\\??\\.([A-Za-z_$][\\w$]*)(?![\\w$]|\\s*\\()`, 'g'),
+        new RegExp(`\\b${object}(?:\\?\\.)?\\[\\s*['"]([^'"]+)['"]\\s*\\]`, 'g')
+    ];
+
+    for (const [i, pattern] of patterns.entries()) {
+        for (const match of code.matchAll(pattern)) {
+            const names = i === 0
+                ? match[1].split(',').map(part => part.trim()).filter(part => part && !part.startsWith('...')).map(part => part.split(/\s*[:=]\s*/)[0])
+                : [match[1]];
+            for (const name of names) reads.push({ name: name.replace(/^['"]|['"]$/g, ''), at: match.index });
+        }
+    }
+
+    return [...new Set(reads.sort((a, b) => a.at - b.at).map(read => read.name))];
+}
+
+function joinPath(prefix, routePath) {
+    const joined = `${prefix}/${routePath}`.replace(/\/+/g, '/');
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+function slug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function sortKeys(object) {
+    return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b, 'en', { numeric: true })));
+}
+
+/**
+ * Text between the parenthesis opened at `offset` and its match,
+ * continuing onto following lines for multi-line calls
+ */
+function extractArguments(file, n, offset) {
+    let depth = 1;
+    let text = '';
+    let line = n;
+    let source = file.code(n).slice(offset);
+
+    while (line <= file.lines.length) {
+        for (const char of source) {
+            if (char === '(' || char === '{' || char === '[') depth++;
+            if (char === ')' || char === '}' || char === ']') depth--;
+            if (depth === 0) return text;
+            text += char;
+        }
+        line++;
+        if (line - n > 20) break;
+        source = '\n' + file.code(line);
+    }
+
+    return text;
+}
+
+function splitTopLevel(args) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of args) {
+        if (char === '(' || char === '{' || char === '[') depth++;
+        if (char === ')' || char === '}' || char === ']') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current);
+
+    return parts;
+}
+
+function isLiteralArgumentList(args) {
+    const parts = splitTopLevel(args);
+    return parts.length > 0 && parts.every(part => /^\s*('[^'$]*'|\d+)\s*$/.test(part));
+}
+
+module.exports = {
+    ManifestGenerator,
+    SINK_CLASS_CWES,
+    SINK_METHOD_CWES,
+    SAFE_SINK_CLASS_CWES,
+    SAFE_SINK_METHOD_CWES,
+    SANITIZER_CWES
+};
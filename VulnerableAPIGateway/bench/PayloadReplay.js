@@ -0,0 +1,397 @@
+/**
+ * Payload Replay - Sends the bypass corpus to a running gateway
+ * Every payload for a CWE goes to every request parameter of the routes
+ * expected-findings.json maps to that CWE, one parameter at a time. The
+ * gateway has to run in canary mode (npm run start:canary): its taint
+ * report tells which flows a payload reached intact, the sink journal
+ * which sinks were handed it. A flow the manifest names no parameters for
+ * (session, environment or stored input) cannot be replayed and is listed
+ * as such
+ */
+
+const WebSocket = require('ws');
+const { BypassExamples } = require('../utils/sanitizers');
+
+const DEFAULT_TARGET = 'http://localhost:3000';
+
+// Canary label the taint tracker gives a value, by where the parameter travels
+const LABELS = {
+    path: 'req.params',
+    query: 'req.query',
+    body: 'req.body',
+    header: 'req.headers',
+    file: 'req.files',
+    message: 'ws.payload'
+};
+
+// Parameters not under test get the flow's variant (it usually selects the
+// branch) or a value too short to count as a canary
+const FILLER = '1';
+const UPLOAD_CONTENT = Buffer.from('replay');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const REPORT_ATTEMPTS = 20;
+const REPORT_DELAY_MS = 50;
+
+const UNPARAMETERIZED = 'No request parameters in the manifest';
+
+class PayloadReplay {
+    /**
+     * @param {object} manifest - parsed expected-findings.json
+     * @param {object} options - { target, cwes, route, headers }
+     *   target: base URL of the gateway (default http://localhost:3000)
+     *   cwes: CWEs to replay (default: every CWE the corpus covers)
+     *   route: a route ("POST /api/system/execute") or a path prefix ("/safe/")
+     *   headers: sent with every HTTP request, e.g. { Authorization: 'Bearer ...' }
+     */
+    constructor(manifest, options = {}) {
+        this.base = new URL(options.target || DEFAULT_TARGET);
+        this.headers = options.headers || {};
+        this.cwes = options.cwes?.length ? options.cwes : BypassExamples.cwes();
+        this.route = options.route;
+
+        // An unknown CWE throws here rather than after the first requests
+        for (const cwe of this.cwes) BypassExamples.forCwe(cwe);
+
+        const { targets, unreplayed } = this.collectTargets(manifest.flows);
+        this.targets = targets;
+        this.unreplayed = unreplayed;
+        this.journalSince = 0;
+    }
+
+    /**
+     * One target per route, variant and CWE, with the parameters its flows read,
+     * and the flows without parameters, which cannot be sent
+     * Global middleware (ALL *) is left out: it has no route of its own to send to
+     */
+    collectTargets(flows) {
+        const targets = new Map();
+        const unreplayed = [];
+
+        for (const flow of flows) {
+            if (flow.route.startsWith('ALL ') || !this.cwes.includes(flow.cwe) || !this.matchesRoute(flow.route)) continue;
+            if (flow.parameters.length === 0) {
+                unreplayed.push({ flow: flow.id, cwe: flow.cwe, route: flow.route, variant: flow.variant, reason: UNPARAMETERIZED });
+                continue;
+            }
+
+            const key = `${flow.route}|${flow.variant}|${flow.cwe}`;
+            if (!targets.has(key)) {
+                targets.set(key, { route: flow.route, variant: flow.variant, cwe: flow.cwe, flows: [], parameters: [] });
+            }
+            const target = targets.get(key);
+            target.flows.push(flow.id);
+            for (const parameter of flow.parameters) {
+                if (!target.parameters.some(known => known.in === parameter.in && known.name === parameter.name)) {
+                    target.parameters.push(parameter);
+                }
+            }
+        }
+
+        // Corpus order, so a run reads CWE by CWE; the manifest's order within each
+        const order = BypassExamples.cwes();
+        const byCwe = (a, b) => order.indexOf(a.cwe) - order.indexOf(b.cwe);
+
+        return { targets: [...targets.values()].sort(byCwe), unreplayed: unreplayed.sort(byCwe) };
+    }
+
+    matchesRoute(route) {
+        if (!this.route) return true;
+        return route === this.route || (this.route.startsWith('/') && route.split(' ')[1].startsWith(this.route));
+    }
+
+    /**
+     * Replay every payload; onResult(result) runs after each request
+     */
+    async run(onResult) {
+        await this.checkTracking();
+        this.journalSince = Math.max(0, ...(await this.journal()).map(entry => entry.id));
+
+        const results = [];
+        for (const target of this.targets) {
+            for (const parameter of target.parameters) {
+                for (const entry of BypassExamples.forCwe(target.cwe)) {
+                    const result = await this.replay(target, parameter, entry);
+                    results.push(result);
+                    if (onResult) onResult(result);
+                }
+            }
+        }
+
+        return {
+            target: this.base.origin,
+            corpus: BypassExamples.version(),
+            summary: summarize(results, this.unreplayed),
+            unreplayed: this.unreplayed,
+            results
+        };
+    }
+
+    /**
+     * Fails early when the target is down or does not track taint
+     */
+    async checkTracking() {
+        let response;
+        try {
+            response = await fetch(new URL('/__bench/taint-report?requestId=none', this.base));
+        } catch (error) {
+            throw new Error(`Cannot reach ${this.base.origin}: ${error.cause?.message || error.message}`);
+        }
+        if (response.status === 404) {
+            throw new Error(`${this.base.origin} does not report taint; start the gateway with "npm run start:canary"`);
+        }
+    }
+
+    /**
+     * Send one payload in one parameter and read back where it went
+     */
+    async replay(target, parameter, entry) {
+        const result = {
+            id: entry.id,
+            cwe: target.cwe,
+            route: target.route,
+            variant: target.variant,
+            parameter: `${parameter.in}.${parameter.name}`,
+            technique: entry.technique,
+            payload: entry.payload,
+            status: null,
+            reached: [],
+            journaled: [],
+            error: null
+        };
+
+        try {
+            const values = target.parameters.map(item => [item, item === parameter ? entry.payload : target.variant || FILLER]);
+            const report = target.route.startsWith('WS ')
+                ? await this.sendMessage(target.route, values, result)
+                : await this.sendRequest(target.route, values, result);
+
+            const label = `${LABELS[parameter.in]}.${parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name}`;
+            result.reached = (report?.flows || [])
+                .filter(flow => flow.reached && target.flows.includes(flow.flowId) && fromParameter(flow.source, label))
+                .map(flow => flow.flowId);
+            result.journaled = await this.journaledSinks(entry.payload);
+        } catch (error) {
+            result.error = error.cause?.message || error.message;
+        }
+
+        return result;
+    }
+
+    /**
+     * HTTP request with the values in their places; resolves with its taint report
+     */
+    async sendRequest(route, values, result) {
+        const [method, pattern] = route.split(' ');
+        const headers = { ...this.headers };
+        const query = new URLSearchParams();
+        const body = {};
+        const files = {};
+        let path = pattern;
+
+        for (const [parameter, value] of values) {
+            if (parameter.in === 'path') path = path.replace(new RegExp(`:${parameter.name}\\??`), encodeURIComponent(text(value)));
+            if (parameter.in === 'query') appendQuery(query, parameter.name, value);
+            if (parameter.in === 'header') headers[parameter.name] = text(value);
+            if (parameter.in === 'body') body[parameter.name] = value;
+            if (parameter.in === 'file') files[parameter.name] = text(value);
+        }
+
+        const url = new URL(path, this.base);
+        url.search = query.toString();
+
+        const init = { method, headers, redirect: 'manual', signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) };
+        if (Object.keys(files).length > 0) {
+            const form = new FormData();
+            for (const [name, value] of Object.entries(body)) form.append(name, text(value));
+            for (const [name, filename] of Object.entries(files)) form.append(name, new Blob([UPLOAD_CONTENT]), filename);
+            init.body = form;
+        } else if (Object.keys(body).length > 0) {
+            headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(url, init);
+        await response.arrayBuffer();
+        result.status = response.status;
+
+        const requestId = response.headers.get('x-bench-request');
+        if (!requestId) return null;
+        return this.report({ requestId }, 0);
+    }
+
+    /**
+     * WebSocket message on a fresh connection; resolves with its taint report
+     * Messages carry no request id, so the report is the route's next one
+     */
+    async sendMessage(route, values, result) {
+        const action = route.slice('WS '.length);
+        const payload = Object.fromEntries(values.map(([parameter, value]) => [parameter.name, value]));
+        const before = (await this.reports({ route })).length;
+
+        const url = new URL('/?clientId=replay', this.base);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+
+        const reply = await new Promise((resolve, reject) => {
+            const ws = new WebSocket(url);
+            const timer = setTimeout(() => {
+                ws.terminate();
+                reject(new Error(`No reply to ${action}`));
+            }, REQUEST_TIMEOUT_MS);
+
+            ws.on('open', () => ws.send(JSON.stringify({ action, payload })));
+            ws.on('message', (data) => {
+                clearTimeout(timer);
+                ws.close();
+                resolve(data.toString());
+            });
+            ws.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+
+        result.status = /"error"/.test(reply) ? 'error reply' : 'reply';
+        return this.report({ route }, before);
+    }
+
+    /**
+     * Report number `index` matching the query, once the gateway has filed it
+     * (reports are filed when the response finishes, which can trail the reply)
+     */
+    async report(query, index) {
+        for (let attempt = 0; attempt < REPORT_ATTEMPTS; attempt++) {
+            const reports = await this.reports(query);
+            if (reports.length > index) return reports[index];
+            await new Promise(resolve => setTimeout(resolve, REPORT_DELAY_MS));
+        }
+        return null;
+    }
+
+    async reports(query) {
+        const url = new URL('/__bench/taint-report', this.base);
+        url.search = new URLSearchParams(query).toString();
+        const response = await fetch(url);
+        return (await response.json()).reports;
+    }
+
+    async journal() {
+        const url = new URL(`/__bench/journal?since=${this.journalSince}`, this.base);
+        const response = await fetch(url);
+        return (await response.json()).entries;
+    }
+
+    /**
+     * Sinks journaled since the last request whose arguments hold the payload
+     */
+    async journaledSinks(payload) {
+        const entries = await this.journal();
+        if (entries.length > 0) this.journalSince = entries[entries.length - 1].id;
+
+        const needle = typeof payload === 'string' ? JSON.stringify(payload).slice(1, -1) : JSON.stringify(payload);
+        const sinks = entries
+            .filter(entry => JSON.stringify(entry.args).includes(needle))
+            .map(entry => entry.sink);
+        return [...new Set(sinks)];
+    }
+}
+
+/**
+ * Whether a flow's source labels include the parameter (or a field below it)
+ */
+function fromParameter(sources, label) {
+    return (sources || []).some(source =>
+        source === label || source.startsWith(`${label}.`) || source.startsWith(`${label}[`));
+}
+
+function text(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Objects go into the query string in bracket form (name[$ne]=x), as qs parses it
+ */
+function appendQuery(query, name, value) {
+    if (value !== null && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) appendQuery(query, `${name}[${key}]`, item);
+    } else {
+        query.append(name, String(value));
+    }
+}
+
+/**
+ * { cwe: { requests, reached, errors, unreplayed } } plus the totals
+ */
+function summarize(results, unreplayed) {
+    const empty = () => ({ requests: 0, reached: 0, errors: 0, unreplayed: 0 });
+    const summary = { total: empty(), byCwe: {} };
+    const counts = (cwe) => {
+        summary.byCwe[cwe] = summary.byCwe[cwe] || empty();
+        return [summary.total, summary.byCwe[cwe]];
+    };
+
+    for (const result of results) {
+        for (const count of counts(result.cwe)) {
+            count.requests++;
+            if (result.reached.length > 0) count.reached++;
+            if (result.error) count.errors++;
+        }
+    }
+    for (const flow of unreplayed) {
+        for (const count of counts(flow.cwe)) count.unreplayed++;
+    }
+    return summary;
+}
+
+/**
+ * One line per route, variant and parameter: payloads that reached a flow
+ * out of those sent, by position in the corpus
+ */
+function formatReplay(run) {
+    const { total } = run.summary;
+    const lines = [
+        `Replayed corpus ${run.corpus} against ${run.target}: ${total.requests} requests, ${total.reached} reached a sink, ${total.errors} failed, ${total.unreplayed} flows not replayable`,
+        ''
+    ];
+
+    const groups = new Map();
+    for (const result of run.results) {
+        const key = `${result.cwe}|${result.route}|${result.variant}|${result.parameter}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(result);
+    }
+
+    let cwe = null;
+    for (const results of groups.values()) {
+        const [first] = results;
+        if (first.cwe !== cwe) {
+            cwe = first.cwe;
+            const counts = run.summary.byCwe[cwe];
+            lines.push(`${cwe} (${counts.reached}/${counts.requests} reached)`);
+        }
+
+        const reached = results.filter(result => result.reached.length > 0);
+        const failed = results.filter(result => result.error).length;
+        const label = `${first.route}${first.variant ? ` [${first.variant}]` : ''} ${first.parameter}`;
+        const positions = reached.map(result => result.id.split('/')[1]).join(',');
+        lines.push([
+            `  ${label.padEnd(64)}`,
+            `${reached.length}/${results.length}`.padStart(7),
+            positions ? `  payloads ${positions}` : '',
+            failed ? `  (${failed} failed)` : ''
+        ].join(''));
+    }
+
+    if (run.unreplayed.length > 0) {
+        lines.push('', 'Not replayable:');
+        for (const flow of run.unreplayed) lines.push(`  ${flow.cwe.padEnd(9)} ${flow.flow}: ${flow.reason}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    PayloadReplay,
+    formatReplay,
+    DEFAULT_TARGET
+};
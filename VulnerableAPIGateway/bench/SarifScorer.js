@@ -0,0 +1,405 @@
+/**
+ * SARIF Scorer - Grades a scanner run against expected-findings.json
+ * Matches SARIF results to known flows by location and CWE and reports
+ * true positives, false negatives, false positives and true negatives
+ * (untouched safe twins) per CWE, file, depth, tier and analysis feature
+ */
+
+const path = require('path');
+const { flowFilter } = require('./FlowTaxonomy');
+
+// Lines of slack allowed around call sites and inline sinks
+const LINE_TOLERANCE = 1;
+
+/**
+ * Weaknesses that scanners commonly report for the same sink
+ */
+const RELATED_CWES = {
+    'CWE-22': ['CWE-23', 'CWE-36', 'CWE-73', 'CWE-434'],
+    'CWE-78': ['CWE-77', 'CWE-88'],
+    'CWE-79': ['CWE-80', 'CWE-83', 'CWE-116'],
+    'CWE-89': ['CWE-564', 'CWE-943'],
+    'CWE-93': ['CWE-113', 'CWE-117'],
+    'CWE-94': ['CWE-95', 'CWE-1336'],
+    'CWE-95': ['CWE-94', 'CWE-1336'],
+    'CWE-117': ['CWE-93'],
+    'CWE-209': ['CWE-200', 'CWE-497'],
+    'CWE-434': ['CWE-22', 'CWE-73'],
+    'CWE-532': ['CWE-200', 'CWE-312'],
+    'CWE-611': ['CWE-827'],
+    'CWE-918': [],
+    'CWE-943': ['CWE-89'],
+    'CWE-1336': ['CWE-74', 'CWE-94', 'CWE-95']
+};
+
+class SarifScorer {
+    /**
+     * @param {object} manifest - parsed expected-findings.json
+     * @param {object} options - { strict, ruleMap, tiers, features }
+     *   strict: only credit results that carry evidence of the flow's path
+     *   ruleMap: { ruleId: 'CWE-78' } for tools that do not tag CWEs
+     *   tiers, features: score only flows of any of the tiers and with all of the features
+     * Flows the manifest's profile disabled are matched but never scored
+     */
+    constructor(manifest, options = {}) {
+        this.allFlows = manifest.flows;
+        this.filter = { tiers: options.tiers || [], features: options.features || [] };
+        this.filtered = this.filter.tiers.length > 0 || this.filter.features.length > 0;
+        this.flows = this.allFlows.filter(flow => flow.live !== false).filter(flowFilter(this.filter));
+        this.strict = Boolean(options.strict);
+        this.ruleMap = options.ruleMap || {};
+        this.knownFiles = [...new Set(this.allFlows.flatMap(flow => [
+            flow.entry.file,
+            flow.source.file,
+            flow.sink.file,
+            ...flow.hops.map(hop => hop.file)
+        ]))].sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Flatten every result of every run into { ruleId, cwes, locations }
+     */
+    parseSarif(sarif) {
+        const results = [];
+
+        for (const run of sarif.runs || []) {
+            const rules = this.collectRules(run);
+
+            for (const result of run.results || []) {
+                if (result.kind && result.kind !== 'fail') continue;
+                if ((result.suppressions || []).length > 0) continue;
+                if (result.baselineState === 'absent') continue;
+
+                const rule = rules.byId.get(result.ruleId) || rules.byIndex[result.rule?.index ?? result.ruleIndex];
+                const ruleId = result.ruleId || result.rule?.id || rule?.id || 'unknown';
+
+                results.push({
+                    index: results.length,
+                    ruleId,
+                    message: result.message?.text || '',
+                    cwes: this.resultCwes(result, rule, ruleId),
+                    locations: this.resultLocations(result, run)
+                });
+            }
+        }
+
+        return results;
+    }
+
+    collectRules(run) {
+        const components = [run.tool?.driver, ...(run.tool?.extensions || [])].filter(Boolean);
+        const byId = new Map();
+        const byIndex = run.tool?.driver?.rules || [];
+
+        for (const component of components) {
+            for (const rule of component.rules || []) byId.set(rule.id, rule);
+        }
+
+        return { byId, byIndex };
+    }
+
+    resultCwes(result, rule, ruleId) {
+        if (this.ruleMap[ruleId]) return [].concat(this.ruleMap[ruleId]).map(normalizeCwe);
+
+        const texts = [
+            ...(result.properties?.tags || []),
+            ...[].concat(result.properties?.cwe || []),
+            ...(result.taxa || []).map(taxon => taxon.id || ''),
+            ...(rule?.properties?.tags || []),
+            ...[].concat(rule?.properties?.cwe || []),
+            ...(rule?.relationships || []).map(relation => relation.target?.id || '')
+        ];
+
+        const cwes = new Set();
+        for (const text of texts) {
+            const match = String(text).match(/CWE[-_/: ]?0*(\d+)/i);
+            if (match) cwes.add(`CWE-${match[1]}`);
+        }
+        return [...cwes];
+    }
+
+    resultLocations(result, run) {
+        const physical = [
+            ...(result.locations || []),
+            ...(result.relatedLocations || []),
+            ...(result.codeFlows || []).flatMap(flow =>
+                (flow.threadFlows || []).flatMap(thread =>
+                    (thread.locations || []).map(step => step.location)))
+        ].map(location => location?.physicalLocation).filter(Boolean);
+
+        const locations = [];
+        for (const location of physical) {
+            const file = this.normalizeUri(location.artifactLocation, run);
+            const line = location.region?.startLine;
+            if (file && line) locations.push({ file, line, endLine: location.region.endLine || line });
+        }
+        return locations;
+    }
+
+    /**
+     * Map an artifact URI onto the manifest's gateway-relative paths
+     */
+    normalizeUri(artifact, run) {
+        if (!artifact) return null;
+
+        let uri = artifact.uri;
+        if (uri === undefined && artifact.index !== undefined) {
+            uri = run.artifacts?.[artifact.index]?.location?.uri;
+        }
+        if (!uri) return null;
+
+        const normalized = decodeURIComponent(uri.replace(/^file:\/\//, ''))
+            .split(path.sep).join('/')
+            .replace(/^\.\//, '');
+
+        return this.knownFiles.find(file => normalized === file || normalized.endsWith(`/${file}`)) || normalized;
+    }
+
+    /**
+     * Score parsed results; returns detected/missed flows and false positives.
+     * A result with path evidence is credited to every flow it shows; a
+     * result that only points at a shared sink is credited to one flow
+     * through it, preferring a vulnerable flow no other result has matched.
+     * Results that only match safe flows are false positives and flag those
+     * flows. Precision counts results: credited results against false
+     * positives. With a tier/feature filter, results are still matched
+     * against every flow, but only the selected flows are counted, and the
+     * false positives are the results that flagged a selected safe flow.
+     */
+    score(results) {
+        const selected = new Set(this.flows.map(flow => flow.id));
+        const positives = this.flows.filter(flow => flow.vulnerable);
+        const negatives = this.flows.filter(flow => !flow.vulnerable);
+        const matches = new Map(this.allFlows.map(flow => [flow.id, []]));
+        const assignments = [];
+
+        for (const result of results) {
+            const candidates = this.allFlows
+                .map(flow => ({ flow, how: this.match(result, flow) }))
+                .filter(candidate => candidate.how);
+
+            let chosen = candidates.filter(candidate => candidate.how === 'path');
+            if (chosen.length === 0 && candidates.length > 0) {
+                const pick = candidates.find(({ flow }) => flow.vulnerable && matches.get(flow.id).length === 0)
+                    || candidates.find(({ flow }) => flow.vulnerable)
+                    || candidates[0];
+                chosen = [pick];
+            }
+
+            for (const { flow, how } of chosen) matches.get(flow.id).push({ result: result.index, how });
+
+            const flows = chosen.map(candidate => candidate.flow);
+            assignments.push({
+                result,
+                sinkOnly: chosen.length > 0 && chosen[0].how === 'sink',
+                credited: flows.filter(flow => flow.vulnerable && selected.has(flow.id)),
+                flagged: flows.some(flow => flow.vulnerable) ? [] : flows.filter(flow => selected.has(flow.id)),
+                unmatched: !flows.some(flow => flow.vulnerable)
+            });
+        }
+
+        const hit = flow => matches.get(flow.id).length > 0;
+        const outcome = {
+            detected: positives.filter(hit),
+            missed: positives.filter(flow => !hit(flow)),
+            flagged: negatives.filter(hit),
+            clean: negatives.filter(flow => !hit(flow)),
+            credited: assignments.filter(assignment => assignment.credited.length > 0),
+            falsePositives: assignments.filter(assignment =>
+                this.filtered ? assignment.flagged.length > 0 : assignment.unmatched)
+        };
+
+        const resultKeys = keys => (this.filtered ? null : keys);
+
+        return {
+            filter: this.filtered ? this.filter : null,
+            totals: metrics({
+                tp: outcome.detected.length,
+                fn: outcome.missed.length,
+                fp: outcome.falsePositives.length,
+                tn: outcome.clean.length,
+                flagged: outcome.flagged.length,
+                credited: outcome.credited.length
+            }),
+            sinkOnly: assignments.filter(assignment => assignment.sinkOnly).length,
+            byCwe: this.group(outcome, flow => [flow.cwe], resultKeys(result => result.cwes.length ? result.cwes : ['unknown'])),
+            byFile: this.group(outcome, flow => [flow.source.file], resultKeys(result => [result.locations[0]?.file || 'unknown'])),
+            byDepth: this.group(outcome, flow => [flow.depth], null),
+            byTier: this.group(outcome, flow => [flow.tier || 'untagged'], null),
+            byFeature: this.group(outcome, flow => (flow.features || []).length ? flow.features : ['none'], null),
+            detected: outcome.detected.map(flow => ({ id: flow.id, matches: matches.get(flow.id) })),
+            missed: outcome.missed.map(flow => flow.id),
+            falsePositives: {
+                flows: outcome.flagged.map(flow => ({ id: flow.id, matches: matches.get(flow.id) })),
+                results: outcome.falsePositives.map(({ result }) => ({
+                    ruleId: result.ruleId,
+                    cwes: result.cwes,
+                    location: result.locations[0] || null,
+                    message: result.message
+                }))
+            }
+        };
+    }
+
+    /**
+     * 'path' when the result shows both the sink and the flow's route or hops,
+     * 'sink' when it only points at a sink shared by several flows
+     */
+    match(result, flow) {
+        if (!this.cweCompatible(result.cwes, flow.cwe)) return null;
+        if (!result.locations.some(location => this.touches(location, sinkPoints(flow)))) return null;
+
+        if (result.locations.some(location => this.touches(location, pathPoints(flow)))) return 'path';
+        if (!this.strict && result.locations.length === 1) return 'sink';
+        return null;
+    }
+
+    cweCompatible(resultCwes, flowCwe) {
+        if (resultCwes.length === 0) return true;
+        const family = [flowCwe, ...(RELATED_CWES[flowCwe] || [])];
+        return resultCwes.some(cwe => family.includes(cwe));
+    }
+
+    touches(location, points) {
+        return points.some(point => point.file === location.file
+            && location.line <= point.to && location.endLine >= point.from);
+    }
+
+    /**
+     * Credited results are placed by the flows they were credited to. False
+     * positives are placed by resultKeys; without them (results have no
+     * depth, tier or features), by the safe flows they flagged, and results
+     * that touch no flow at all stay out of the group
+     */
+    group(outcome, flowKeys, resultKeys) {
+        const groups = new Map();
+        const bucket = key => {
+            if (!groups.has(key)) groups.set(key, { tp: 0, fn: 0, fp: 0, tn: 0, flagged: 0, credited: 0 });
+            return groups.get(key);
+        };
+        const keysOf = flows => new Set(flows.flatMap(flowKeys));
+
+        for (const flow of outcome.detected) flowKeys(flow).forEach(key => bucket(key).tp++);
+        for (const flow of outcome.missed) flowKeys(flow).forEach(key => bucket(key).fn++);
+        for (const flow of outcome.clean) flowKeys(flow).forEach(key => bucket(key).tn++);
+        for (const flow of outcome.flagged) flowKeys(flow).forEach(key => bucket(key).flagged++);
+
+        for (const assignment of outcome.credited) keysOf(assignment.credited).forEach(key => bucket(key).credited++);
+        for (const assignment of outcome.falsePositives) {
+            const keys = resultKeys ? resultKeys(assignment.result) : keysOf(assignment.flagged);
+            keys.forEach(key => bucket(key).fp++);
+        }
+
+        return Object.fromEntries([...groups.entries()]
+            .sort(([a], [b]) => a.localeCompare(b, 'en', { numeric: true }))
+            .map(([key, counts]) => [key, metrics(counts)]));
+    }
+}
+
+function sinkPoints(flow) {
+    const { sink } = flow;
+    const points = sink.inline
+        ? [span(sink.file, sink.line, LINE_TOLERANCE)]
+        : [{ file: sink.file, from: sink.range[0], to: sink.range[1] }];
+
+    if (sink.callSite) points.push(span(sink.callSite.file, sink.callSite.line, LINE_TOLERANCE));
+    return points;
+}
+
+function pathPoints(flow) {
+    const points = [{ file: flow.entry.file, from: flow.entry.line, to: flow.entry.endLine }];
+
+    for (const hop of flow.hops) {
+        points.push(span(hop.callSite.file, hop.callSite.line, LINE_TOLERANCE));
+        points.push({ file: hop.file, from: hop.line, to: hop.endLine });
+    }
+    return points;
+}
+
+function span(file, line, tolerance) {
+    return { file, from: line - tolerance, to: line + tolerance };
+}
+
+function normalizeCwe(cwe) {
+    const match = String(cwe).match(/(\d+)/);
+    return match ? `CWE-${Number(match[1])}` : String(cwe);
+}
+
+/**
+ * tp/fn/tn count flows, fp counts results; precision is the share of results
+ * credited to a vulnerable flow, the false positive rate the share of safe
+ * flows a tool flagged
+ */
+function metrics({ tp, fn, fp, tn, flagged, credited }) {
+    return {
+        tp,
+        fn,
+        fp,
+        tn,
+        credited,
+        precision: ratio(credited, credited + fp),
+        recall: ratio(tp, tp + fn),
+        fpr: ratio(flagged, flagged + tn)
+    };
+}
+
+function ratio(numerator, denominator) {
+    return denominator === 0 ? null : Number((numerator / denominator).toFixed(3));
+}
+
+/**
+ * Plain-text report for the terminal
+ */
+function formatReport(report, title) {
+    const lines = [title];
+    if (report.filter) {
+        const scope = [
+            report.filter.tiers.length ? `tier ${report.filter.tiers.join(' or ')}` : null,
+            report.filter.features.length ? `features ${report.filter.features.join(' + ')}` : null
+        ].filter(Boolean);
+        lines.push(`Filtered to ${scope.join(', ')}; FP counts results that flagged a safe flow in it`);
+    }
+    if (report.sinkOnly > 0) {
+        lines.push(`${report.sinkOnly} results matched on a shared sink alone and were credited to one flow each`);
+    }
+    lines.push('');
+    const row = (label, m) => [
+        label.padEnd(44),
+        String(m.tp).padStart(4),
+        String(m.fn).padStart(4),
+        String(m.fp).padStart(4),
+        String(m.tn).padStart(4),
+        formatRatio(m.precision).padStart(10),
+        formatRatio(m.recall).padStart(8),
+        formatRatio(m.fpr).padStart(6)
+    ].join(' ');
+    const header = label => [label.padEnd(44), '  TP', '  FN', '  FP', '  TN', ' Precision', '  Recall', '   FPR'].join(' ');
+
+    lines.push(header('Overall'), row('all flows', report.totals), '');
+
+    const sections = [
+        ['By CWE', report.byCwe],
+        ['By file', report.byFile],
+        ['By depth', report.byDepth],
+        ['By tier', report.byTier],
+        ['By feature', report.byFeature]
+    ];
+
+    for (const [title, groups] of sections) {
+        lines.push(header(title));
+        for (const [key, m] of Object.entries(groups)) lines.push(row(key, m));
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+function formatRatio(value) {
+    return value === null ? 'n/a' : value.toFixed(3);
+}
+
+module.exports = {
+    SarifScorer,
+    RELATED_CWES,
+    formatReport
+};
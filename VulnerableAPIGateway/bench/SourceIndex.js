@@ -0,0 +1,333 @@
+/**
+ * Source Index - Lightweight structural index of the gateway sources
+ * Locates classes, methods, route handlers, router mounts and the
+ * SOURCE/SINK annotations so the manifest generator can walk call chains
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const APP_DIRS = ['config', 'middleware', 'routes', 'services', 'sinks', 'sources', 'utils'];
+const SERVER_FILE = 'server.js';
+
+const METHOD_PATTERN = /^ {4}(static\s+)?(async\s+)?([A-Za-z_$][\w$]*)\s*\(([^)]*)\)\s*\{\s*$/;
+const ROUTE_PATTERN = /^router\.(get|post|put|patch|delete|all)\(\s*'([^']+)'/;
+const MOUNT_PATTERN = /^(?:app|router)\.use\(\s*'([^']+)'\s*,(.*)\);\s*$/;
+const ROUTER_MIDDLEWARE_PATTERN = /^router\.use\(([^']*)\);\s*$/;
+const MIDDLEWARE_REFERENCE = /^([A-Za-z_$][\w$]*)\.([A-Za-z_$][\w$]*)$/;
+const REQUIRE_PATTERN = /^const\s+(?:\{([^}]+)\}|([A-Za-z_$][\w$]*))\s*=\s*require\('(\.[^']+)'\)/;
+const ALIAS_PATTERN = /^const\s+([A-Za-z_$][\w$]*)\s*=\s*([A-Za-z_$][\w$]*)\.([A-Za-z_$][\w$]*)\.bind\(\2\);/;
+const SINK_MARKER = /\/\/\s*(?:SOURCE \+ )?SINK:\s*(.*)$/;
+const SOURCE_MARKER = /\/\/\s*SOURCE(?: \+ SINK)?:\s*(.*)$/;
+const SAFE_MARKER = /\/\/\s*SAFE:\s*(.*)$/;
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return']);
+
+/**
+ * A single parsed source file with helpers for line-level inspection
+ * Line numbers handed out by this class are 1-based
+ */
+class SourceFile {
+    constructor(root, relativePath) {
+        this.path = relativePath.split(path.sep).join('/');
+        this.text = fs.readFileSync(path.join(root, relativePath), 'utf8');
+        this.lines = this.text.split('\n');
+    }
+
+    line(number) {
+        return this.lines[number - 1] || '';
+    }
+
+    isComment(number) {
+        const trimmed = this.line(number).trim();
+        return trimmed.startsWith('//') || trimmed.startsWith('*') || trimmed.startsWith('/*');
+    }
+
+    isBlank(number) {
+        return this.line(number).trim() === '';
+    }
+
+    // Code portion of a line, without a trailing `// ...` comment
+    code(number) {
+        if (this.isComment(number)) return '';
+        return this.line(number).replace(/\s+\/\/\s.*$/, '');
+    }
+
+    indent(number) {
+        return this.line(number).search(/\S/);
+    }
+
+    // Find the line that closes a block opened at `start` (same indentation)
+    blockEnd(start, closer) {
+        const indent = ' '.repeat(Math.max(this.indent(start), 0));
+        for (let n = start + 1; n <= this.lines.length; n++) {
+            if (this.line(n).startsWith(indent + closer)) return n;
+        }
+        return this.lines.length;
+    }
+
+    // JSDoc block directly above a declaration
+    docComment(start) {
+        const doc = [];
+        for (let n = start - 1; n > 0; n--) {
+            const trimmed = this.line(n).trim();
+            if (!trimmed.startsWith('*') && !trimmed.startsWith('/**')) break;
+            doc.unshift(trimmed.replace(/^\/?\*+\/?\s?/, ''));
+        }
+        return doc.filter(Boolean);
+    }
+}
+
+/**
+ * Index of every class, method and route handler in the gateway
+ */
+class SourceIndex {
+    constructor(root) {
+        this.root = root;
+        this.files = new Map();
+        this.classes = new Map();
+        this.aliasCache = new Map();
+
+        for (const dir of APP_DIRS) {
+            for (const file of this.listJsFiles(dir)) {
+                this.load(file);
+            }
+        }
+        this.load(SERVER_FILE);
+    }
+
+    listJsFiles(dir) {
+        const absolute = path.join(this.root, dir);
+        if (!fs.existsSync(absolute)) return [];
+
+        const found = [];
+        for (const entry of fs.readdirSync(absolute, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const relative = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                found.push(...this.listJsFiles(relative));
+            } else if (entry.name.endsWith('.js')) {
+                found.push(relative);
+            }
+        }
+        return found;
+    }
+
+    load(relativePath) {
+        if (!fs.existsSync(path.join(this.root, relativePath))) return null;
+
+        const file = new SourceFile(this.root, relativePath);
+        this.files.set(file.path, file);
+        this.indexClasses(file);
+        return file;
+    }
+
+    file(relativePath) {
+        return this.files.get(relativePath) || null;
+    }
+
+    indexClasses(file) {
+        for (let n = 1; n <= file.lines.length; n++) {
+            const match = file.line(n).match(/^class\s+([A-Za-z_$][\w$]*)/);
+            if (!match) continue;
+
+            const end = file.blockEnd(n, '}');
+            const cls = { name: match[1], file, start: n, end, methods: new Map(), fields: new Map() };
+
+            for (let m = n + 1; m < end; m++) {
+                const method = file.line(m).match(METHOD_PATTERN);
+                if (method && !CONTROL_KEYWORDS.has(method[3])) {
+                    const methodEnd = file.blockEnd(m, '}');
+                    cls.methods.set(method[3], {
+                        symbol: `${cls.name}.${method[3]}`,
+                        className: cls.name,
+                        name: method[3],
+                        file,
+                        start: m,
+                        end: methodEnd,
+                        params: method[4].split(',').map(p => p.trim().replace(/\s*=.*$/, '')).filter(Boolean),
+                        isStatic: Boolean(method[1]),
+                        isAsync: Boolean(method[2]),
+                        doc: file.docComment(m)
+                    });
+                }
+
+                // Instance fields assigned from constructors: this.queryBuilder = new QueryBuilder(...)
+                const field = file.line(m).match(/this\.([A-Za-z_$][\w$]*)\s*=\s*new\s+([A-Za-z_$][\w$]*)\(/);
+                if (field) cls.fields.set(field[1], field[2]);
+            }
+
+            this.classes.set(cls.name, cls);
+        }
+    }
+
+    method(symbol) {
+        const [className, methodName] = symbol.split('.');
+        return this.classes.get(className)?.methods.get(methodName) || null;
+    }
+
+    // Resolve `require('./x')` bindings of a file to module paths
+    requires(file) {
+        const bindings = new Map();
+        const dir = path.posix.dirname(file.path);
+
+        for (let n = 1; n <= file.lines.length; n++) {
+            const match = file.line(n).match(REQUIRE_PATTERN);
+            if (!match) continue;
+
+            let target = path.posix.normalize(path.posix.join(dir, match[3]));
+            if (!target.endsWith('.js')) {
+                target = this.files.has(`${target}.js`) ? `${target}.js` : `${target}/index.js`;
+            }
+
+            const names = match[1] ? match[1].split(',').map(n => n.trim()).filter(Boolean) : [match[2]];
+            for (const name of names) bindings.set(name, target);
+        }
+
+        return bindings;
+    }
+
+    /**
+     * Module-level method aliases of a file, alias -> symbol:
+     * const runCommand = CommandSink.executeCommand.bind(CommandSink)
+     */
+    aliases(file) {
+        if (!this.aliasCache.has(file.path)) {
+            const aliases = new Map();
+            for (let n = 1; n <= file.lines.length; n++) {
+                const match = file.line(n).match(ALIAS_PATTERN);
+                if (match) aliases.set(match[1], `${match[2]}.${match[3]}`);
+            }
+            this.aliasCache.set(file.path, aliases);
+        }
+        return this.aliasCache.get(file.path);
+    }
+
+    /**
+     * Route handlers declared with router.<verb>('<path>', ...) in a router file
+     * `middleware` lists the methods that run first: router.use(x.method)
+     * above the route, then x.method arguments ahead of the handler
+     */
+    routes(file) {
+        const routes = [];
+        const routerMiddleware = [];
+
+        for (let n = 1; n <= file.lines.length; n++) {
+            const use = file.line(n).match(ROUTER_MIDDLEWARE_PATTERN);
+            if (use) {
+                routerMiddleware.push(...this.middlewareMethods(file, use[1].split(',')));
+                continue;
+            }
+
+            const match = file.line(n).match(ROUTE_PATTERN);
+            if (!match) continue;
+
+            const args = file.line(n).slice(match[0].length).split(',').slice(1);
+            routes.push({
+                method: match[1].toUpperCase(),
+                path: match[2],
+                file,
+                start: n,
+                end: file.blockEnd(n, '});'),
+                doc: file.docComment(n),
+                middleware: [...routerMiddleware, ...this.middlewareMethods(file, args)]
+            });
+        }
+
+        return routes;
+    }
+
+    /**
+     * Routers mounted below a prefix: app.use('/api', ..., apiRoutes)
+     * Nested router.use() calls are followed recursively
+     */
+    mounts(file, prefix = '', outer = []) {
+        const bindings = this.requires(file);
+        const mounted = [];
+
+        for (let n = 1; n <= file.lines.length; n++) {
+            const match = file.line(n).match(MOUNT_PATTERN);
+            if (!match) continue;
+
+            const args = match[2].split(',').map(a => a.trim());
+            const routerFile = this.file(bindings.get(args[args.length - 1]));
+            if (!routerFile) continue;
+
+            const mountPath = joinRoutePath(prefix, match[1]);
+            const middleware = [...outer, ...this.middlewareMethods(file, args.slice(0, -1))];
+            mounted.push({ prefix: mountPath, file: routerFile, middleware, line: n });
+            mounted.push(...this.mounts(routerFile, mountPath, middleware));
+        }
+
+        return mounted;
+    }
+
+    /**
+     * Class methods named by `binding.method` middleware arguments;
+     * inline functions and calls such as profile.gate(...) are skipped
+     */
+    middlewareMethods(file, args) {
+        const bindings = this.requires(file);
+        const methods = [];
+
+        for (const arg of args) {
+            const reference = arg.trim().match(MIDDLEWARE_REFERENCE);
+            const target = reference && this.file(bindings.get(reference[1]));
+            const method = target && this.findMethodInFile(target, reference[2]);
+            if (method) methods.push(method);
+        }
+
+        return methods;
+    }
+
+    /**
+     * Application-wide middleware: app.use(x.method) and inline app.use((...) => {})
+     */
+    globalMiddleware(file) {
+        const bindings = this.requires(file);
+        const middleware = [];
+
+        for (let n = 1; n <= file.lines.length; n++) {
+            const line = file.line(n);
+
+            const reference = line.match(/^app\.use\(([A-Za-z_$][\w$]*)\.([A-Za-z_$][\w$]*)\);/);
+            if (reference) {
+                const target = this.file(bindings.get(reference[1]));
+                const method = target && this.findMethodInFile(target, reference[2]);
+                if (method) middleware.push({ label: method.symbol, method, line: n });
+                continue;
+            }
+
+            const inline = line.match(/^app\.use\(\(([^)]*)\)\s*=>\s*\{/);
+            if (inline) {
+                const isErrorHandler = inline[1].split(',').length === 4;
+                middleware.push({
+                    label: isErrorHandler ? 'error-handler' : `middleware@${n}`,
+                    body: { file, start: n, end: file.blockEnd(n, '});') },
+                    line: n
+                });
+            }
+        }
+
+        return middleware;
+    }
+
+    findMethodInFile(file, name) {
+        for (const cls of this.classes.values()) {
+            if (cls.file === file && cls.methods.has(name)) return cls.methods.get(name);
+        }
+        return null;
+    }
+}
+
+function joinRoutePath(prefix, routePath) {
+    const joined = `${prefix}/${routePath}`.replace(/\/+/g, '/');
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+module.exports = {
+    SourceIndex,
+    SourceFile,
+    joinRoutePath,
+    SINK_MARKER,
+    SOURCE_MARKER,
+    SAFE_MARKER
+};
@@ -0,0 +1,636 @@
+/**
+ * Variant Generator - Semantically equivalent rewrites of the gateway
+ * Copies the tree once per variant, rewrites the route handlers so every
+ * flow takes a different shape (renamed locals, extra relay hops, aliased
+ * sinks, handlers split into their own modules), then regenerates the
+ * ground truth of the copy and checks it still holds the same flows
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { tokenize, significant, enclosingBrackets, matchingBracket } = require('./JsTokenizer');
+const {
+    ManifestGenerator,
+    SINK_CLASS_CWES,
+    SAFE_SINK_CLASS_CWES
+} = require('./ManifestGenerator');
+const { formatIndex } = require('./FlowIndex');
+
+// What a variant copies: everything `npm test` and `bench` need to run in it
+const COPIED = [
+    'bench', 'config', 'middleware', 'routes', 'services', 'sinks', 'sources',
+    'stubs', 'test', 'utils', 'server.js', 'package.json'
+];
+
+// Router files whose handlers are rewritten; the rest of the tree is copied as is
+const HANDLER_DIRS = ['routes', 'routes/safe'];
+const SKIPPED_FILES = ['routes/benchRoutes.js', 'routes/safe/index.js'];
+
+const ROUTE_VERBS = new Set(['get', 'post', 'put', 'patch', 'delete', 'all']);
+const REQUEST_INPUTS = new Set(['body', 'query', 'params']);
+const SINK_CLASSES = new Set([...Object.keys(SINK_CLASS_CWES), ...Object.keys(SAFE_SINK_CLASS_CWES)]);
+
+const TRANSFORMS = {
+    rename: {
+        description: 'Locals declared in route handlers get meaningless names',
+        apply: renameLocals
+    },
+    destructure: {
+        description: 'Destructuring declarations become explicit property reads',
+        apply: expandDestructuring
+    },
+    relay: {
+        description: 'Request input passes through TaintRelay.multiHopRelay first',
+        apply: relayRequestInput
+    },
+    alias: {
+        description: 'Sink methods are called through module-level bound aliases',
+        apply: aliasSinkCalls
+    },
+    split: {
+        description: 'Handler bodies move into static methods of a separate module',
+        apply: splitHandlers
+    }
+};
+
+const VARIANTS = {
+    ...Object.fromEntries(Object.keys(TRANSFORMS).map(name => [name, [name]])),
+    combined: Object.keys(TRANSFORMS)
+};
+
+class VariantGenerator {
+    /**
+     * @param {string} root - gateway directory the variants are derived from
+     * @param {object} options - { profile }: vulnerability profile of the regenerated manifests
+     */
+    constructor(root = path.resolve(__dirname, '..'), options = {}) {
+        this.root = root;
+        this.profile = options.profile || 'all';
+    }
+
+    static variants() {
+        return Object.keys(VARIANTS);
+    }
+
+    /**
+     * Write the named variants (default: all) into outDir/<name>
+     * Returns [{ name, dir, transforms, flows }] for the variants written
+     */
+    generate(outDir, names = VariantGenerator.variants()) {
+        const unknown = names.filter(name => !VARIANTS[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown variant ${unknown.join(', ')} (expected ${VariantGenerator.variants().join(', ')})`);
+        }
+
+        const base = new ManifestGenerator(this.root, { profile: this.profile }).generate();
+        return names.map(name => this.generateVariant(path.resolve(outDir, name), name, base));
+    }
+
+    generateVariant(dir, name, base) {
+        this.prepare(dir);
+
+        for (const transform of VARIANTS[name]) {
+            for (const file of this.handlerFiles(dir)) {
+                const emitted = {};
+                const source = fs.readFileSync(path.join(dir, file), 'utf8');
+                const rewritten = TRANSFORMS[transform].apply(source, {
+                    file,
+                    emit: (relative, text) => { emitted[relative] = text; }
+                });
+
+                for (const [relative, text] of Object.entries({ ...emitted, [file]: rewritten })) {
+                    checkSyntax(text, relative, transform);
+                    fs.mkdirSync(path.dirname(path.join(dir, relative)), { recursive: true });
+                    fs.writeFileSync(path.join(dir, relative), text);
+                }
+            }
+        }
+
+        const manifest = new ManifestGenerator(dir, { profile: this.profile }).generate();
+        const flows = matchFlows(base.flows, manifest.flows, name);
+
+        fs.mkdirSync(path.join(dir, 'docs'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'expected-findings.json'), JSON.stringify(manifest, null, 2) + '\n');
+        fs.writeFileSync(path.join(dir, 'docs', 'flows.md'), formatIndex(manifest));
+        fs.writeFileSync(path.join(dir, 'variant.json'), JSON.stringify({
+            name,
+            transforms: VARIANTS[name].map(transform => ({ name: transform, description: TRANSFORMS[transform].description })),
+            flows
+        }, null, 2) + '\n');
+
+        return { name, dir, transforms: VARIANTS[name], flows: manifest.flows.length };
+    }
+
+    /**
+     * Fresh copy of the tree; node_modules is shared through a symlink
+     */
+    prepare(dir) {
+        if (path.resolve(dir) === path.resolve(this.root) || path.resolve(this.root).startsWith(path.resolve(dir) + path.sep)) {
+            throw new Error(`Refusing to write a variant over the gateway itself: ${dir}`);
+        }
+        if (fs.existsSync(dir)) {
+            if (!fs.existsSync(path.join(dir, 'variant.json'))) {
+                throw new Error(`Refusing to overwrite ${dir}: it is not a generated variant`);
+            }
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        fs.mkdirSync(dir, { recursive: true });
+        for (const entry of COPIED) {
+            fs.cpSync(path.join(this.root, entry), path.join(dir, entry), { recursive: true });
+        }
+
+        const modules = path.join(this.root, 'node_modules');
+        if (fs.existsSync(modules)) fs.symlinkSync(modules, path.join(dir, 'node_modules'), 'dir');
+    }
+
+    handlerFiles(dir) {
+        return HANDLER_DIRS.flatMap(handlerDir => fs.readdirSync(path.join(dir, handlerDir))
+            .filter(name => name.endsWith('.js'))
+            .sort()
+            .map(name => `${handlerDir}/${name}`))
+            .filter(file => !SKIPPED_FILES.includes(file));
+    }
+}
+
+/**
+ * Pair every variant flow with the base flow it was derived from
+ * Flows are equivalent when route, branch, weakness, verdict and sink agree
+ */
+function matchFlows(baseFlows, variantFlows, name) {
+    const pending = new Map();
+    for (const flow of baseFlows) {
+        const key = flowKey(flow);
+        if (!pending.has(key)) pending.set(key, []);
+        pending.get(key).push(flow.id);
+    }
+
+    const mapping = {};
+    const extra = [];
+    for (const flow of variantFlows) {
+        const ids = pending.get(flowKey(flow));
+        if (ids && ids.length > 0) {
+            mapping[flow.id] = ids.shift();
+        } else {
+            extra.push(flowKey(flow));
+        }
+    }
+
+    const missing = [...pending.values()].flat();
+    if (missing.length > 0 || extra.length > 0) {
+        throw new Error(`Variant ${name} changed the flows: ${missing.length} lost (${missing.slice(0, 5).join(', ')}), `
+            + `${extra.length} new (${extra.slice(0, 5).join(', ')})`);
+    }
+
+    return mapping;
+}
+
+function flowKey(flow) {
+    const sink = flow.sink.inline ? `inline:${flow.sink.api}` : flow.sink.symbol;
+    return [flow.route, flow.variant, flow.cwe, flow.vulnerable, sink].join('|');
+}
+
+/**
+ * Compile a rewritten module without running it
+ */
+function checkSyntax(text, file, transform) {
+    try {
+        new vm.Script(`(function (exports, require, module, __filename, __dirname) {${text}\n})`, { filename: file });
+    } catch (error) {
+        throw new Error(`Transform ${transform} produced invalid code in ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Route handlers of a router file:
+ * { verb, path, params, async, signature: [start, end], body: [open, close] }
+ * where signature spans `router.` up to the body and body holds token indexes
+ * of the handler's braces
+ */
+function routeHandlers(tokens, enclosing) {
+    const handlers = [];
+
+    for (let i = 0; i + 4 < tokens.length; i++) {
+        const [router, dot, verb, open, route] = tokens.slice(i, i + 5);
+        if (enclosing[i] || router.value !== 'router' || dot.value !== '.' || !ROUTE_VERBS.has(verb.value)
+            || open.value !== '(' || route.type !== 'string') continue;
+
+        const close = matchingBracket(tokens, i + 3);
+        let arrow = -1;
+        for (let k = i + 4; k < close; k++) {
+            if (tokens[k].value === '=>' && enclosing[k] === enclosing[i + 4] && tokens[k + 1].value === '{') arrow = k;
+        }
+        if (arrow === -1) continue;
+
+        let paramsOpen = arrow - 1;
+        while (paramsOpen > i && tokens[paramsOpen].value !== '(') paramsOpen--;
+
+        handlers.push({
+            verb: verb.value,
+            path: route.value.slice(1, -1),
+            params: tokens.slice(paramsOpen + 1, arrow - 1).filter(token => token.type === 'ident').map(token => token.value),
+            async: tokens[paramsOpen - 1].value === 'async',
+            body: [arrow + 1, matchingBracket(tokens, arrow + 1)]
+        });
+        i = close;
+    }
+
+    return handlers;
+}
+
+function insideHandler(handlers, k) {
+    return handlers.some(({ body }) => k > body[0] && k < body[1]);
+}
+
+/**
+ * Apply { start, end, text } replacements to a source text
+ */
+function applyEdits(text, edits) {
+    return [...edits]
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+}
+
+/**
+ * Offset just past the last top-level `require(...)` statement line
+ */
+function afterRequires(text) {
+    const lines = text.split('\n');
+    let offset = 0;
+    let end = 0;
+
+    for (const line of lines) {
+        offset += line.length + 1;
+        if (/^const\s.*\brequire\(.*;\s*$/.test(line) || /^const\s+\w+\s*=\s*\w+\.\w+\.bind\(\w+\);$/.test(line)) end = offset;
+    }
+
+    return end;
+}
+
+// Identifier in a property position: obj.name, obj?.name, { name: value }
+function isPropertyName(tokens, enclosing, k) {
+    const before = significant(tokens, k - 1, -1);
+    const after = significant(tokens, k + 1, 1);
+    if (before && (before.value === '.' || before.value === '?.')) return true;
+    return Boolean(enclosing[k]?.object && before && ['{', ','].includes(before.value)
+        && after && [':', '('].includes(after.value));
+}
+
+// Identifier standing for both key and value: { name } or { name = fallback }
+function isShorthand(tokens, enclosing, k) {
+    const before = significant(tokens, k - 1, -1);
+    const after = significant(tokens, k + 1, 1);
+    return Boolean(enclosing[k]?.object && before && ['{', ','].includes(before.value)
+        && after && [',', '}', '='].includes(after.value));
+}
+
+/**
+ * Names bound by a declaration starting at token k (const/let/var)
+ * Returns { names, nested } where nested lists names bound by nested patterns
+ */
+function declaredNames(tokens, k) {
+    const first = k + 1;
+    if (tokens[first].type === 'ident') return { names: [tokens[first].value], nested: [] };
+    if (!['{', '['].includes(tokens[first].value)) return { names: [], nested: [] };
+
+    const close = matchingBracket(tokens, first);
+    const names = [];
+    const nested = [];
+    let entry = [];
+    let depth = 0;
+
+    const finish = () => {
+        if (entry.length === 0) return;
+        const colon = entry.findIndex(token => token.value === ':');
+        const target = colon === -1 ? entry[0].value === '...' ? entry[1] : entry[0] : entry[colon + 1];
+        if (target?.type === 'ident') names.push(target.value);
+        entry = [];
+    };
+
+    for (let m = first + 1; m < close; m++) {
+        const token = tokens[m];
+        if (depth === 0 && token.value === ',') {
+            finish();
+            continue;
+        }
+        if (['{', '[', '('].includes(token.value)) depth++;
+        if (['}', ']', ')'].includes(token.value)) depth--;
+        if (depth > 0 && token.type === 'ident') nested.push(token.value);
+        if (depth === 0 || entry.length === 0) entry.push(token);
+    }
+    finish();
+
+    return { names, nested };
+}
+
+/**
+ * rename: const/let/var locals inside route handlers become ref1, ref2, ...
+ * Names that also occur outside the handlers are left alone, so a renamed
+ * local can never capture a module-level binding
+ */
+function renameLocals(source) {
+    const tokens = tokenize(source);
+    const enclosing = enclosingBrackets(tokens);
+    const handlers = routeHandlers(tokens, enclosing);
+    const taken = new Set(tokens.filter(token => token.type === 'ident').map(token => token.value));
+    const outside = new Set();
+    const edits = [];
+    let counter = 0;
+
+    tokens.forEach((token, k) => {
+        if (token.type === 'ident' && !insideHandler(handlers, k) && !isPropertyName(tokens, enclosing, k)) {
+            outside.add(token.value);
+        }
+    });
+
+    const fresh = () => {
+        let name;
+        do name = `ref${++counter}`; while (taken.has(name));
+        return name;
+    };
+
+    for (const { body } of handlers) {
+        const renames = new Map();
+        const unsafe = new Set(outside);
+
+        for (let k = body[0] + 1; k < body[1]; k++) {
+            if (!['const', 'let', 'var'].includes(tokens[k].value) || tokens[k].type !== 'ident') continue;
+            const { names, nested } = declaredNames(tokens, k);
+            nested.forEach(name => unsafe.add(name));
+            names.forEach(name => renames.has(name) || renames.set(name, null));
+        }
+
+        for (const name of renames.keys()) {
+            if (unsafe.has(name)) renames.delete(name);
+            else renames.set(name, fresh());
+        }
+
+        for (let k = body[0] + 1; k < body[1]; k++) {
+            const token = tokens[k];
+            const renamed = token.type === 'ident' && renames.get(token.value);
+            if (!renamed || isPropertyName(tokens, enclosing, k)) continue;
+
+            const text = isShorthand(tokens, enclosing, k) ? `${token.value}: ${renamed}` : renamed;
+            edits.push({ start: token.start, end: token.end, text });
+        }
+    }
+
+    return applyEdits(source, edits);
+}
+
+/**
+ * destructure: `const { a, b: c, d = x } = expr;` becomes
+ * `const input1 = expr, a = input1.a, c = input1.b, d = input1.d === undefined ? x : input1.d;`
+ * Patterns with rest elements, nesting or computed keys are left as they are
+ */
+function expandDestructuring(source) {
+    const tokens = tokenize(source);
+    const enclosing = enclosingBrackets(tokens);
+    const handlers = routeHandlers(tokens, enclosing);
+    const taken = new Set(tokens.filter(token => token.type === 'ident').map(token => token.value));
+    const edits = [];
+    let counter = 0;
+
+    const fresh = () => {
+        let name;
+        do name = `input${++counter}`; while (taken.has(name));
+        return name;
+    };
+
+    for (let k = 0; k < tokens.length - 1; k++) {
+        if (!['const', 'let'].includes(tokens[k].value) || tokens[k + 1].value !== '{' || !insideHandler(handlers, k)) continue;
+
+        const close = matchingBracket(tokens, k + 1);
+        if (tokens[close + 1]?.value !== '=') continue;
+
+        let end = close + 2;
+        while (end < tokens.length && enclosing[end] === enclosing[k] && tokens[end].value !== ';') end++;
+        if (tokens[end]?.value !== ';' || enclosing[end] !== enclosing[k]) continue;
+
+        const entries = patternEntries(tokens, k + 2, close, source);
+        if (!entries) continue;
+
+        const input = fresh();
+        const value = source.slice(tokens[close + 2].start, tokens[end - 1].end);
+        const reads = entries.map(({ key, name, fallback }) => (fallback === null
+            ? `${name} = ${input}.${key}`
+            : `${name} = ${input}.${key} === undefined ? ${fallback} : ${input}.${key}`));
+
+        edits.push({
+            start: tokens[k].start,
+            end: tokens[end].end,
+            text: `${tokens[k].value} ${input} = ${value}, ${reads.join(', ')};`
+        });
+        k = end;
+    }
+
+    return applyEdits(source, edits);
+}
+
+// Flat `key`, `key: name` and `... = fallback` entries of a pattern, or null
+function patternEntries(tokens, from, close, source) {
+    const entries = [];
+    let k = from;
+
+    while (k < close) {
+        const key = tokens[k];
+        if (key.type !== 'ident') return null;
+
+        let name = key.value;
+        k++;
+        if (tokens[k].value === ':') {
+            if (tokens[k + 1].type !== 'ident') return null;
+            name = tokens[k + 1].value;
+            k += 2;
+        }
+
+        let fallback = null;
+        if (tokens[k].value === '=') {
+            const start = k + 1;
+            let depth = 0;
+            k = start;
+            while (k < close && !(depth === 0 && tokens[k].value === ',')) {
+                if (['{', '[', '('].includes(tokens[k].value)) depth++;
+                if (['}', ']', ')'].includes(tokens[k].value)) depth--;
+                k++;
+            }
+            fallback = source.slice(tokens[start].start, tokens[k - 1].end);
+        }
+
+        if (k < close && tokens[k].value !== ',') return null;
+        entries.push({ key: key.value, name, fallback });
+        k++;
+    }
+
+    return entries.length > 0 ? entries : null;
+}
+
+/**
+ * relay: `x = req.body` (query, params) reads become
+ * `x = TaintRelay.multiHopRelay(req.body)`
+ */
+function relayRequestInput(source, { file }) {
+    const tokens = tokenize(source);
+    const enclosing = enclosingBrackets(tokens);
+    const handlers = routeHandlers(tokens, enclosing);
+    const edits = [];
+
+    for (let k = 1; k + 2 < tokens.length; k++) {
+        const [req, dot, input] = tokens.slice(k, k + 3);
+        if (req.value !== 'req' || dot.value !== '.' || !REQUEST_INPUTS.has(input.value)) continue;
+        if (significant(tokens, k - 1, -1)?.value !== '=' || tokens[k + 3]?.value === '=' || !insideHandler(handlers, k)) continue;
+
+        edits.push({ start: req.start, end: input.end, text: `TaintRelay.multiHopRelay(req.${input.value})` });
+    }
+
+    if (edits.length === 0) return source;
+
+    // Routers that already use the helpers keep their own binding
+    if (!/^const\s+\{[^}]*\bTaintRelay\b[^}]*\}\s*=\s*require\(/m.test(source)) {
+        const helpers = relativeRequire(file, 'utils/dataFlowHelpers');
+        edits.push({ start: afterRequires(source), end: afterRequires(source), text: `const { TaintRelay } = require('${helpers}');\n` });
+    }
+    return applyEdits(source, edits);
+}
+
+/**
+ * alias: `CommandSink.executeCommand(...)` becomes `commandSinkExecuteCommand(...)`
+ * with `const commandSinkExecuteCommand = CommandSink.executeCommand.bind(CommandSink);`
+ */
+function aliasSinkCalls(source) {
+    const tokens = tokenize(source);
+    const enclosing = enclosingBrackets(tokens);
+    const handlers = routeHandlers(tokens, enclosing);
+    const aliases = new Map();
+    const edits = [];
+
+    for (let k = 1; k + 3 < tokens.length; k++) {
+        const [cls, dot, method, open] = tokens.slice(k, k + 4);
+        if (!SINK_CLASSES.has(cls.value) || dot.value !== '.' || method.type !== 'ident' || open.value !== '(') continue;
+        if (['.', '?.'].includes(significant(tokens, k - 1, -1)?.value) || !insideHandler(handlers, k)) continue;
+
+        const alias = `${cls.value[0].toLowerCase()}${cls.value.slice(1)}${method.value[0].toUpperCase()}${method.value.slice(1)}`;
+        aliases.set(alias, `${cls.value}.${method.value}.bind(${cls.value})`);
+        edits.push({ start: cls.start, end: method.end, text: alias });
+    }
+
+    if (edits.length === 0) return source;
+
+    const declarations = [...aliases].map(([alias, bound]) => `const ${alias} = ${bound};\n`).join('');
+    edits.push({ start: afterRequires(source), end: afterRequires(source), text: `\n// Sink methods called through aliases\n${declarations}` });
+    return applyEdits(source, edits);
+}
+
+/**
+ * split: each handler body moves into a static method of
+ * routes/handlers/<name>Handlers.js (routes/safe/handlers/safe<Name>Handlers.js)
+ * and the route delegates to it
+ */
+function splitHandlers(source, { file, emit }) {
+    const tokens = tokenize(source);
+    const enclosing = enclosingBrackets(tokens);
+    const handlers = routeHandlers(tokens, enclosing);
+    if (handlers.length === 0) return source;
+
+    const dir = path.posix.dirname(file);
+    const base = path.posix.basename(file, '.js').replace(/Routes$/, '');
+    const safe = dir.endsWith('/safe');
+    const moduleName = safe ? `safe${capitalize(base)}Handlers` : `${base}Handlers`;
+    const className = capitalize(moduleName);
+    const modulePath = `${dir}/handlers/${moduleName}.js`;
+
+    const used = new Set();
+    const methods = [];
+    const edits = [];
+
+    for (const handler of handlers) {
+        let name = handlerName(handler);
+        for (let n = 2; used.has(name); n++) name = `${handlerName(handler)}${n}`;
+        used.add(name);
+
+        const [open, close] = handler.body;
+        const body = source.slice(tokens[open].end, tokens[close].start);
+        const params = handler.params.join(', ');
+
+        methods.push([
+            `    // ${handler.verb.toUpperCase()} ${handler.path}`,
+            `    static ${handler.async ? 'async ' : ''}${name}(${params}) {${moveRequires(indentBody(body, tokens, tokens[open].end), dir, modulePath)}    }`
+        ].join('\n'));
+
+        edits.push({
+            start: tokens[open].end,
+            end: tokens[close].start,
+            text: `\n    return ${className}.${name}(${params});\n`
+        });
+    }
+
+    const preamble = source.split('\n')
+        .filter(line => /^const\s.*;\s*$/.test(line) && !/\bexpress\b|^const router\b/.test(line))
+        .map(line => moveRequires(line, dir, modulePath));
+
+    emit(modulePath, [
+        '/**',
+        ` * ${className} - Handler bodies of ${file}`,
+        ' * Generated by the split variant: each route delegates to one static method',
+        ' */',
+        '',
+        ...preamble,
+        '',
+        `class ${className} {`,
+        methods.join('\n\n'),
+        '}',
+        '',
+        `module.exports = { ${className} };`,
+        ''
+    ].join('\n'));
+
+    edits.push({
+        start: afterRequires(source),
+        end: afterRequires(source),
+        text: `const { ${className} } = require('./handlers/${moduleName}');\n`
+    });
+    return applyEdits(source, edits);
+}
+
+// getUsersUserId for router.get('/users/:userId', ...)
+function handlerName({ verb, path: route }) {
+    const words = route.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    return verb + words.map(capitalize).join('') || verb;
+}
+
+// Indent body lines by four more spaces, except continuation lines of template literals
+function indentBody(body, tokens, offset) {
+    const templates = tokens.filter(token => token.type === 'template');
+    let position = offset;
+
+    return body.split('\n').map((line, i) => {
+        const start = position;
+        position += line.length + 1;
+        if (i === 0 || line.trim() === '') return line;
+        if (templates.some(token => token.start < start && token.end > start)) return line;
+        return `    ${line}`;
+    }).join('\n');
+}
+
+// Point relative requires written in dir at the same modules from fromFile
+function moveRequires(code, dir, fromFile) {
+    return code.replace(/require\((['"])(\.{1,2}\/[^'"]*)\1\)/g, (match, quote, spec) =>
+        `require(${quote}${relativeRequire(fromFile, path.posix.join(dir, spec))}${quote})`);
+}
+
+function relativeRequire(fromFile, target) {
+    const relative = path.posix.relative(path.posix.dirname(fromFile), target.replace(/\.js$/, ''));
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function capitalize(word) {
+    return word[0].toUpperCase() + word.slice(1);
+}
+
+module.exports = {
+    VariantGenerator,
+    TRANSFORMS,
+    VARIANTS
+};
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * Benchmark CLI - Tooling around the gateway's ground truth
+ *
+ * Usage:
+ *   bench manifest [--profile <name>] [--out <file>] [--check] [--stdout [--tier <list>] [--feature <list>]]
+ *   bench index [--manifest <file>] [--tier <list>] [--feature <list>]
+ *   bench score <results.sarif> [--manifest <file>] [--strict] [--rule-map <file>] [--tier <list>] [--feature <list>] [--json] [--out <file>]
+ *   bench variants --out <dir> [--only <list>] [--profile <name>]
+ *   bench payloads [--cwe <list>] [--format json|wordlist] [--out <path>]
+ *   bench replay [--target <url>] [--cwe <list>] [--route <route>] [--header <header>] [--manifest <file>] [--json] [--out <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ManifestGenerator } = require('./ManifestGenerator');
+const { SarifScorer, formatReport } = require('./SarifScorer');
+const { flowFilter } = require('./FlowTaxonomy');
+const { formatIndex } = require('./FlowIndex');
+const { VariantGenerator, VARIANTS } = require('./VariantGenerator');
+const { PayloadReplay, formatReplay, DEFAULT_TARGET } = require('./PayloadReplay');
+const { BypassExamples } = require('../utils/sanitizers');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_MANIFEST = path.join(ROOT, 'expected-findings.json');
+const DEFAULT_INDEX = path.join(ROOT, 'docs', 'flows.md');
+
+const USAGE = `Usage: bench <command> [options]
+
+Commands:
+  manifest    Regenerate expected-findings.json and docs/flows.md from the source annotations
+              --profile <name>   vulnerability profile marking the live flows
+                             (default: $VULN_PROFILE or all)
+              --out <file>   write the manifest to a different path
+              --check        fail if either file on disk is out of date
+              --stdout       print the manifest instead of writing
+              --tier, --feature   with --stdout, keep only matching flows
+
+  index       Print the markdown flow index
+              --manifest <file>    manifest to index
+              --tier, --feature    keep only matching flows
+
+  score       Grade a scanner's SARIF output against the manifest
+              <results.sarif>      SARIF 2.1.0 file produced by the scanner
+              --manifest <file>    ground truth to score against
+              --strict             require the result to show the flow's route or hops
+              --rule-map <file>    JSON map of ruleId to CWE for tools without CWE tags
+              --tier, --feature    score only matching flows
+              --json               print the full report as JSON
+              --out <file>         also write the JSON report to a file
+
+  variants    Write rewritten copies of the gateway with regenerated ground truth
+              --out <dir>          directory receiving one subdirectory per variant
+              --only <list>        variants to write (default: all of ${Object.keys(VARIANTS).join(', ')})
+              --profile <name>     vulnerability profile of the regenerated manifests
+
+  payloads    Export the bypass corpus (utils/bypassCorpus.js)
+              --cwe <list>         CWEs to export (default: all)
+              --format <format>    json (default) or wordlist, one payload per line
+                                   with CR, LF and NUL percent-encoded
+              --out <path>         JSON file, or directory receiving <CWE>.txt wordlists
+
+  replay      Send the corpus to every manifest parameter of each CWE's routes
+              and report which payloads reached a sink (needs npm run start:canary);
+              fails when a request fails
+              --target <url>       gateway to replay against (default: ${DEFAULT_TARGET})
+              --cwe <list>         CWEs to replay (default: all in the corpus)
+              --route <route>      one route ("POST /api/system/execute") or a path prefix
+              --header <header>    extra request header, "Name: value"
+              --manifest <file>    ground truth naming the routes and parameters
+              --json               print every result as JSON
+              --out <file>         also write the JSON results to a file
+
+Filters take comma-separated lists: --tier takes any of easy, medium, hard;
+--feature requires all of the named features (see docs/flows.md).
+`;
+
+/**
+ * Minimal flag parser: --name value, --flag, positional arguments
+ */
+function parseArgs(argv) {
+    const options = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            options._.push(arg);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        const next = argv[i + 1];
+        if (next !== undefined && !next.startsWith('--')) {
+            options[name] = next;
+            i++;
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * { tiers, features, predicate } from --tier/--feature, or null without either
+ */
+function filterOptions(options) {
+    const list = value => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+    const tiers = list(options.tier);
+    const features = list(options.feature);
+
+    if (tiers.length === 0 && features.length === 0) return null;
+    return { tiers, features, predicate: flowFilter({ tiers, features }) };
+}
+
+function manifestCommand(options) {
+    const generator = new ManifestGenerator(ROOT, { profile: options.profile });
+    const manifest = generator.generate();
+    const filter = filterOptions(options);
+    const target = path.resolve(options.out || DEFAULT_MANIFEST);
+
+    if (filter && !options.stdout) {
+        console.error('--tier and --feature only apply to "manifest --stdout"; the files on disk always hold every flow');
+        return 1;
+    }
+
+    if (options.stdout) {
+        if (filter) {
+            manifest.flows = manifest.flows.filter(filter.predicate);
+            manifest.summary = generator.summarize(manifest.flows);
+        }
+        process.stdout.write(JSON.stringify(manifest, null, 2) + '\n');
+        return 0;
+    }
+
+    const outputs = [
+        [target, JSON.stringify(manifest, null, 2) + '\n'],
+        [DEFAULT_INDEX, formatIndex(manifest)]
+    ];
+
+    if (options.check) {
+        let stale = 0;
+        for (const [file, output] of outputs) {
+            const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+            if (current !== output) {
+                console.error(`${path.relative(process.cwd(), file)} is out of date - run "npm run manifest"`);
+                stale++;
+            } else {
+                console.log(`${path.relative(process.cwd(), file)} is up to date`);
+            }
+        }
+        return stale > 0 ? 1 : 0;
+    }
+
+    for (const [file, output] of outputs) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, output);
+    }
+    const { summary } = manifest;
+    const disabled = summary.disabled.total > 0 ? `, ${summary.disabled.total} disabled by profile ${manifest.profile.name}` : '';
+    console.log(`Wrote ${summary.total} flows (${summary.vulnerable.total} vulnerable, ${summary.safe.total} safe${disabled}) to ${path.relative(process.cwd(), target)}`);
+    console.log(`Wrote the flow index to ${path.relative(process.cwd(), DEFAULT_INDEX)}`);
+    return 0;
+}
+
+function indexCommand(options) {
+    const manifest = readJson(options.manifest || DEFAULT_MANIFEST, 'Manifest');
+    process.stdout.write(formatIndex(manifest, filterOptions(options) || {}));
+    return 0;
+}
+
+function readJson(file, label) {
+    const target = path.resolve(file);
+    if (!fs.existsSync(target)) {
+        throw new Error(`${label} not found: ${file}`);
+    }
+    return JSON.parse(fs.readFileSync(target, 'utf8'));
+}
+
+function scoreCommand(options) {
+    const [sarifFile] = options._;
+    if (!sarifFile) {
+        console.error('Usage: bench score <results.sarif> [options]');
+        return 1;
+    }
+
+    const manifest = readJson(options.manifest || DEFAULT_MANIFEST, 'Manifest');
+    const filter = filterOptions(options);
+    const scorer = new SarifScorer(manifest, {
+        strict: options.strict,
+        ruleMap: options['rule-map'] ? readJson(options['rule-map'], 'Rule map') : {},
+        tiers: filter?.tiers,
+        features: filter?.features
+    });
+
+    const results = scorer.parseSarif(readJson(sarifFile, 'SARIF file'));
+    const report = scorer.score(results);
+
+    if (options.out) {
+        fs.writeFileSync(path.resolve(options.out), JSON.stringify(report, null, 2) + '\n');
+    }
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+        const mode = options.strict ? 'strict' : 'default';
+        process.stdout.write(formatReport(report,
+            `Scored ${results.length} results from ${path.basename(sarifFile)} against ${scorer.flows.length} flows (${mode} matching)`));
+    }
+
+    return 0;
+}
+
+function variantsCommand(options) {
+    if (typeof options.out !== 'string') {
+        console.error('Usage: bench variants --out <dir> [--only <list>]');
+        return 1;
+    }
+
+    const names = typeof options.only === 'string'
+        ? options.only.split(',').map(name => name.trim()).filter(Boolean)
+        : VariantGenerator.variants();
+    const generator = new VariantGenerator(ROOT, { profile: options.profile });
+
+    for (const variant of generator.generate(options.out, names)) {
+        console.log(`Wrote ${variant.name} (${variant.transforms.join(' + ')}, ${variant.flows} flows) to ${path.relative(process.cwd(), variant.dir)}`);
+    }
+    return 0;
+}
+
+function payloadsCommand(options) {
+    const cwes = listOption(options.cwe);
+    const corpus = BypassExamples.corpus(cwes.length ? cwes : undefined);
+    const format = options.format || 'json';
+
+    if (format === 'json') {
+        const output = JSON.stringify(corpus, null, 2) + '\n';
+        if (typeof options.out === 'string') {
+            fs.writeFileSync(path.resolve(options.out), output);
+            console.log(`Wrote corpus ${corpus.version} (${Object.keys(corpus.cwes).length} CWEs) to ${options.out}`);
+        } else {
+            process.stdout.write(output);
+        }
+        return 0;
+    }
+
+    if (format !== 'wordlist') {
+        console.error(`Unknown format "${format}"; use json or wordlist`);
+        return 1;
+    }
+
+    if (typeof options.out !== 'string') {
+        const lines = Object.values(corpus.cwes).flatMap(group => group.payloads.map(entry => wordlistLine(entry.payload)));
+        process.stdout.write(lines.join('\n') + '\n');
+        return 0;
+    }
+
+    const dir = path.resolve(options.out);
+    fs.mkdirSync(dir, { recursive: true });
+    for (const [cwe, group] of Object.entries(corpus.cwes)) {
+        fs.writeFileSync(path.join(dir, `${cwe}.txt`), group.payloads.map(entry => wordlistLine(entry.payload)).join('\n') + '\n');
+    }
+    console.log(`Wrote ${Object.keys(corpus.cwes).length} wordlists (corpus ${corpus.version}) to ${options.out}`);
+    return 0;
+}
+
+/**
+ * One payload per line: line breaks and NUL percent-encoded, JSON payloads serialised
+ */
+function wordlistLine(payload) {
+    const line = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    return line.replace(/[\r\n\0]/g, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+async function replayCommand(options) {
+    const manifest = readJson(options.manifest || DEFAULT_MANIFEST, 'Manifest');
+    const headers = {};
+    if (typeof options.header === 'string') {
+        const [name, ...value] = options.header.split(':');
+        headers[name.trim()] = value.join(':').trim();
+    }
+
+    const replay = new PayloadReplay(manifest, {
+        target: typeof options.target === 'string' ? options.target : undefined,
+        cwes: listOption(options.cwe),
+        route: typeof options.route === 'string' ? options.route : undefined,
+        headers
+    });
+
+    const run = await replay.run();
+
+    if (options.out) {
+        fs.writeFileSync(path.resolve(options.out), JSON.stringify(run, null, 2) + '\n');
+    }
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(run, null, 2) + '\n');
+    } else {
+        process.stdout.write(formatReplay(run));
+    }
+    return run.summary.total.errors > 0 ? 1 : 0;
+}
+
+function listOption(value) {
+    return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+const COMMANDS = {
+    manifest: manifestCommand,
+    index: indexCommand,
+    score: scoreCommand,
+    variants: variantsCommand,
+    payloads: payloadsCommand,
+    replay: replayCommand
+};
+
+function main(argv) {
+    const options = parseArgs(argv);
+    const command = COMMANDS[options._.shift()];
+
+    if (!command || options.help) {
+        process.stdout.write(USAGE);
+        return command ? 0 : 1;
+    }
+
+    return command(options);
+}
+
+if (require.main === module) {
+    // exitCode rather than exit(): a filtered manifest piped elsewhere must flush first
+    Promise.resolve()
+        .then(() => main(process.argv.slice(2)))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { main, parseArgs, ROOT, DEFAULT_MANIFEST, DEFAULT_INDEX };
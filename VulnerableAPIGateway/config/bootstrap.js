@@ -0,0 +1,96 @@
+/**
+ * Database Bootstrap - Provides global.dbConnection and global.mongoDb at startup
+ * DB_DRIVER=mysql uses DatabaseConfig.getMySQLConnection(), DB_DRIVER=embedded
+ * the in-process SQLite stand-in; auto (default) tries MySQL first.
+ * MONGO_DRIVER works the same way for getMongoConnection().
+ */
+
+const { DatabaseConfig } = require('./database');
+const { EmbeddedConnection } = require('./embeddedDatabase');
+const { EmbeddedMongoDb } = require('./embeddedMongo');
+const { applySchema, applyMongoSeed } = require('./schema');
+
+const DRIVERS = ['auto', 'mysql', 'embedded'];
+const MONGO_DRIVERS = ['auto', 'mongodb', 'embedded'];
+
+async function connectMySQL() {
+    const pool = await new DatabaseConfig().getMySQLConnection();
+    try {
+        await pool.query('SELECT 1');
+    } catch (error) {
+        await pool.end().catch(() => {});
+        throw error;
+    }
+    pool.dialect = 'mysql';
+    return pool;
+}
+
+/**
+ * Connect, create the schema and seed empty tables
+ * Resolves to { connection, driver }
+ */
+async function connectDatabase(driver = process.env.DB_DRIVER || 'auto') {
+    if (!DRIVERS.includes(driver)) {
+        throw new Error(`Unknown DB_DRIVER "${driver}" (expected ${DRIVERS.join(', ')})`);
+    }
+
+    let connection = null;
+
+    if (driver !== 'embedded') {
+        try {
+            connection = await connectMySQL();
+        } catch (error) {
+            if (driver === 'mysql') throw error;
+            console.warn(`MySQL unavailable (${error.code || error.message}), using the embedded database`);
+        }
+    }
+
+    if (!connection) connection = await EmbeddedConnection.create();
+
+    await applySchema(connection, connection.dialect);
+    return { connection, driver: connection.dialect === 'mysql' ? 'mysql' : 'embedded' };
+}
+
+async function connectMongoServer() {
+    const config = new DatabaseConfig();
+    try {
+        return await config.getMongoConnection();
+    } catch (error) {
+        if (config.mongoClient) await config.mongoClient.close().catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Connect to MongoDB (or the embedded stand-in) and seed empty collections
+ * Resolves to { db, driver }
+ */
+async function connectMongo(driver = process.env.MONGO_DRIVER || 'auto') {
+    if (!MONGO_DRIVERS.includes(driver)) {
+        throw new Error(`Unknown MONGO_DRIVER "${driver}" (expected ${MONGO_DRIVERS.join(', ')})`);
+    }
+
+    let db = null;
+
+    if (driver !== 'embedded') {
+        try {
+            db = await connectMongoServer();
+        } catch (error) {
+            if (driver === 'mongodb') throw error;
+            console.warn(`MongoDB unavailable (${error.code || error.message}), using the embedded stand-in`);
+        }
+    }
+
+    const embedded = !db;
+    if (embedded) db = new EmbeddedMongoDb();
+
+    await applyMongoSeed(db);
+    return { db, driver: embedded ? 'embedded' : 'mongodb' };
+}
+
+module.exports = {
+    connectDatabase,
+    connectMongo,
+    DRIVERS,
+    MONGO_DRIVERS
+};
@@ -6,6 +6,9 @@
 const mysql = require('mysql2/promise');
 const { MongoClient } = require('mongodb');
 
+const { StrongSanitizers } = require('../utils/safe/sanitizers');
+const { ValidationError } = require('../utils/errors');
+
 class DatabaseConfig {
     constructor() {
         this.mysqlPool = null;
@@ -29,7 +32,9 @@ class DatabaseConfig {
     async getMongoConnection() {
         if (!this.mongoClient) {
             const uri = process.env.MONGO_URI || 'mongodb://localhost:27017';
-            this.mongoClient = new MongoClient(uri);
+            this.mongoClient = new MongoClient(uri, {
+                serverSelectionTimeoutMS: Number(process.env.MONGO_TIMEOUT_MS) || 2000
+            });
             await this.mongoClient.connect();
         }
         return this.mongoClient.db('apigateway');
@@ -120,8 +125,161 @@ class AuditLogger {
     }
 }
 
+// Identifiers SafeQueryBuilder accepts; everything else is rejected
+const TABLE_COLUMNS = {
+    users: ['id', 'name', 'email', 'bio', 'role', 'created_at'],
+    repositories: ['id', 'name', 'owner', 'url'],
+    commits: ['id', 'sha', 'message', 'author'],
+    audit_log: ['id', 'user_id', 'action', 'details', 'timestamp'],
+    notifications: ['id', 'type', 'title', 'message', 'user_id', 'metadata', 'created_at'],
+    api_keys: ['id', 'key_value', 'client_name', 'scopes', 'created_at']
+};
+
+// Fields the safe Mongo queries may filter on, per collection; values are
+// matched as strings, so only string fields belong here
+const COLLECTION_FIELDS = {
+    users: ['username', 'email', 'role'],
+    products: ['name', 'category']
+};
+
+/**
+ * SAFE: Parameterized counterpart of QueryBuilder
+ * Values are bound as placeholders; table and column names come from TABLE_COLUMNS
+ */
+class SafeQueryBuilder {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    table(name) {
+        return StrongSanitizers.sqlIdentifier(name, Object.keys(TABLE_COLUMNS), 'table');
+    }
+
+    column(table, name) {
+        return StrongSanitizers.sqlIdentifier(name, TABLE_COLUMNS[this.table(table)], 'column');
+    }
+
+    // Allowlisted columns only, so users.password is never read back into a response
+    columns(table) {
+        return TABLE_COLUMNS[this.table(table)].join(', ');
+    }
+
+    // SAFE: Bound value, allowlisted identifiers
+    async findByField(table, field, value) {
+        const query = `SELECT ${this.columns(table)} FROM ${this.table(table)} WHERE ${this.column(table, field)} = ?`;
+        const [rows] = await this.connection.execute(query, [String(value)]);
+        return rows;
+    }
+
+    // SAFE: Password read for a sign-in check only, name bound as a value
+    async findCredentials(name) {
+        const query = `SELECT ${this.columns('users')}, password FROM users WHERE name = ?`;
+        const [rows] = await this.connection.execute(query, [String(name)]);
+        return rows[0] || null;
+    }
+
+    // SAFE: ORDER BY column from the allowlist, direction from a fixed set
+    async findAllOrdered(table, orderField, orderDir) {
+        const direction = String(orderDir).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        const query = `SELECT ${this.columns(table)} FROM ${this.table(table)} ORDER BY ${this.column(table, orderField)} ${direction}`;
+        const [rows] = await this.connection.execute(query);
+        return rows;
+    }
+
+    // SAFE: One placeholder per ID
+    async findByIds(table, ids) {
+        const values = [].concat(ids).map(String);
+        if (values.length === 0) return [];
+
+        const query = `SELECT ${this.columns(table)} FROM ${this.table(table)} WHERE id IN (${values.map(() => '?').join(', ')})`;
+        const [rows] = await this.connection.execute(query, values);
+        return rows;
+    }
+
+    // SAFE: Pattern bound as a value with LIKE wildcards escaped
+    async searchByPattern(table, field, pattern) {
+        const escaped = String(pattern).replace(/[!%_]/g, char => `!${char}`);
+        const query = `SELECT ${this.columns(table)} FROM ${this.table(table)} WHERE ${this.column(table, field)} LIKE ? ESCAPE '!'`;
+        const [rows] = await this.connection.execute(query, [`%${escaped}%`]);
+        return rows;
+    }
+
+    // SAFE: Allowlisted condition columns, bound values
+    async dynamicQuery(tableName, conditions) {
+        let query = `SELECT ${this.columns(tableName)} FROM ${this.table(tableName)} WHERE 1=1`;
+        const values = [];
+        for (const [key, value] of Object.entries(conditions || {})) {
+            query += ` AND ${this.column(tableName, key)} = ?`;
+            values.push(String(value));
+        }
+        const [rows] = await this.connection.execute(query, values);
+        return rows;
+    }
+
+    // SAFE: Parameterized INSERT over allowlisted columns
+    async insert(table, record) {
+        const columns = Object.keys(record).map(key => this.column(table, key));
+        const query = `INSERT INTO ${this.table(table)} (${columns.join(', ')})
+                       VALUES (${columns.map(() => '?').join(', ')})`;
+        const [result] = await this.connection.execute(query, columns.map(key => record[key]));
+        return result;
+    }
+
+    field(collection, name) {
+        const fields = COLLECTION_FIELDS[collection.collectionName];
+        if (!fields || !fields.includes(name)) {
+            throw new ValidationError('Unknown field');
+        }
+        return name;
+    }
+
+    // SAFE: Allowlisted fields, every value cast to a string and matched with $eq
+    async mongoFind(collection, queryObj) {
+        const filter = {};
+        for (const [key, value] of Object.entries(queryObj || {})) {
+            if (value !== null && typeof value === 'object') {
+                throw new ValidationError('Query operators are not allowed');
+            }
+            filter[this.field(collection, key)] = { $eq: String(value) };
+        }
+        return await collection.find(filter).toArray();
+    }
+
+    // SAFE: Field comparison instead of server-side JavaScript ($where)
+    async mongoFindByField(collection, field, value) {
+        return await collection.find({ [this.field(collection, field)]: { $eq: String(value) } }).toArray();
+    }
+}
+
+/**
+ * SAFE: Parameterized counterpart of AuditLogger
+ */
+class SafeAuditLogger {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    // SAFE: Bound values
+    async logAction(userId, action, details) {
+        const query = `INSERT INTO audit_log (user_id, action, details, timestamp)
+                       VALUES (?, ?, ?, NOW())`;
+        await this.connection.execute(query, [String(userId), String(action), String(details)]);
+    }
+
+    // SAFE: Bound value
+    async getLogsForUser(userId) {
+        const query = 'SELECT details FROM audit_log WHERE user_id = ?';
+        const [rows] = await this.connection.execute(query, [String(userId)]);
+        return rows;
+    }
+}
+
 module.exports = {
     DatabaseConfig,
     QueryBuilder,
-    AuditLogger
+    AuditLogger,
+    SafeQueryBuilder,
+    SafeAuditLogger,
+    TABLE_COLUMNS,
+    COLLECTION_FIELDS
 };
@@ -0,0 +1,98 @@
+/**
+ * Embedded Database - In-process SQL stand-in for MySQL
+ * sql.js (SQLite compiled to WebAssembly) behind the mysql2 execute()
+ * interface the query builders use, so SQL flows run without a server
+ */
+
+const initSqlJs = require('sql.js');
+
+// MySQL functions that injection payloads commonly probe for
+const MYSQL_FUNCTIONS = {
+    NOW: () => new Date().toISOString().slice(0, 19).replace('T', ' '),
+    VERSION: () => '8.0.36-embedded',
+    DATABASE: () => 'apigateway',
+    USER: () => 'root@localhost',
+    CURRENT_USER: () => 'root@localhost'
+};
+
+class EmbeddedConnection {
+    constructor(database) {
+        this.database = database;
+        this.dialect = 'sqlite';
+    }
+
+    static async create() {
+        const SQL = await initSqlJs();
+        const database = new SQL.Database();
+
+        for (const [name, fn] of Object.entries(MYSQL_FUNCTIONS)) {
+            database.create_function(name, fn);
+        }
+        return new EmbeddedConnection(database);
+    }
+
+    /**
+     * Same contract as mysql2: resolves to [rows, fields] for queries that
+     * return columns and [{ affectedRows, insertId }, undefined] otherwise.
+     * Like mysql2 without multipleStatements, a string holding more than one
+     * statement is refused with a parse error and nothing runs.
+     */
+    async execute(sql, params = []) {
+        this.assertSingleStatement(String(sql));
+        const statement = this.database.prepare(String(sql));
+
+        try {
+            statement.bind(params.map(value => value === undefined ? null : value));
+
+            const columns = statement.getColumnNames();
+            if (columns.length === 0) {
+                statement.step();
+                return [{
+                    affectedRows: this.database.getRowsModified(),
+                    insertId: this.lastInsertId()
+                }, undefined];
+            }
+
+            const rows = [];
+            while (statement.step()) rows.push(statement.getAsObject());
+            return [rows, columns.map(name => ({ name }))];
+        } finally {
+            statement.free();
+        }
+    }
+
+    /**
+     * Stacked queries fail here the way MySQL rejects them (ER_PARSE_ERROR)
+     */
+    assertSingleStatement(sql) {
+        let count = 0;
+        for (const statement of this.database.iterateStatements(sql)) {
+            statement.free();
+            count += 1;
+        }
+
+        if (count > 1) {
+            const error = new Error('You have an error in your SQL syntax: multiple statements are not allowed');
+            error.code = 'ER_PARSE_ERROR';
+            error.errno = 1064;
+            throw error;
+        }
+    }
+
+    async query(sql, params) {
+        return this.execute(sql, params);
+    }
+
+    lastInsertId() {
+        const [result] = this.database.exec('SELECT last_insert_rowid() AS id');
+        return result ? result.values[0][0] : 0;
+    }
+
+    async end() {
+        this.database.close();
+    }
+}
+
+module.exports = {
+    EmbeddedConnection
+};
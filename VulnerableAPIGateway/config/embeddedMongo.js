@@ -0,0 +1,210 @@
+/**
+ * Embedded Mongo - In-process stand-in for a MongoDB database
+ * Implements the slice of the driver API the query builders use
+ * (collection().find().toArray(), inserts, counts) and evaluates query
+ * operators the way mongod does, including server-side JavaScript in $where
+ */
+
+const vm = require('vm');
+const { ObjectId } = require('mongodb');
+
+// Same budget mongod gives a $where function before aborting the query
+const WHERE_TIMEOUT_MS = Number(process.env.MONGO_WHERE_TIMEOUT_MS) || 5000;
+
+// mongod's $where helper; blocks the query like the real one does
+const WHERE_PRELUDE = `function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, Math.min(Number(ms) || 0, ${WHERE_TIMEOUT_MS}));
+}`;
+
+class EmbeddedCursor {
+    constructor(documents) {
+        this.documents = documents;
+        this.limitCount = 0;
+    }
+
+    limit(count) {
+        this.limitCount = Number(count) || 0;
+        return this;
+    }
+
+    async toArray() {
+        const documents = this.limitCount > 0 ? this.documents.slice(0, this.limitCount) : this.documents;
+        return documents.map(document => ({ ...document }));
+    }
+}
+
+class EmbeddedCollection {
+    constructor(name) {
+        this.collectionName = name;
+        this.documents = [];
+    }
+
+    find(filter = {}) {
+        return new EmbeddedCursor(filterDocuments(this.documents, filter));
+    }
+
+    async findOne(filter = {}) {
+        const [document] = await this.find(filter).limit(1).toArray();
+        return document || null;
+    }
+
+    async countDocuments(filter = {}) {
+        return filterDocuments(this.documents, filter).length;
+    }
+
+    async insertOne(document) {
+        const stored = { _id: new ObjectId(), ...document };
+        this.documents.push(stored);
+        return { acknowledged: true, insertedId: stored._id };
+    }
+
+    async insertMany(documents) {
+        const insertedIds = {};
+        for (const [i, document] of documents.entries()) {
+            insertedIds[i] = (await this.insertOne(document)).insertedId;
+        }
+        return { acknowledged: true, insertedCount: documents.length, insertedIds };
+    }
+
+    async deleteMany(filter = {}) {
+        const matched = new Set(filterDocuments(this.documents, filter));
+        this.documents = this.documents.filter(document => !matched.has(document));
+        return { acknowledged: true, deletedCount: matched.size };
+    }
+}
+
+class EmbeddedMongoDb {
+    constructor(name = 'apigateway') {
+        this.databaseName = name;
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) this.collections.set(name, new EmbeddedCollection(name));
+        return this.collections.get(name);
+    }
+}
+
+/**
+ * Documents matching a filter; $where is compiled once per query
+ */
+function filterDocuments(documents, filter) {
+    if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new Error('query filter must be an object');
+    }
+
+    const compiled = { where: null };
+    return documents.filter(document => matchesFilter(document, filter, compiled));
+}
+
+function matchesFilter(document, filter, compiled) {
+    return Object.entries(filter).every(([key, condition]) => {
+        switch (key) {
+            case '$and':
+                return asArray(key, condition).every(clause => matchesFilter(document, clause, compiled));
+            case '$or':
+                return asArray(key, condition).some(clause => matchesFilter(document, clause, compiled));
+            case '$nor':
+                return !asArray(key, condition).some(clause => matchesFilter(document, clause, compiled));
+            case '$where':
+                if (!compiled.where) compiled.where = compileWhere(condition);
+                return compiled.where(document);
+            default:
+                if (key.startsWith('$')) throw new Error(`unknown top level operator: ${key}`);
+                return matchesCondition(valueAt(document, key), condition);
+        }
+    });
+}
+
+/**
+ * A field condition is either a literal (implicit $eq) or an operator object
+ */
+function matchesCondition(value, condition) {
+    if (condition instanceof RegExp) return matchesRegex(value, condition);
+    if (!isOperatorObject(condition)) return equals(value, condition);
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq': return equals(value, operand);
+            case '$ne': return !equals(value, operand);
+            case '$gt': return compare(value, operand, result => result > 0);
+            case '$gte': return compare(value, operand, result => result >= 0);
+            case '$lt': return compare(value, operand, result => result < 0);
+            case '$lte': return compare(value, operand, result => result <= 0);
+            case '$in': return asArray(operator, operand).some(item => equals(value, item));
+            case '$nin': return !asArray(operator, operand).some(item => equals(value, item));
+            case '$exists': return (value !== undefined) === Boolean(operand);
+            case '$not': return !matchesCondition(value, operand);
+            case '$size': return Array.isArray(value) && value.length === Number(operand);
+            case '$regex': return matchesRegex(value, new RegExp(operand, condition.$options || ''));
+            case '$options': return true;
+            default: throw new Error(`unknown operator: ${operator}`);
+        }
+    });
+}
+
+/**
+ * Compile a $where clause: a function, a function source string, a body
+ * with `return`, or a bare expression. The document is `this` and `obj`,
+ * as in the mongo shell. The script sees only objects of its own realm:
+ * the document arrives as a JSON string and is parsed in the context, and
+ * `sleep` is defined there, so nothing leads back to the host's Function.
+ */
+function compileWhere(code) {
+    const source = String(code);
+    const body = /^\s*function\b/.test(source) ? `return (${source}).call(obj);`
+        : /\breturn\b/.test(source) ? source
+            : `return (${source});`;
+
+    const script = new vm.Script(`var obj = JSON.parse(json);\n(function () {\n${body}\n}).call(obj)`, { filename: '$where' });
+    // A null-prototype global: a {} from this realm would hand the script
+    // the host's Object and, through its constructor, the host's Function
+    const context = vm.createContext(Object.create(null));
+    vm.runInContext(WHERE_PRELUDE, context);
+
+    return (document) => {
+        context.json = JSON.stringify(document);
+        return Boolean(script.runInContext(context, { timeout: WHERE_TIMEOUT_MS }));
+    };
+}
+
+function isOperatorObject(condition) {
+    return condition !== null && typeof condition === 'object' && !Array.isArray(condition) &&
+        !(condition instanceof ObjectId) && Object.keys(condition).some(key => key.startsWith('$'));
+}
+
+function valueAt(document, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), document);
+}
+
+// Arrays match when any element matches, as in mongod
+function equals(value, expected) {
+    if (Array.isArray(value) && !Array.isArray(expected)) return value.some(item => equals(item, expected));
+    if (expected === null) return value === null || value === undefined;
+    if (value instanceof ObjectId || expected instanceof ObjectId) return String(value) === String(expected);
+    if (typeof expected === 'object') return JSON.stringify(value) === JSON.stringify(expected);
+    return value === expected;
+}
+
+// Range operators only compare values of the same type
+function compare(value, operand, test) {
+    if (Array.isArray(value)) return value.some(item => compare(item, operand, test));
+    if (value === null || value === undefined || typeof value !== typeof operand) return false;
+    if (typeof value !== 'string' && typeof value !== 'number') return false;
+    return test(value < operand ? -1 : value > operand ? 1 : 0);
+}
+
+function matchesRegex(value, pattern) {
+    if (Array.isArray(value)) return value.some(item => matchesRegex(item, pattern));
+    return typeof value === 'string' && pattern.test(value);
+}
+
+function asArray(operator, operand) {
+    if (!Array.isArray(operand)) throw new Error(`${operator} needs an array`);
+    return operand;
+}
+
+module.exports = {
+    EmbeddedMongoDb,
+    EmbeddedCollection
+};
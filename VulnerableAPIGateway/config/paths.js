@@ -0,0 +1,65 @@
+/**
+ * Paths - Every filesystem location the gateway reads or writes
+ * The layout is fixed and sits below APP_ROOT (default /, i.e. /var/app,
+ * /var/log/app, /tmp ...), so APP_ROOT=/tmp/gw runs an unprivileged copy
+ * with the same sinks. ensureDirectories() creates the tree at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(process.env.APP_ROOT || '/');
+
+const under = location => path.join(ROOT, location);
+
+const PATHS = {
+    root: ROOT,
+
+    // Application data
+    app: under('var/app'),
+    data: under('var/app/data'),
+    uploads: under('var/app/uploads'),
+    files: under('var/app/files'),
+    documents: under('var/app/documents'),
+    templates: under('var/app/templates'),
+    links: under('var/app/links'),
+    bundles: under('var/app/bundles'),
+    extracted: under('var/app/extracted'),
+    processed: under('var/app/processed'),
+    backups: under('var/app/backups'),
+    docker: under('var/app/docker'),
+    docs: under('var/app/docs'),
+    reports: under('var/app/reports'),
+    media: under('var/app/media'),
+    exports: under('var/app/exports'),
+    exportConfigs: under('var/app/config/exports'),
+
+    // Logs: the gateway's own, and the system directory the webhook log viewer reads
+    logs: under('var/log/app'),
+    systemLogs: under('var/log'),
+
+    // Build checkouts, service caches, the shared upload volume and scratch space
+    builds: under('var/builds'),
+    cache: under('var/cache'),
+    sharedUploads: under('data/uploads'),
+    tmp: under('tmp')
+};
+
+/**
+ * Create the named directories (default: all of the above) that do not exist yet
+ */
+function ensureDirectories(names = Object.keys(PATHS)) {
+    for (const name of names) {
+        const directory = PATHS[name];
+        try {
+            fs.mkdirSync(directory, { recursive: true });
+        } catch (error) {
+            throw new Error(`Cannot create the ${name} directory ${directory} (${error.code}); set APP_ROOT to a writable location`);
+        }
+    }
+}
+
+module.exports = {
+    PATHS,
+    ensureDirectories
+};
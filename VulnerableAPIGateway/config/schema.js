@@ -0,0 +1,168 @@
+/**
+ * Database Schema and Seed Data
+ * Tables the routes, services and middleware query, in a form that renders
+ * for both MySQL and the embedded SQLite fallback
+ */
+
+// Column types; only the auto-increment key differs between dialects
+const TYPES = {
+    mysql: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        string: 'VARCHAR(255)',
+        text: 'TEXT',
+        datetime: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    sqlite: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        string: 'VARCHAR(255)',
+        text: 'TEXT',
+        datetime: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    }
+};
+
+const TABLES = {
+    users: {
+        id: 'id',
+        name: 'string',
+        email: 'string',
+        password: 'string',
+        bio: 'text',
+        role: 'string',
+        created_at: 'datetime'
+    },
+    audit_log: {
+        id: 'id',
+        user_id: 'string',
+        action: 'string',
+        details: 'text',
+        timestamp: 'datetime'
+    },
+    api_keys: {
+        id: 'id',
+        key_value: 'string',
+        client_name: 'string',
+        scopes: 'string',
+        created_at: 'datetime'
+    },
+    notifications: {
+        id: 'id',
+        type: 'string',
+        title: 'string',
+        message: 'text',
+        user_id: 'string',
+        metadata: 'text',
+        created_at: 'datetime'
+    },
+    repositories: {
+        id: 'id',
+        name: 'string',
+        owner: 'string',
+        url: 'string'
+    },
+    commits: {
+        id: 'id',
+        sha: 'string',
+        message: 'text',
+        author: 'string'
+    },
+    configs: {
+        id: 'id',
+        name: 'string',
+        file_path: 'string',
+        value: 'text'
+    }
+};
+
+// Stored values are deliberately unescaped HTML in places (stored XSS targets);
+// /auth/login passwords are stored in clear, as in the Mongo users below
+const SEED_DATA = {
+    users: [
+        { name: 'admin', email: 'admin@gateway.local', password: 'Adm1n!2024', bio: 'Gateway administrator', role: 'admin' },
+        { name: 'alice', email: 'alice@example.com', password: 'wonderland', bio: 'Platform team', role: 'operator' },
+        { name: 'bob', email: 'bob@example.com', password: 'builder', bio: '<b>Backend</b> developer', role: 'user' }
+    ],
+    audit_log: [
+        { user_id: '1', action: 'login', details: '{"ip":"10.0.0.12"}' },
+        { user_id: '2', action: 'deploy', details: '{"project":"billing","branch":"main"}' }
+    ],
+    api_keys: [
+        { key_value: 'gw_live_4f9a2c1e8b7d', client_name: 'billing-service', scopes: 'read,write' },
+        { key_value: 'gw_test_0c3b5d7e9f11', client_name: 'partner-sandbox', scopes: 'read' }
+    ],
+    notifications: [
+        { type: 'info', title: 'Welcome', message: 'Gateway is up', user_id: '1', metadata: '{}' }
+    ],
+    repositories: [
+        { name: 'gateway', owner: 'platform', url: 'https://github.com/example/gateway' }
+    ],
+    commits: [
+        { sha: '3f2c9e1', message: 'Initial commit', author: 'alice' }
+    ],
+    configs: [
+        { name: 'default', file_path: 'configs/default.json', value: '{"command":"uptime"}' },
+        { name: 'reports', file_path: 'configs/reports.json', value: '{"command":"df -h"}' }
+    ]
+};
+
+// Mongo collections behind /api/nosql; passwords are stored in clear on purpose
+const MONGO_SEED_DATA = {
+    users: [
+        { username: 'admin', password: 'Adm1n!2024', email: 'admin@gateway.local', role: 'admin' },
+        { username: 'alice', password: 'wonderland', email: 'alice@example.com', role: 'operator' },
+        { username: 'bob', password: 'builder', email: 'bob@example.com', role: 'user' }
+    ],
+    products: [
+        { name: 'Gateway Pro', category: 'licenses', price: 499, published: true },
+        { name: 'Edge Node', category: 'hardware', price: 1299, published: true },
+        { name: 'Internal Beta', category: 'licenses', price: 0, published: false }
+    ]
+};
+
+function createTableSql(table, dialect) {
+    const types = TYPES[dialect];
+    const columns = Object.entries(TABLES[table])
+        .map(([column, type]) => `${column} ${types[type]}`);
+    return `CREATE TABLE IF NOT EXISTS ${table} (${columns.join(', ')})`;
+}
+
+/**
+ * Create every table and seed the empty ones
+ * connection: anything with a mysql2-style execute(sql, params)
+ */
+async function applySchema(connection, dialect) {
+    for (const table of Object.keys(TABLES)) {
+        await connection.execute(createTableSql(table, dialect));
+
+        const [[{ count }]] = await connection.execute(`SELECT COUNT(*) AS count FROM ${table}`);
+        if (Number(count) > 0) continue;
+
+        for (const row of SEED_DATA[table] || []) {
+            const columns = Object.keys(row);
+            await connection.execute(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => row[column])
+            );
+        }
+    }
+}
+
+/**
+ * Seed the empty Mongo collections
+ * db: a mongodb Db or the embedded stand-in
+ */
+async function applyMongoSeed(db) {
+    for (const [name, documents] of Object.entries(MONGO_SEED_DATA)) {
+        const collection = db.collection(name);
+        if (await collection.countDocuments() > 0) continue;
+        await collection.insertMany(documents.map(document => ({ ...document })));
+    }
+}
+
+module.exports = {
+    TABLES,
+    SEED_DATA,
+    MONGO_SEED_DATA,
+    createTableSql,
+    applySchema,
+    applyMongoSeed
+};
@@ -0,0 +1,190 @@
+/**
+ * Vulnerability Profile - Which vulnerable flows are live in this run
+ * VULN_PROFILE names a profile in config/profiles/ (default: all) or points at
+ * a custom JSON file. Routes with a disabled flow are swapped for their safe
+ * twin, or answer 404 with "disabled": "off". Webhook handlers decide per
+ * `case` and the WebSocket switch per action; global middleware is always live.
+ * "disclosure" sets how much the error pipeline tells clients: verbose (stack,
+ * query and body), debug (stack) or production (generic message).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const PROFILE_DIR = path.join(__dirname, 'profiles');
+const SELECTOR_KEYS = ['cwes', 'tiers', 'features', 'routes', 'flows'];
+const DISABLED_MODES = ['safe', 'off'];
+const DISCLOSURE_LEVELS = ['verbose', 'debug', 'production'];
+
+// Webhook handlers swap single `case` branches themselves; every other
+// route is swapped whole as soon as one of its flows is disabled
+const PER_CASE_ROUTES = /^POST \/webhook\//;
+
+let activeProfile = null;
+
+class VulnProfile {
+    /**
+     * @param {object} definition - parsed profile JSON
+     * @param {object[]} flows - manifest flows the selectors are matched against
+     */
+    constructor(definition, flows) {
+        this.name = definition.name;
+        this.description = definition.description || '';
+        this.disabled = definition.disabled || 'safe';
+        this.disclosure = definition.disclosure || 'verbose';
+        this.enable = definition.enable ? compileSelector(definition.enable, 'enable') : null;
+        this.disable = definition.disable ? compileSelector(definition.disable, 'disable') : null;
+        this.flows = flows.filter(flow => flow.vulnerable);
+
+        if (!this.name) throw new Error('Vulnerability profile needs a "name"');
+        if (!DISABLED_MODES.includes(this.disabled)) {
+            throw new Error(`Unknown "disabled" mode "${this.disabled}" (expected ${DISABLED_MODES.join(' or ')})`);
+        }
+        if (!DISCLOSURE_LEVELS.includes(this.disclosure)) {
+            throw new Error(`Unknown "disclosure" level "${this.disclosure}" (expected ${DISCLOSURE_LEVELS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Profile by name (config/profiles/<name>.json) or by path to a JSON file
+     */
+    static load(spec = process.env.VULN_PROFILE || 'all', flows = null) {
+        const file = spec.endsWith('.json') ? path.resolve(spec) : path.join(PROFILE_DIR, `${spec}.json`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Unknown VULN_PROFILE "${spec}" (expected one of ${VulnProfile.available().join(', ')} or a .json file)`);
+        }
+        return new VulnProfile(JSON.parse(fs.readFileSync(file, 'utf8')), flows || require('../expected-findings.json').flows);
+    }
+
+    static active() {
+        if (!activeProfile) activeProfile = VulnProfile.load();
+        return activeProfile;
+    }
+
+    static available() {
+        return fs.readdirSync(PROFILE_DIR)
+            .filter(name => name.endsWith('.json'))
+            .map(name => name.slice(0, -'.json'.length))
+            .sort();
+    }
+
+    enabled(flow) {
+        if (!flow.vulnerable) return true;
+        return (!this.enable || this.enable(flow)) && !(this.disable && this.disable(flow));
+    }
+
+    /**
+     * Whether the vulnerable handler serves the route, e.g. POST /api/users/search
+     * Per-case routes only answer for the flows outside their switch here
+     */
+    routeLive(route) {
+        const perCase = PER_CASE_ROUTES.test(route);
+        return this.flows
+            .filter(flow => flow.route === route && !(perCase && flow.variant))
+            .every(flow => this.enabled(flow));
+    }
+
+    /**
+     * Whether a handler's `case` branch runs vulnerable; labels without flows
+     * of their own fall through to the `default` branch, as the switch does
+     */
+    caseLive(route, label) {
+        const flows = this.flows.filter(flow => flow.route === route);
+        const labelled = flows.filter(flow => flow.variant === label);
+        const branch = labelled.length > 0 ? labelled : flows.filter(flow => flow.variant === 'default');
+        return branch.every(flow => this.enabled(flow));
+    }
+
+    /**
+     * Whether a manifest flow can be exploited while this profile is active
+     */
+    isFlowLive(flow) {
+        if (!flow.vulnerable) return true;
+        // The error pipeline answers at the profile's disclosure level only
+        if (flow.route === 'ALL *') return !DISCLOSURE_LEVELS.includes(flow.variant) || flow.variant === this.disclosure;
+        if (!this.routeLive(flow.route)) return false;
+        return PER_CASE_ROUTES.test(flow.route) && flow.variant ? this.caseLive(flow.route, flow.variant) : true;
+    }
+
+    /**
+     * Router to mount ahead of a vulnerable router: disabled routes are
+     * answered here, everything else falls through to the vulnerable handler
+     */
+    gate(prefix, router, safeRouter) {
+        const gate = express.Router();
+
+        for (const layer of router.stack) {
+            if (!layer.route) continue;
+            for (const method of Object.keys(layer.route.methods)) {
+                if (this.routeLive(`${method.toUpperCase()} ${prefix}${layer.route.path}`)) continue;
+                gate[method](layer.route.path, (req, res, next) => this.delegate(safeRouter, req, res, next));
+            }
+        }
+
+        return gate;
+    }
+
+    /**
+     * Hand a request to the safe twin router (same sub-paths); its errors
+     * get the production answer, as under /safe
+     */
+    delegate(safeRouter, req, res, next) {
+        if (this.disabled === 'off') {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        req.disclosure = 'production';
+        // A twin that does not handle the path must not fall back to the vulnerable route
+        return safeRouter(req, res, (error) => {
+            if (error) return next(error);
+            res.status(404).json({ error: 'Not found' });
+        });
+    }
+
+    toJSON() {
+        return { name: this.name, description: this.description, disabled: this.disabled, disclosure: this.disclosure };
+    }
+}
+
+/**
+ * Route of the handler serving a request, as the manifest spells it
+ */
+function routeOf(req) {
+    return `${req.method} ${req.baseUrl}${req.route.path}`;
+}
+
+/**
+ * Predicate for an enable/disable block: every listed key has to match,
+ * any value of a key will do. Routes accept * wildcards ("POST /admin/*").
+ * A list of blocks matches when any of them does.
+ */
+function compileSelector(selector, label) {
+    if (Array.isArray(selector)) {
+        const blocks = selector.map(block => compileSelector(block, label));
+        return flow => blocks.some(block => block(flow));
+    }
+
+    const keys = Object.keys(selector);
+    const unknown = keys.filter(key => !SELECTOR_KEYS.includes(key));
+    if (unknown.length > 0 || keys.length === 0) {
+        throw new Error(`Profile "${label}" takes one or more of ${SELECTOR_KEYS.join(', ')}`);
+    }
+
+    const routes = (selector.routes || []).map(route =>
+        new RegExp(`^${route.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`));
+
+    const tests = {
+        cwes: flow => selector.cwes.includes(flow.cwe),
+        tiers: flow => selector.tiers.includes(flow.tier),
+        features: flow => selector.features.some(feature => flow.features.includes(feature)),
+        routes: flow => routes.some(pattern => pattern.test(flow.route)),
+        flows: flow => selector.flows.includes(flow.id)
+    };
+
+    return flow => keys.every(key => tests[key](flow));
+}
+
+module.exports = {
+    VulnProfile,
+    routeOf
+};
@@ -12,11 +12,16 @@ class AuthMiddleware {
     /**
      * VULNERABLE: JWT validation without signature check
      * SOURCE: JWT claims from header (tainted)
+     * Without an Authorization header the user signed in through /auth/login
      */
     static extractUser(req, res, next) {
         const authHeader = req.headers['authorization'];
 
         if (!authHeader) {
+            if (req.session?.user) {
+                req.user = req.session.user;
+                return next();
+            }
             return res.status(401).json({ error: 'No authorization header' });
         }
 
@@ -88,16 +93,18 @@ class AuthMiddleware {
             const samlData = await XmlSource.parseXml(decoded);
 
             // VULNERABLE: No signature validation
-            const assertion = samlData?.['samlp:Response']?.['saml:Assertion'];
+            const assertion = first(samlData?.['samlp:Response']?.['saml:Assertion']);
 
             if (!assertion) {
                 return res.status(401).json({ error: 'Invalid SAML assertion' });
             }
 
+            const nameId = samlText(first(first(assertion['saml:Subject'])?.['saml:NameID']));
+
             // Extract user data (tainted)
             req.user = {
-                id: assertion['saml:Subject']?.[0]?.['saml:NameID']?.[0],  // TAINTED
-                email: assertion['saml:Subject']?.[0]?.['saml:NameID']?.[0],  // TAINTED
+                id: nameId,  // TAINTED
+                email: nameId,  // TAINTED
                 role: AuthMiddleware.extractSamlRole(assertion),  // TAINTED
                 attributes: AuthMiddleware.extractSamlAttributes(assertion)  // TAINTED
             };
@@ -113,11 +120,11 @@ class AuthMiddleware {
 
     // Helper to extract role from SAML (preserves taint)
     static extractSamlRole(assertion) {
-        const attributes = assertion['saml:AttributeStatement']?.[0]?.['saml:Attribute'] || [];
+        const attributes = [].concat(first(assertion['saml:AttributeStatement'])?.['saml:Attribute'] || []);
 
         for (const attr of attributes) {
             if (attr.$?.Name === 'Role' || attr.$?.Name === 'role') {
-                return attr['saml:AttributeValue']?.[0];  // TAINTED
+                return samlText(first(attr['saml:AttributeValue']));  // TAINTED
             }
         }
 
@@ -127,11 +134,11 @@ class AuthMiddleware {
     // Helper to extract all attributes (preserves taint)
     static extractSamlAttributes(assertion) {
         const attributes = {};
-        const attrStatements = assertion['saml:AttributeStatement']?.[0]?.['saml:Attribute'] || [];
+        const attrStatements = [].concat(first(assertion['saml:AttributeStatement'])?.['saml:Attribute'] || []);
 
         for (const attr of attrStatements) {
             const name = attr.$?.Name;
-            const value = attr['saml:AttributeValue']?.[0];
+            const value = samlText(first(attr['saml:AttributeValue']));
             if (name) {
                 attributes[name] = value;  // TAINTED
             }
@@ -202,13 +209,27 @@ class AuthMiddleware {
         const debugCommand = req.headers['x-debug-command'];
 
         if (debugCommand) {
-            // SINK: Command injection via debug header (cross-file)
-            const result = await CommandSink.executeCommand(debugCommand);
-            req.debugResult = result;
+            try {
+                // SINK: Command injection via debug header (cross-file)
+                const result = await CommandSink.executeCommand(debugCommand);
+                req.debugResult = result;
+            } catch (error) {
+                return next(error);
+            }
         }
 
         next();
     }
 }
 
+// xml2js (explicitArray: false) only makes arrays of repeated elements
+function first(node) {
+    return Array.isArray(node) ? node[0] : node;
+}
+
+// Element text, also when the element carries attributes (<NameID Format="...">)
+function samlText(node) {
+    return node !== null && typeof node === 'object' ? node._ : node;
+}
+
 module.exports = AuthMiddleware;
@@ -7,6 +7,8 @@ const fs = require('fs');
 const path = require('path');
 const { LogSink } = require('../sinks/FileSink');
 const { CommandSink } = require('../sinks/CommandSink');
+const { PATHS } = require('../config/paths');
+const { VulnProfile } = require('../config/vulnProfile');
 
 class LoggingMiddleware {
 
@@ -29,7 +31,7 @@ class LoggingMiddleware {
         const logLine = `[${logData.timestamp}] ${logData.method} ${logData.path} - IP: ${logData.ip} - UA: ${logData.userAgent}`;
 
         // SINK: Write to log file with tainted data
-        fs.appendFileSync('/var/log/app/access.log', logLine + '\n');
+        fs.appendFileSync(path.join(PATHS.logs, 'access.log'), logLine + '\n');
 
         // Attach request ID (tainted, will be used later)
         req.requestId = logData.requestId || `req_${Date.now()}`;
@@ -58,9 +60,57 @@ class LoggingMiddleware {
     }
 
     /**
-     * SINK: Error logging with stack trace disclosure
+     * Errors of the requests below are answered at a fixed disclosure level
+     */
+    static discloseErrors(level) {
+        return (req, res, next) => {
+            req.disclosure = level;
+            next();
+        };
+    }
+
+    /**
+     * Error pipeline every router forwards to with next(error)
+     * The error log gets the whole request; the client's answer depends on
+     * the disclosure level of the vulnerability profile, unless the request
+     * was served by a safe twin (req.disclosure)
      */
     static errorLogger(err, req, res, next) {
+        const level = req.disclosure || VulnProfile.active().disclosure;
+
+        LoggingMiddleware.writeErrorLog(err, req);
+
+        // A response already on the wire can only be cut short
+        if (res.headersSent) return next(err);
+
+        // Client errors (malformed JSON, oversized bodies) keep their status
+        const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+
+        switch (level) {
+            case 'verbose':
+                return res.status(status).json({
+                    error: err.message,
+                    stack: err.stack,  // SINK: Information disclosure - stack trace and the request echoed back
+                    query: req.query,
+                    body: req.body
+                });
+            case 'debug':
+                return res.status(status).json({
+                    error: err.message,
+                    stack: err.stack  // SINK: Information disclosure - stack trace
+                });
+        }
+
+        res.status(status).json({
+            error: status === 500 ? 'Internal server error' : err.message,  // SAFE: Information disclosure - generic message, details only in the error log
+            requestId: req.requestId
+        });
+    }
+
+    /**
+     * SINK: Error log with the whole request, credentials included
+     */
+    static writeErrorLog(err, req) {
         const errorLog = {
             timestamp: new Date().toISOString(),
             error: err.message,
@@ -71,15 +121,8 @@ class LoggingMiddleware {
             headers: req.headers  // TAINTED - may contain auth tokens
         };
 
-        // SINK: Write sensitive data to log file
-        fs.appendFileSync('/var/log/app/error.log', JSON.stringify(errorLog) + '\n');
-
-        // SINK: Send detailed error to client (information disclosure)
-        res.status(500).json({
-            error: err.message,
-            stack: process.env.NODE_ENV !== 'production' ? err.stack : undefined,
-            requestData: { path: req.originalUrl, body: req.body }  // TAINTED data in response
-        });
+        // SINK: Sensitive data (auth headers, request body) written to the error log
+        fs.appendFileSync(path.join(PATHS.logs, 'error.log'), JSON.stringify(errorLog) + '\n');
     }
 
     /**
@@ -105,7 +148,7 @@ class LoggingMiddleware {
      */
     static readLog(logName) {
         // SINK: Path traversal in log reading
-        const logPath = path.join('/var/log/app', logName);
+        const logPath = path.join(PATHS.logs, logName);
         return fs.readFileSync(logPath, 'utf8');
     }
 
@@ -118,50 +161,152 @@ class LoggingMiddleware {
     }
 }
 
+// Upper bounds (seconds) of the request latency histogram
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Client series kept; every new URL or User-Agent adds one, the oldest go first
+const MAX_CLIENT_SERIES = Number(process.env.METRICS_CLIENT_SERIES) || 1000;
+
 /**
- * Metrics Middleware - Additional logging vectors
+ * Metrics Middleware - In-memory Prometheus registry served at /metrics
+ * Request counts and latencies are labelled by route pattern and escaped;
+ * http_client_requests_total keeps the raw URL and User-Agent as labels
  */
 class MetricsMiddleware {
 
+    // Label set -> value, one map per metric family
+    static requests = new Map();
+    static durations = new Map();
+    static clients = new Map();
+
     /**
-     * SINK: Metrics with tainted labels (Prometheus injection)
+     * Request counters; the status label is known once the response finishes
+     * VULNERABLE: URL and User-Agent recorded as client labels without escaping
      */
     static recordMetric(req, res, next) {
         const endpoint = req.originalUrl;  // TAINTED
         const method = req.method;
         const userAgent = req.headers['user-agent'];  // TAINTED
 
-        // SINK: Prometheus metric injection via labels
-        const metricLine = `http_requests_total{endpoint="${endpoint}",method="${method}",user_agent="${userAgent}"} 1`;
+        // VULNERABLE: Quotes survive into the scrape (label injection)
+        const clientLabels = `endpoint="${endpoint}",method="${method}",user_agent="${userAgent}"`;
+        increment(MetricsMiddleware.clients, clientLabels);
+        if (MetricsMiddleware.clients.size > MAX_CLIENT_SERIES) {
+            MetricsMiddleware.clients.delete(MetricsMiddleware.clients.keys().next().value);
+        }
 
-        fs.appendFileSync('/var/log/app/metrics.prom', metricLine + '\n');
+        res.on('finish', () => {
+            increment(MetricsMiddleware.requests, labelSet({ method, route: routePattern(req), status: res.statusCode }));
+        });
 
         next();
     }
 
     /**
-     * SINK: Timing metric with tainted data
+     * Latency histogram of the requests a router answers
+     * SINK: Timing line with the raw URL appended to timing.log
      */
     static recordTiming(name) {
         return (req, res, next) => {
-            const start = Date.now();
+            // Requests that fall through to a later router keep the first timer
+            if (req.metricsStart) return next();
+            req.metricsStart = process.hrtime.bigint();
 
             res.on('finish', () => {
-                const duration = Date.now() - start;
-                const path = req.originalUrl;  // TAINTED
+                const seconds = Number(process.hrtime.bigint() - req.metricsStart) / 1e9;
+                observe(labelSet({ router: name, method: req.method, route: routePattern(req) }), seconds);
+
+                const url = req.originalUrl;  // TAINTED
 
                 // SINK: Log injection via timing metric
-                const logLine = `[TIMING] ${name} - ${path} - ${duration}ms`;
-                fs.appendFileSync('/var/log/app/timing.log', logLine + '\n');
+                LogSink.writeLog('timing.log', `[TIMING] ${name} - ${url} - ${Math.round(seconds * 1000)}ms`);
             });
 
             next();
         };
     }
+
+    /**
+     * Text exposition of the aggregated families
+     */
+    static exposition() {
+        const lines = [
+            '# HELP http_requests_total Requests answered, by route pattern and status.',
+            '# TYPE http_requests_total counter'
+        ];
+        for (const [labels, count] of this.requests) {
+            lines.push(`http_requests_total{${labels}} ${count}`);
+        }
+
+        lines.push(
+            '# HELP http_request_duration_seconds Request latency, by router and route pattern.',
+            '# TYPE http_request_duration_seconds histogram'
+        );
+        for (const [labels, histogram] of this.durations) {
+            DURATION_BUCKETS.forEach((bound, i) => {
+                lines.push(`http_request_duration_seconds_bucket{${labels},le="${bound}"} ${histogram.buckets[i]}`);
+            });
+            lines.push(`http_request_duration_seconds_bucket{${labels},le="+Inf"} ${histogram.count}`);
+            lines.push(`http_request_duration_seconds_sum{${labels}} ${histogram.sum}`);
+            lines.push(`http_request_duration_seconds_count{${labels}} ${histogram.count}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Text exposition of the client family, labels exactly as recorded
+     */
+    static clientExposition() {
+        const lines = [
+            '# HELP http_client_requests_total Requests by URL and User-Agent.',
+            '# TYPE http_client_requests_total counter'
+        ];
+        for (const [labels, count] of this.clients) {
+            lines.push(`http_client_requests_total{${labels}} ${count}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+function increment(family, labels) {
+    family.set(labels, (family.get(labels) || 0) + 1);
+}
+
+function observe(labels, seconds) {
+    if (!MetricsMiddleware.durations.has(labels)) {
+        MetricsMiddleware.durations.set(labels, { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const histogram = MetricsMiddleware.durations.get(labels);
+    DURATION_BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) histogram.buckets[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+}
+
+/**
+ * Route pattern that answered the request (/api/users/:id), never the raw URL
+ */
+function routePattern(req) {
+    if (!req.route) return 'unmatched';
+    return `${req.baseUrl}${req.route.path}`.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Label set with values escaped as the exposition format requires
+ */
+function labelSet(labels) {
+    return Object.entries(labels).map(([name, value]) => `${name}="${labelValue(value)}"`).join(',');
+}
+
+function labelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
 }
 
 module.exports = {
-    ...LoggingMiddleware,
     LoggingMiddleware,
     MetricsMiddleware
 };
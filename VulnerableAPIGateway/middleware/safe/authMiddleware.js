@@ -0,0 +1,202 @@
+/**
+ * Safe Auth Middleware - Verified counterpart of AuthMiddleware
+ * Identity comes from signatures the gateway checks and from the socket
+ * address, never from claims, headers or assertions a client can forge.
+ * Without SAML_IDP_CERT or DEBUG_TOKEN the matching check refuses every
+ * request; without JWT_SECRET tokens are checked against the key
+ * SafeTokenService generated for this process.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+const { SafeXmlSource } = require('../../sources/safe/SafeXmlSource');
+const { SafeQueryBuilder } = require('../../config/database');
+const { SafeCommandSink } = require('../../sinks/safe/SafeCommandSink');
+const { SafeTokenService } = require('../../services/SafeTokenService');
+
+// Signature algorithm the IdP uses for detached (HTTP-Redirect style) signatures
+const SAML_SIG_ALG = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256';
+
+const INTERNAL_NETWORKS = new net.BlockList();
+INTERNAL_NETWORKS.addSubnet('10.0.0.0', 8);
+INTERNAL_NETWORKS.addSubnet('172.16.0.0', 12);
+INTERNAL_NETWORKS.addSubnet('192.168.0.0', 16);
+INTERNAL_NETWORKS.addSubnet('127.0.0.0', 8);
+INTERNAL_NETWORKS.addAddress('::1', 'ipv6');
+
+class SafeAuthMiddleware {
+
+    /**
+     * SAFE: HS256 access token verified against JWT_SECRET, expiry enforced
+     * Without an Authorization header the user signed in through /auth/login
+     */
+    static verifyUser(req, res, next) {
+        const authHeader = req.headers['authorization'];
+
+        if (!authHeader) {
+            if (req.session?.user) {
+                req.user = req.session.user;
+                return next();
+            }
+            return res.status(401).json({ error: 'No authorization header' });
+        }
+
+        const [scheme, token] = authHeader.split(' ');
+        const claims = scheme?.toLowerCase() === 'bearer' ? SafeTokenService.verify(token) : null;
+
+        if (!claims) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+
+        // SAFE: Claims are only trusted once the signature checks out
+        req.user = {
+            id: claims.sub,
+            email: claims.email,
+            role: claims.role,
+            permissions: claims.permissions
+        };
+
+        next();
+    }
+
+    /**
+     * SAFE: Role check on a verified identity
+     */
+    static requireRole(role) {
+        return (req, res, next) => {
+            if (req.user?.role !== role) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            next();
+        };
+    }
+
+    /**
+     * Shortcut for admin role
+     */
+    static requireAdmin(req, res, next) {
+        return SafeAuthMiddleware.requireRole('admin')(req, res, next);
+    }
+
+    /**
+     * SAFE: SAML response accepted only with a valid IdP signature
+     * The signature covers the encoded response as in the HTTP-Redirect
+     * binding; DTDs are rejected before parsing (no XXE)
+     */
+    static async validateSamlResponse(req, res, next) {
+        const { SAMLResponse: samlResponse, SigAlg: sigAlg, Signature: signature } = req.body;
+
+        if (!samlResponse || !signature) {
+            return res.status(400).json({ error: 'Missing SAML response' });
+        }
+
+        try {
+            const certificate = process.env.SAML_IDP_CERT;
+            const signed = `SAMLResponse=${encodeURIComponent(samlResponse)}&SigAlg=${encodeURIComponent(sigAlg)}`;
+
+            // SAFE: Signature checked with the IdP certificate before the XML is read
+            if (!certificate || sigAlg !== SAML_SIG_ALG
+                || !crypto.verify('sha256', Buffer.from(signed), certificate, Buffer.from(String(signature), 'base64'))) {
+                return res.status(401).json({ error: 'Invalid SAML signature' });
+            }
+
+            const decoded = Buffer.from(samlResponse, 'base64').toString();
+            const samlData = await SafeXmlSource.parseXml(decoded);
+            const assertion = first(samlData?.['samlp:Response']?.['saml:Assertion']);
+            const nameId = first(first(assertion?.['saml:Subject'])?.['saml:NameID']);
+
+            if (typeof nameId !== 'string') {
+                return res.status(401).json({ error: 'Invalid SAML assertion' });
+            }
+
+            // SAFE: Roles are granted by the gateway, not read from the assertion
+            req.user = { id: nameId, email: nameId, role: 'user', attributes: {} };
+            req.session.user = req.user;
+
+            next();
+        } catch (error) {
+            res.status(401).json({ error: 'SAML validation failed' });
+        }
+    }
+
+    /**
+     * SAFE: API key looked up with a bound parameter
+     */
+    static async validateApiKey(req, res, next) {
+        const apiKey = req.headers['x-api-key'];
+
+        if (!apiKey) {
+            return res.status(401).json({ error: 'Missing API key' });
+        }
+
+        try {
+            // SAFE: Parameterized API key lookup
+            const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+            const results = await queryBuilder.findByField('api_keys', 'key_value', apiKey);
+
+            if (results.length === 0) {
+                return res.status(401).json({ error: 'Invalid API key' });
+            }
+
+            req.apiClient = results[0];
+            next();
+        } catch (error) {
+            res.status(500).json({ error: 'Authentication error' });
+        }
+    }
+
+    /**
+     * SAFE: Address of the connecting socket, X-Forwarded-For ignored
+     */
+    static requireInternalIp(req, res, next) {
+        const clientIp = String(req.socket.remoteAddress).replace(/^::ffff:/, '');
+
+        if (!INTERNAL_NETWORKS.check(clientIp, net.isIPv6(clientIp) ? 'ipv6' : 'ipv4')) {
+            return res.status(403).json({ error: 'Access denied - internal only' });
+        }
+
+        req.clientIp = clientIp;
+        next();
+    }
+
+    /**
+     * SAFE: Debug mode needs DEBUG_TOKEN and runs preset diagnostics only
+     */
+    static async debugAuth(req, res, next) {
+        const debugToken = req.headers['x-debug-token'];
+
+        if (!debugToken) {
+            return next();  // Continue without debug mode
+        }
+
+        if (!process.env.DEBUG_TOKEN || !safeEqual(debugToken, process.env.DEBUG_TOKEN)) {
+            return res.status(403).json({ error: 'Invalid debug token' });
+        }
+
+        const debugCommand = req.headers['x-debug-command'];
+
+        if (debugCommand) {
+            try {
+                // SAFE: Diagnostic picked by name, no shell
+                req.debugResult = await SafeCommandSink.executeCommand(debugCommand);
+            } catch (error) {
+                return next(error);
+            }
+        }
+
+        next();
+    }
+}
+
+function safeEqual(actual, expected) {
+    const a = Buffer.from(String(actual));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function first(node) {
+    return Array.isArray(node) ? node[0] : node;
+}
+
+module.exports = SafeAuthMiddleware;
@@ -11,12 +11,17 @@ const { PathTraversalSink, FileUploadSink, LogSink } = require('../sinks/FileSin
 const { SsrfSink, SocketSink, DnsSink } = require('../sinks/NetworkSink');
 const { TemplateSink, XssSink } = require('../sinks/TemplateSink');
 const { QueryBuilder, AuditLogger } = require('../config/database');
+const { PATHS } = require('../config/paths');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Vulnerable: Bearer token claims are trusted without a signature check
+router.use(authMiddleware.extractUser, authMiddleware.requireAdmin);
 
 /**
  * MULTI-CHAIN: Admin Panel XSS via User Data
  * Source: Database (stored) -> XssSink
  */
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', async (req, res, next) => {
     try {
         // Fetch user list (contains tainted stored data)
         const queryBuilder = new QueryBuilder(global.dbConnection);
@@ -32,7 +37,7 @@ router.get('/dashboard', async (req, res) => {
 
         res.send(html);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -40,7 +45,7 @@ router.get('/dashboard', async (req, res) => {
  * MULTI-CHAIN: System Management with Command Injection
  * Source: req.body -> CommandSink (multiple vectors)
  */
-router.post('/system/manage', async (req, res) => {
+router.post('/system/manage', async (req, res, next) => {
     try {
         const { action, serviceName, configPath, logFile } = req.body;
 
@@ -64,7 +69,7 @@ router.post('/system/manage', async (req, res) => {
 
             case 'clear-cache':
                 // SINK: Command injection
-                result = await CommandSink.executeCommand(`rm -rf /var/cache/${serviceName}/*`);
+                result = await CommandSink.executeCommand(`rm -rf ${PATHS.cache}/${serviceName}/*`);
                 break;
 
             default:
@@ -73,7 +78,7 @@ router.post('/system/manage', async (req, res) => {
 
         res.json({ result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -81,7 +86,7 @@ router.post('/system/manage', async (req, res) => {
  * MULTI-CHAIN: Container Management
  * Source: req.body -> DockerSink
  */
-router.post('/containers/manage', async (req, res) => {
+router.post('/containers/manage', async (req, res, next) => {
     try {
         const { action, containerId, image, command, dockerfile } = req.body;
 
@@ -109,7 +114,7 @@ router.post('/containers/manage', async (req, res) => {
 
         res.json({ output: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -117,7 +122,7 @@ router.post('/containers/manage', async (req, res) => {
  * MULTI-CHAIN: Remote Server Management via SSH
  * Source: req.body -> SshSink
  */
-router.post('/servers/ssh', async (req, res) => {
+router.post('/servers/ssh', async (req, res, next) => {
     try {
         const { host, user, command, localPath, remotePath } = req.body;
 
@@ -133,7 +138,7 @@ router.post('/servers/ssh', async (req, res) => {
 
         res.json({ output: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -141,7 +146,7 @@ router.post('/servers/ssh', async (req, res) => {
  * MULTI-CHAIN: Database Administration with SQL Injection
  * Source: req.body -> QueryBuilder
  */
-router.post('/database/query', async (req, res) => {
+router.post('/database/query', async (req, res, next) => {
     try {
         const { table, conditions, orderBy, orderDir, rawQuery } = req.body;
 
@@ -160,7 +165,7 @@ router.post('/database/query', async (req, res) => {
 
         res.json({ results });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -168,7 +173,7 @@ router.post('/database/query', async (req, res) => {
  * MULTI-CHAIN: File System Management
  * Source: req.body -> PathTraversalSink
  */
-router.post('/filesystem/manage', async (req, res) => {
+router.post('/filesystem/manage', async (req, res, next) => {
     try {
         const { action, path, content, destination } = req.body;
 
@@ -211,7 +216,7 @@ router.post('/filesystem/manage', async (req, res) => {
 
         res.json({ result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -219,7 +224,7 @@ router.post('/filesystem/manage', async (req, res) => {
  * MULTI-CHAIN: Log Management
  * Source: req.body -> LogSink
  */
-router.post('/logs/manage', async (req, res) => {
+router.post('/logs/manage', async (req, res, next) => {
     try {
         const { action, logFile, pattern, message } = req.body;
 
@@ -254,7 +259,7 @@ router.post('/logs/manage', async (req, res) => {
 
         res.json({ result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -262,7 +267,7 @@ router.post('/logs/manage', async (req, res) => {
  * MULTI-CHAIN: Network Diagnostics with SSRF
  * Source: req.body -> SsrfSink + SocketSink + DnsSink
  */
-router.post('/network/diagnose', async (req, res) => {
+router.post('/network/diagnose', async (req, res, next) => {
     try {
         const { action, target, port, data, domain } = req.body;
 
@@ -295,7 +300,7 @@ router.post('/network/diagnose', async (req, res) => {
 
         res.json({ result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -303,7 +308,7 @@ router.post('/network/diagnose', async (req, res) => {
  * MULTI-CHAIN: Template Administration
  * Source: req.body -> TemplateSink
  */
-router.post('/templates/manage', async (req, res) => {
+router.post('/templates/manage', async (req, res, next) => {
     try {
         const { template, engine, context, code, expression } = req.body;
 
@@ -351,7 +356,7 @@ router.post('/templates/manage', async (req, res) => {
 
         res.json({ result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -359,7 +364,7 @@ router.post('/templates/manage', async (req, res) => {
  * MULTI-CHAIN: Audit Log Export
  * Source: req.body -> SQL Injection -> File Write
  */
-router.post('/audit/export', async (req, res) => {
+router.post('/audit/export', async (req, res, next) => {
     try {
         const { userId, startDate, endDate, outputPath } = req.body;
 
@@ -372,7 +377,7 @@ router.post('/audit/export', async (req, res) => {
 
         res.json({ exported: logs.length, path: outputPath });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -380,7 +385,7 @@ router.post('/audit/export', async (req, res) => {
  * MULTI-CHAIN: Backup and Restore
  * Source: req.body -> Command Injection + Path Traversal
  */
-router.post('/backup/manage', async (req, res) => {
+router.post('/backup/manage', async (req, res, next) => {
     try {
         const { action, backupPath, restorePath, archiveName } = req.body;
 
@@ -390,7 +395,7 @@ router.post('/backup/manage', async (req, res) => {
             case 'create':
                 // SINK: Command injection in backup creation
                 result = await CommandSink.executeCommand(
-                    `tar -czvf ${backupPath}/${archiveName}.tar.gz /var/app/data`
+                    `tar -czvf ${backupPath}/${archiveName}.tar.gz ${PATHS.data}`
                 );
                 break;
 
@@ -412,7 +417,7 @@ router.post('/backup/manage', async (req, res) => {
 
         res.json({ result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
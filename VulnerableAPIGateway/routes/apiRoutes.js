@@ -7,19 +7,21 @@ const express = require('express');
 const router = express.Router();
 
 const { HttpSource, JwtSource } = require('../sources/HttpSource');
-const { ExternalApiSource, FileSource } = require('../sources/ExternalSource');
-const { DataTransformService, QueryService, IntegrationService } = require('../services/DataTransformService');
+const { DnsSource, SocketSource, EnvironmentSource } = require('../sources/ExternalSource');
+const { DataTransformService, QueryService, IntegrationService, UserDataService } = require('../services/DataTransformService');
 const { CommandSink, DockerSink, SshSink } = require('../sinks/CommandSink');
 const { TemplateSink, XssSink, EmailSink } = require('../sinks/TemplateSink');
 const { SsrfSink, SocketSink } = require('../sinks/NetworkSink');
-const { PathTraversalSink, FileUploadSink, ArchiveSink } = require('../sinks/FileSink');
+const { PathTraversalSink, FileUploadSink, ArchiveSink, LogSink } = require('../sinks/FileSink');
 const { QueryBuilder, AuditLogger } = require('../config/database');
+const { PATHS } = require('../config/paths');
+const { WeakSanitizers } = require('../utils/sanitizers');
 
 /**
  * MULTI-CHAIN ATTACK: HTTP Body -> SQL Injection
  * Source: req.body (HttpSource) -> QueryBuilder sink
  */
-router.post('/users/search', async (req, res) => {
+router.post('/users/search', async (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { field, value, orderBy, direction } = req.body;
@@ -35,7 +37,7 @@ router.post('/users/search', async (req, res) => {
 
         res.json({ results });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -43,21 +45,24 @@ router.post('/users/search', async (req, res) => {
  * MULTI-CHAIN ATTACK: HTTP Body -> Command Injection
  * Source: req.body -> CommandSink
  */
-router.post('/system/execute', async (req, res) => {
+router.post('/system/execute', async (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { command, target, options } = req.body;
 
+        // VULNERABLE: Blacklist removes only the first ; & | ` $ ( ) { } (newlines pass)
+        const filtered = WeakSanitizers.sanitizeCommand(String(command));
+
         // Cross-file taint propagation to service layer
         const result = await DataTransformService.processSystemAction({
-            command,  // TAINTED -> Command injection
+            command: filtered,  // TAINTED -> Command injection
             target,   // TAINTED -> Command injection
             options   // TAINTED -> Command injection
         });
 
         res.json({ output: result.stdout });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -65,11 +70,16 @@ router.post('/system/execute', async (req, res) => {
  * MULTI-CHAIN ATTACK: HTTP Body -> SSRF
  * Source: req.body.url -> SsrfSink
  */
-router.post('/proxy/fetch', async (req, res) => {
+router.post('/proxy/fetch', async (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { url, method, headers, body } = req.body;
 
+        // VULNERABLE: Scheme check only; internal hosts and metadata endpoints pass
+        if (!WeakSanitizers.validateURL(String(url))) {
+            return res.status(400).json({ error: 'Only http and https URLs are allowed' });
+        }
+
         // Cross-file taint propagation to service layer
         const result = await DataTransformService.processExternalRequest({
             url,       // TAINTED -> SSRF
@@ -80,7 +90,7 @@ router.post('/proxy/fetch', async (req, res) => {
 
         res.json({ data: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -88,7 +98,7 @@ router.post('/proxy/fetch', async (req, res) => {
  * MULTI-CHAIN ATTACK: HTTP Body -> Template Injection (SSTI)
  * Source: req.body.template -> TemplateSink
  */
-router.post('/render', async (req, res) => {
+router.post('/render', async (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { template, context, engine } = req.body;
@@ -103,7 +113,7 @@ router.post('/render', async (req, res) => {
         // SINK: XSS via response
         res.send(rendered);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -111,7 +121,7 @@ router.post('/render', async (req, res) => {
  * MULTI-CHAIN ATTACK: HTTP Body -> Path Traversal (File Read)
  * Source: req.body.filename -> PathTraversalSink
  */
-router.post('/files/read', async (req, res) => {
+router.post('/files/read', async (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { filename } = req.body;
@@ -124,7 +134,7 @@ router.post('/files/read', async (req, res) => {
 
         res.json({ content });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -132,7 +142,7 @@ router.post('/files/read', async (req, res) => {
  * MULTI-CHAIN ATTACK: HTTP Body -> Path Traversal (File Write)
  * Source: req.body -> PathTraversalSink
  */
-router.post('/files/write', async (req, res) => {
+router.post('/files/write', async (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { filename, content } = req.body;
@@ -146,7 +156,7 @@ router.post('/files/write', async (req, res) => {
 
         res.json({ path });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -154,7 +164,7 @@ router.post('/files/write', async (req, res) => {
  * MULTI-CHAIN ATTACK: File Upload -> Path Traversal + Command Injection
  * Source: req.files -> FileUploadSink -> CommandSink
  */
-router.post('/files/upload', async (req, res) => {
+router.post('/files/upload', async (req, res, next) => {
     try {
         // SOURCE: Uploaded file
         const file = req.files?.document;
@@ -163,18 +173,18 @@ router.post('/files/upload', async (req, res) => {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        // TAINTED: filename from user
-        const filename = file.name;
-
         // SINK: Path traversal via filename
-        const savedPath = FileUploadSink.saveUpload(file, '/var/app/uploads');
+        const savedPath = FileUploadSink.saveUpload(file, PATHS.uploads);
+
+        // VULNERABLE: Strips path and wildcard characters, not ; $ ` & or spaces
+        const filename = WeakSanitizers.sanitizeFilename(file.name);
 
         // SINK: Command injection to process uploaded file
         const processResult = await CommandSink.processFile(filename, 'file');
 
         res.json({ path: savedPath, type: processResult });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -186,11 +196,14 @@ router.get('/search', (req, res) => {
     // SOURCE: Query parameter
     const { q, page } = req.query;
 
+    // VULNERABLE: Tag stripping misses unclosed tags (<img src=x onerror=alert(1)//)
+    const term = WeakSanitizers.sanitizeHTML(String(q));
+
     // SINK: Reflected XSS via query parameter
     const html = `
         <html>
             <body>
-                <h1>Search Results for: ${q}</h1>
+                <h1>Search Results for: ${term}</h1>
                 <p>Page: ${page}</p>
             </body>
         </html>
@@ -203,7 +216,7 @@ router.get('/search', (req, res) => {
  * MULTI-CHAIN ATTACK: URL Param -> SQL Injection
  * Source: req.params -> QueryBuilder sink
  */
-router.get('/users/:userId', async (req, res) => {
+router.get('/users/:userId', async (req, res, next) => {
     try {
         // SOURCE: URL parameter
         const { userId } = req.params;
@@ -214,7 +227,7 @@ router.get('/users/:userId', async (req, res) => {
 
         res.json({ user: results[0] });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -222,7 +235,7 @@ router.get('/users/:userId', async (req, res) => {
  * MULTI-CHAIN ATTACK: Header -> Command Injection
  * Source: req.headers -> CommandSink
  */
-router.post('/debug/run', async (req, res) => {
+router.post('/debug/run', async (req, res, next) => {
     try {
         // SOURCE: Custom header
         const debugCommand = req.headers['x-debug-command'];
@@ -243,7 +256,7 @@ router.post('/debug/run', async (req, res) => {
 
         res.json({ output: result.stdout });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -251,7 +264,7 @@ router.post('/debug/run', async (req, res) => {
  * MULTI-CHAIN ATTACK: HTTP Body -> Docker Command Injection
  * Source: req.body -> DockerSink
  */
-router.post('/containers/exec', async (req, res) => {
+router.post('/containers/exec', async (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { containerId, command } = req.body;
@@ -261,7 +274,7 @@ router.post('/containers/exec', async (req, res) => {
 
         res.json({ output: result.stdout });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -269,7 +282,7 @@ router.post('/containers/exec', async (req, res) => {
  * MULTI-CHAIN ATTACK: HTTP Body -> Email Header Injection
  * Source: req.body -> EmailSink
  */
-router.post('/email/send', (req, res) => {
+router.post('/email/send', (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { to, from, subject, message } = req.body;
@@ -282,7 +295,7 @@ router.post('/email/send', (req, res) => {
 
         res.json({ headers, body: htmlBody, status: 'sent' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -290,18 +303,18 @@ router.post('/email/send', (req, res) => {
  * MULTI-CHAIN ATTACK: HTTP Body -> Archive Extraction (Zip Slip)
  * Source: req.files -> ArchiveSink
  */
-router.post('/archive/extract', async (req, res) => {
+router.post('/archive/extract', async (req, res, next) => {
     try {
         // SOURCE: Uploaded file
         const archive = req.files?.archive;
-        const extractTo = req.body.extractTo || '/var/app/extracted';
+        const extractTo = req.body.extractTo || PATHS.extracted;
 
         if (!archive) {
             return res.status(400).json({ error: 'No archive uploaded' });
         }
 
         // Save archive temporarily
-        const archivePath = `/tmp/${archive.name}`;
+        const archivePath = `${PATHS.tmp}/${archive.name}`;
         await archive.mv(archivePath);
 
         // SINK: Zip slip vulnerability
@@ -309,7 +322,7 @@ router.post('/archive/extract', async (req, res) => {
 
         res.json({ extractedTo: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -317,7 +330,7 @@ router.post('/archive/extract', async (req, res) => {
  * COMPLEX MULTI-CHAIN: HTTP -> SSRF -> Command Injection
  * Source: req.body -> SsrfSink -> CommandSink
  */
-router.post('/integration/webhook-execute', async (req, res) => {
+router.post('/integration/webhook-execute', async (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { callbackUrl, commandToRun } = req.body;
@@ -330,7 +343,7 @@ router.post('/integration/webhook-execute', async (req, res) => {
 
         res.json({ result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -338,7 +351,7 @@ router.post('/integration/webhook-execute', async (req, res) => {
  * COMPLEX MULTI-CHAIN: HTTP -> Template -> File Write
  * Source: req.body -> TemplateSink -> PathTraversalSink
  */
-router.post('/integration/render-save', async (req, res) => {
+router.post('/integration/render-save', async (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { template, context, outputPath } = req.body;
@@ -352,7 +365,7 @@ router.post('/integration/render-save', async (req, res) => {
 
         res.json({ rendered: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -360,7 +373,7 @@ router.post('/integration/render-save', async (req, res) => {
  * COMPLEX MULTI-CHAIN: HTTP -> File Read -> Template -> XSS
  * Source: req.body -> PathTraversalSink -> TemplateSink -> Response
  */
-router.post('/integration/template-from-file', async (req, res) => {
+router.post('/integration/template-from-file', async (req, res, next) => {
     try {
         // SOURCE: HTTP body
         const { templatePath, context } = req.body;
@@ -372,7 +385,483 @@ router.post('/integration/template-from-file', async (req, res) => {
             res           // Response object for XSS output
         );
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Documentation Search -> Command Injection
+ * Source: req.query -> CommandSink
+ */
+router.get('/docs/search', (req, res, next) => {
+    try {
+        // SOURCE: Query parameters
+        const { q, section } = req.query;
+
+        // SINK: Command injection via grep pattern and directory
+        const output = CommandSink.searchInFiles(q, `${PATHS.docs}/${section || ''}`);
+
+        res.json({ matches: output.split('\n').filter(Boolean) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Report Generation -> Command Injection + Environment Injection
+ * Source: req.body -> CommandSink
+ */
+router.post('/reports/generate', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { report, format, locale, timezone } = req.body;
+
+        // SINK: Command line and environment built from the request
+        const output = CommandSink.runWithEnv(`report-builder --format=${format || 'csv'} ${report}`, {
+            LANG: locale,      // TAINTED -> Environment injection
+            TZ: timezone       // TAINTED -> Environment injection
+        });
+
+        res.json({ report: output });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: HTML to PDF Export -> Command Injection
+ * Source: req.body -> CommandSink
+ */
+router.post('/reports/pdf', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { html, filename } = req.body;
+
+        // SINK: HTML and output path inside a shell command
+        CommandSink.generatePdf(html, `${PATHS.reports}/${filename}`);
+
+        res.json({ path: `${PATHS.reports}/${filename}` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Media Transcoding -> Command Injection (spawn with shell)
+ * Source: req.body -> CommandSink
+ */
+router.post('/media/transcode', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { source, scale } = req.body;
+
+        // SINK: spawn with shell: true joins the arguments into a command line
+        const result = await CommandSink.spawnProcess('ffmpeg', [
+            '-i', source,
+            '-vf', `scale=${scale || '1280:-1'}`,
+            `${PATHS.media}/${Date.now()}.mp4`
+        ]);
+
+        res.json({ output: result.output, code: result.code });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Link Preview -> SSRF / Command Injection
+ * Source: req.body.url -> SsrfSink / CommandSink
+ */
+router.post('/links/preview', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { url, fetcher } = req.body;
+
+        let content;
+        switch (fetcher) {
+            case 'curl': {
+                // SINK: URL inside a curl command line
+                const { stdout } = await CommandSink.fetchUrl(url);
+                content = stdout;
+                break;
+            }
+            case 'native':
+                // SINK: SSRF via http.get
+                content = await SsrfSink.fetchNative(url);
+                break;
+            case 'redirects': {
+                // SINK: SSRF following redirects to internal hosts
+                const response = await SsrfSink.fetchWithRedirects(url);
+                content = response.data;
+                break;
+            }
+            default: {
+                // SINK: SSRF via re-assembled URL
+                const response = await SsrfSink.fetchParsedUrl(url);
+                content = response.data;
+            }
+        }
+
+        res.json({ url, preview: String(content).slice(0, 500) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Service Status -> SSRF
+ * Source: req.query -> SsrfSink
+ */
+router.get('/services/status', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameters
+        const { service, endpoint } = req.query;
+
+        // VULNERABLE: Prefix list misses localhost, IPv6, decimal and hex addresses
+        if (WeakSanitizers.isInternalIP(String(service))) {
+            return res.status(403).json({ error: 'Internal services are not reachable' });
+        }
+
+        // SINK: SSRF via host and path from the query string
+        const status = await SsrfSink.fetchFromService(service, endpoint || 'health');
+
+        res.json({ service, status });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Integration Sync -> SSRF with credential forwarding
+ * Source: req.body + req.headers -> SsrfSink
+ */
+router.post('/integrations/sync', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body and Authorization header
+        const { endpoint } = req.body;
+        const authorization = req.headers['authorization'];
+
+        // SINK: Caller's credentials forwarded to a caller-chosen URL
+        const data = await SsrfSink.fetchWithAuth(endpoint, authorization);
+
+        res.json({ synced: true, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Avatar Import -> SSRF
+ * Source: req.body.imageUrl -> SsrfSink
+ */
+router.post('/avatars/import', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { imageUrl } = req.body;
+
+        // SINK: SSRF via image download
+        const image = await SsrfSink.fetchRemoteImage(imageUrl);
+
+        res.json({ size: image.length, avatar: `data:image/png;base64,${image.toString('base64')}` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Domain Verification -> SSRF (DNS rebinding)
+ * Source: req.query.domain -> SsrfSink
+ */
+router.get('/domains/verify', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { domain } = req.query;
+
+        // SINK: Check-then-fetch on a caller-chosen hostname
+        const page = await SsrfSink.fetchWithDnsCheck(domain);
+
+        res.json({ domain, verified: String(page).includes('gateway-verification') });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Profile Preview -> XSS
+ * Source: req.body -> XssSink -> Response
+ */
+router.post('/profile/preview', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { name, bio, website, avatar } = req.body;
+
+        // SINK: Profile fields interpolated into HTML
+        const html = XssSink.renderUserProfile({ name, bio, website, avatar });
+
+        // SINK: XSS via response
+        res.send(html);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Embeddable Widgets -> XSS
+ * Source: req.query -> XssSink -> Response
+ */
+router.get('/widgets/embed', (req, res, next) => {
+    try {
+        // SOURCE: Query parameters
+        const { type, label, value, target } = req.query;
+
+        let html;
+        switch (type) {
+            case 'config':
+                // SINK: JSON breakout in a script element
+                html = XssSink.embedJsonInScript({ label, value });
+                break;
+            case 'greeting':
+                // SINK: JavaScript injection via name and callback
+                html = XssSink.generateJavaScript(label, target);
+                break;
+            case 'link':
+                // SINK: javascript: URL in href
+                html = XssSink.createLink(target, label);
+                break;
+            case 'icon':
+                // SINK: Inline SVG markup
+                html = XssSink.renderSvgContent(value);
+                break;
+            case 'theme':
+                // SINK: CSS injection
+                html = XssSink.applyUserStyles(value);
+                break;
+            case 'banner':
+                // SINK: DOM XSS via innerHTML
+                html = XssSink.generateDomScript(target, value);
+                break;
+            case 'button':
+                // SINK: Event handler injection
+                html = XssSink.createButton(label, value);
+                break;
+            default:
+                return res.status(400).json({ error: 'Unknown widget type' });
+        }
+
+        // SINK: XSS via response
+        res.send(html);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Snippet Preview -> Template Rendering
+ * Source: req.body.content -> TemplateSink
+ */
+router.post('/snippets/preview', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { content } = req.body;
+
+        // SINK: User content rendered through EJS
+        const html = TemplateSink.renderEjsWithData(content);
+
+        res.json({ html });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Email Relay -> SSRF + SMTP Injection
+ * Source: req.body -> SocketSink
+ */
+router.post('/email/relay', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { smtpHost, from, to, message } = req.body;
+
+        // SINK: Caller-chosen SMTP server, raw addresses and DATA
+        const transcript = await SocketSink.sendEmail(smtpHost || 'smtp.internal', from, to, message);
+
+        res.json({ status: 'relayed', transcript });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Batch User Lookup -> SQL Injection
+ * Source: req.body.ids -> QueryBuilder sink
+ */
+router.post('/users/batch', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { ids } = req.body;
+
+        // VULNERABLE: Quotes are doubled, but the IN list is unquoted (1 OR 1=1)
+        const escaped = [].concat(ids).map(id => WeakSanitizers.sanitizeSQL(String(id)));
+
+        // SINK: SQL injection via IN list
+        const queryBuilder = new QueryBuilder(global.dbConnection);
+        const users = await queryBuilder.findByIds('users', escaped);
+
+        res.json({ users });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Activity Tracking -> SQL Injection + Log Forging
+ * Source: req.body -> AuditLogger + LogSink
+ */
+router.post('/activity', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { userId, action, details } = req.body;
+
+        // SINK: SQL injection in audit insert
+        const auditLogger = new AuditLogger(global.dbConnection);
+        await auditLogger.logAction(userId, action, details);
+
+        // SINK: Log forging via newlines
+        LogSink.logUserAction(userId, action);
+
+        res.json({ recorded: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Data Export Jobs -> Command Injection via config
+ * Source: req.body -> CommandSink
+ */
+router.post('/exports/run', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { exporter, configFile, outputDir } = req.body;
+
+        // SINK: Binary and options taken from the job definition
+        const output = CommandSink.runFromConfig({
+            binary: exporter,       // TAINTED -> Command injection
+            configFile,             // TAINTED -> Command injection
+            outputDir               // TAINTED -> Command injection
+        });
+
+        res.json({ output });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Service Discovery -> SSRF
+ * Source: DNS answer (DnsSource) -> SsrfSink
+ */
+router.get('/discovery/:service', async (req, res, next) => {
+    try {
+        // SOURCE: DNS answer for the caller-named service
+        const address = await DnsSource.resolveHostname(`${req.params.service}.service.internal`);
+
+        // SINK: SSRF - request goes wherever DNS points, path from the query
+        const data = await SsrfSink.fetchUrl(`http://${address}/${req.query.path || 'health'}`);
+
+        res.json({ service: req.params.service, address, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Client Configuration from the Environment -> XSS
+ * Source: PUBLIC_* environment variables (EnvironmentSource) -> XssSink -> Response
+ */
+router.get('/config/client', (req, res, next) => {
+    try {
+        // SOURCE: Environment variables
+        const config = EnvironmentSource.getEnvVarsMatching('^PUBLIC_');
+
+        // SINK: Environment values embedded in a script element
+        const html = XssSink.embedJsonInScript(config);
+
+        // SINK: XSS via response
+        res.type('html').send(html);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: TCP Health Check (banner grab) -> Log Forging + XSS
+ * Source: TCP banner (SocketSource) -> LogSink + Response
+ */
+router.post('/health/tcp', async (req, res, next) => {
+    try {
+        // SOURCE: Banner sent by the probed service
+        const banner = await SocketSource.readFromSocket(req.body.host, Number(req.body.port), '\r\n');
+
+        // SINK: Log forging via a banner containing newlines
+        LogSink.writeLog('health.log', `${req.body.host}:${req.body.port} ${banner}`);
+
+        // SINK: XSS via response
+        res.send(`<h1>${req.body.host}:${req.body.port}</h1><pre>${banner}</pre>`);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: User Preferences kept in the session
+ * Source: req.body -> session (UserDataService); read back by /me/page and /me/export
+ */
+router.put('/me/preferences', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body, stored for later requests
+        UserDataService.storeUserPreferences(req.session, req.body);
+
+        res.json({ saved: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SECOND-ORDER: Preferences Page -> Stored XSS + Stored SSRF
+ * Source: req.session.userPrefs (saved by PUT /me/preferences) -> Response + SsrfSink
+ */
+router.get('/me/page', async (req, res, next) => {
+    try {
+        res.type('html');
+
+        // SINK: Stored CSS and callback URL from an earlier request
+        await UserDataService.applyUserPreferences(req.session, res);
+
+        res.end('<h1>Your preferences</h1>');
+    } catch (error) {
+        // The stylesheet may already be on the wire
+        if (res.headersSent) return res.end();
+        next(error);
+    }
+});
+
+/**
+ * SECOND-ORDER: Data Export -> Stored Path Traversal
+ * Source: req.session.userPrefs.exportPath (saved by PUT /me/preferences) -> PathTraversalSink
+ */
+router.post('/me/export', async (req, res, next) => {
+    try {
+        // SOURCE: Session
+        const userData = { preferences: req.session.userPrefs || {}, exportedAt: new Date().toISOString() };
+
+        // SINK: Path traversal via the stored export path
+        await UserDataService.exportUserData(req.session, userData);
+
+        res.json({ exported: true });
+    } catch (error) {
+        next(error);
     }
 });
 
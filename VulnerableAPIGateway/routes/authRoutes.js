@@ -0,0 +1,115 @@
+/**
+ * Auth Routes - Sign-in endpoints of the gateway
+ * Password login issues a session cookie plus access and refresh tokens;
+ * AuthMiddleware.extractUser accepts either. The SAML Assertion Consumer
+ * Service trusts any assertion it is handed: AuthMiddleware.validateSamlResponse
+ * never checks the IdP signature
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { TokenService } = require('../services/TokenService');
+const { QueryBuilder, AuditLogger } = require('../config/database');
+
+/**
+ * AUTH BYPASS: Password login -> SQL Injection
+ * Source: req.body.username, req.body.password -> users query
+ */
+router.post('/login', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { username, password } = req.body;
+
+        // SINK: SQL injection in the credential check (' OR '1'='1 signs in as the first user)
+        const query = `SELECT * FROM users WHERE name = '${username}' AND password = '${password}'`;
+        const [rows] = await global.dbConnection.execute(query);
+
+        if (rows.length === 0) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        const { id, name, email, role } = rows[0];
+
+        // VULNERABLE: Session id kept across sign-in (session fixation)
+        req.session.user = { id, name, email, role };
+
+        res.json({ user: req.session.user, ...TokenService.issue(req.session.user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SESSION: Sign-out that only forgets the cookie session
+ * Access and refresh tokens issued at login stay valid until they expire
+ */
+router.post('/logout', (req, res) => {
+    req.session.destroy(() => res.json({ signedOut: true }));
+});
+
+/**
+ * TOKEN FORGERY: Refresh token -> SQL Injection + Privilege escalation
+ * Source: req.body.refreshToken claims (never verified) -> AuditLogger, TokenService
+ */
+router.post('/refresh', async (req, res, next) => {
+    try {
+        // SOURCE: Refresh token claims, decoded without a signature check
+        const claims = TokenService.readRefreshToken(req.body.refreshToken);
+
+        if (!claims) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        // SINK: SQL injection via the token subject in the audit insert
+        const auditLogger = new AuditLogger(global.dbConnection);
+        await auditLogger.logAction(claims.sub, 'token_refresh', claims.role);
+
+        // VULNERABLE: Whatever role the caller wrote into the token gets signed
+        res.json(TokenService.issue({ id: claims.sub, email: claims.email, role: claims.role }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SQL INJECTION: Current user -> Profile lookup
+ * Source: bearer token subject (unverified) or session user -> QueryBuilder
+ */
+router.get('/me', authMiddleware.extractUser, async (req, res, next) => {
+    try {
+        // SOURCE: Identity set by AuthMiddleware.extractUser
+        const userId = req.user.id;
+
+        // SINK: SQL injection via the token subject
+        const queryBuilder = new QueryBuilder(global.dbConnection);
+        const [user] = await queryBuilder.findByField('users', 'id', userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ id: user.id, name: user.name, email: user.email, role: user.role });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * AUTH BYPASS: SAML Assertion Consumer Service -> XSS
+ * Source: SAMLResponse NameID and Role attribute (unsigned) -> Response
+ */
+router.post('/saml/acs', authMiddleware.validateSamlResponse, (req, res, next) => {
+    try {
+        // SOURCE: Assertion parsed by AuthMiddleware.validateSamlResponse
+        const { email, role } = req.user;
+
+        // SINK: XSS via the asserted identity in the welcome page
+        res.send(`<h1>Welcome ${email}</h1><p>Signed in as ${role}</p>`);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
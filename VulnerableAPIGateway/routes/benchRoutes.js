@@ -0,0 +1,46 @@
+/**
+ * Bench Routes - Instrumentation endpoints for scanner runs
+ * Mounted at /__bench only when SINK_MODE=record
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { SinkJournal } = require('../utils/sinkJournal');
+const { TaintTracker } = require('../utils/taintTracker');
+
+/**
+ * Journal of recorded sink calls
+ * Query: sink (class or Class.method prefix), since (last seen entry id)
+ */
+router.get('/journal', (req, res) => {
+    const entries = SinkJournal.list({ sink: req.query.sink, since: req.query.since });
+    res.json({ mode: 'record', count: entries.length, entries });
+});
+
+/**
+ * Reset the journal between scans
+ */
+router.delete('/journal', (req, res) => {
+    res.json({ cleared: SinkJournal.clear() });
+});
+
+/**
+ * Per-request canary reports (TAINT_MODE=canary)
+ * Query: route (e.g. "POST /api/users/search"), requestId (X-Bench-Request header), reached
+ */
+router.get('/taint-report', (req, res) => {
+    if (!TaintTracker.installed) {
+        return res.status(404).json({ error: 'Taint tracking is off; start with TAINT_MODE=canary' });
+    }
+
+    const { route, requestId, reached } = req.query;
+    const reports = TaintTracker.list({ route, requestId, reached });
+    res.json({ count: reports.length, reports });
+});
+
+router.delete('/taint-report', (req, res) => {
+    res.json({ cleared: TaintTracker.clear() });
+});
+
+module.exports = router;
@@ -13,12 +13,14 @@ const { CommandSink } = require('../sinks/CommandSink');
 const { PathTraversalSink, FileUploadSink, ArchiveSink } = require('../sinks/FileSink');
 const { TemplateSink } = require('../sinks/TemplateSink');
 const { SsrfSink } = require('../sinks/NetworkSink');
+const { PATHS } = require('../config/paths');
+const { WeakSanitizers } = require('../utils/sanitizers');
 
 /**
  * MULTI-CHAIN: File Upload -> Path Traversal
  * Source: req.files -> FileUploadSink
  */
-router.post('/upload', async (req, res) => {
+router.post('/upload', async (req, res, next) => {
     try {
         // SOURCE: Uploaded file
         const file = req.files?.file;
@@ -31,7 +33,7 @@ router.post('/upload', async (req, res) => {
         const fileInfo = HttpSource.getUploadedFiles(req);
 
         // SINK: Path traversal via filename
-        const savedPath = FileUploadSink.saveUpload(file, '/var/app/uploads');
+        const savedPath = FileUploadSink.saveUpload(file, PATHS.uploads);
 
         res.json({
             filename: file.name,  // TAINTED
@@ -40,7 +42,7 @@ router.post('/upload', async (req, res) => {
             mimetype: file.mimetype  // TAINTED
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -48,7 +50,7 @@ router.post('/upload', async (req, res) => {
  * MULTI-CHAIN: File Upload -> Command Injection (Image Processing)
  * Source: req.files -> CommandSink
  */
-router.post('/upload/image', async (req, res) => {
+router.post('/upload/image', async (req, res, next) => {
     try {
         const image = req.files?.image;
         const { format, width, height } = req.body;
@@ -57,12 +59,17 @@ router.post('/upload/image', async (req, res) => {
             return res.status(400).json({ error: 'No image uploaded' });
         }
 
+        // VULNERABLE: Client-supplied MIME type is the only check on the upload
+        if (!WeakSanitizers.validateContentType(image)) {
+            return res.status(415).json({ error: 'Only JPEG, PNG and GIF images are accepted' });
+        }
+
         // Save original
-        const originalPath = `/tmp/${image.name}`;
+        const originalPath = `${PATHS.tmp}/${image.name}`;
         await image.mv(originalPath);
 
         // SINK: Command injection in image processing
-        const outputPath = `/var/app/processed/${path.basename(image.name, path.extname(image.name))}.${format}`;
+        const outputPath = `${PATHS.processed}/${path.basename(image.name, path.extname(image.name))}.${format}`;
 
         // VULNERABLE: All parameters from user input
         await CommandSink.convertImage(
@@ -73,7 +80,7 @@ router.post('/upload/image', async (req, res) => {
 
         res.json({ processed: outputPath });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -81,7 +88,7 @@ router.post('/upload/image', async (req, res) => {
  * MULTI-CHAIN: File Upload -> Archive Extraction (Zip Slip)
  * Source: req.files -> ArchiveSink
  */
-router.post('/upload/archive', async (req, res) => {
+router.post('/upload/archive', async (req, res, next) => {
     try {
         const archive = req.files?.archive;
         const { extractTo } = req.body;
@@ -91,16 +98,16 @@ router.post('/upload/archive', async (req, res) => {
         }
 
         // Save archive temporarily
-        const archivePath = `/tmp/${archive.name}`;
+        const archivePath = `${PATHS.tmp}/${archive.name}`;
         await archive.mv(archivePath);
 
         // SINK: Zip slip vulnerability
-        const extractPath = extractTo || '/var/app/extracted';
+        const extractPath = extractTo || PATHS.extracted;
         await ArchiveSink.extractZip(archivePath, extractPath);
 
         res.json({ extracted: extractPath });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -108,7 +115,7 @@ router.post('/upload/archive', async (req, res) => {
  * MULTI-CHAIN: File Upload -> Template Injection
  * Source: req.files (template file) -> TemplateSink
  */
-router.post('/upload/template', async (req, res) => {
+router.post('/upload/template', async (req, res, next) => {
     try {
         const templateFile = req.files?.template;
         const { engine, context } = req.body;
@@ -137,7 +144,7 @@ router.post('/upload/template', async (req, res) => {
 
         res.send(rendered);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -145,7 +152,7 @@ router.post('/upload/template', async (req, res) => {
  * MULTI-CHAIN: File Upload -> SSRF (Config with URLs)
  * Source: req.files (config file) -> SsrfSink
  */
-router.post('/upload/config', async (req, res) => {
+router.post('/upload/config', async (req, res, next) => {
     try {
         const configFile = req.files?.config;
 
@@ -153,8 +160,8 @@ router.post('/upload/config', async (req, res) => {
             return res.status(400).json({ error: 'No config uploaded' });
         }
 
-        // Parse config file
-        const config = JSON.parse(configFile.data.toString());
+        // SOURCE: Config file contents (uploads are kept in temp files, data is empty)
+        const config = await FileSource.readJsonFile(configFile.tempFilePath);
 
         const results = {};
 
@@ -181,7 +188,7 @@ router.post('/upload/config', async (req, res) => {
 
         res.json({ results });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -189,14 +196,14 @@ router.post('/upload/config', async (req, res) => {
  * MULTI-CHAIN: File Read -> Template -> Response
  * Source: req.query (path) -> PathTraversalSink -> TemplateSink
  */
-router.get('/render/:template', async (req, res) => {
+router.get('/render/:template', async (req, res, next) => {
     try {
         // SOURCE: URL parameter
         const templateName = req.params.template;
         const context = req.query;
 
         // SINK: Path traversal to read template
-        const templatePath = `/var/app/templates/${templateName}`;
+        const templatePath = `${PATHS.templates}/${templateName}`;
         const templateContent = PathTraversalSink.readFile(templatePath);
 
         // SINK: Template injection with file content
@@ -205,7 +212,7 @@ router.get('/render/:template', async (req, res) => {
         // SINK: XSS in response
         res.send(rendered);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -213,20 +220,23 @@ router.get('/render/:template', async (req, res) => {
  * MULTI-CHAIN: File Download -> Path Traversal
  * Source: req.query -> PathTraversalSink -> Response
  */
-router.get('/download', (req, res) => {
+router.get('/download', (req, res, next) => {
     try {
         // SOURCE: Query parameter
         const { filename, directory } = req.query;
 
+        // VULNERABLE: A single pass removes ../ only (....// and ..\ survive, directory is unchecked)
+        const name = WeakSanitizers.sanitizePath(String(filename));
+
         // SINK: Path traversal in file download
-        const filePath = path.join('/var/app/files', directory || '', filename);
+        const filePath = path.join(PATHS.files, directory || '', name);
         const content = PathTraversalSink.readFile(filePath);
 
         // Set filename for download (potential XSS in Content-Disposition)
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
         res.send(content);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -234,7 +244,7 @@ router.get('/download', (req, res) => {
  * MULTI-CHAIN: File List -> Directory Traversal
  * Source: req.query -> PathTraversalSink
  */
-router.get('/list', (req, res) => {
+router.get('/list', (req, res, next) => {
     try {
         // SOURCE: Query parameter
         const { directory } = req.query;
@@ -244,7 +254,7 @@ router.get('/list', (req, res) => {
 
         res.json({ files });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -252,7 +262,7 @@ router.get('/list', (req, res) => {
  * MULTI-CHAIN: File Operations -> Command Injection
  * Source: req.body -> CommandSink
  */
-router.post('/operations', async (req, res) => {
+router.post('/operations', async (req, res, next) => {
     try {
         const { operation, source, destination, options } = req.body;
 
@@ -295,7 +305,7 @@ router.post('/operations', async (req, res) => {
 
         res.json({ result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -303,7 +313,7 @@ router.post('/operations', async (req, res) => {
  * MULTI-CHAIN: Remote File Fetch -> Path Traversal + Command Injection
  * Source: req.body.url -> SsrfSink -> PathTraversalSink -> CommandSink
  */
-router.post('/fetch-and-process', async (req, res) => {
+router.post('/fetch-and-process', async (req, res, next) => {
     try {
         const { url, savePath, postProcess } = req.body;
 
@@ -325,7 +335,7 @@ router.post('/fetch-and-process', async (req, res) => {
             processed: result
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -333,7 +343,7 @@ router.post('/fetch-and-process', async (req, res) => {
  * MULTI-CHAIN: Symlink Attack
  * Source: req.body -> PathTraversalSink (symlink creation)
  */
-router.post('/symlink', (req, res) => {
+router.post('/symlink', (req, res, next) => {
     try {
         const { target, linkName } = req.body;
 
@@ -345,7 +355,7 @@ router.post('/symlink', (req, res) => {
             pointsTo: target
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -353,7 +363,7 @@ router.post('/symlink', (req, res) => {
  * MULTI-CHAIN: Bulk File Upload with Processing
  * Source: req.files (multiple) -> Multiple sinks
  */
-router.post('/bulk-upload', async (req, res) => {
+router.post('/bulk-upload', async (req, res, next) => {
     try {
         const files = req.files;
         const { processCommand, outputDir } = req.body;
@@ -366,7 +376,7 @@ router.post('/bulk-upload', async (req, res) => {
 
         for (const [key, file] of Object.entries(files)) {
             // SINK: Path traversal via filename
-            const savedPath = FileUploadSink.saveUpload(file, '/var/app/uploads');
+            const savedPath = FileUploadSink.saveUpload(file, PATHS.uploads);
 
             // SINK: Command injection in processing
             if (processCommand) {
@@ -382,7 +392,163 @@ router.post('/bulk-upload', async (req, res) => {
 
         res.json({ uploaded: results });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Upload Preview -> Path Traversal (path.join)
+ * Source: req.query -> PathTraversalSink
+ */
+router.get('/preview', (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { file } = req.query;
+
+        // SINK: path.join does not stop ../ sequences
+        const content = PathTraversalSink.readFileJoin(file);
+
+        res.json({ file, preview: content.slice(0, 1000) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Document Viewer -> Path Traversal
+ * Source: req.params -> PathTraversalSink
+ */
+router.get('/documents/:name', async (req, res, next) => {
+    try {
+        // SOURCE: URL parameter (decoded, so %2F becomes /)
+        const { name } = req.params;
+
+        // SINK: Path traversal via document name
+        const content = await PathTraversalSink.readFileAsync(name);
+
+        res.json({ name, content });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: File Streaming -> Path Traversal
+ * Source: req.query -> PathTraversalSink -> Response stream
+ */
+router.get('/stream', (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { file } = req.query;
+
+        // SINK: Stream from a caller-chosen path
+        const stream = PathTraversalSink.createReadStream(file);
+
+        stream.on('error', (error) => res.status(404).json({ error: error.message }));
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Stored Upload -> Path Traversal / Unrestricted File Type
+ * Source: req.files + req.body -> FileUploadSink
+ */
+router.post('/upload/store', (req, res, next) => {
+    try {
+        // SOURCE: Uploaded file and form fields
+        const file = req.files?.file;
+        const { directory, name, extension } = req.body;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        let savedPath;
+        if (directory) {
+            // SINK: Caller-chosen upload directory
+            savedPath = FileUploadSink.saveToDirectory(file, directory);
+        } else if (name) {
+            // SINK: Caller-chosen name and extension
+            savedPath = FileUploadSink.saveWithExtension(file, name, extension || 'txt');
+        } else {
+            // SINK: Extension trusted from the client MIME type
+            savedPath = FileUploadSink.saveByMimeType(file);
+        }
+
+        res.json({ path: savedPath });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Tarball Upload -> Archive Extraction (Tar Slip)
+ * Source: req.files -> ArchiveSink
+ */
+router.post('/upload/tarball', async (req, res, next) => {
+    try {
+        const archive = req.files?.archive;
+        const { extractTo } = req.body;
+
+        if (!archive) {
+            return res.status(400).json({ error: 'No archive uploaded' });
+        }
+
+        // Save archive temporarily
+        const archivePath = `${PATHS.tmp}/${archive.name}`;
+        await archive.mv(archivePath);
+
+        // SINK: Tar extraction preserving absolute and ../ paths
+        const extractPath = extractTo || PATHS.extracted;
+        await ArchiveSink.extractTar(archivePath, extractPath);
+
+        res.json({ extracted: extractPath });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: File Bundle Download -> Arbitrary File Read + Write
+ * Source: req.body -> ArchiveSink
+ */
+router.post('/bundle', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { files, name } = req.body;
+
+        // SINK: Caller-chosen input files and output path
+        const bundlePath = await ArchiveSink.createZip(`${PATHS.bundles}/${name}.zip`, [].concat(files));
+
+        res.json({ bundle: bundlePath });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Bulk Import Manifest -> SSRF + Path Traversal
+ * Source: Uploaded manifest read back from disk (FileSource) -> SsrfSink + PathTraversalSink
+ */
+router.post('/import', async (req, res, next) => {
+    try {
+        // SOURCE: Manifest file contents
+        const manifest = await FileSource.readJsonFile(req.files?.manifest?.tempFilePath);
+
+        const imported = [];
+        for (const entry of manifest.entries || []) {
+            // SINK: SSRF via manifest URL
+            const content = await SsrfSink.fetchUrl(entry.url);
+
+            // SINK: Path traversal via manifest destination
+            imported.push(PathTraversalSink.writeFile(entry.path, content));
+        }
+
+        res.json({ imported });
+    } catch (error) {
+        next(error);
     }
 });
 
@@ -0,0 +1,429 @@
+/**
+ * Flow Routes - Taint propagation test cases over utils/dataFlowHelpers
+ * One endpoint per helper: request data is relayed, transformed, chained
+ * or parked in a context before it reaches a sink, so a tool's findings
+ * here show which propagation steps its taint engine follows
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { TaintRelay, TaintTransform, SinkDispatcher, ChainBuilder, ContextPropagation } = require('../utils/dataFlowHelpers');
+const { CommandSink } = require('../sinks/CommandSink');
+const { SsrfSink } = require('../sinks/NetworkSink');
+const { PathTraversalSink, LogSink } = require('../sinks/FileSink');
+const { TemplateSink } = require('../sinks/TemplateSink');
+const { WeakSanitizers } = require('../utils/sanitizers');
+
+// --- TaintRelay: data handed back unchanged -------------------------------
+
+/**
+ * COMMAND INJECTION: TaintRelay.passthrough -> exec
+ * Source: req.body.command -> CommandSink.executeCommand
+ */
+router.post('/relay/passthrough', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const command = TaintRelay.passthrough(req.body.command);
+
+        // SINK: Command injection
+        const result = await CommandSink.executeCommand(command);
+        res.json({ output: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATH TRAVERSAL: TaintRelay.arrayRelay -> File read
+ * Source: req.query.file -> PathTraversalSink.readFile
+ */
+router.get('/relay/array', (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const filename = TaintRelay.arrayRelay(req.query.file);
+
+        // SINK: Path traversal
+        const content = PathTraversalSink.readFile(filename);
+        res.json({ filename, content });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SSRF: TaintRelay.objectRelay -> HTTP GET
+ * Source: req.body.url -> SsrfSink.fetchUrl
+ */
+router.post('/relay/object', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const url = TaintRelay.objectRelay(req.body.url);
+
+        // SINK: SSRF
+        const data = await SsrfSink.fetchUrl(url);
+        res.json({ url, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SSTI: TaintRelay.asyncRelay -> EJS render
+ * Source: req.body.template -> TemplateSink.renderEjs
+ */
+router.post('/relay/async', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body; resolved on a later tick
+        const template = await TaintRelay.asyncRelay(req.body.template);
+
+        // SINK: Server-side template injection
+        const html = TemplateSink.renderEjs(template, {});
+        res.json({ html });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * LOG INJECTION: TaintRelay.callbackRelay -> Log write
+ * Source: req.body.message -> LogSink.writeLog
+ */
+router.post('/relay/callback', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body, delivered to the callback
+        TaintRelay.callbackRelay(req.body.message, message => {
+            // SINK: Log injection
+            LogSink.writeLog('relay.log', message);
+        });
+        res.json({ logged: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SQL INJECTION: TaintRelay.multiHopRelay -> LIKE pattern
+ * Source: req.query.q -> SinkDispatcher.dispatchSQL -> QueryBuilder.searchByPattern
+ */
+router.get('/relay/multi-hop', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameter, relayed through three helpers
+        const pattern = TaintRelay.multiHopRelay(req.query.q);
+
+        const rows = await SinkDispatcher.dispatchSQL('search', { table: 'users', field: 'name', pattern }, global.dbConnection);
+        res.json({ results: rows });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- TaintTransform: data reshaped on the way ----------------------------
+
+/**
+ * COMMAND INJECTION: TaintTransform.concat -> exec
+ * Source: req.body.directory -> CommandSink.executeCommand
+ */
+router.post('/transform/concat', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const command = TaintTransform.concat('ls -la ', req.body.directory, ' | head -20');
+
+        // SINK: Command injection
+        const result = await CommandSink.executeCommand(command);
+        res.json({ listing: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SSRF: TaintTransform.interpolate -> HTTP GET
+ * Source: req.body.host, req.body.resource -> SinkDispatcher.dispatchNetwork -> SsrfSink.fetchUrl
+ */
+router.post('/transform/interpolate', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body fills the URL template
+        const url = TaintTransform.interpolate('http://{host}/api/{resource}', req.body);
+
+        const data = await SinkDispatcher.dispatchNetwork('fetch', { url });
+        res.json({ url, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATH TRAVERSAL: TaintTransform.jsonRoundTrip -> File write
+ * Source: req.body.path, req.body.content -> SinkDispatcher.dispatchFile -> PathTraversalSink.writeFile
+ */
+router.post('/transform/json', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body, serialised and parsed again
+        // sanitizeJSON calls body.hasOwnProperty(), so it needs an object that has not shadowed it
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body) ||
+            req.body.hasOwnProperty !== Object.prototype.hasOwnProperty) {
+            return res.status(400).json({ error: 'Expected a JSON object' });
+        }
+
+        // VULNERABLE: sanitizeJSON drops a top-level __proto__ key; nested keys and every value pass
+        const document = TaintTransform.jsonRoundTrip(WeakSanitizers.sanitizeJSON(req.body));
+
+        const written = SinkDispatcher.dispatchFile('write', document);
+        res.json({ written });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SQL INJECTION: TaintTransform.base64RoundTrip -> WHERE value
+ * Source: req.body.value -> SinkDispatcher.dispatchSQL -> QueryBuilder.findByField
+ */
+router.post('/transform/base64', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body, base64 encoded and decoded again
+        const value = TaintTransform.base64RoundTrip(String(req.body.value));
+
+        const rows = await SinkDispatcher.dispatchSQL('findByField', { table: 'users', field: 'name', value }, global.dbConnection);
+        res.json({ results: rows });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * COMMAND INJECTION: TaintTransform.arrayOperations -> exec per element
+ * Source: req.body.hosts -> SinkDispatcher.dispatchCommand -> CommandSink.executeCommand
+ */
+router.post('/transform/array', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body array through map/filter/reduce
+        const hosts = TaintTransform.arrayOperations([].concat(req.body.hosts || []));
+
+        const results = await Promise.all(hosts.map(host =>
+            SinkDispatcher.dispatchCommand('execute', { command: `ping -c 1 ${host}` })));
+        res.json({ results: results.map(result => result.stdout) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SSTI / CODE INJECTION: TaintTransform.objectSpread -> Engine chosen by the request
+ * Source: req.body.engine, req.body.template -> SinkDispatcher.dispatchTemplate -> TemplateSink
+ */
+router.post('/transform/spread', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body copied with object spread
+        const options = TaintTransform.objectSpread(req.body);
+
+        const output = SinkDispatcher.dispatchTemplate(options.engine, options.template, options.context || {});
+        res.json({ output });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SQL INJECTION: TaintTransform.destructure -> ORDER BY
+ * Source: req.body.a, req.body.b, req.body.c -> SinkDispatcher.dispatchSQL -> QueryBuilder.findAllOrdered
+ */
+router.post('/transform/destructure', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body picked apart by destructuring
+        const { a, b, c } = TaintTransform.destructure(req.body);
+
+        const rows = await SinkDispatcher.dispatchSQL('findAll', { table: a, orderBy: b, orderDir: c }, global.dbConnection);
+        res.json({ results: rows });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- ChainBuilder: data passed between callbacks and sinks ---------------
+
+/**
+ * SSRF: ChainBuilder.simpleChain -> Transformer and sink callbacks
+ * Source: req.body.url -> SsrfSink.fetchUrl
+ */
+router.post('/chain/simple', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const data = await ChainBuilder.simpleChain(
+            req.body.url,
+            url => String(url).trim(),
+            // SINK: SSRF
+            url => SsrfSink.fetchUrl(url)
+        );
+        res.json({ data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * COMMAND INJECTION + SSRF: ChainBuilder.parallelSinks -> Two sinks at once
+ * Source: req.body.host -> CommandSink.executeCommand, SsrfSink.fetchUrl
+ */
+router.post('/chain/parallel', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const [ping, health] = await ChainBuilder.parallelSinks(req.body.host, [
+            // SINK: Command injection
+            host => CommandSink.executeCommand(`ping -c 1 ${host}`),
+            // SINK: SSRF
+            host => SsrfSink.fetchUrl(`http://${host}/health`)
+        ]);
+        res.json({ ping: ping.stdout, health });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SSRF -> PATH TRAVERSAL: ChainBuilder.sequentialSinks -> Fetch, then store
+ * Source: req.body.url, req.body.path -> SsrfSink.fetchUrl -> PathTraversalSink.writeFile
+ */
+router.post('/chain/sequential', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { url, path } = req.body;
+
+        const stored = await ChainBuilder.sequentialSinks(
+            url,
+            // SINK: SSRF
+            target => SsrfSink.fetchUrl(target),
+            // SINK: Path traversal with the fetched body as content
+            data => PathTraversalSink.writeFile(path, JSON.stringify(data))
+        );
+        res.json({ stored });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * COMMAND INJECTION: ChainBuilder.mergedSources -> Two fields merged into one command
+ * Source: req.body.repo, req.body.ref -> CommandSink.executeCommand
+ */
+router.post('/chain/merge', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const result = await ChainBuilder.mergedSources(
+            [req.body.repo, req.body.ref],
+            (repo, ref) => `${repo} ${ref}`,
+            // SINK: Command injection
+            remote => CommandSink.executeCommand(`git ls-remote ${remote}`)
+        );
+        res.json({ refs: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SQL -> PATH TRAVERSAL -> COMMAND INJECTION: ChainBuilder.complexChain
+ * Source: req.body.configName, req.body.args -> QueryBuilder.findByField ->
+ * PathTraversalSink.readFile -> CommandSink.executeCommand
+ */
+router.post('/chain/complex', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const result = await ChainBuilder.complexChain(req.body, global.dbConnection);
+        res.json({ output: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SSRF -> PATH TRAVERSAL: ChainBuilder.ssrfToStore
+ * Source: req.body.url, req.body.path -> SsrfSink.fetchUrl -> PathTraversalSink.writeFile
+ */
+router.post('/chain/ssrf-store', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { url, path } = req.body;
+
+        const result = await ChainBuilder.ssrfToStore(url, path);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SSTI -> XSS: ChainBuilder.templateToXss
+ * Source: req.body.template, req.body.context -> TemplateSink.renderEjs -> XssSink.sendHtml
+ */
+router.post('/chain/render', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { template, context } = req.body;
+
+        ChainBuilder.templateToXss(template, context || {}, res);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- ContextPropagation: data parked in a context object -----------------
+
+/**
+ * COMMAND INJECTION: ContextPropagation.executeFromContext
+ * Source: req.body.command -> context -> CommandSink.executeCommand
+ */
+router.post('/context/execute', async (req, res, next) => {
+    try {
+        const context = new ContextPropagation();
+
+        // SOURCE: HTTP body, stored under a fixed key
+        context.set('command', req.body.command);
+
+        const result = await context.executeFromContext('command');
+        res.json({ output: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SSTI: ContextPropagation.renderFromContext
+ * Source: req.body.template, req.body.data -> context -> TemplateSink.renderEjs
+ */
+router.post('/context/render', (req, res, next) => {
+    try {
+        const context = new ContextPropagation();
+
+        // SOURCE: HTTP body, stored under fixed keys
+        context.set('template', req.body.template);
+        context.set('data', req.body.data || {});
+
+        const html = context.renderFromContext('template', 'data');
+        res.json({ html });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SSRF: ContextPropagation.chainThroughContext -> Sink callback
+ * Source: req.body.url -> context -> SsrfSink.fetchUrl
+ */
+router.post('/context/chain', async (req, res, next) => {
+    try {
+        const context = new ContextPropagation();
+
+        // SOURCE: HTTP body, stored under a fixed key
+        context.set('url', req.body.url);
+
+        // The callback receives the value read back from the context
+        await context.chainThroughContext('url', 'response', url => SsrfSink.fetchUrl(url));
+        res.json({ data: context.get('response') });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
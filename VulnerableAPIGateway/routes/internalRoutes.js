@@ -0,0 +1,51 @@
+/**
+ * Internal Routes - Operations endpoints meant for the private network
+ * AuthMiddleware.requireInternalIp trusts X-Forwarded-For, and
+ * AuthMiddleware.debugAuth runs X-Debug-Command for any X-Debug-Token
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { CommandSink } = require('../sinks/CommandSink');
+const { PATHS } = require('../config/paths');
+
+// Every internal request passes the address check and the debug hook (command injection via X-Debug-Command)
+router.use(authMiddleware.requireInternalIp, authMiddleware.debugAuth);
+
+/**
+ * FEATURE: Request Inspector -> XSS
+ * Source: X-Forwarded-For (AuthMiddleware.requireInternalIp) -> Response
+ */
+router.get('/whoami', (req, res, next) => {
+    try {
+        // SOURCE: Client address taken from X-Forwarded-For
+        const { clientIp } = req;
+
+        // SINK: XSS via the spoofed client address
+        res.send(`<h1>Request from ${clientIp}</h1>`);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Log Tail -> Command Injection
+ * Source: req.body -> CommandSink
+ */
+router.post('/logs/tail', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { file, lines } = req.body;
+
+        // SINK: Command injection via file name and line count
+        const result = await CommandSink.executeCommand(`tail -n ${lines || 100} ${PATHS.logs}/${file}`);
+
+        res.json({ output: result.stdout, debug: req.debugResult });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
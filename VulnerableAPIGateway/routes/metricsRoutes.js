@@ -0,0 +1,29 @@
+/**
+ * Metrics Routes - Prometheus scrape endpoint
+ * Serves the registry MetricsMiddleware fills on every request, including
+ * the client family whose labels are the raw URL and User-Agent
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { MetricsMiddleware } = require('../middleware/loggingMiddleware');
+
+/**
+ * LABEL INJECTION: Request URL and User-Agent -> Prometheus exposition
+ * Source: labels MetricsMiddleware.recordMetric stored for earlier requests (and this one) -> Response
+ */
+router.get('/', (req, res, next) => {
+    try {
+        // SOURCE: Stored data
+        const exposition = MetricsMiddleware.exposition() + MetricsMiddleware.clientExposition();
+        res.type('text/plain; version=0.0.4');
+
+        // SINK: Metric label injection - a quote closes the label and forges labels or values for the scraper
+        res.send(exposition);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
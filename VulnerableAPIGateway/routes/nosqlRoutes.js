@@ -0,0 +1,101 @@
+/**
+ * NoSQL Routes - MongoDB Endpoints with Operator and $where Injection
+ * JSON bodies and qs-parsed query strings (?role[$ne]=user) arrive as
+ * objects, so operators reach the query unless the value is cast
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { QueryService } = require('../services/DataTransformService');
+const { QueryBuilder } = require('../config/database');
+
+/**
+ * NOSQL INJECTION: HTTP Body -> Credential query (authentication bypass)
+ * Source: req.body.username, req.body.password -> QueryBuilder.mongoFind
+ */
+router.post('/login', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { username, password } = req.body;
+
+        const queryBuilder = new QueryBuilder(global.dbConnection);
+
+        // SINK: {"password": {"$ne": null}} matches any account
+        const users = await queryBuilder.mongoFind(global.mongoDb.collection('users'), {
+            username,  // TAINTED -> Operator injection
+            password   // TAINTED -> Operator injection
+        });
+
+        if (users.length === 0) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        const { username: name, email, role } = users[0];
+        res.json({ authenticated: true, user: { username: name, email, role } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * NOSQL INJECTION: Query string -> Raw filter object
+ * Source: req.query (qs-parsed, e.g. ?role[$ne]=user) -> QueryBuilder.mongoFind
+ */
+router.get('/users', async (req, res, next) => {
+    try {
+        // qs turns ?role[$ne]=x into { role: { $ne: 'x' } }
+        // SOURCE: Query parameters
+        const filter = req.query;
+
+        const queryBuilder = new QueryBuilder(global.dbConnection);
+
+        // SINK: Whole query string becomes the filter
+        const users = await queryBuilder.mongoFind(global.mongoDb.collection('users'), filter);
+
+        res.json({ users });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * NOSQL INJECTION: HTTP Body -> $where (server-side JavaScript)
+ * Source: req.body.where -> QueryBuilder.mongoFindWhere
+ */
+router.post('/users/where', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { where } = req.body;
+
+        const queryBuilder = new QueryBuilder(global.dbConnection);
+
+        // SINK: Client-supplied JavaScript runs against every document
+        const users = await queryBuilder.mongoFindWhere(global.mongoDb.collection('users'), where);
+
+        res.json({ users });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * MULTI-HOP NOSQL INJECTION: Query parameter -> $where string
+ * Source: req.query.category -> QueryService.findProducts -> QueryBuilder.mongoFindWhere
+ */
+router.get('/products', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { category } = req.query;
+
+        // Cross-file taint propagation to service layer
+        const queryService = new QueryService(global.dbConnection, global.mongoDb);
+        const products = await queryService.findProducts(category);  // ' || '1'=='1 lists unpublished products
+
+        res.json({ products });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
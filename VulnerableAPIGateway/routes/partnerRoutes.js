@@ -0,0 +1,54 @@
+/**
+ * Partner Routes - Endpoints for integration partners, behind an API key
+ * AuthMiddleware.validateApiKey runs first and looks the key up with
+ * string-built SQL, so every route below starts with that injection
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { SsrfSink } = require('../sinks/NetworkSink');
+const { QueryBuilder } = require('../config/database');
+
+// Every partner request starts with the API key lookup (SQL injection via X-Api-Key)
+router.use(authMiddleware.validateApiKey);
+
+/**
+ * FEATURE: Partner Activity Search -> SQL Injection
+ * Source: req.query.action -> QueryBuilder.searchByPattern
+ */
+router.get('/activity', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { action } = req.query;
+
+        // SINK: SQL injection via LIKE pattern
+        const queryBuilder = new QueryBuilder(global.dbConnection);
+        const entries = await queryBuilder.searchByPattern('audit_log', 'action', action);
+
+        res.json({ client: req.apiClient.client_name, entries });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * FEATURE: Partner Webhook Test -> SSRF
+ * Source: req.body.url -> SsrfSink.sendWebhook
+ */
+router.post('/webhooks/test', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { url } = req.body;
+
+        // SINK: SSRF via the partner's callback URL
+        const status = await SsrfSink.sendWebhook(url, { event: 'ping', client: req.apiClient.client_name });
+
+        res.json({ delivered: true, status });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
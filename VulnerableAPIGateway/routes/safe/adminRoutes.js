@@ -0,0 +1,415 @@
+/**
+ * Safe Admin Routes - Mitigated twins of the privileged endpoints
+ * Same paths, actions and sinks as routes/adminRoutes.js
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { SafeCommandSink, SafeDockerSink, SafeSshSink } = require('../../sinks/safe/SafeCommandSink');
+const { SafePathSink, SafeLogSink, LOG_DIR } = require('../../sinks/safe/SafeFileSink');
+const { SafeSsrfSink, SafeSocketSink, SafeDnsSink } = require('../../sinks/safe/SafeNetworkSink');
+const { SafeTemplateSink } = require('../../sinks/safe/SafeTemplateSink');
+const { SafeQueryBuilder, SafeAuditLogger } = require('../../config/database');
+const { StrongSanitizers } = require('../../utils/safe/sanitizers');
+const safeAuthMiddleware = require('../../middleware/safe/authMiddleware');
+
+// Every admin request carries a verified identity with the admin role
+router.use(safeAuthMiddleware.verifyUser, safeAuthMiddleware.requireAdmin);
+
+/**
+ * SAFE TWIN: Admin Panel with escaped stored data
+ * Source: Database (stored) -> StrongSanitizers.encodeHTML -> Response
+ */
+router.get('/dashboard', async (req, res, next) => {
+    try {
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+        const users = await queryBuilder.findAllOrdered('users', 'id', 'ASC');
+
+        let html = '<html><body><h1>Admin Dashboard</h1><ul>';
+        for (const user of users) {
+            html += `<li>User: ${StrongSanitizers.encodeHTML(user.name)} - Email: ${StrongSanitizers.encodeHTML(user.email)} - Bio: ${StrongSanitizers.encodeHTML(user.bio)}</li>`;
+        }
+        html += '</ul></body></html>';
+
+        // SAFE: XSS - stored values are HTML-escaped
+        res.send(html);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: System Management with argument arrays
+ * Source: req.body -> SafeCommandSink
+ */
+router.post('/system/manage', async (req, res, next) => {
+    try {
+        const { action, serviceName, configPath, logFile } = req.body;
+
+        let result;
+
+        switch (action) {
+            case 'restart':
+                // SAFE: Validated unit name, no shell
+                result = await SafeCommandSink.runSystemCommand('restart', serviceName);
+                break;
+
+            case 'reload-config':
+                // SAFE: Confined path as a single argument
+                result = await SafeCommandSink.executeWithArgs('cat', configPath);
+                break;
+
+            case 'view-logs':
+                // SAFE: Confined log path as a single argument
+                result = await SafeCommandSink.executeWithArgs('tail', logFile, LOG_DIR);
+                break;
+
+            case 'clear-cache':
+                // SAFE: Validated directory, no shell glob
+                result = await SafeCommandSink.clearCache(serviceName);
+                break;
+
+            default:
+                return res.status(400).json({ error: 'Unknown action' });
+        }
+
+        res.json({ result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Container Management
+ * Source: req.body -> SafeDockerSink
+ */
+router.post('/containers/manage', async (req, res, next) => {
+    try {
+        const { action, containerId, image, command, dockerfile } = req.body;
+
+        let result;
+
+        switch (action) {
+            case 'exec':
+                // SAFE: Validated container ID, preset command
+                result = await SafeDockerSink.dockerExec(containerId, command);
+                break;
+
+            case 'run':
+                // SAFE: Allowlisted image, preset command
+                result = await SafeDockerSink.dockerRun(image, command);
+                break;
+
+            case 'build':
+                // SAFE: Confined Dockerfile, validated tag
+                result = await SafeDockerSink.dockerBuild(dockerfile, image);
+                break;
+
+            default:
+                return res.status(400).json({ error: 'Unknown action' });
+        }
+
+        res.json({ output: result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Remote Server Management via SSH
+ * Source: req.body -> SafeSshSink
+ */
+router.post('/servers/ssh', async (req, res, next) => {
+    try {
+        const { host, user, command, localPath, remotePath } = req.body;
+
+        let result;
+
+        if (localPath && remotePath) {
+            // SAFE: Confined local path, allowlisted host, validated remote path
+            result = await SafeSshSink.scpTransfer(localPath, user, host, remotePath);
+        } else {
+            // SAFE: Allowlisted host, preset remote command
+            result = await SafeSshSink.sshExecute(host, user, command);
+        }
+
+        res.json({ output: result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Database Administration without raw SQL
+ * Source: req.body -> SafeQueryBuilder
+ */
+router.post('/database/query', async (req, res, next) => {
+    try {
+        const { table, conditions, rawQuery } = req.body;
+
+        // Raw SQL is not accepted at all
+        if (rawQuery) {
+            return res.status(400).json({ error: 'Raw queries are disabled' });
+        }
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+
+        // SAFE: Allowlisted table and columns, bound values
+        const results = await queryBuilder.dynamicQuery(table, conditions);
+
+        res.json({ results });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: File System Management with path confinement
+ * Source: req.body -> SafePathSink
+ */
+router.post('/filesystem/manage', async (req, res, next) => {
+    try {
+        const { action, path, content, destination } = req.body;
+
+        let result;
+
+        switch (action) {
+            case 'read':
+                // SAFE: Confined read
+                result = SafePathSink.readFile(path);
+                break;
+
+            case 'write':
+                // SAFE: Confined write
+                result = SafePathSink.writeFile(path, content);
+                break;
+
+            case 'delete':
+                // SAFE: Confined delete
+                result = SafePathSink.deleteFile(path);
+                break;
+
+            case 'copy':
+                // SAFE: Both ends confined
+                result = SafePathSink.copyFile(path, destination);
+                break;
+
+            case 'move':
+                // SAFE: Both ends confined
+                result = SafePathSink.moveFile(path, destination);
+                break;
+
+            case 'list':
+                // SAFE: Confined listing
+                result = SafePathSink.listDirectory(path);
+                break;
+
+            default:
+                return res.status(400).json({ error: 'Unknown action' });
+        }
+
+        res.json({ result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Log Management
+ * Source: req.body -> SafeLogSink
+ */
+router.post('/logs/manage', async (req, res, next) => {
+    try {
+        const { action, logFile, pattern, message } = req.body;
+
+        let result;
+
+        switch (action) {
+            case 'read':
+                // SAFE: Confined log read
+                result = SafeLogSink.readLog(logFile);
+                break;
+
+            case 'search':
+                // SAFE: Fixed-string grep, pattern as one argument
+                result = await SafeLogSink.searchLogs(pattern, logFile);
+                break;
+
+            case 'write':
+                // SAFE: Confined log file, CR/LF escaped
+                SafeLogSink.writeLog(logFile, message);
+                result = 'Log entry written';
+                break;
+
+            case 'rotate':
+                // SAFE: In-process rename, gzip with an argument array
+                await SafeLogSink.rotateLog(logFile);
+                result = 'Log rotated';
+                break;
+
+            default:
+                return res.status(400).json({ error: 'Unknown action' });
+        }
+
+        res.json({ result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Network Diagnostics with allowlists
+ * Source: req.body -> SafeSsrfSink + SafeSocketSink + SafeDnsSink
+ */
+router.post('/network/diagnose', async (req, res, next) => {
+    try {
+        const { action, target, port, data, domain } = req.body;
+
+        let result;
+
+        switch (action) {
+            case 'http':
+                // SAFE: Host allowlist
+                result = await SafeSsrfSink.fetchUrl(target);
+                break;
+
+            case 'tcp':
+                // SAFE: host:port allowlist
+                result = await SafeSocketSink.connectToHost(target, port, data);
+                break;
+
+            case 'dns':
+                // SAFE: Domain allowlist
+                result = await SafeDnsSink.queryTxtRecord(domain);
+                break;
+
+            case 'exfil':
+                // SAFE: Domain allowlist, request data never leaves in the hostname
+                result = await SafeDnsSink.lookupHost(domain);
+                break;
+
+            default:
+                return res.status(400).json({ error: 'Unknown action' });
+        }
+
+        res.json({ result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Template Administration
+ * Source: req.body -> SafeTemplateSink
+ */
+router.post('/templates/manage', async (req, res, next) => {
+    try {
+        const { template, engine, context, code, expression } = req.body;
+
+        let result;
+
+        switch (engine) {
+            case 'ejs':
+                // SAFE: Built-in template, escaped output
+                result = SafeTemplateSink.renderEjs(template, context);
+                break;
+
+            case 'pug':
+                // SAFE: Built-in template, escaped output
+                result = SafeTemplateSink.renderPug(template, context);
+                break;
+
+            case 'handlebars':
+                // SAFE: Built-in template, escaped output
+                result = SafeTemplateSink.renderHandlebars(template, context);
+                break;
+
+            case 'nunjucks':
+                // SAFE: Built-in template, autoescape enabled
+                result = SafeTemplateSink.renderNunjucks(template, context);
+                break;
+
+            case 'eval':
+                // SAFE: Arithmetic evaluator instead of eval
+                result = SafeTemplateSink.evaluateExpression(expression, context);
+                break;
+
+            case 'function':
+                // SAFE: Named helper instead of new Function()
+                result = SafeTemplateSink.callFunction(code, context);
+                break;
+
+            case 'vm':
+                // SAFE: Arithmetic evaluator instead of a vm context
+                result = SafeTemplateSink.evaluateExpression(code, context);
+                break;
+
+            default:
+                return res.status(400).json({ error: 'Unknown engine' });
+        }
+
+        res.json({ result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Audit Log Export
+ * Source: req.body -> Parameterized SQL -> Confined write
+ */
+router.post('/audit/export', async (req, res, next) => {
+    try {
+        const { userId, startDate, endDate, outputPath } = req.body;
+
+        // Step 1: SAFE - Bound parameter
+        const auditLogger = new SafeAuditLogger(global.dbConnection);
+        const logs = await auditLogger.getLogsForUser(userId);
+
+        // Step 2: SAFE - Export path confined to the data directory
+        const exportedTo = SafePathSink.writeFile(outputPath, JSON.stringify(logs, null, 2));
+
+        res.json({ exported: logs.length, path: exportedTo });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Backup and Restore
+ * Source: req.body -> SafeCommandSink (argument arrays, confined paths)
+ */
+router.post('/backup/manage', async (req, res, next) => {
+    try {
+        const { action, backupPath, restorePath, archiveName } = req.body;
+
+        let result;
+
+        switch (action) {
+            case 'create':
+                // SAFE: Confined archive path, tar with an argument array
+                result = await SafeCommandSink.createBackup(backupPath, archiveName);
+                break;
+
+            case 'restore':
+                // SAFE: Confined archive and restore paths
+                result = await SafeCommandSink.restoreBackup(backupPath, archiveName, restorePath);
+                break;
+
+            case 'list':
+                // SAFE: Confined directory as a single argument
+                result = await SafeCommandSink.listBackups(backupPath);
+                break;
+
+            default:
+                return res.status(400).json({ error: 'Unknown action' });
+        }
+
+        res.json({ result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
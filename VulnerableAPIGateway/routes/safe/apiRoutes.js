@@ -0,0 +1,819 @@
+/**
+ * Safe API Routes - Mitigated twins of the main API endpoints
+ * Same paths, parameters and call chains as routes/apiRoutes.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const crypto = require('crypto');
+
+const { SafeDataTransformService, SafeQueryService, SafeIntegrationService, SafeUserDataService } = require('../../services/SafeDataTransformService');
+const { EnvironmentSource } = require('../../sources/ExternalSource');
+const { SafeCommandSink, SafeDockerSink, SafeSshSink } = require('../../sinks/safe/SafeCommandSink');
+const { SafeTemplateSink, SafeXssSink, SafeEmailSink } = require('../../sinks/safe/SafeTemplateSink');
+const { SafeSsrfSink, SafeSocketSink, SafeDnsSink } = require('../../sinks/safe/SafeNetworkSink');
+const { SafeUploadSink, SafeArchiveSink, SafeLogSink } = require('../../sinks/safe/SafeFileSink');
+const { QueryBuilder, SafeQueryBuilder, SafeAuditLogger } = require('../../config/database');
+const { PATHS } = require('../../config/paths');
+const { StrongSanitizers } = require('../../utils/safe/sanitizers');
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * SAFE TWIN: HTTP Body -> Parameterized SQL
+ * Source: req.body -> SafeQueryService -> SafeQueryBuilder
+ */
+router.post('/users/search', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { field, value, orderBy, direction } = req.body;
+
+        // Cross-file propagation to the safe service layer
+        const queryService = new SafeQueryService(global.dbConnection);
+        const results = await queryService.searchUsers({
+            field,      // Allowlisted column
+            value,      // Bound parameter
+            orderBy,    // Allowlisted column
+            orderDir: direction  // ASC or DESC only
+        });
+
+        res.json({ results });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP Body -> execFile with an argument array
+ * Source: req.body -> SafeDataTransformService -> SafeCommandSink
+ */
+router.post('/system/execute', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { command, target, options } = req.body;
+
+        // SAFE: Each argument checked on its own against a character allowlist,
+        // none can be read as an option and options never take the target's place
+        if (target === undefined || target === null || target === '') {
+            throw new ValidationError('Missing target');
+        }
+        const [targetArgument] = StrongSanitizers.commandArguments(target);
+        const [optionsArgument] = StrongSanitizers.commandArguments(options);
+
+        // Cross-file propagation to the safe service layer
+        const result = await SafeDataTransformService.processSystemAction({
+            command,                    // Preset name
+            target: targetArgument,     // Single argument
+            options: optionsArgument    // Single argument
+        });
+
+        res.json({ output: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP Body -> Allowlisted outbound request
+ * Source: req.body.url -> SafeDataTransformService -> SafeSsrfSink
+ */
+router.post('/proxy/fetch', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { url, method, headers, body } = req.body;
+
+        // Cross-file propagation to the safe service layer
+        const result = await SafeDataTransformService.processExternalRequest({
+            url,       // Host allowlist
+            method,
+            headers,   // Not forwarded
+            body
+        });
+
+        res.json({ data: result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP Body -> Built-in, autoescaped template
+ * Source: req.body.template -> SafeDataTransformService -> SafeTemplateSink
+ */
+router.post('/render', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { template, context, engine } = req.body;
+
+        // Cross-file propagation to the safe service layer
+        const rendered = await SafeDataTransformService.processTemplateRender({
+            template,  // Template name, not source
+            context,   // Escaped by the engine
+            engine
+        });
+
+        // SAFE: XSS - engine output is escaped
+        res.send(rendered);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP Body -> Confined file read
+ * Source: req.body.filename -> SafeDataTransformService -> SafePathSink
+ */
+router.post('/files/read', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { filename } = req.body;
+
+        // Cross-file propagation
+        const content = await SafeDataTransformService.processFileOperation({
+            filename,  // Confined to the data directory
+            operation: 'read'
+        });
+
+        res.json({ content });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP Body -> Confined file write
+ * Source: req.body -> SafeDataTransformService -> SafePathSink
+ */
+router.post('/files/write', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { filename, content } = req.body;
+
+        // Cross-file propagation
+        const path = await SafeDataTransformService.processFileOperation({
+            filename,  // Confined to the data directory
+            content,
+            operation: 'write'
+        });
+
+        res.json({ path });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: File Upload -> Generated filename + execFile
+ * Source: req.files -> SafeUploadSink -> SafeCommandSink
+ */
+router.post('/files/upload', async (req, res, next) => {
+    try {
+        // SOURCE: Uploaded file
+        const file = req.files?.document;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        // SAFE: Server-generated filename with an allowlisted extension
+        const savedPath = SafeUploadSink.saveUpload(file, PATHS.uploads);
+
+        // SAFE: File type detection with an argument array
+        const processResult = await SafeCommandSink.processFile(savedPath);
+
+        res.json({ path: savedPath, type: processResult.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Query Param -> Escaped HTML
+ * Source: req.query -> StrongSanitizers.encodeHTML -> Response
+ */
+router.get('/search', (req, res) => {
+    // SOURCE: Query parameter
+    const { q, page } = req.query;
+
+    const html = `
+        <html>
+            <body>
+                <h1>Search Results for: ${StrongSanitizers.encodeHTML(q)}</h1>
+                <p>Page: ${StrongSanitizers.encodeHTML(page)}</p>
+            </body>
+        </html>
+    `;
+
+    // SAFE: XSS - every interpolated value is HTML-escaped
+    res.send(html);
+});
+
+/**
+ * SAFE TWIN: URL Param -> Parameterized SQL
+ * Source: req.params -> SafeQueryBuilder
+ */
+router.get('/users/:userId', async (req, res, next) => {
+    try {
+        // SOURCE: URL parameter
+        const { userId } = req.params;
+
+        // SAFE: Bound parameter
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+        const results = await queryBuilder.findByField('users', 'id', userId);
+
+        res.json({ user: results[0] });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Header -> Preset commands
+ * Source: req.headers -> SafeSshSink / SafeCommandSink
+ */
+router.post('/debug/run', async (req, res, next) => {
+    try {
+        // SOURCE: Custom header
+        const debugCommand = req.headers['x-debug-command'];
+        const debugHost = req.headers['x-debug-host'];
+
+        if (!debugCommand) {
+            return res.status(400).json({ error: 'Missing debug command' });
+        }
+
+        let result;
+        if (debugHost) {
+            // SAFE: Allowlisted host, preset remote command
+            result = await SafeSshSink.sshExecute(debugHost, 'admin', debugCommand);
+        } else {
+            // SAFE: Preset local command
+            result = await SafeCommandSink.executeCommand(debugCommand);
+        }
+
+        res.json({ output: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP Body -> docker exec with an argument array
+ * Source: req.body -> SafeDockerSink
+ */
+router.post('/containers/exec', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { containerId, command } = req.body;
+
+        // SAFE: Validated container ID, preset command
+        const result = await SafeDockerSink.dockerExec(containerId, command);
+
+        res.json({ output: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP Body -> Validated headers + escaped email
+ * Source: req.body -> SafeEmailSink
+ */
+router.post('/email/send', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { to, from, subject, message } = req.body;
+
+        // SAFE: CR/LF rejected in header values
+        const headers = SafeEmailSink.createEmailHeaders(to, subject, from);
+
+        // SAFE: Escaped HTML body
+        const htmlBody = SafeEmailSink.createHtmlEmail(to.split('@')[0], message);
+
+        res.json({ headers, body: htmlBody, status: 'sent' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Uploaded archive -> Confined extraction
+ * Source: req.files -> SafeArchiveSink
+ */
+router.post('/archive/extract', async (req, res, next) => {
+    try {
+        // SOURCE: Uploaded file
+        const archive = req.files?.archive;
+        const extractTo = req.body.extractTo || PATHS.extracted;
+
+        if (!archive) {
+            return res.status(400).json({ error: 'No archive uploaded' });
+        }
+
+        // Save archive under a generated name
+        const archivePath = path.join(PATHS.tmp, `${crypto.randomUUID()}.zip`);
+        await archive.mv(archivePath);
+
+        // SAFE: Every entry confined to the extraction directory
+        const result = await SafeArchiveSink.extractZip(archivePath, extractTo);
+
+        res.json({ extractedTo: result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP -> Allowlisted fetch -> Preset command
+ * Source: req.body -> SafeIntegrationService -> SafeSsrfSink + SafeCommandSink
+ */
+router.post('/integration/webhook-execute', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { callbackUrl, commandToRun } = req.body;
+
+        const result = await SafeIntegrationService.processWebhookAndExecute({
+            callbackUrl,    // Host allowlist
+            commandToRun    // Preset name
+        });
+
+        res.json({ result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP -> Built-in template -> Confined write
+ * Source: req.body -> SafeIntegrationService -> SafeTemplateSink + SafePathSink
+ */
+router.post('/integration/render-save', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { template, context, outputPath } = req.body;
+
+        const result = await SafeIntegrationService.renderAndSave({
+            template,    // Template name
+            context,     // Escaped by the engine
+            outputPath   // Confined to the data directory
+        });
+
+        res.json({ rendered: result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP -> Confined template read -> Escaped render -> Response
+ * Source: req.body -> SafeIntegrationService -> SafePathSink + SafeTemplateSink + SafeXssSink
+ */
+router.post('/integration/template-from-file', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { templatePath, context } = req.body;
+
+        await SafeIntegrationService.processTemplateFile(
+            templatePath,  // Confined to the template directory
+            context,       // Escaped by the engine
+            res
+        );
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Documentation Search with a fixed-string grep
+ * Source: req.query -> SafeCommandSink
+ */
+router.get('/docs/search', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameters
+        const { q, section } = req.query;
+
+        // SAFE: Pattern as one argument, directory confined to the docs
+        const output = await SafeCommandSink.searchInFiles(q, section || '.');
+
+        res.json({ matches: output.split('\n').filter(Boolean) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Report Generation with validated arguments and environment
+ * Source: req.body -> SafeCommandSink
+ */
+router.post('/reports/generate', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { report, format, locale, timezone } = req.body;
+
+        // SAFE: Fixed binary, allowlisted format, validated LANG and TZ
+        const output = await SafeCommandSink.generateReport(report, format || 'csv', locale || 'en_US.UTF-8', timezone || 'UTC');
+
+        res.json({ report: output });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTML to PDF Export over stdin
+ * Source: req.body -> SafeCommandSink
+ */
+router.post('/reports/pdf', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { html, filename } = req.body;
+
+        // SAFE: HTML never reaches a command line, output confined
+        const outputPath = SafeCommandSink.generatePdf(html, filename);
+
+        res.json({ path: outputPath });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Media Transcoding with execFile
+ * Source: req.body -> SafeCommandSink
+ */
+router.post('/media/transcode', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { source, scale } = req.body;
+
+        // SAFE: Confined source, validated scale, no shell
+        const output = await SafeCommandSink.transcodeMedia(source, scale || '1280:-1');
+
+        res.json({ output });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Link Preview of public addresses only
+ * Source: req.body.url -> StrongSanitizers.validateURL -> SafeSsrfSink
+ */
+router.post('/links/preview', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { url } = req.body;
+
+        // SAFE: Literal and resolved addresses checked, the connection pinned to them
+        const target = StrongSanitizers.validateURL(url);
+
+        // Fetched through the pinned lookup, redirects not followed
+        const content = await SafeSsrfSink.fetchPinned(target);
+
+        res.json({ url, preview: String(content).slice(0, 500) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Service Status from a fixed service registry
+ * Source: req.query -> SafeSsrfSink
+ */
+router.get('/services/status', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameters
+        const { service, endpoint } = req.query;
+
+        // SAFE: Named service and endpoint, no caller-supplied host
+        const status = await SafeSsrfSink.fetchFromService(service, endpoint || 'health');
+
+        res.json({ service, status });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Integration Sync to allowlisted hosts only
+ * Source: req.body + req.headers -> SafeSsrfSink
+ */
+router.post('/integrations/sync', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body and Authorization header
+        const { endpoint } = req.body;
+        const authorization = req.headers['authorization'];
+
+        // SAFE: Credentials only sent to an allowlisted host
+        const data = await SafeSsrfSink.fetchWithAuth(endpoint, authorization);
+
+        res.json({ synced: true, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Avatar Import from allowlisted hosts
+ * Source: req.body.imageUrl -> SafeSsrfSink
+ */
+router.post('/avatars/import', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { imageUrl } = req.body;
+
+        // SAFE: Allowlisted host, size cap, image content type
+        const image = await SafeSsrfSink.fetchRemoteImage(imageUrl);
+
+        res.json({ size: image.length, avatar: `data:image/png;base64,${image.toString('base64')}` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Domain Verification via a TXT record
+ * Source: req.query.domain -> SafeDnsSink
+ */
+router.get('/domains/verify', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { domain } = req.query;
+
+        // SAFE: DNS TXT lookup for an allowlisted domain, no HTTP fetch
+        const records = await SafeDnsSink.queryTxtRecord(domain);
+
+        res.json({ domain, verified: records.flat().some(record => record.startsWith('gateway-verification=')) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Profile Preview with escaped fields
+ * Source: req.body -> SafeXssSink -> Response
+ */
+router.post('/profile/preview', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { name, bio, website, avatar } = req.body;
+
+        const html = SafeXssSink.renderUserProfile({ name, bio, website, avatar });
+
+        // SAFE: XSS - escaped profile sent with a strict CSP
+        SafeXssSink.sendHtml(res, html);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Embeddable Widgets with context-aware encoding
+ * Source: req.query -> SafeXssSink -> Response
+ */
+router.get('/widgets/embed', (req, res, next) => {
+    try {
+        // SOURCE: Query parameters
+        const { type, label, value, target } = req.query;
+
+        let html;
+        switch (type) {
+            case 'config':
+                html = SafeXssSink.embedJsonInScript({ label, value });
+                break;
+            case 'greeting':
+                html = SafeXssSink.generateJavaScript(label, target);
+                break;
+            case 'link':
+                html = SafeXssSink.createLink(target, label);
+                break;
+            case 'icon':
+                html = SafeXssSink.renderSvgContent(value);
+                break;
+            case 'theme':
+                html = SafeXssSink.applyUserStyles(value);
+                break;
+            case 'banner':
+                html = SafeXssSink.generateDomScript(target, value);
+                break;
+            case 'button':
+                html = SafeXssSink.createButton(label, value);
+                break;
+            default:
+                return res.status(400).json({ error: 'Unknown widget type' });
+        }
+
+        // SAFE: XSS - encoded widget sent with a strict CSP
+        SafeXssSink.sendHtml(res, html);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Snippet Preview through a built-in template
+ * Source: req.body.content -> SafeTemplateSink
+ */
+router.post('/snippets/preview', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { content } = req.body;
+
+        // SAFE: Content is data for a shipped template
+        const html = SafeTemplateSink.renderEjs('snippet', { content });
+
+        res.json({ html });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Email Relay through the allowlisted SMTP endpoint
+ * Source: req.body -> SafeSocketSink
+ */
+router.post('/email/relay', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { smtpHost, from, to, message } = req.body;
+
+        // SAFE: Allowlisted relay, validated addresses, dot-stuffed DATA
+        const transcript = await SafeSocketSink.sendEmail(smtpHost || 'smtp.internal', from, to, message);
+
+        res.json({ status: 'relayed', transcript });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Batch User Lookup with integer IDs
+ * Source: req.body.ids -> StrongSanitizers.integerIds -> QueryBuilder
+ */
+router.post('/users/batch', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { ids } = req.body;
+
+        // SAFE: Only positive integers reach the IN list
+        const queryBuilder = new QueryBuilder(global.dbConnection);
+        const users = await queryBuilder.findByIds('users', StrongSanitizers.integerIds(ids));
+
+        res.json({ users });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Activity Tracking with bound values and escaped log lines
+ * Source: req.body -> SafeAuditLogger + SafeLogSink
+ */
+router.post('/activity', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { userId, action, details } = req.body;
+
+        // SAFE: Bound parameters
+        const auditLogger = new SafeAuditLogger(global.dbConnection);
+        await auditLogger.logAction(userId, action, details);
+
+        // SAFE: CR/LF escaped before writing
+        SafeLogSink.logUserAction(userId, action);
+
+        res.json({ recorded: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Data Export Jobs by exporter name
+ * Source: req.body -> SafeCommandSink
+ */
+router.post('/exports/run', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { exporter, configFile, outputDir } = req.body;
+
+        // SAFE: Named exporter, confined config and output paths
+        const output = await SafeCommandSink.runExporter(exporter, configFile, outputDir);
+
+        res.json({ output });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Service Discovery from a fixed service registry
+ * Source: req.params -> SafeSsrfSink
+ */
+router.get('/discovery/:service', async (req, res, next) => {
+    try {
+        // SOURCE: URL parameter
+        const { service } = req.params;
+
+        // SAFE: Registry address instead of a DNS answer, allowlisted endpoint
+        const data = await SafeSsrfSink.fetchFromService(service, req.query.path || 'health');
+
+        res.json({ service, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Client Configuration with script-safe JSON
+ * Source: PUBLIC_* environment variables (EnvironmentSource) -> SafeXssSink -> Response
+ */
+router.get('/config/client', (req, res, next) => {
+    try {
+        // SOURCE: Environment variables
+        const config = EnvironmentSource.getEnvVarsMatching('^PUBLIC_');
+
+        // SAFE: <, > and & escaped inside the script element
+        const html = SafeXssSink.embedJsonInScript(config);
+
+        // SAFE: XSS - encoded script sent with a strict CSP
+        SafeXssSink.sendHtml(res, html);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TCP Health Check against allowlisted endpoints
+ * Source: req.body -> SafeSocketSink -> SafeLogSink + Response
+ */
+router.post('/health/tcp', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { host, port } = req.body;
+
+        // SAFE: Only allowlisted host:port pairs are probed
+        const banner = await SafeSocketSink.connectToHost(host, Number(port), '\r\n');
+
+        // SAFE: CR/LF escaped before writing
+        SafeLogSink.writeLog('health.log', `${host}:${port} ${banner}`);
+
+        // SAFE: XSS - escaped banner sent with a strict CSP
+        SafeXssSink.sendHtml(res, `<h1>${StrongSanitizers.encodeHTML(host)}:${StrongSanitizers.encodeHTML(port)}</h1><pre>${StrongSanitizers.encodeHTML(banner)}</pre>`);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: User Preferences kept in the session
+ * Source: req.body -> session (SafeUserDataService); checked again when read back
+ */
+router.put('/me/preferences', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body, stored for later requests
+        SafeUserDataService.storeUserPreferences(req.session, req.body);
+
+        res.json({ saved: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Preferences Page with a built-in theme and an allowlisted callback
+ * Source: req.session.userPrefs -> SafeXssSink + SafeSsrfSink
+ */
+router.get('/me/page', async (req, res, next) => {
+    try {
+        res.type('html');
+        res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+
+        // SAFE: Stored values validated on use, not only when saved
+        await SafeUserDataService.applyUserPreferences(req.session, res);
+
+        res.end('<h1>Your preferences</h1>');
+    } catch (error) {
+        // The stylesheet may already be on the wire
+        if (res.headersSent) return res.end();
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Data Export into the data directory
+ * Source: req.session.userPrefs.exportPath -> SafePathSink
+ */
+router.post('/me/export', async (req, res, next) => {
+    try {
+        // SOURCE: Session
+        const userData = { preferences: req.session.userPrefs || {}, exportedAt: new Date().toISOString() };
+
+        // SAFE: Stored export path confined to the data directory
+        await SafeUserDataService.exportUserData(req.session, userData);
+
+        res.json({ exported: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
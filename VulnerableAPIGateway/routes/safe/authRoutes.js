@@ -0,0 +1,136 @@
+/**
+ * Safe Auth Routes - Mitigated twins of the sign-in endpoints
+ * Same paths as routes/authRoutes.js; passwords never enter a query, tokens
+ * are verified and single use, and assertions need a valid IdP signature
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+
+const safeAuthMiddleware = require('../../middleware/safe/authMiddleware');
+const { SafeTokenService } = require('../../services/SafeTokenService');
+const { SafeQueryBuilder, SafeAuditLogger } = require('../../config/database');
+const { SafeXssSink } = require('../../sinks/safe/SafeTemplateSink');
+const { StrongSanitizers } = require('../../utils/safe/sanitizers');
+
+/**
+ * SAFE TWIN: Password login -> Lookup by name, password compared in code
+ * Source: req.body.username, req.body.password -> SafeQueryBuilder.findCredentials
+ */
+router.post('/login', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { username, password } = req.body;
+
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'username and password must be strings' });
+        }
+
+        // SAFE: Name bound as a value; the password never enters the query
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+        const user = await queryBuilder.findCredentials(username);
+
+        const expected = crypto.createHash('sha256').update(String(user ? user.password : '')).digest();
+        const supplied = crypto.createHash('sha256').update(password).digest();
+        if (!user || !crypto.timingSafeEqual(expected, supplied)) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        const profile = { id: user.id, name: user.name, email: user.email, role: user.role };
+        const tokens = SafeTokenService.issue(profile);
+
+        // SAFE: Fresh session id on sign-in (no session fixation)
+        req.session.regenerate((error) => {
+            if (error) {
+                return next(error);
+            }
+            req.session.user = profile;
+            res.json({ user: profile, ...tokens });
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Sign-out revokes the refresh token along with the session
+ */
+router.post('/logout', (req, res) => {
+    const claims = SafeTokenService.verify(req.body?.refreshToken, 'refresh');
+    if (claims) SafeTokenService.revoke(claims);
+
+    req.session.destroy(() => res.json({ signedOut: true }));
+});
+
+/**
+ * SAFE TWIN: Verified, single-use refresh token; role re-read from the users table
+ * Source: req.body.refreshToken (signature checked) -> SafeAuditLogger
+ */
+router.post('/refresh', async (req, res, next) => {
+    try {
+        // SOURCE: Refresh token claims, signature and expiry checked
+        const claims = SafeTokenService.verify(req.body.refreshToken, 'refresh');
+
+        if (!claims) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+        SafeTokenService.revoke(claims);
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+        const [user] = await queryBuilder.findByField('users', 'id', claims.sub);
+
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        // SAFE: Bound values in the audit insert
+        const auditLogger = new SafeAuditLogger(global.dbConnection);
+        await auditLogger.logAction(user.id, 'token_refresh', user.role);
+
+        res.json(SafeTokenService.issue(user));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Current user from a verified token or the session
+ * Source: verified access token subject -> SafeQueryBuilder
+ */
+router.get('/me', safeAuthMiddleware.verifyUser, async (req, res, next) => {
+    try {
+        // SOURCE: Identity set by SafeAuthMiddleware.verifyUser
+        const userId = req.user.id;
+
+        // SAFE: Bound value, allowlisted columns
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+        const [user] = await queryBuilder.findByField('users', 'id', userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ id: user.id, name: user.name, email: user.email, role: user.role });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: SAML Assertion Consumer Service with signature check
+ * Source: signed SAMLResponse NameID -> SafeXssSink
+ */
+router.post('/saml/acs', safeAuthMiddleware.validateSamlResponse, (req, res, next) => {
+    try {
+        // SOURCE: Assertion verified by SafeAuthMiddleware.validateSamlResponse
+        const { email, role } = req.user;
+
+        // SAFE: XSS - escaped identity sent with a strict CSP
+        SafeXssSink.sendHtml(res, `<h1>Welcome ${StrongSanitizers.encodeHTML(email)}</h1><p>Signed in as ${StrongSanitizers.encodeHTML(role)}</p>`);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,564 @@
+/**
+ * Safe File Routes - Mitigated twins of the file endpoints
+ * Same paths and upload fields as routes/fileRoutes.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const crypto = require('crypto');
+
+const { FileSource } = require('../../sources/ExternalSource');
+const { PathTraversalSink } = require('../../sinks/FileSink');
+const { SafeCommandSink } = require('../../sinks/safe/SafeCommandSink');
+const { SafePathSink, SafeUploadSink, SafeArchiveSink, UPLOAD_DIR } = require('../../sinks/safe/SafeFileSink');
+const { SafeTemplateSink } = require('../../sinks/safe/SafeTemplateSink');
+const { SafeSsrfSink } = require('../../sinks/safe/SafeNetworkSink');
+const { PATHS } = require('../../config/paths');
+const { StrongSanitizers } = require('../../utils/safe/sanitizers');
+
+// Extension per image type detected from the file content
+const IMAGE_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif'
+};
+
+/**
+ * SAFE TWIN: File Upload with a generated filename
+ * Source: req.files -> SafeUploadSink
+ */
+router.post('/upload', async (req, res, next) => {
+    try {
+        // SOURCE: Uploaded file
+        const file = req.files?.file;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        // SAFE: Client filename never reaches the file system
+        const savedPath = SafeUploadSink.saveUpload(file, PATHS.uploads);
+
+        res.json({
+            filename: file.name,
+            path: savedPath,
+            size: file.size,
+            mimetype: file.mimetype
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Image Processing with execFile
+ * Source: req.files + req.body -> SafeCommandSink
+ */
+router.post('/upload/image', async (req, res, next) => {
+    try {
+        const image = req.files?.image;
+        const { format, width, height } = req.body;
+
+        if (!image) {
+            return res.status(400).json({ error: 'No image uploaded' });
+        }
+
+        // SAFE: Type sniffed from the magic bytes, the client's name and MIME type ignored
+        const type = StrongSanitizers.validateContentType(image);
+        if (!type) {
+            return res.status(415).json({ error: 'Unsupported image type' });
+        }
+
+        // Save original under a generated name
+        const originalPath = path.join(PATHS.tmp, `${crypto.randomUUID()}${IMAGE_EXTENSIONS[type]}`);
+        await image.mv(originalPath);
+
+        const outputPath = `${PATHS.processed}/${crypto.randomUUID()}.${format}`;
+
+        // SAFE: Allowlisted format, server-generated paths, argument array
+        await SafeCommandSink.convertImage(
+            originalPath,
+            outputPath,
+            format
+        );
+
+        res.json({ processed: outputPath });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Archive Upload with confined extraction
+ * Source: req.files -> SafeArchiveSink
+ */
+router.post('/upload/archive', async (req, res, next) => {
+    try {
+        const archive = req.files?.archive;
+        const { extractTo } = req.body;
+
+        if (!archive) {
+            return res.status(400).json({ error: 'No archive uploaded' });
+        }
+
+        // Save archive under a generated name
+        const archivePath = path.join(PATHS.tmp, `${crypto.randomUUID()}.zip`);
+        await archive.mv(archivePath);
+
+        // SAFE: Every entry confined to the extraction directory
+        const extractPath = await SafeArchiveSink.extractZip(archivePath, extractTo || PATHS.extracted);
+
+        res.json({ extracted: extractPath });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Uploaded template content rendered as data
+ * Source: req.files (template file) -> SafeTemplateSink
+ */
+router.post('/upload/template', async (req, res, next) => {
+    try {
+        const templateFile = req.files?.template;
+        const { engine, context } = req.body;
+
+        if (!templateFile) {
+            return res.status(400).json({ error: 'No template uploaded' });
+        }
+
+        // Uploaded content is displayed, never compiled
+        const templateContent = templateFile.data.toString();
+
+        let rendered;
+        const parsedContext = { ...JSON.parse(context || '{}'), content: templateContent };
+
+        switch (engine) {
+            case 'ejs':
+                rendered = SafeTemplateSink.renderEjs('document', parsedContext);
+                break;
+            case 'pug':
+                rendered = SafeTemplateSink.renderPug('document', parsedContext);
+                break;
+            default:
+                rendered = SafeTemplateSink.renderNunjucks('document', parsedContext);
+        }
+
+        res.send(rendered);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Uploaded config with allowlisted URLs, preset commands, confined paths
+ * Source: req.files (config file) -> SafeSsrfSink + SafeCommandSink + SafePathSink
+ */
+router.post('/upload/config', async (req, res, next) => {
+    try {
+        const configFile = req.files?.config;
+
+        if (!configFile) {
+            return res.status(400).json({ error: 'No config uploaded' });
+        }
+
+        // SOURCE: Config file contents (uploads are kept in temp files, data is empty)
+        const config = await FileSource.readJsonFile(configFile.tempFilePath);
+
+        const results = {};
+
+        // SAFE: Host allowlist
+        if (config.endpoints) {
+            for (const [name, url] of Object.entries(config.endpoints)) {
+                results[name] = await SafeSsrfSink.fetchUrl(url);
+            }
+        }
+
+        // SAFE: Preset command names only
+        if (config.commands) {
+            for (const [name, cmd] of Object.entries(config.commands)) {
+                results[name] = await SafeCommandSink.executeCommand(cmd);
+            }
+        }
+
+        // SAFE: Paths confined to the data directory
+        if (config.files) {
+            for (const [name, filePath] of Object.entries(config.files)) {
+                results[name] = SafePathSink.readFile(filePath);
+            }
+        }
+
+        res.json({ results });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Confined template read -> Escaped render -> Response
+ * Source: req.params + req.query -> SafePathSink -> SafeTemplateSink
+ */
+router.get('/render/:template', async (req, res, next) => {
+    try {
+        // SOURCE: URL parameter
+        const templateName = req.params.template;
+        const context = req.query;
+
+        // SAFE: Template read confined to the template directory
+        const templateContent = SafePathSink.readFile(templateName, PATHS.templates);
+
+        // SAFE: Trusted template source, query values only as escaped data
+        const rendered = SafeTemplateSink.renderTrustedEjs(templateContent, context);
+
+        // SAFE: XSS - engine output is escaped
+        res.send(rendered);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: File Download with a canonical, confined path and an encoded filename
+ * Source: req.query -> StrongSanitizers.confinePath -> PathTraversalSink -> Response stream
+ */
+router.get('/download', (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { filename, directory } = req.query;
+
+        // SAFE: Links resolved, path confined to the files directory
+        const filePath = StrongSanitizers.confinePath(PATHS.files, directory || '', String(filename));
+        const stream = PathTraversalSink.createReadStream(filePath);
+
+        // Download headers are set before the stream opens; the 404 goes out without them
+        stream.on('error', () => {
+            res.removeHeader('Content-Disposition');
+            res.removeHeader('Content-Type');
+            res.status(404).json({ error: 'File not found' });
+        });
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${StrongSanitizers.encodeURL(path.basename(filePath))}`);
+        res.type('application/octet-stream');
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Confined Directory Listing
+ * Source: req.query -> SafePathSink
+ */
+router.get('/list', (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { directory } = req.query;
+
+        // SAFE: Listing confined to the application directory
+        const files = SafePathSink.listDirectory(directory);
+
+        res.json({ files });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: File Operations as argument arrays
+ * Source: req.body -> SafeCommandSink
+ */
+router.post('/operations', async (req, res, next) => {
+    try {
+        const { operation, source, destination } = req.body;
+
+        let result;
+
+        switch (operation) {
+            case 'copy':
+                // SAFE: cp with confined paths, no shell
+                result = await SafeCommandSink.fileOperation('copy', source, destination);
+                break;
+
+            case 'move':
+                // SAFE: mv with confined paths, no shell
+                result = await SafeCommandSink.fileOperation('move', source, destination);
+                break;
+
+            case 'compress':
+                // SAFE: tar with confined paths, no shell
+                result = await SafeCommandSink.fileOperation('compress', source, destination);
+                break;
+
+            case 'extract':
+                // SAFE: tar extraction with confined paths
+                result = await SafeCommandSink.extractArchive(source, destination);
+                break;
+
+            case 'convert':
+                // SAFE: convert with confined paths, no shell
+                result = await SafeCommandSink.fileOperation('convert', source, destination);
+                break;
+
+            case 'checksum':
+                // SAFE: sha256sum with a confined path
+                result = await SafeCommandSink.fileOperation('checksum', source);
+                break;
+
+            default:
+                return res.status(400).json({ error: 'Unknown operation' });
+        }
+
+        res.json({ result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Remote Fetch -> Confined Save -> Named post-processing
+ * Source: req.body.url -> SafeSsrfSink -> SafePathSink -> SafeCommandSink
+ */
+router.post('/fetch-and-process', async (req, res, next) => {
+    try {
+        const { url, savePath, postProcess } = req.body;
+
+        // Step 1: SAFE - Host allowlist
+        const content = await SafeSsrfSink.fetchUrl(url);
+
+        // Step 2: SAFE - Save path confined to the data directory
+        SafePathSink.writeFile(savePath, content);
+
+        // Step 3: SAFE - Named file command, path as a single argument
+        let result = 'saved';
+        if (postProcess) {
+            result = await SafeCommandSink.executeWithArgs(postProcess, savePath);
+        }
+
+        res.json({
+            fetched: url,
+            saved: savePath,
+            processed: result
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Symlink with confined target and location
+ * Source: req.body -> SafePathSink
+ */
+router.post('/symlink', (req, res, next) => {
+    try {
+        const { target, linkName } = req.body;
+
+        // SAFE: Target and link both confined
+        SafePathSink.createSymlink(target, linkName);
+
+        res.json({
+            created: linkName,
+            pointsTo: target
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Bulk Upload with generated names and named processing
+ * Source: req.files (multiple) -> SafeUploadSink + SafeCommandSink
+ */
+router.post('/bulk-upload', async (req, res, next) => {
+    try {
+        const files = req.files;
+        const { processCommand } = req.body;
+
+        if (!files) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        const results = [];
+
+        for (const [key, file] of Object.entries(files)) {
+            // SAFE: Server-generated filename
+            const savedPath = SafeUploadSink.saveUpload(file, PATHS.uploads);
+
+            // SAFE: Named file command on a confined path
+            if (processCommand) {
+                const processResult = await SafeCommandSink.executeWithArgs(
+                    processCommand,
+                    path.basename(savedPath),
+                    UPLOAD_DIR
+                );
+                results.push({ file: file.name, path: savedPath, processed: processResult });
+            } else {
+                results.push({ file: file.name, path: savedPath });
+            }
+        }
+
+        res.json({ uploaded: results });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Upload Preview confined to the upload directory
+ * Source: req.query -> SafePathSink
+ */
+router.get('/preview', (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { file } = req.query;
+
+        // SAFE: Path confined to the upload directory
+        const content = SafePathSink.readFile(file, UPLOAD_DIR);
+
+        res.json({ file, preview: content.slice(0, 1000) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Document Viewer confined to the document directory
+ * Source: req.params -> SafePathSink
+ */
+router.get('/documents/:name', async (req, res, next) => {
+    try {
+        // SOURCE: URL parameter
+        const { name } = req.params;
+
+        // SAFE: Path confined to the document directory
+        const content = await SafePathSink.readFileAsync(name);
+
+        res.json({ name, content });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: File Streaming confined to the files directory
+ * Source: req.query -> SafePathSink -> Response stream
+ */
+router.get('/stream', (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { file } = req.query;
+
+        // SAFE: Stream opened on a confined path
+        const stream = SafePathSink.createReadStream(file);
+
+        stream.on('error', () => {
+            res.removeHeader('Content-Type');
+            res.status(404).json({ error: 'File not found' });
+        });
+        res.type('application/octet-stream');
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Stored Upload with confined directories and allowlisted types
+ * Source: req.files + req.body -> SafeUploadSink
+ */
+router.post('/upload/store', (req, res, next) => {
+    try {
+        // SOURCE: Uploaded file and form fields
+        const file = req.files?.file;
+        const { directory, name, extension } = req.body;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        let savedPath;
+        if (directory) {
+            // SAFE: Sub-directory of the upload directory, generated filename
+            savedPath = SafeUploadSink.saveToDirectory(file, directory);
+        } else if (name) {
+            // SAFE: Plain base name, allowlisted extension
+            savedPath = SafeUploadSink.saveWithExtension(file, name, extension || 'txt');
+        } else {
+            // SAFE: Extension from an allowlist of MIME types
+            savedPath = SafeUploadSink.saveByMimeType(file);
+        }
+
+        res.json({ path: savedPath });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Tarball Upload with confined extraction
+ * Source: req.files -> SafeArchiveSink
+ */
+router.post('/upload/tarball', async (req, res, next) => {
+    try {
+        const archive = req.files?.archive;
+        const { extractTo } = req.body;
+
+        if (!archive) {
+            return res.status(400).json({ error: 'No archive uploaded' });
+        }
+
+        // Save archive under a generated name
+        const archivePath = path.join(PATHS.tmp, `${crypto.randomUUID()}.tar.gz`);
+        await archive.mv(archivePath);
+
+        // SAFE: Entries stripped of absolute and ../ paths, links skipped
+        const extractPath = await SafeArchiveSink.extractTar(archivePath, extractTo || PATHS.extracted);
+
+        res.json({ extracted: extractPath });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: File Bundle of confined data files
+ * Source: req.body -> SafeArchiveSink
+ */
+router.post('/bundle', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { files, name } = req.body;
+
+        // SAFE: Inputs confined to the data directory, validated bundle name
+        const bundlePath = await SafeArchiveSink.createZip(name, files);
+
+        res.json({ bundle: bundlePath });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Bulk Import Manifest with allowlisted URLs and confined writes
+ * Source: Uploaded manifest read back from disk (FileSource) -> SafeSsrfSink + SafePathSink
+ */
+router.post('/import', async (req, res, next) => {
+    try {
+        // SOURCE: Manifest file contents
+        const manifest = await FileSource.readJsonFile(req.files?.manifest?.tempFilePath);
+
+        const imported = [];
+        for (const entry of manifest.entries || []) {
+            // SAFE: Allowlisted host, no redirects
+            const content = await SafeSsrfSink.fetchUrl(entry.url);
+
+            // SAFE: Destination confined to the data directory
+            imported.push(SafePathSink.writeFile(entry.path, content));
+        }
+
+        res.json({ imported });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,488 @@
+/**
+ * Safe Flow Routes - Mitigated twins of the taint propagation test cases
+ * Same paths and parameters as routes/flowRoutes.js; the data takes the same
+ * relays, transforms, chains and contexts but ends in a safe sink
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { TaintRelay, TaintTransform, ChainBuilder, ContextPropagation } = require('../../utils/dataFlowHelpers');
+const { SafeCommandSink } = require('../../sinks/safe/SafeCommandSink');
+const { SafeSsrfSink, SafeDnsSink } = require('../../sinks/safe/SafeNetworkSink');
+const { SafePathSink, SafeLogSink } = require('../../sinks/safe/SafeFileSink');
+const { SafeTemplateSink, SafeXssSink } = require('../../sinks/safe/SafeTemplateSink');
+const { SafeQueryBuilder } = require('../../config/database');
+const { StrongSanitizers } = require('../../utils/safe/sanitizers');
+
+// Repositories are owner/name pairs on the allowlisted API host
+const REPOSITORY = /^[\w.-]+\/[\w.-]+$/;
+
+// --- TaintRelay -------------------------------------------------------------
+
+/**
+ * SAFE TWIN: TaintRelay.passthrough -> Named command
+ * Source: req.body.command -> SafeCommandSink.executeCommand
+ */
+router.post('/relay/passthrough', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const command = TaintRelay.passthrough(req.body.command);
+
+        // SAFE: Preset command selected by name
+        const result = await SafeCommandSink.executeCommand(command);
+        res.json({ output: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintRelay.arrayRelay -> Confined file read
+ * Source: req.query.file -> SafePathSink.readFile
+ */
+router.get('/relay/array', (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const filename = TaintRelay.arrayRelay(req.query.file);
+
+        // SAFE: Path confined to the data directory
+        const content = SafePathSink.readFile(filename);
+        res.json({ filename, content });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintRelay.objectRelay -> Allowlisted fetch
+ * Source: req.body.url -> SafeSsrfSink.fetchUrl
+ */
+router.post('/relay/object', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const url = TaintRelay.objectRelay(req.body.url);
+
+        // SAFE: Allowlisted host
+        const data = await SafeSsrfSink.fetchUrl(url);
+        res.json({ url, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintRelay.asyncRelay -> Text rendered into a built-in template
+ * Source: req.body.template -> SafeTemplateSink.renderEjs
+ */
+router.post('/relay/async', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body; resolved on a later tick
+        const template = await TaintRelay.asyncRelay(req.body.template);
+
+        // SAFE: The request text is escaped data, never template source
+        const html = SafeTemplateSink.renderEjs('document', { content: template });
+        res.json({ html });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintRelay.callbackRelay -> Escaped log entry
+ * Source: req.body.message -> SafeLogSink.writeLog
+ */
+router.post('/relay/callback', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body, delivered to the callback
+        TaintRelay.callbackRelay(req.body.message, message => {
+            // SAFE: CR/LF escaped
+            SafeLogSink.writeLog('relay.log', message);
+        });
+        res.json({ logged: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintRelay.multiHopRelay -> Bound LIKE pattern
+ * Source: req.query.q -> SafeQueryBuilder.searchByPattern
+ */
+router.get('/relay/multi-hop', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameter, relayed through three helpers
+        const pattern = TaintRelay.multiHopRelay(req.query.q);
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+
+        // SAFE: Pattern bound as a value
+        const rows = await queryBuilder.searchByPattern('users', 'name', pattern);
+        res.json({ results: rows });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- TaintTransform -----------------------------------------------------------
+
+/**
+ * SAFE TWIN: TaintTransform.concat -> Confined directory listing
+ * Source: req.body.directory -> SafePathSink.listDirectory
+ */
+router.post('/transform/concat', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const directory = TaintTransform.concat('data/', req.body.directory, '');
+
+        // SAFE: Listed in-process, confined to the application directory
+        const listing = SafePathSink.listDirectory(directory);
+        res.json({ listing });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintTransform.interpolate -> Encoded values, allowlisted fetch
+ * Source: req.body.host, req.body.resource -> SafeSsrfSink.fetchUrl
+ */
+router.post('/transform/interpolate', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body fills the URL template, each value percent-encoded
+        const url = TaintTransform.interpolate('https://{host}/api/{resource}', {
+            host: encodeURIComponent(req.body.host),
+            resource: encodeURIComponent(req.body.resource)
+        });
+
+        // SAFE: Allowlisted host
+        const data = await SafeSsrfSink.fetchUrl(url);
+        res.json({ url, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintTransform.jsonRoundTrip -> Confined file write
+ * Source: req.body.path, req.body.content -> SafePathSink.writeFile
+ */
+router.post('/transform/json', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body, serialised and parsed again
+        // SAFE: Rebuilt without __proto__, constructor and prototype keys
+        const document = StrongSanitizers.sanitizeJSON(TaintTransform.jsonRoundTrip(req.body));
+
+        // SAFE: Path confined to the data directory
+        const written = SafePathSink.writeFile(document.path, String(document.content));
+        res.json({ written });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintTransform.base64RoundTrip -> Bound WHERE value
+ * Source: req.body.value -> SafeQueryBuilder.findByField
+ */
+router.post('/transform/base64', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body, base64 encoded and decoded again
+        const value = TaintTransform.base64RoundTrip(String(req.body.value));
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+
+        // SAFE: Value bound as a placeholder
+        const rows = await queryBuilder.findByField('users', 'name', value);
+        res.json({ results: rows });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintTransform.arrayOperations -> Named service per element
+ * Source: req.body.hosts -> SafeSsrfSink.fetchFromService
+ */
+router.post('/transform/array', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body array through map/filter/reduce
+        const hosts = TaintTransform.arrayOperations([].concat(req.body.hosts || []));
+
+        // SAFE: Each element names a configured service, no shell involved
+        const results = await Promise.all(hosts.map(host => SafeSsrfSink.fetchFromService(host, 'health')));
+        res.json({ results });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintTransform.objectSpread -> Built-in templates and arithmetic
+ * Source: req.body.engine, req.body.template -> SafeTemplateSink
+ */
+router.post('/transform/spread', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body copied with object spread
+        const options = TaintTransform.objectSpread(req.body);
+        const context = options.context || {};
+
+        // SAFE: Template chosen by name, values escaped; expressions are arithmetic only
+        let output;
+        switch (options.engine) {
+            case 'ejs':
+                output = SafeTemplateSink.renderEjs(options.template, context);
+                break;
+            case 'pug':
+                output = SafeTemplateSink.renderPug(options.template, context);
+                break;
+            case 'handlebars':
+                output = SafeTemplateSink.renderHandlebars(options.template, context);
+                break;
+            case 'nunjucks':
+                output = SafeTemplateSink.renderNunjucks(options.template, context);
+                break;
+            case 'eval':
+                output = SafeTemplateSink.evaluateExpression(options.template, context);
+                break;
+            default:
+                throw new Error('Unknown engine');
+        }
+        res.json({ output });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: TaintTransform.destructure -> Allowlisted ORDER BY
+ * Source: req.body.a, req.body.b, req.body.c -> SafeQueryBuilder.findAllOrdered
+ */
+router.post('/transform/destructure', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body picked apart by destructuring
+        const { a, b, c } = TaintTransform.destructure(req.body);
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+
+        // SAFE: Table and column from the allowlist, direction from a fixed set
+        const rows = await queryBuilder.findAllOrdered(a, b, c);
+        res.json({ results: rows });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- ChainBuilder -------------------------------------------------------------
+
+/**
+ * SAFE TWIN: ChainBuilder.simpleChain -> Allowlisted fetch callback
+ * Source: req.body.url -> SafeSsrfSink.fetchUrl
+ */
+router.post('/chain/simple', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const data = await ChainBuilder.simpleChain(
+            req.body.url,
+            url => String(url).trim(),
+            // SAFE: Allowlisted host
+            url => SafeSsrfSink.fetchUrl(url)
+        );
+        res.json({ data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: ChainBuilder.parallelSinks -> Allowlisted lookup and fetch
+ * Source: req.body.host -> SafeDnsSink.lookupHost, SafeSsrfSink.fetchUrl
+ */
+router.post('/chain/parallel', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const [address, health] = await ChainBuilder.parallelSinks(req.body.host, [
+            // SAFE: Lookup restricted to allowlisted domains
+            host => SafeDnsSink.lookupHost(host),
+            // SAFE: Allowlisted host
+            host => SafeSsrfSink.fetchUrl(`https://${host}/health`)
+        ]);
+        res.json({ address, health });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: ChainBuilder.sequentialSinks -> Allowlisted fetch, confined store
+ * Source: req.body.url, req.body.path -> SafeSsrfSink.fetchUrl -> SafePathSink.writeFile
+ */
+router.post('/chain/sequential', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { url, path } = req.body;
+
+        const stored = await ChainBuilder.sequentialSinks(
+            url,
+            // SAFE: Allowlisted host
+            target => SafeSsrfSink.fetchUrl(target),
+            // SAFE: Path confined to the data directory
+            data => SafePathSink.writeFile(path, JSON.stringify(data))
+        );
+        res.json({ stored });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: ChainBuilder.mergedSources -> Validated API URL instead of a command
+ * Source: req.body.repo, req.body.ref -> SafeSsrfSink.fetchUrl
+ */
+router.post('/chain/merge', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const refs = await ChainBuilder.mergedSources(
+            [req.body.repo, req.body.ref],
+            (repo, ref) => {
+                if (!REPOSITORY.test(String(repo))) throw new Error('Invalid repository');
+                return `https://api.github.com/repos/${repo}/git/ref/heads/${encodeURIComponent(ref)}`;
+            },
+            // SAFE: Allowlisted host, no shell involved
+            url => SafeSsrfSink.fetchUrl(url)
+        );
+        res.json({ refs });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: ChainBuilder.complexChain with a bound query, a confined read
+ * and a preset command
+ * Source: req.body.configName, req.body.args -> SafeQueryBuilder.findByField ->
+ * SafePathSink.readFile -> SafeCommandSink.executeCommand
+ */
+router.post('/chain/complex', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { configName, args } = req.body;
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+
+        // SAFE: Value bound as a placeholder
+        const [config] = await queryBuilder.findByField('configs', 'name', configName);
+        if (!config) {
+            return res.status(404).json({ error: 'Config not found' });
+        }
+
+        // SAFE: Path confined to the data directory
+        const content = SafePathSink.readFile(config.file_path);
+
+        // SAFE: Stored command names a preset; arguments travel as single argv entries
+        const [name] = String(JSON.parse(content).command).split(' ');
+        const result = await SafeCommandSink.executeCommand(name, [].concat(args || []));
+        res.json({ output: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Allowlisted fetch stored at a confined path
+ * Source: req.body.url, req.body.path -> SafeSsrfSink.fetchUrl -> SafePathSink.writeFile
+ */
+router.post('/chain/ssrf-store', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { url, path } = req.body;
+
+        // SAFE: Allowlisted host
+        const data = await SafeSsrfSink.fetchUrl(url);
+
+        // SAFE: Path confined to the data directory
+        SafePathSink.writeFile(path, JSON.stringify(data));
+        res.json({ fetched: url, stored: path });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Built-in template rendered with escaping, sent with a strict CSP
+ * Source: req.body.template, req.body.context -> SafeTemplateSink.renderEjs -> SafeXssSink.sendHtml
+ */
+router.post('/chain/render', (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { template, context } = req.body;
+
+        // SAFE: Template chosen by name, values escaped
+        const html = SafeTemplateSink.renderEjs(template, context || {});
+        SafeXssSink.sendHtml(res, html);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- ContextPropagation -------------------------------------------------------
+
+/**
+ * SAFE TWIN: Context value used as a preset command name
+ * Source: req.body.command -> context -> SafeCommandSink.executeCommand
+ */
+router.post('/context/execute', async (req, res, next) => {
+    try {
+        const context = new ContextPropagation();
+
+        // SOURCE: HTTP body, stored under a fixed key
+        context.set('command', req.body.command);
+
+        // SAFE: Preset command selected by name
+        const result = await SafeCommandSink.executeCommand(context.get('command'));
+        res.json({ output: result.stdout });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Context values rendered through a built-in template
+ * Source: req.body.template, req.body.data -> context -> SafeTemplateSink.renderEjs
+ */
+router.post('/context/render', (req, res, next) => {
+    try {
+        const context = new ContextPropagation();
+
+        // SOURCE: HTTP body, stored under fixed keys
+        context.set('template', req.body.template);
+        context.set('data', req.body.data || {});
+
+        // SAFE: Template chosen by name, values escaped
+        const html = SafeTemplateSink.renderEjs(context.get('template'), context.get('data'));
+        res.json({ html });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: ContextPropagation.chainThroughContext -> Allowlisted fetch callback
+ * Source: req.body.url -> context -> SafeSsrfSink.fetchUrl
+ */
+router.post('/context/chain', async (req, res, next) => {
+    try {
+        const context = new ContextPropagation();
+
+        // SOURCE: HTTP body, stored under a fixed key
+        context.set('url', req.body.url);
+
+        // SAFE: Allowlisted host
+        await context.chainThroughContext('url', 'response', url => SafeSsrfSink.fetchUrl(url));
+        res.json({ data: context.get('response') });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Safe Routes - Mitigated twin of every vulnerable router
+ * Mounted at /safe with the same sub-paths; every flow below is a true negative
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const safeApiRoutes = require('./apiRoutes');
+const safeAdminRoutes = require('./adminRoutes');
+const safeWebhookRoutes = require('./webhookRoutes');
+const safeFileRoutes = require('./fileRoutes');
+const safeNosqlRoutes = require('./nosqlRoutes');
+const safeFlowRoutes = require('./flowRoutes');
+const safeAuthRoutes = require('./authRoutes');
+const safePartnerRoutes = require('./partnerRoutes');
+const safeInternalRoutes = require('./internalRoutes');
+const safeMetricsRoutes = require('./metricsRoutes');
+
+router.use('/api/nosql', safeNosqlRoutes);
+router.use('/api/flows', safeFlowRoutes);
+router.use('/api', safeApiRoutes);
+router.use('/admin', safeAdminRoutes);
+router.use('/auth', safeAuthRoutes);
+router.use('/partner', safePartnerRoutes);
+router.use('/internal', safeInternalRoutes);
+router.use('/webhook', safeWebhookRoutes);
+router.use('/files', safeFileRoutes);
+router.use('/metrics', safeMetricsRoutes);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+/**
+ * Safe Internal Routes - Mitigated twins of the operations endpoints
+ * Same paths as routes/internalRoutes.js; access is decided by the socket
+ * address and debug diagnostics need DEBUG_TOKEN
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const safeAuthMiddleware = require('../../middleware/safe/authMiddleware');
+const { SafeXssSink } = require('../../sinks/safe/SafeTemplateSink');
+const { SafeLogSink } = require('../../sinks/safe/SafeFileSink');
+const { StrongSanitizers } = require('../../utils/safe/sanitizers');
+
+// Every internal request passes the socket address check and the token-gated debug hook
+router.use(safeAuthMiddleware.requireInternalIp, safeAuthMiddleware.debugAuth);
+
+/**
+ * SAFE TWIN: Request Inspector showing the socket address
+ * Source: req.socket.remoteAddress -> SafeXssSink
+ */
+router.get('/whoami', (req, res, next) => {
+    try {
+        // SOURCE: Socket address (SafeAuthMiddleware.requireInternalIp)
+        const { clientIp } = req;
+
+        // SAFE: XSS - escaped address sent with a strict CSP
+        SafeXssSink.sendHtml(res, `<h1>Request from ${StrongSanitizers.encodeHTML(clientIp)}</h1>`);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Log Tail read in-process from the log directory
+ * Source: req.body -> SafeLogSink
+ */
+router.post('/logs/tail', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { file, lines } = req.body;
+
+        // SAFE: Log read confined to the log directory, no shell
+        const output = SafeLogSink.readLog(file).split('\n').slice(-Math.max(1, Number(lines) || 100)).join('\n');
+
+        res.json({ output, debug: req.debugResult });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
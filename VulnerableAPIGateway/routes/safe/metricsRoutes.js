@@ -0,0 +1,29 @@
+/**
+ * Safe Metrics Routes - Mitigated twin of the scrape endpoint
+ * Same path as routes/metricsRoutes.js; only the aggregated families, whose
+ * labels are route patterns and escaped, are exposed
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { MetricsMiddleware } = require('../../middleware/loggingMiddleware');
+
+/**
+ * SAFE TWIN: Aggregated families only
+ * Source: labels MetricsMiddleware.recordMetric stored -> Response
+ */
+router.get('/', (req, res, next) => {
+    try {
+        // SOURCE: Stored data
+        const exposition = MetricsMiddleware.exposition();
+        res.type('text/plain; version=0.0.4');
+
+        // SAFE: Metric label injection - route patterns and status codes, escaped
+        res.send(exposition);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+/**
+ * Safe NoSQL Routes - Mitigated twins of the MongoDB endpoints
+ * Same paths and parameters as routes/nosqlRoutes.js; values are cast to
+ * strings and matched with $eq, and no client input reaches $where
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+
+const { SafeQueryService } = require('../../services/SafeDataTransformService');
+const { SafeQueryBuilder } = require('../../config/database');
+
+/**
+ * SAFE TWIN: HTTP Body -> Lookup by username, password compared in code
+ * Source: req.body.username, req.body.password -> SafeQueryBuilder.mongoFindByField
+ */
+router.post('/login', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { username, password } = req.body;
+
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'username and password must be strings' });
+        }
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+
+        // SAFE: Username matched with $eq; the password never enters the query
+        const [user] = await queryBuilder.mongoFindByField(global.mongoDb.collection('users'), 'username', username);
+
+        const expected = crypto.createHash('sha256').update(String(user ? user.password : '')).digest();
+        const supplied = crypto.createHash('sha256').update(password).digest();
+        if (!user || !crypto.timingSafeEqual(expected, supplied)) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        res.json({ authenticated: true, user: { username: user.username, email: user.email, role: user.role } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Query string -> Allowlisted equality filter
+ * Source: req.query -> SafeQueryBuilder.mongoFind
+ */
+router.get('/users', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameters
+        const filter = req.query;
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+
+        // SAFE: Nested objects rejected, fields allowlisted
+        const users = await queryBuilder.mongoFind(global.mongoDb.collection('users'), filter);
+
+        res.json({ users: users.map(({ username, email, role }) => ({ username, email, role })) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: HTTP Body -> Field/value filter instead of $where
+ * Source: req.body.where ({ field: value }) -> SafeQueryBuilder.mongoFind
+ */
+router.post('/users/where', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { where } = req.body;
+
+        if (where === null || typeof where !== 'object') {
+            return res.status(400).json({ error: 'where must be an object of field values' });
+        }
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+
+        // SAFE: No JavaScript evaluation
+        const users = await queryBuilder.mongoFind(global.mongoDb.collection('users'), where);
+
+        res.json({ users: users.map(({ username, email, role }) => ({ username, email, role })) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Query parameter -> $eq on the category field
+ * Source: req.query.category -> SafeQueryService.findProducts -> SafeQueryBuilder.mongoFindByField
+ */
+router.get('/products', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { category } = req.query;
+
+        // Cross-file propagation to the safe service layer
+        const queryService = new SafeQueryService(global.dbConnection, global.mongoDb);
+        const products = await queryService.findProducts(category);
+
+        res.json({ products });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Safe Partner Routes - Mitigated twins of the partner endpoints
+ * Same paths as routes/partnerRoutes.js; the API key is a bound parameter
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const safeAuthMiddleware = require('../../middleware/safe/authMiddleware');
+const { SafeSsrfSink } = require('../../sinks/safe/SafeNetworkSink');
+const { SafeQueryBuilder } = require('../../config/database');
+
+// Every partner request starts with a parameterized API key lookup
+router.use(safeAuthMiddleware.validateApiKey);
+
+/**
+ * SAFE TWIN: Partner Activity Search with a bound LIKE pattern
+ * Source: req.query.action -> SafeQueryBuilder.searchByPattern
+ */
+router.get('/activity', async (req, res, next) => {
+    try {
+        // SOURCE: Query parameter
+        const { action } = req.query;
+
+        // SAFE: Pattern bound as a value, wildcards escaped
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+        const entries = await queryBuilder.searchByPattern('audit_log', 'action', action);
+
+        res.json({ client: req.apiClient.client_name, entries });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Partner Webhook Test against allowlisted hosts
+ * Source: req.body.url -> SafeSsrfSink.sendWebhook
+ */
+router.post('/webhooks/test', async (req, res, next) => {
+    try {
+        // SOURCE: HTTP body
+        const { url } = req.body;
+
+        // SAFE: Callback only posted to an allowlisted host
+        const status = await SafeSsrfSink.sendWebhook(url, { event: 'ping', client: req.apiClient.client_name });
+
+        res.json({ delivered: true, status });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
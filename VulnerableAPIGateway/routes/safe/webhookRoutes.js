@@ -0,0 +1,341 @@
+/**
+ * Safe Webhook Routes - Mitigated twins of the integration endpoints
+ * Same payloads and call chains as routes/webhookRoutes.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+
+const { ExternalApiSource } = require('../../sources/ExternalSource');
+const { SafeXmlSource } = require('../../sources/safe/SafeXmlSource');
+const { SafeCommandSink } = require('../../sinks/safe/SafeCommandSink');
+const { SafeSsrfSink } = require('../../sinks/safe/SafeNetworkSink');
+const { SafePathSink } = require('../../sinks/safe/SafeFileSink');
+const { SafeTemplateSink } = require('../../sinks/safe/SafeTemplateSink');
+const { SafeQueryBuilder } = require('../../config/database');
+const { PATHS } = require('../../config/paths');
+const { StrongSanitizers } = require('../../utils/safe/sanitizers');
+
+/**
+ * SAFE TWIN: External Webhook -> Parameterized SQL
+ * Source: External webhook payload -> SafeQueryBuilder
+ */
+router.post('/github', async (req, res, next) => {
+    try {
+        // SOURCE: Webhook payload (external, potentially attacker-controlled)
+        const payload = ExternalApiSource.parseWebhookPayload(req.body, req.headers['x-hub-signature']);
+
+        const { repository, sender, commits } = payload.data;
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+
+        // SAFE: Allowlisted columns, bound values
+        await queryBuilder.dynamicQuery('repositories', {
+            name: repository.name,
+            owner: sender.login,
+            url: repository.html_url
+        });
+
+        for (const commit of commits || []) {
+            // SAFE: Allowlisted columns, bound values
+            await queryBuilder.dynamicQuery('commits', {
+                sha: commit.id,
+                message: commit.message,
+                author: commit.author.name
+            });
+        }
+
+        res.json({ status: 'processed' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: CI/CD Webhook -> Validated git and build commands
+ * Source: CI/CD webhook -> SafeCommandSink
+ */
+router.post('/cicd', async (req, res, next) => {
+    try {
+        // SOURCE: CI/CD webhook payload
+        const { event, project, branch, commit } = req.body;
+
+        let result;
+
+        switch (event) {
+            case 'push':
+                // SAFE: Allowlisted HTTPS host, confined checkout directory
+                result = await SafeCommandSink.gitClone(
+                    project.git_url,
+                    project.name
+                );
+                break;
+
+            case 'build':
+                // SAFE: Validated branch, fixed build command
+                result = await SafeCommandSink.buildProject(project.name, branch);
+                break;
+
+            case 'deploy':
+                // SAFE: Validated option values, argument array
+                result = await SafeCommandSink.deployProject(project.name, commit, branch);
+                break;
+
+            default:
+                result = 'Event ignored';
+        }
+
+        res.json({ status: 'processed', result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Payment Webhook -> Allowlisted callbacks
+ * Source: Payment webhook -> SafeSsrfSink
+ */
+router.post('/payment', async (req, res, next) => {
+    try {
+        // SOURCE: Payment webhook payload
+        const { event, data, callback_url } = req.body;
+
+        const result = {
+            event,
+            transactionId: data.transaction_id,
+            amount: data.amount,
+            status: data.status
+        };
+
+        // SAFE: Host allowlist
+        if (callback_url) {
+            await SafeSsrfSink.sendWebhook(callback_url, result);
+        }
+
+        // SAFE: Host allowlist
+        if (data.receipt_url) {
+            const receipt = await SafeSsrfSink.fetchUrl(data.receipt_url);
+            result.receipt = receipt;
+        }
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: SOAP/XML Webhook -> DTD-free parsing + Parameterized SQL
+ * Source: SOAP envelope -> SafeXmlSource -> SafeQueryBuilder
+ */
+router.post('/soap', async (req, res, next) => {
+    try {
+        // Get raw XML body
+        const xmlBody = req.body.toString();
+
+        // SOURCE: SOAP envelope
+        // SAFE: XXE - DOCTYPE and ENTITY declarations are rejected
+        const soapBody = await SafeXmlSource.extractSoapBody(xmlBody);
+
+        if (!soapBody) {
+            return res.status(400).json({ error: 'Invalid SOAP envelope' });
+        }
+
+        const operation = Object.keys(soapBody)[0];
+        const params = soapBody[operation];
+
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+
+        let result;
+        switch (operation) {
+            case 'GetUser':
+                result = await queryBuilder.findByField('users', 'id', params.userId);
+                break;
+
+            case 'SearchUsers':
+                result = await queryBuilder.searchByPattern('users', params.field, params.pattern);
+                break;
+
+            case 'CreateUser':
+                result = await queryBuilder.dynamicQuery('users', params);
+                break;
+
+            default:
+                result = 'Unknown operation';
+        }
+
+        res.type('application/xml');
+        res.send(`
+            <?xml version="1.0" encoding="UTF-8"?>
+            <soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+                <soap:Body>
+                    <Response>${StrongSanitizers.encodeHTML(JSON.stringify(result))}</Response>
+                </soap:Body>
+            </soap:Envelope>
+        `);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Deployment Webhook -> Allowlisted fetch, confined writes, preset commands
+ * Source: Deployment webhook -> SafeSsrfSink + SafePathSink + SafeCommandSink
+ */
+router.post('/deploy', async (req, res, next) => {
+    try {
+        // SOURCE: Deployment webhook payload
+        const { artifact_url, deploy_path, post_deploy_script, config } = req.body;
+
+        // Step 1: SAFE - Host allowlist
+        const artifactContent = await SafeSsrfSink.fetchUrl(artifact_url);
+
+        // Step 2: SAFE - Artifact path confined to the data directory
+        const artifactPath = SafePathSink.writeFile(
+            path.join(deploy_path, 'artifact.tar.gz'),
+            artifactContent
+        );
+
+        // Step 3: SAFE - tar with confined paths, argument array
+        await SafeCommandSink.extractArchive(artifactPath, deploy_path);
+
+        // Step 4: SAFE - Config path confined to the data directory
+        if (config) {
+            SafePathSink.writeFile(
+                path.join(deploy_path, 'config.json'),
+                JSON.stringify(config)
+            );
+        }
+
+        // Step 5: SAFE - Preset command only
+        if (post_deploy_script) {
+            await SafeCommandSink.executeCommand(post_deploy_script);
+        }
+
+        res.json({ status: 'deployed', path: deploy_path });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Slack Slash Command -> Validated actions
+ * Source: Slack slash command -> SafeCommandSink + SafePathSink + SafeSsrfSink
+ */
+router.post('/slack', async (req, res, next) => {
+    try {
+        // SOURCE: Slack slash command payload
+        const { command, text, user_name, channel_name, response_url } = req.body;
+
+        // Parse command arguments
+        const args = text.split(' ');
+        const action = args[0];
+        const target = args.slice(1).join(' ');
+
+        let result;
+
+        switch (action) {
+            case 'status':
+                // SAFE: Validated unit name, no shell
+                result = await SafeCommandSink.runSystemCommand('status', target);
+                break;
+
+            case 'logs':
+                // SAFE: Log read confined to the system log directory
+                result = SafePathSink.readFile(target, PATHS.systemLogs);
+                break;
+
+            case 'exec':
+                // SAFE: Preset command only
+                result = (await SafeCommandSink.executeCommand(target)).stdout;
+                break;
+
+            default:
+                result = 'Unknown command';
+        }
+
+        const response = {
+            response_type: 'in_channel',
+            text: `*Command:* ${command} ${text}\n*User:* ${user_name}\n*Result:*\n\`\`\`${result}\`\`\``
+        };
+
+        // SAFE: Host allowlist
+        if (response_url) {
+            await SafeSsrfSink.postToUrl(response_url, response);
+        }
+
+        res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Generic Webhook -> Built-in, autoescaped template
+ * Source: Webhook with template name -> SafeTemplateSink
+ */
+router.post('/template', async (req, res, next) => {
+    try {
+        // SOURCE: Webhook with template data
+        const { template, data, engine, output_url } = req.body;
+
+        let rendered;
+
+        switch (engine) {
+            case 'ejs':
+                rendered = SafeTemplateSink.renderEjs(template, data);
+                break;
+            case 'nunjucks':
+                rendered = SafeTemplateSink.renderNunjucks(template, data);
+                break;
+            default:
+                rendered = SafeTemplateSink.renderHandlebars(template, data);
+        }
+
+        // SAFE: Host allowlist
+        if (output_url) {
+            await SafeSsrfSink.postToUrl(output_url, { html: rendered });
+        }
+
+        // SAFE: XSS - engine output is escaped
+        res.send(rendered);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * SAFE TWIN: Notification Webhook -> Parameterized INSERT
+ * Source: Notification service -> SafeQueryBuilder
+ */
+router.post('/notification', async (req, res, next) => {
+    try {
+        // SOURCE: Notification webhook payload
+        const { type, title, message, user_id, metadata } = req.body;
+
+        // SAFE: Parameterized INSERT
+        const queryBuilder = new SafeQueryBuilder(global.dbConnection);
+        await queryBuilder.insert('notifications', {
+            type,
+            title,
+            message,
+            user_id,
+            metadata: JSON.stringify(metadata)
+        });
+
+        res.json({
+            status: 'stored',
+            notification: {
+                type,
+                title,
+                message,
+                user_id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
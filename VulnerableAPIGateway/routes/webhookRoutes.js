@@ -13,12 +13,18 @@ const { SsrfSink } = require('../sinks/NetworkSink');
 const { PathTraversalSink } = require('../sinks/FileSink');
 const { TemplateSink, XssSink } = require('../sinks/TemplateSink');
 const { QueryBuilder, AuditLogger } = require('../config/database');
+const { VulnProfile, routeOf } = require('../config/vulnProfile');
+const { PATHS } = require('../config/paths');
+const safeWebhookRoutes = require('./safe/webhookRoutes');
+
+// Cases the vulnerability profile disables are served by the safe twin
+const profile = VulnProfile.active();
 
 /**
  * MULTI-CHAIN: External Webhook -> SQL Injection
  * Source: External webhook payload -> QueryBuilder
  */
-router.post('/github', async (req, res) => {
+router.post('/github', async (req, res, next) => {
     try {
         // SOURCE: Webhook payload (external, potentially attacker-controlled)
         const payload = ExternalApiSource.parseWebhookPayload(req.body, req.headers['x-hub-signature']);
@@ -47,7 +53,7 @@ router.post('/github', async (req, res) => {
 
         res.json({ status: 'processed' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -55,11 +61,15 @@ router.post('/github', async (req, res) => {
  * MULTI-CHAIN: External Webhook -> Command Injection
  * Source: CI/CD webhook -> CommandSink
  */
-router.post('/cicd', async (req, res) => {
+router.post('/cicd', async (req, res, next) => {
     try {
         // SOURCE: CI/CD webhook payload
         const { event, project, branch, commit, buildScript } = req.body;
 
+        if (!profile.caseLive(routeOf(req), event)) {
+            return profile.delegate(safeWebhookRoutes, req, res, next);
+        }
+
         // SINK: Command injection via CI/CD webhook
         let result;
 
@@ -68,14 +78,14 @@ router.post('/cicd', async (req, res) => {
                 // SINK: Git clone with user-controlled URL
                 result = await CommandSink.gitClone(
                     project.git_url,  // TAINTED
-                    `/var/builds/${project.name}`  // TAINTED
+                    `${PATHS.builds}/${project.name}`  // TAINTED
                 );
                 break;
 
             case 'build':
                 // SINK: Build script execution
                 result = await CommandSink.executeCommand(
-                    `cd /var/builds/${project.name} && git checkout ${branch} && ${buildScript}`
+                    `cd ${PATHS.builds}/${project.name} && git checkout ${branch} && ${buildScript}`
                 );
                 break;
 
@@ -92,7 +102,7 @@ router.post('/cicd', async (req, res) => {
 
         res.json({ status: 'processed', result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -100,7 +110,7 @@ router.post('/cicd', async (req, res) => {
  * MULTI-CHAIN: External Webhook -> SSRF
  * Source: Payment webhook -> SsrfSink
  */
-router.post('/payment', async (req, res) => {
+router.post('/payment', async (req, res, next) => {
     try {
         // SOURCE: Payment webhook payload
         const { event, data, callback_url } = req.body;
@@ -126,7 +136,7 @@ router.post('/payment', async (req, res) => {
 
         res.json(result);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -134,7 +144,7 @@ router.post('/payment', async (req, res) => {
  * MULTI-CHAIN: SOAP/XML Webhook -> XXE + SQL Injection
  * Source: SOAP envelope -> XmlSource -> QueryBuilder
  */
-router.post('/soap', async (req, res) => {
+router.post('/soap', async (req, res, next) => {
     try {
         // Get raw XML body
         const xmlBody = req.body.toString();
@@ -150,6 +160,10 @@ router.post('/soap', async (req, res) => {
         const operation = Object.keys(soapBody)[0];
         const params = soapBody[operation];
 
+        if (!profile.caseLive(routeOf(req), operation)) {
+            return profile.delegate(safeWebhookRoutes, req, res, next);
+        }
+
         // SINK: SQL injection with data from XXE-vulnerable parsing
         const queryBuilder = new QueryBuilder(global.dbConnection);
 
@@ -182,7 +196,7 @@ router.post('/soap', async (req, res) => {
             </soap:Envelope>
         `);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -190,7 +204,7 @@ router.post('/soap', async (req, res) => {
  * MULTI-CHAIN: External Webhook -> File Write + Command Injection
  * Source: Deployment webhook -> PathTraversalSink + CommandSink
  */
-router.post('/deploy', async (req, res) => {
+router.post('/deploy', async (req, res, next) => {
     try {
         // SOURCE: Deployment webhook payload
         const { artifact_url, deploy_path, post_deploy_script, config } = req.body;
@@ -224,7 +238,7 @@ router.post('/deploy', async (req, res) => {
 
         res.json({ status: 'deployed', path: deploy_path });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -232,7 +246,7 @@ router.post('/deploy', async (req, res) => {
  * MULTI-CHAIN: Slack Webhook -> XSS + Command Injection
  * Source: Slack slash command -> XssSink + CommandSink
  */
-router.post('/slack', async (req, res) => {
+router.post('/slack', async (req, res, next) => {
     try {
         // SOURCE: Slack slash command payload
         const { command, text, user_name, channel_name, response_url } = req.body;
@@ -242,6 +256,10 @@ router.post('/slack', async (req, res) => {
         const action = args[0];
         const target = args.slice(1).join(' ');
 
+        if (!profile.caseLive(routeOf(req), action)) {
+            return profile.delegate(safeWebhookRoutes, req, res, next);
+        }
+
         let result;
 
         switch (action) {
@@ -252,7 +270,7 @@ router.post('/slack', async (req, res) => {
 
             case 'logs':
                 // SINK: Path traversal via Slack command
-                result = PathTraversalSink.readFile(`/var/log/${target}`);
+                result = PathTraversalSink.readFile(`${PATHS.systemLogs}/${target}`);
                 break;
 
             case 'exec':
@@ -277,7 +295,7 @@ router.post('/slack', async (req, res) => {
 
         res.json(response);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -285,11 +303,15 @@ router.post('/slack', async (req, res) => {
  * MULTI-CHAIN: Generic Webhook -> Template Injection
  * Source: Webhook with template -> TemplateSink
  */
-router.post('/template', async (req, res) => {
+router.post('/template', async (req, res, next) => {
     try {
         // SOURCE: Webhook with template data
         const { template, data, engine, output_url } = req.body;
 
+        if (!profile.caseLive(routeOf(req), engine)) {
+            return profile.delegate(safeWebhookRoutes, req, res, next);
+        }
+
         // SINK: Template injection via webhook
         let rendered;
 
@@ -312,7 +334,7 @@ router.post('/template', async (req, res) => {
         // SINK: XSS in response
         res.send(rendered);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
@@ -320,7 +342,7 @@ router.post('/template', async (req, res) => {
  * MULTI-CHAIN: Notification Webhook -> Stored XSS + SQL
  * Source: Notification service -> Storage -> Display
  */
-router.post('/notification', async (req, res) => {
+router.post('/notification', async (req, res, next) => {
     try {
         // SOURCE: Notification webhook payload
         const { type, title, message, user_id, metadata } = req.body;
@@ -342,7 +364,7 @@ router.post('/notification', async (req, res) => {
             }
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
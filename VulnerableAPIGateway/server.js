@@ -12,18 +12,68 @@ const WebSocket = require('ws');
 const fileUpload = require('express-fileupload');
 const http = require('http');
 
+// Every directory the sinks and routes use lives below APP_ROOT (default /);
+// record mode only writes uploads, to the scratch directory
+const { PATHS, ensureDirectories } = require('./config/paths');
+
+// SINK_MODE=record journals sink calls instead of executing them; the recorder
+// patches child_process, fs and friends, so it must load before any route
+const SINK_MODE = process.env.SINK_MODE || 'execute';
+if (SINK_MODE === 'record') {
+    require('./utils/sinkRecorder').SinkRecorder.install();
+    ensureDirectories(['tmp']);
+} else if (SINK_MODE === 'execute') {
+    ensureDirectories();
+} else {
+    throw new Error(`Unknown SINK_MODE "${SINK_MODE}" (expected execute or record)`);
+}
+
+// TAINT_MODE=canary reports which manifest flows each request travelled;
+// it observes the sinks through the recorder's journal
+const TAINT_MODE = process.env.TAINT_MODE || 'off';
+if (TAINT_MODE === 'canary') {
+    if (SINK_MODE !== 'record') throw new Error('TAINT_MODE=canary requires SINK_MODE=record');
+    require('./utils/taintTracker').TaintTracker.install();
+} else if (TAINT_MODE !== 'off') {
+    throw new Error(`Unknown TAINT_MODE "${TAINT_MODE}" (expected off or canary)`);
+}
+
 // Import routes with vulnerable endpoints
 const apiRoutes = require('./routes/apiRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
 const fileRoutes = require('./routes/fileRoutes');
+const nosqlRoutes = require('./routes/nosqlRoutes');
+const flowRoutes = require('./routes/flowRoutes');
+const authRoutes = require('./routes/authRoutes');
+const partnerRoutes = require('./routes/partnerRoutes');
+const internalRoutes = require('./routes/internalRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+
+// Mitigated twins of the routes above (true negatives), also swapped in
+// for the routes the vulnerability profile disables
+const safeRoutes = require('./routes/safe');
+const safeApiRoutes = require('./routes/safe/apiRoutes');
+const safeAdminRoutes = require('./routes/safe/adminRoutes');
+const safeWebhookRoutes = require('./routes/safe/webhookRoutes');
+const safeFileRoutes = require('./routes/safe/fileRoutes');
+const safeNosqlRoutes = require('./routes/safe/nosqlRoutes');
+const safeFlowRoutes = require('./routes/safe/flowRoutes');
+const safeAuthRoutes = require('./routes/safe/authRoutes');
+const safePartnerRoutes = require('./routes/safe/partnerRoutes');
+const safeInternalRoutes = require('./routes/safe/internalRoutes');
+const safeMetricsRoutes = require('./routes/safe/metricsRoutes');
 
 // Import middleware
-const authMiddleware = require('./middleware/authMiddleware');
-const loggingMiddleware = require('./middleware/loggingMiddleware');
+const { LoggingMiddleware, MetricsMiddleware } = require('./middleware/loggingMiddleware');
 
 // Import services
 const WebSocketService = require('./services/WebSocketService');
+const { connectDatabase, connectMongo } = require('./config/bootstrap');
+
+// VULN_PROFILE picks the live flows (config/profiles/, default: all)
+const { VulnProfile } = require('./config/vulnProfile');
+const profile = VulnProfile.active();
 
 const app = express();
 const server = http.createServer(app);
@@ -31,14 +81,15 @@ const server = http.createServer(app);
 // Vulnerable: No body size limits
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
-app.use(bodyParser.raw({ type: '*/*' }));
+// Multipart bodies are left for express-fileupload to stream
+app.use(bodyParser.raw({ type: req => !req.is('multipart/form-data') }));
 
 // Vulnerable: Insecure file upload configuration
 app.use(fileUpload({
     createParentPath: true,
     limits: { fileSize: 50 * 1024 * 1024 },  // 50MB - too large
     useTempFiles: true,
-    tempFileDir: '/tmp/'
+    tempFileDir: PATHS.tmp
 }));
 
 // Vulnerable: Weak session configuration
@@ -50,33 +101,63 @@ app.use(session({
 }));
 
 // Apply middleware
-app.use(loggingMiddleware.logRequest);
+if (TAINT_MODE === 'canary') {
+    app.use(require('./utils/taintTracker').TaintTracker.middleware);
+}
+// Instrumentation endpoints stay out of the access log and the sink journal
+if (SINK_MODE === 'record') {
+    app.use('/__bench', require('./routes/benchRoutes'));
+}
+app.use(LoggingMiddleware.logRequest);
+app.use(MetricsMiddleware.recordMetric);
 
-// Mount routes
-app.use('/api', apiRoutes);
-app.use('/admin', authMiddleware.requireAdmin, adminRoutes);
-app.use('/webhook', webhookRoutes);
-app.use('/files', fileRoutes);
+// Mount routes; each gate answers the routes the profile disables, and
+// every router's requests feed the latency histogram under its own name
+app.use('/api/nosql', MetricsMiddleware.recordTiming('nosql'), profile.gate('/api/nosql', nosqlRoutes, safeNosqlRoutes), nosqlRoutes);
+app.use('/api/flows', MetricsMiddleware.recordTiming('flows'), profile.gate('/api/flows', flowRoutes, safeFlowRoutes), flowRoutes);
+app.use('/api', MetricsMiddleware.recordTiming('api'), profile.gate('/api', apiRoutes, safeApiRoutes), apiRoutes);
+app.use('/admin', MetricsMiddleware.recordTiming('admin'), profile.gate('/admin', adminRoutes, safeAdminRoutes), adminRoutes);
+app.use('/auth', MetricsMiddleware.recordTiming('auth'), profile.gate('/auth', authRoutes, safeAuthRoutes), authRoutes);
+app.use('/partner', MetricsMiddleware.recordTiming('partner'), profile.gate('/partner', partnerRoutes, safePartnerRoutes), partnerRoutes);
+app.use('/internal', MetricsMiddleware.recordTiming('internal'), profile.gate('/internal', internalRoutes, safeInternalRoutes), internalRoutes);
+app.use('/webhook', MetricsMiddleware.recordTiming('webhook'), profile.gate('/webhook', webhookRoutes, safeWebhookRoutes), webhookRoutes);
+app.use('/files', MetricsMiddleware.recordTiming('files'), profile.gate('/files', fileRoutes, safeFileRoutes), fileRoutes);
+app.use('/metrics', MetricsMiddleware.recordTiming('metrics'), profile.gate('/metrics', metricsRoutes, safeMetricsRoutes), metricsRoutes);
+app.use('/safe', MetricsMiddleware.recordTiming('safe'), LoggingMiddleware.discloseErrors('production'), safeRoutes);
 
 // Initialize WebSocket service (VULNERABLE: No origin validation)
 const wss = new WebSocket.Server({ server });
 const wsService = new WebSocketService(wss);
 wsService.initialize();
 
-// Vulnerable: Error handler exposes internal details
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({
-        error: err.message,
-        stack: err.stack,  // SINK: Information disclosure
-        query: req.query,
-        body: req.body
+// Every router forwards its errors here; the profile's disclosure level
+// decides how much of them reaches the client
+app.use(LoggingMiddleware.errorLogger);
+
+// SQL routes use global.dbConnection and NoSQL routes global.mongoDb;
+// record mode already installed journaling stand-ins for both
+const ready = SINK_MODE === 'record'
+    ? Promise.resolve({ sql: 'journal', mongo: 'journal' })
+    : Promise.all([connectDatabase(), connectMongo()]).then(([sql, mongo]) => {
+        global.dbConnection = sql.connection;
+        global.mongoDb = mongo.db;
+        return { sql: sql.driver, mongo: mongo.driver };
     });
-});
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`API Gateway running on port ${PORT}`);
-});
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+    const PORT = process.env.PORT || 3000;
+    ready.then((drivers) => {
+        server.listen(PORT, () => {
+            console.log(`API Gateway running on port ${PORT} (sink mode: ${SINK_MODE}, profile: ${profile.name}, database: ${drivers.sql}, mongo: ${drivers.mongo})`);
+            if (!process.env.JWT_SECRET) {
+                console.log('JWT_SECRET is not set: the safe twins sign tokens with a key generated for this run');
+            }
+        });
+    }).catch((error) => {
+        console.error(`Database bootstrap failed: ${error.message}`);
+        process.exit(1);
+    });
+}
 
-module.exports = { app, server };
+module.exports = { app, server, ready };
@@ -142,8 +142,9 @@ class UserDataService {
  * Query Service - Demonstrates SQL injection propagation
  */
 class QueryService {
-    constructor(dbConnection) {
+    constructor(dbConnection, mongoDb = global.mongoDb) {
         this.queryBuilder = new QueryBuilder(dbConnection);
+        this.mongoDb = mongoDb;
     }
 
     // Cross-file SQL injection: HTTP source -> QueryBuilder sink
@@ -172,6 +173,14 @@ class QueryService {
         // SINK: IN clause injection
         return await this.queryBuilder.findByIds('users', idList);
     }
+
+    // Cross-file NoSQL injection: value spliced into server-side JavaScript
+    async findProducts(category) {
+        const whereClause = `this.category == '${category}' && this.published`;
+
+        // SINK: NoSQL injection via $where
+        return await this.queryBuilder.mongoFindWhere(this.mongoDb.collection('products'), whereClause);
+    }
 }
 
 /**
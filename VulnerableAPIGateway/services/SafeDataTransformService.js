@@ -0,0 +1,208 @@
+/**
+ * Safe Data Transform Service - Mitigated counterpart of DataTransformService
+ * Same cross-file shape (route -> service -> sink) so the safe flows keep
+ * the depth of their vulnerable twins, but every hop ends in a safe sink
+ */
+
+const { SafeCommandSink } = require('../sinks/safe/SafeCommandSink');
+const { SafeSsrfSink } = require('../sinks/safe/SafeNetworkSink');
+const { SafePathSink } = require('../sinks/safe/SafeFileSink');
+const { SafeTemplateSink, SafeXssSink } = require('../sinks/safe/SafeTemplateSink');
+const { SafeQueryBuilder } = require('../config/database');
+const { PATHS } = require('../config/paths');
+
+class SafeDataTransformService {
+
+    // Cross-file propagation: tainted arguments reach execFile one by one
+    static async processSystemAction(actionData) {
+        const { command, target, options } = actionData;
+
+        // SAFE: Preset command, arguments never pass through a shell
+        return await SafeCommandSink.executeCommand(command, this.buildArguments(target, options));
+    }
+
+    // Helper that keeps each value a separate argument
+    static buildArguments(target, opts) {
+        return [target, opts].filter(value => value !== undefined && value !== null && value !== '');
+    }
+
+    // Cross-file propagation: HTTP source -> confined file access
+    static async processFileOperation(fileData) {
+        const { filename, content, operation } = fileData;
+
+        switch (operation) {
+            case 'read':
+                // SAFE: Path confined to the data directory
+                return SafePathSink.readFile(filename);
+
+            case 'write':
+                // SAFE: Path confined to the data directory
+                return SafePathSink.writeFile(filename, content);
+
+            case 'delete':
+                // SAFE: Path confined to the upload directory
+                return SafePathSink.deleteFile(filename);
+
+            default:
+                throw new Error('Unknown operation');
+        }
+    }
+
+    // Cross-file propagation: HTTP source -> allowlisted request
+    static async processExternalRequest(requestData) {
+        const { url, method, body } = requestData;
+
+        // SAFE: Host allowlist, caller headers are not forwarded
+        if (method === 'GET') {
+            return await SafeSsrfSink.fetchUrl(url);
+        } else {
+            return await SafeSsrfSink.postToUrl(url, body);
+        }
+    }
+
+    // Cross-file propagation: HTTP source picks a built-in template
+    static async processTemplateRender(templateData) {
+        const { template, context, engine } = templateData;
+
+        switch (engine) {
+            case 'ejs':
+                // SAFE: Built-in template, escaped output
+                return SafeTemplateSink.renderEjs(template, context);
+
+            case 'pug':
+                // SAFE: Built-in template, escaped output
+                return SafeTemplateSink.renderPug(template, context);
+
+            case 'handlebars':
+                // SAFE: Built-in template, escaped output
+                return SafeTemplateSink.renderHandlebars(template, context);
+
+            default:
+                // SAFE: Built-in template, autoescape enabled
+                return SafeTemplateSink.renderNunjucks(template, context);
+        }
+    }
+}
+
+/**
+ * Safe Query Service - Parameterized queries behind the service layer
+ */
+class SafeQueryService {
+    constructor(dbConnection, mongoDb = global.mongoDb) {
+        this.queryBuilder = new SafeQueryBuilder(dbConnection);
+        this.mongoDb = mongoDb;
+    }
+
+    // Cross-file propagation: HTTP source -> parameterized query
+    async searchUsers(searchParams) {
+        const { field, value, orderBy, orderDir } = searchParams;
+
+        // SAFE: Bound value, allowlisted column
+        let results = await this.queryBuilder.findByField('users', field, value);
+
+        if (orderBy) {
+            // SAFE: Allowlisted ORDER BY
+            results = await this.queryBuilder.findAllOrdered('users', orderBy, orderDir);
+        }
+
+        return results;
+    }
+
+    // Cross-file propagation: HTTP source -> field comparison, no $where
+    async findProducts(category) {
+        // SAFE: Category matched with $eq on an allowlisted field
+        const products = await this.queryBuilder.mongoFindByField(this.mongoDb.collection('products'), 'category', category);
+        return products.filter(product => product.published);
+    }
+}
+
+/**
+ * Safe Integration Service - Multi-step chains with every step mitigated
+ */
+class SafeIntegrationService {
+
+    // Multi-step: allowlisted fetch, then a preset command
+    static async processWebhookAndExecute(webhookData) {
+        const { callbackUrl, commandToRun } = webhookData;
+
+        // Step 1: SAFE - Fetch from an allowlisted host
+        const externalData = await SafeSsrfSink.fetchUrl(callbackUrl);
+
+        // Step 2: SAFE - Preset command; fetched data is returned, never executed
+        const result = await SafeCommandSink.executeCommand(commandToRun);
+        return { externalData, output: result.stdout };
+    }
+
+    // Multi-step: built-in template, then a confined write
+    static async renderAndSave(renderData) {
+        const { template, context, outputPath } = renderData;
+
+        // Step 1: SAFE - Built-in template, escaped output
+        const rendered = SafeTemplateSink.renderEjs(template, context);
+
+        // Step 2: SAFE - Output path confined to the data directory
+        SafePathSink.writeFile(outputPath, rendered);
+
+        return rendered;
+    }
+
+    // Multi-step: confined template read, escaped render, CSP response
+    static async processTemplateFile(filePath, context, res) {
+        // Step 1: SAFE - Template read confined to the template directory
+        const templateContent = SafePathSink.readFile(filePath, PATHS.templates);
+
+        // Step 2: SAFE - Trusted template source, request data only as escaped values
+        const rendered = SafeTemplateSink.renderTrustedEjs(templateContent, context);
+
+        // Step 3: SAFE - Escaped output with a strict CSP
+        SafeXssSink.sendHtml(res, rendered);
+    }
+}
+
+/**
+ * Safe User Data Service - Stored preferences re-validated where they are used
+ * Values saved by one request are request data again when a later one reads them
+ */
+class SafeUserDataService {
+
+    // Stored preferences: a theme name instead of CSS, callback and export path kept for checks on use
+    static storeUserPreferences(session, preferences) {
+        session.userPrefs = {
+            theme: preferences.theme,
+            callbackUrl: preferences.callbackUrl,
+            exportPath: preferences.exportPath
+        };
+    }
+
+    // Stored preferences applied to a page
+    static async applyUserPreferences(session, res) {
+        const prefs = session.userPrefs;
+
+        if (!prefs) return;
+
+        // SAFE: XSS - built-in stylesheet selected by the stored theme name
+        if (prefs.theme) {
+            res.write(SafeXssSink.applyUserStyles(prefs.theme));
+        }
+
+        // SAFE: Stored callback only ever posted to an allowlisted host
+        if (prefs.callbackUrl) {
+            await SafeSsrfSink.sendWebhook(prefs.callbackUrl, { action: 'preferences_loaded' });
+        }
+    }
+
+    // Export confined to the data directory whatever path was stored
+    static async exportUserData(session, userData) {
+        const exportPath = session.userPrefs?.exportPath || 'default.json';
+
+        // SAFE: Stored path resolved inside the data directory
+        SafePathSink.writeFile(exportPath, JSON.stringify(userData));
+    }
+}
+
+module.exports = {
+    SafeDataTransformService,
+    SafeQueryService,
+    SafeIntegrationService,
+    SafeUserDataService
+};
@@ -0,0 +1,88 @@
+/**
+ * Safe Token Service - Verified counterpart of TokenService
+ * Tokens are signed with JWT_SECRET, or without it a random key generated
+ * at startup (never a fixed fallback key). They expire quickly and carry
+ * their type, so a refresh token is never accepted as an access token.
+ * Refresh tokens are single use and revoked on logout.
+ */
+
+const crypto = require('crypto');
+
+const ACCESS_TTL = 15 * 60;
+const REFRESH_TTL = 7 * 24 * 60 * 60;
+
+// Key for a gateway started without JWT_SECRET: logins work, and the
+// tokens are void once the process exits
+const GENERATED_SECRET = crypto.randomBytes(32).toString('base64url');
+
+// jti -> exp of refresh tokens already used or signed out
+const revoked = new Map();
+
+class SafeTokenService {
+
+    /**
+     * SAFE: Short-lived access token and single-use refresh token
+     */
+    static issue(user) {
+        const claims = { sub: String(user.id), email: user.email, role: user.role };
+        return {
+            token: sign({ ...claims, typ: 'access' }, ACCESS_TTL),
+            refreshToken: sign({ ...claims, typ: 'refresh', jti: crypto.randomUUID() }, REFRESH_TTL)
+        };
+    }
+
+    /**
+     * SAFE: Claims of an unexpired HS256 token of the expected type, or null
+     */
+    static verify(token, type = 'access') {
+        const secret = signingKey();
+        const parts = String(token).split('.');
+        if (parts.length !== 3) return null;
+
+        try {
+            const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+            if (header.alg !== 'HS256') return null;
+
+            const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest('base64url');
+            if (!safeEqual(parts[2], expected)) return null;
+
+            const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+            if (claims.typ !== type || typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) return null;
+            if (type === 'refresh' && (typeof claims.jti !== 'string' || revoked.has(claims.jti))) return null;
+            return claims;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * SAFE: Refresh token can no longer be exchanged
+     */
+    static revoke(claims) {
+        const now = Date.now() / 1000;
+        for (const [jti, exp] of revoked) {
+            if (exp <= now) revoked.delete(jti);
+        }
+        revoked.set(claims.jti, claims.exp);
+    }
+}
+
+function signingKey() {
+    return process.env.JWT_SECRET || GENERATED_SECRET;
+}
+
+function sign(claims, ttl) {
+    const secret = signingKey();
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ ...claims, iat: now, exp: now + ttl })}`;
+    return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+function safeEqual(actual, expected) {
+    const a = Buffer.from(String(actual));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { SafeTokenService };
@@ -0,0 +1,41 @@
+/**
+ * Token Service - Access and refresh tokens for the /auth endpoints
+ * Tokens are HS256-signed, but nothing downstream verifies them:
+ * AuthMiddleware.extractUser and the refresh endpoint only decode claims
+ */
+
+const crypto = require('crypto');
+
+const { JwtSource } = require('../sources/HttpSource');
+
+const ACCESS_TTL = 24 * 60 * 60;
+const REFRESH_TTL = 30 * 24 * 60 * 60;
+
+class TokenService {
+
+    // Access and refresh token carrying the user's role
+    static issue(user) {
+        const claims = { sub: String(user.id), email: user.email, role: user.role };
+        return {
+            token: sign({ ...claims, typ: 'access' }, ACCESS_TTL),
+            refreshToken: sign({ ...claims, typ: 'refresh' }, REFRESH_TTL)
+        };
+    }
+
+    // SOURCE: Refresh token claims, decoded without a signature or expiry check
+    static readRefreshToken(token) {
+        return JwtSource.extractClaims(token);
+    }
+}
+
+function sign(claims, ttl) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ ...claims, iat: now, exp: now + ttl })}`;
+
+    // VULNERABLE: Hard-coded fallback signing key
+    const secret = process.env.JWT_SECRET || 'gateway-jwt-secret';
+    return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+module.exports = { TokenService };
@@ -9,6 +9,7 @@ const { SsrfSink } = require('../sinks/NetworkSink');
 const { PathTraversalSink } = require('../sinks/FileSink');
 const { TemplateSink } = require('../sinks/TemplateSink');
 const { QueryBuilder, AuditLogger } = require('../config/database');
+const { VulnProfile } = require('../config/vulnProfile');
 
 class WebSocketService {
     constructor(wss) {
@@ -49,7 +50,7 @@ class WebSocketService {
     async handleMessage(ws, data) {
         const { action, payload } = data;
 
-        switch (action) {
+        switch (this.mountedAction(action)) {
             case 'execute_command':
                 // SINK: Command injection via WebSocket
                 await this.executeRemoteCommand(ws, payload);
@@ -80,11 +81,31 @@ class WebSocketService {
                 this.broadcastMessage(payload);
                 break;
 
+            case 'process_and_store':
+                // SINK: SQL injection, then path traversal (WebSocket -> DB -> file)
+                await WebSocketEventHandler.processAndStore(ws, payload, global.dbConnection);
+                break;
+
+            case 'fetch_and_execute':
+                // SINK: SSRF, then command injection (WebSocket -> SSRF -> command)
+                await WebSocketEventHandler.fetchAndExecute(ws, payload);
+                break;
+
+            case 'render_and_broadcast':
+                // SINK: SSTI broadcast to every client
+                await WebSocketEventHandler.renderAndBroadcast(this.wss, payload);
+                break;
+
             default:
                 ws.send(JSON.stringify({ error: 'Unknown action' }));
         }
     }
 
+    // Actions the vulnerability profile disables fall through to `default`
+    mountedAction(action) {
+        return VulnProfile.active().routeLive(`WS ${action}`) ? action : null;
+    }
+
     // Cross-file: WebSocket source -> Command sink
     async executeRemoteCommand(ws, payload) {
         const { command, args } = payload;
@@ -7,6 +7,8 @@ const { exec, execSync, spawn, spawnSync } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
 
+const { PATHS } = require('../config/paths');
+
 class CommandSink {
 
     /**
@@ -43,7 +45,7 @@ class CommandSink {
      */
     static async processFile(filename, operation) {
         // VULNERABLE: Filename in command
-        const command = `${operation} /data/uploads/${filename}`;
+        const command = `${operation} ${PATHS.sharedUploads}/${filename}`;
         return await execPromise(command);
     }
 
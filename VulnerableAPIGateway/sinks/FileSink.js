@@ -9,6 +9,8 @@ const path = require('path');
 const archiver = require('archiver');
 const unzipper = require('unzipper');
 
+const { PATHS } = require('../config/paths');
+
 class PathTraversalSink {
 
     /**
@@ -16,7 +18,7 @@ class PathTraversalSink {
      */
     static readFile(filename) {
         // VULNERABLE: Direct path concatenation
-        const filePath = '/var/app/data/' + filename;
+        const filePath = PATHS.data + '/' + filename;
         return fs.readFileSync(filePath, 'utf8');
     }
 
@@ -26,7 +28,7 @@ class PathTraversalSink {
      */
     static readFileJoin(userPath) {
         // VULNERABLE: path.join doesn't prevent ../
-        const filePath = path.join('/var/app/uploads', userPath);
+        const filePath = path.join(PATHS.uploads, userPath);
         return fs.readFileSync(filePath, 'utf8');
     }
 
@@ -35,7 +37,7 @@ class PathTraversalSink {
      */
     static writeFile(filename, content) {
         // VULNERABLE: Write to arbitrary path
-        const filePath = '/var/app/data/' + filename;
+        const filePath = PATHS.data + '/' + filename;
         fs.writeFileSync(filePath, content);
         return filePath;
     }
@@ -45,7 +47,7 @@ class PathTraversalSink {
      */
     static deleteFile(filename) {
         // VULNERABLE: Delete arbitrary files
-        const filePath = path.join('/var/app/uploads', filename);
+        const filePath = path.join(PATHS.uploads, filename);
         fs.unlinkSync(filePath);
         return true;
     }
@@ -55,7 +57,7 @@ class PathTraversalSink {
      */
     static listDirectory(dirName) {
         // VULNERABLE: List arbitrary directories
-        const dirPath = '/var/app/' + dirName;
+        const dirPath = PATHS.app + '/' + dirName;
         return fs.readdirSync(dirPath);
     }
 
@@ -64,8 +66,8 @@ class PathTraversalSink {
      */
     static copyFile(src, dest) {
         // VULNERABLE: Both paths user-controlled
-        const srcPath = path.join('/var/app/uploads', src);
-        const destPath = path.join('/var/app/uploads', dest);
+        const srcPath = path.join(PATHS.uploads, src);
+        const destPath = path.join(PATHS.uploads, dest);
         fs.copyFileSync(srcPath, destPath);
         return destPath;
     }
@@ -76,8 +78,8 @@ class PathTraversalSink {
     static moveFile(oldPath, newPath) {
         // VULNERABLE: Move files anywhere
         fs.renameSync(
-            path.join('/var/app', oldPath),
-            path.join('/var/app', newPath)
+            path.join(PATHS.app, oldPath),
+            path.join(PATHS.app, newPath)
         );
         return true;
     }
@@ -87,7 +89,7 @@ class PathTraversalSink {
      */
     static async readFileAsync(userFilename) {
         // VULNERABLE: Template literal path construction
-        const filePath = `/var/app/documents/${userFilename}`;
+        const filePath = `${PATHS.documents}/${userFilename}`;
         return await fsp.readFile(filePath, 'utf8');
     }
 
@@ -96,7 +98,7 @@ class PathTraversalSink {
      */
     static createReadStream(filename) {
         // VULNERABLE: Stream from arbitrary path
-        const filePath = path.resolve('/var/app/files', filename);
+        const filePath = path.resolve(PATHS.files, filename);
         return fs.createReadStream(filePath);
     }
 
@@ -105,7 +107,7 @@ class PathTraversalSink {
      */
     static createSymlink(target, linkPath) {
         // VULNERABLE: Create symlink to arbitrary target
-        fs.symlinkSync(target, path.join('/var/app/links', linkPath));
+        fs.symlinkSync(target, path.join(PATHS.links, linkPath));
         return true;
     }
 }
@@ -130,7 +132,7 @@ class FileUploadSink {
      */
     static saveWithExtension(file, newName, extension) {
         // VULNERABLE: User-controlled extension
-        const destPath = `/var/app/uploads/${newName}.${extension}`;
+        const destPath = `${PATHS.uploads}/${newName}.${extension}`;
         file.mv(destPath);
         return destPath;
     }
@@ -140,7 +142,7 @@ class FileUploadSink {
      */
     static saveToDirectory(file, directory) {
         // VULNERABLE: User-controlled directory
-        const destPath = path.join('/var/app', directory, file.name);
+        const destPath = path.join(PATHS.app, directory, file.name);
         fs.mkdirSync(path.dirname(destPath), { recursive: true });
         file.mv(destPath);
         return destPath;
@@ -152,7 +154,7 @@ class FileUploadSink {
     static saveByMimeType(file) {
         // VULNERABLE: Trust user-provided MIME type
         const ext = file.mimetype.split('/')[1];
-        const destPath = `/var/app/uploads/${Date.now()}.${ext}`;
+        const destPath = `${PATHS.uploads}/${Date.now()}.${ext}`;
         file.mv(destPath);
         return destPath;
     }
@@ -233,7 +235,7 @@ class LogSink {
      */
     static writeLog(logFile, message) {
         // VULNERABLE: Log to user-specified file
-        const logPath = `/var/log/app/${logFile}`;
+        const logPath = `${PATHS.logs}/${logFile}`;
         const timestamp = new Date().toISOString();
         fs.appendFileSync(logPath, `[${timestamp}] ${message}\n`);
     }
@@ -244,7 +246,7 @@ class LogSink {
     static logUserAction(userId, action) {
         // VULNERABLE: Newlines can forge log entries
         const logMessage = `User ${userId} performed action: ${action}`;
-        fs.appendFileSync('/var/log/app/audit.log', logMessage + '\n');
+        fs.appendFileSync(`${PATHS.logs}/audit.log`, logMessage + '\n');
     }
 }
 
@@ -0,0 +1,400 @@
+/**
+ * Safe Command Sink - execFile counterparts of CommandSink
+ * No shell is involved: binaries are fixed, user values travel as single
+ * arguments after validation, and paths are confined with SafePathSink
+ */
+
+const { execFile, execFileSync } = require('child_process');
+const util = require('util');
+const path = require('path');
+const crypto = require('crypto');
+const { SafePathSink, DATA_DIR } = require('./SafeFileSink');
+const { PATHS } = require('../../config/paths');
+const { ValidationError } = require('../../utils/errors');
+
+const execFileAsync = util.promisify(execFile);
+
+const BUILD_DIR = PATHS.builds;
+const BACKUP_DIR = PATHS.backups;
+const CACHE_DIR = PATHS.cache;
+const DOCKER_DIR = PATHS.docker;
+const DOCS_DIR = PATHS.docs;
+const REPORT_DIR = PATHS.reports;
+const MEDIA_DIR = PATHS.media;
+const EXPORT_DIR = PATHS.exports;
+const EXPORT_CONFIG_DIR = PATHS.exportConfigs;
+
+// Fixed argument vectors that callers select by name
+const PRESET_COMMANDS = {
+    uptime: ['uptime'],
+    disk: ['df', '-h'],
+    memory: ['free', '-m'],
+    whoami: ['whoami'],
+    date: ['date', '-u']
+};
+
+// Commands that take one confined file path as their last argument
+const FILE_COMMANDS = {
+    cat: ['cat', '--'],
+    tail: ['tail', '-n', '100', '--'],
+    checksum: ['sha256sum', '--'],
+    type: ['file', '--']
+};
+
+// Export jobs by name; the request never names a binary
+const EXPORTERS = {
+    csv: 'csv-export',
+    parquet: 'parquet-export',
+    warehouse: 'warehouse-sync'
+};
+
+const SERVICE_ACTIONS = ['status', 'start', 'stop', 'restart', 'reload'];
+const REPORT_FORMATS = ['csv', 'json', 'pdf'];
+const IMAGE_FORMATS = ['png', 'jpg', 'gif', 'webp'];
+const GIT_HOSTS = ['github.com', 'gitlab.com'];
+const DOCKER_IMAGES = ['alpine:3.19', 'busybox:1.36', 'node:20-alpine'];
+const SSH_HOSTS = (process.env.SAFE_SSH_HOSTS || 'app-1.internal,app-2.internal').split(',');
+
+async function runFile(binary, args, options = {}) {
+    const { stdout, stderr } = await execFileAsync(binary, args, options);
+    return { stdout, stderr };
+}
+
+function preset(name) {
+    if (!Object.prototype.hasOwnProperty.call(PRESET_COMMANDS, name)) {
+        throw new ValidationError('Unknown command');
+    }
+    return PRESET_COMMANDS[name];
+}
+
+// Service, container, branch and project names: no option or shell syntax
+function assertName(value, label) {
+    if (typeof value !== 'string' || !/^[A-Za-z0-9][\w.@-]{0,127}$/.test(value)) {
+        throw new ValidationError(`Invalid ${label}`);
+    }
+    return value;
+}
+
+// Extra arguments must not be read as options by the target binary
+function assertArgument(value) {
+    const text = String(value);
+    if (text.startsWith('-') || text.includes('\0')) {
+        throw new ValidationError('Invalid argument');
+    }
+    return text;
+}
+
+class SafeCommandSink {
+
+    /**
+     * SAFE: Named command with a fixed argument vector
+     */
+    static async executeCommand(name, args = []) {
+        const [binary, ...fixedArgs] = preset(name);
+        return await runFile(binary, [...fixedArgs, ...args.map(assertArgument)]);
+    }
+
+    /**
+     * SAFE: Named file command applied to a confined path
+     */
+    static async executeWithArgs(name, filePath, baseDir = DATA_DIR) {
+        if (!Object.prototype.hasOwnProperty.call(FILE_COMMANDS, name)) {
+            throw new ValidationError('Unknown command');
+        }
+
+        const [binary, ...fixedArgs] = FILE_COMMANDS[name];
+        const { stdout } = await runFile(binary, [...fixedArgs, SafePathSink.resolve(baseDir, filePath)]);
+        return stdout;
+    }
+
+    /**
+     * SAFE: Fixed-string recursive grep inside the documentation directory
+     */
+    static async searchInFiles(pattern, directory) {
+        try {
+            const { stdout } = await runFile('grep', ['-r', '-F', '-e', String(pattern), '--', SafePathSink.resolve(DOCS_DIR, directory)]);
+            return stdout;
+        } catch (error) {
+            // grep exits with 1 when nothing matches
+            if (error.code === 1) return '';
+            throw error;
+        }
+    }
+
+    /**
+     * SAFE: Report builder with a validated locale and time zone in its environment
+     * The command line is fixed; only the report name and format are arguments
+     */
+    static async generateReport(report, format, locale, timezone) {
+        if (!REPORT_FORMATS.includes(format)) {
+            throw new ValidationError('Unsupported format');
+        }
+        if (!/^[a-z]{2}_[A-Z]{2}(\.UTF-8)?$/.test(String(locale))) {
+            throw new ValidationError('Invalid locale');
+        }
+        if (!/^[A-Za-z]+(\/[A-Za-z_]+)*$/.test(String(timezone))) {
+            throw new ValidationError('Invalid time zone');
+        }
+
+        const { stdout } = await runFile('report-builder', [`--format=${format}`, '--', assertName(report, 'report name')], {
+            env: { ...process.env, LANG: locale, TZ: timezone }
+        });
+        return stdout;
+    }
+
+    /**
+     * SAFE: HTML handed to wkhtmltopdf on stdin, output confined to the report directory
+     */
+    static generatePdf(htmlContent, filename) {
+        const outputPath = SafePathSink.resolve(REPORT_DIR, assertName(filename, 'file name'));
+
+        execFileSync('wkhtmltopdf', ['--disable-javascript', '--disable-local-file-access', '-', outputPath], {
+            input: String(htmlContent)
+        });
+        return outputPath;
+    }
+
+    /**
+     * SAFE: ffmpeg over a confined source with a validated scale, generated output name
+     */
+    static async transcodeMedia(source, scale) {
+        if (!/^(-1|\d{1,4}):(-1|\d{1,4})$/.test(String(scale))) {
+            throw new ValidationError('Invalid scale');
+        }
+
+        const input = SafePathSink.resolve(MEDIA_DIR, source);
+        const output = path.join(MEDIA_DIR, `${crypto.randomUUID()}.mp4`);
+        await runFile('ffmpeg', ['-nostdin', '-i', input, '-vf', `scale=${scale}`, output]);
+        return output;
+    }
+
+    /**
+     * SAFE: Named exporter with its config and output confined to fixed directories
+     */
+    static async runExporter(name, configFile, outputDir) {
+        if (!Object.prototype.hasOwnProperty.call(EXPORTERS, name)) {
+            throw new ValidationError('Unknown exporter');
+        }
+
+        const { stdout } = await runFile(EXPORTERS[name], [
+            `--config=${SafePathSink.resolve(EXPORT_CONFIG_DIR, configFile)}`,
+            `--output=${SafePathSink.resolve(EXPORT_DIR, outputDir)}`
+        ]);
+        return stdout;
+    }
+
+    /**
+     * SAFE: systemctl with an allowlisted action and a validated unit name
+     */
+    static async runSystemCommand(action, target) {
+        if (!SERVICE_ACTIONS.includes(action)) {
+            throw new ValidationError('Unknown action');
+        }
+
+        const { stdout } = await runFile('systemctl', [action, '--', assertName(target, 'service name')]);
+        return stdout;
+    }
+
+    /**
+     * SAFE: File type detection on a server-generated path
+     */
+    static async processFile(filePath) {
+        return await runFile('file', ['--', filePath]);
+    }
+
+    /**
+     * SAFE: Image conversion with an allowlisted output format
+     */
+    static async convertImage(inputPath, outputPath, format) {
+        if (!IMAGE_FORMATS.includes(format)) {
+            throw new ValidationError('Unsupported format');
+        }
+
+        return await runFile('convert', [inputPath, `${format}:${outputPath}`]);
+    }
+
+    /**
+     * SAFE: git clone from an allowlisted HTTPS host into the build directory
+     */
+    static async gitClone(repoUrl, projectName) {
+        let url;
+        try {
+            url = new URL(String(repoUrl));
+        } catch (error) {
+            throw new ValidationError('Invalid URL');
+        }
+        if (url.protocol !== 'https:' || !GIT_HOSTS.includes(url.hostname)) {
+            throw new ValidationError('Repository host not allowed');
+        }
+
+        const targetDir = SafePathSink.resolve(BUILD_DIR, assertName(projectName, 'project name'));
+        const { stdout } = await runFile('git', ['clone', '--', url.toString(), targetDir]);
+        return stdout;
+    }
+
+    /**
+     * SAFE: Checkout a validated branch and run the project's own build script
+     * The build command is fixed; the request only picks the branch
+     */
+    static async buildProject(projectName, branch) {
+        const projectDir = SafePathSink.resolve(BUILD_DIR, assertName(projectName, 'project name'));
+
+        await runFile('git', ['-C', projectDir, 'checkout', assertName(branch, 'branch')]);
+        const { stdout } = await runFile('npm', ['run', 'build'], { cwd: projectDir });
+        return stdout;
+    }
+
+    /**
+     * SAFE: Deployment with validated option values, one argument each
+     */
+    static async deployProject(projectName, commit, branch) {
+        if (!/^[0-9a-f]{7,40}$/.test(String(commit))) {
+            throw new ValidationError('Invalid commit');
+        }
+
+        const { stdout } = await runFile('deploy', [
+            `--project=${assertName(projectName, 'project name')}`,
+            `--commit=${commit}`,
+            `--branch=${assertName(branch, 'branch')}`
+        ]);
+        return stdout;
+    }
+
+    /**
+     * SAFE: tar extraction with both paths confined to the data directory
+     */
+    static async extractArchive(archivePath, extractTo) {
+        const { stdout } = await runFile('tar', [
+            '-xzf', SafePathSink.resolve(DATA_DIR, archivePath),
+            '-C', SafePathSink.resolve(DATA_DIR, extractTo),
+            '--no-same-owner'
+        ]);
+        return stdout;
+    }
+
+    /**
+     * SAFE: File operations as argument arrays over confined paths
+     */
+    static async fileOperation(operation, source, destination) {
+        const src = SafePathSink.resolve(DATA_DIR, source);
+        const dest = destination === undefined ? null : SafePathSink.resolve(DATA_DIR, destination);
+
+        switch (operation) {
+            case 'copy':
+                return await runFile('cp', ['--', src, dest]);
+            case 'move':
+                return await runFile('mv', ['--', src, dest]);
+            case 'compress':
+                return await runFile('tar', ['-czf', dest, '--', src]);
+            case 'convert':
+                return await runFile('convert', [src, dest]);
+            case 'checksum':
+                return await runFile('sha256sum', ['--', src]);
+            default:
+                throw new ValidationError('Unknown operation');
+        }
+    }
+
+    /**
+     * SAFE: Backup archive of the data directory into a confined location
+     */
+    static async createBackup(backupPath, archiveName) {
+        const archive = SafePathSink.resolve(
+            SafePathSink.resolve(BACKUP_DIR, backupPath),
+            `${assertName(archiveName, 'archive name')}.tar.gz`
+        );
+        return await runFile('tar', ['-czf', archive, '-C', DATA_DIR, '.']);
+    }
+
+    /**
+     * SAFE: Restore a confined backup archive into a confined directory
+     */
+    static async restoreBackup(backupPath, archiveName, restorePath) {
+        const archive = SafePathSink.resolve(
+            SafePathSink.resolve(BACKUP_DIR, backupPath),
+            `${assertName(archiveName, 'archive name')}.tar.gz`
+        );
+        return await runFile('tar', ['-xzf', archive, '-C', SafePathSink.resolve(DATA_DIR, restorePath), '--no-same-owner']);
+    }
+
+    /**
+     * SAFE: Listing of a confined backup directory
+     */
+    static async listBackups(backupPath) {
+        return await runFile('ls', ['-la', '--', SafePathSink.resolve(BACKUP_DIR, backupPath)]);
+    }
+
+    /**
+     * SAFE: Clear one service cache directory, no shell glob
+     */
+    static async clearCache(serviceName) {
+        const cacheDir = SafePathSink.resolve(CACHE_DIR, assertName(serviceName, 'service name'));
+        return await runFile('find', [cacheDir, '-mindepth', '1', '-delete']);
+    }
+}
+
+/**
+ * Safe Docker Execution
+ */
+class SafeDockerSink {
+
+    // SAFE: Validated container ID and a preset command
+    static async dockerExec(containerId, command) {
+        return await runFile('docker', ['exec', assertName(containerId, 'container ID'), ...preset(command)]);
+    }
+
+    // SAFE: Allowlisted image and a preset command
+    static async dockerRun(image, command) {
+        if (!DOCKER_IMAGES.includes(image)) {
+            throw new ValidationError('Image not allowed');
+        }
+        return await runFile('docker', ['run', '--rm', image, ...preset(command)]);
+    }
+
+    // SAFE: Dockerfile confined to the build context, validated tag
+    static async dockerBuild(dockerfilePath, tag) {
+        const dockerfile = SafePathSink.resolve(DOCKER_DIR, dockerfilePath);
+        if (!/^[a-z0-9][a-z0-9._\/-]*(:[\w.-]+)?$/.test(String(tag))) {
+            throw new ValidationError('Invalid tag');
+        }
+
+        const { stdout } = await runFile('docker', ['build', '-f', dockerfile, '-t', tag, DOCKER_DIR]);
+        return stdout;
+    }
+}
+
+/**
+ * Safe SSH Execution
+ */
+class SafeSshSink {
+
+    // SAFE: Allowlisted host, validated user, preset remote command
+    static async sshExecute(host, user, command) {
+        if (!SSH_HOSTS.includes(host)) {
+            throw new ValidationError('Host not allowed');
+        }
+        return await runFile('ssh', ['-o', 'BatchMode=yes', '-l', assertName(user, 'user'), '--', host, ...preset(command)]);
+    }
+
+    // SAFE: Confined local file, allowlisted host, validated remote path
+    static async scpTransfer(localPath, user, host, remotePath) {
+        if (!SSH_HOSTS.includes(host)) {
+            throw new ValidationError('Host not allowed');
+        }
+        if (!/^[\w.\/-]+$/.test(String(remotePath)) || remotePath.split('/').includes('..')) {
+            throw new ValidationError('Invalid remote path');
+        }
+
+        return await runFile('scp', [
+            '-o', 'BatchMode=yes', '--',
+            SafePathSink.resolve(DATA_DIR, localPath),
+            `${assertName(user, 'user')}@${host}:${remotePath}`
+        ]);
+    }
+}
+
+module.exports = {
+    SafeCommandSink,
+    SafeDockerSink,
+    SafeSshSink
+};
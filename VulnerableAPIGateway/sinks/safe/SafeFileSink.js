@@ -0,0 +1,345 @@
+/**
+ * Safe File Sink - Path confinement counterparts of FileSink
+ * Every user-supplied path is resolved against a fixed base directory
+ * and rejected when the result falls outside of it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const { execFile } = require('child_process');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+
+const { PATHS } = require('../../config/paths');
+const { ValidationError } = require('../../utils/errors');
+
+const execFileAsync = util.promisify(execFile);
+
+const APP_DIR = PATHS.app;
+const DATA_DIR = PATHS.data;
+const UPLOAD_DIR = PATHS.uploads;
+const FILES_DIR = PATHS.files;
+const DOCUMENT_DIR = PATHS.documents;
+const BUNDLE_DIR = PATHS.bundles;
+const LINK_DIR = PATHS.links;
+const EXTRACT_DIR = PATHS.extracted;
+const LOG_DIR = PATHS.logs;
+
+const ALLOWED_UPLOAD_EXTENSIONS = ['.txt', '.csv', '.json', '.pdf', '.png', '.jpg', '.jpeg', '.gif', '.zip'];
+
+// Extension per accepted MIME type; anything else is refused
+const MIME_EXTENSIONS = {
+    'text/plain': '.txt',
+    'text/csv': '.csv',
+    'application/json': '.json',
+    'application/pdf': '.pdf',
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif'
+};
+
+class SafePathSink {
+
+    /**
+     * SAFE: Resolve a user path inside baseDir or throw
+     * path.resolve collapses ../ and absolute paths before the prefix check
+     */
+    static resolve(baseDir, userPath) {
+        if (typeof userPath !== 'string' || userPath.includes('\0')) {
+            throw new ValidationError('Invalid path');
+        }
+
+        const base = path.resolve(baseDir);
+        const resolved = path.resolve(base, userPath);
+
+        if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+            throw new ValidationError('Path escapes the allowed directory');
+        }
+        return resolved;
+    }
+
+    /**
+     * SAFE: File read confined to baseDir
+     */
+    static readFile(filename, baseDir = DATA_DIR) {
+        const filePath = this.resolve(baseDir, filename);
+        return fs.readFileSync(filePath, 'utf8');
+    }
+
+    /**
+     * SAFE: Async file read confined to baseDir
+     */
+    static async readFileAsync(filename, baseDir = DOCUMENT_DIR) {
+        const filePath = this.resolve(baseDir, filename);
+        return await fs.promises.readFile(filePath, 'utf8');
+    }
+
+    /**
+     * SAFE: Read stream over a file confined to the files directory
+     */
+    static createReadStream(filename) {
+        return fs.createReadStream(this.resolve(FILES_DIR, filename));
+    }
+
+    /**
+     * SAFE: File write confined to baseDir
+     */
+    static writeFile(filename, content, baseDir = DATA_DIR) {
+        const filePath = this.resolve(baseDir, filename);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    }
+
+    /**
+     * SAFE: File deletion confined to the upload directory
+     */
+    static deleteFile(filename) {
+        const filePath = this.resolve(UPLOAD_DIR, filename);
+        fs.unlinkSync(filePath);
+        return true;
+    }
+
+    /**
+     * SAFE: Directory listing confined to the application directory
+     */
+    static listDirectory(dirName) {
+        const dirPath = this.resolve(APP_DIR, dirName);
+        return fs.readdirSync(dirPath);
+    }
+
+    /**
+     * SAFE: Copy with both ends confined to the upload directory
+     */
+    static copyFile(src, dest) {
+        const srcPath = this.resolve(UPLOAD_DIR, src);
+        const destPath = this.resolve(UPLOAD_DIR, dest);
+        fs.copyFileSync(srcPath, destPath);
+        return destPath;
+    }
+
+    /**
+     * SAFE: Move with both ends confined to the application directory
+     */
+    static moveFile(oldPath, newPath) {
+        fs.renameSync(
+            this.resolve(APP_DIR, oldPath),
+            this.resolve(APP_DIR, newPath)
+        );
+        return true;
+    }
+
+    /**
+     * SAFE: Symlink whose target and location both stay confined
+     */
+    static createSymlink(target, linkPath) {
+        fs.symlinkSync(this.resolve(DATA_DIR, target), this.resolve(LINK_DIR, linkPath));
+        return true;
+    }
+}
+
+/**
+ * Safe Upload Handling
+ */
+class SafeUploadSink {
+
+    /**
+     * SAFE: Server-generated filename with an allowlisted extension
+     * The client filename never reaches the file system
+     */
+    static saveUpload(file, uploadDir) {
+        const extension = path.extname(path.basename(file.name)).toLowerCase();
+        if (!ALLOWED_UPLOAD_EXTENSIONS.includes(extension)) {
+            throw new ValidationError('File type not allowed');
+        }
+
+        const destPath = path.join(uploadDir, `${crypto.randomUUID()}${extension}`);
+        file.mv(destPath);
+        return destPath;
+    }
+
+    /**
+     * SAFE: Caller-chosen base name without path syntax, allowlisted extension
+     */
+    static saveWithExtension(file, newName, extension) {
+        if (!/^[\w-]{1,64}$/.test(String(newName))) {
+            throw new ValidationError('Invalid file name');
+        }
+        if (!ALLOWED_UPLOAD_EXTENSIONS.includes(`.${String(extension).toLowerCase()}`)) {
+            throw new ValidationError('File type not allowed');
+        }
+
+        const destPath = SafePathSink.resolve(UPLOAD_DIR, `${newName}.${String(extension).toLowerCase()}`);
+        file.mv(destPath);
+        return destPath;
+    }
+
+    /**
+     * SAFE: Sub-directory confined to the upload directory, generated filename
+     */
+    static saveToDirectory(file, directory) {
+        const targetDir = SafePathSink.resolve(UPLOAD_DIR, directory);
+        fs.mkdirSync(targetDir, { recursive: true });
+        return this.saveUpload(file, targetDir);
+    }
+
+    /**
+     * SAFE: Extension looked up from an allowlist of MIME types
+     */
+    static saveByMimeType(file) {
+        if (!Object.prototype.hasOwnProperty.call(MIME_EXTENSIONS, file.mimetype)) {
+            throw new ValidationError('File type not allowed');
+        }
+
+        const destPath = path.join(UPLOAD_DIR, `${crypto.randomUUID()}${MIME_EXTENSIONS[file.mimetype]}`);
+        file.mv(destPath);
+        return destPath;
+    }
+}
+
+/**
+ * Safe Archive Extraction
+ */
+class SafeArchiveSink {
+
+    /**
+     * SAFE: Zip extraction that rejects entries escaping the target (no Zip Slip)
+     */
+    static async extractZip(zipPath, extractTo) {
+        const target = SafePathSink.resolve(EXTRACT_DIR, extractTo);
+        const directory = await unzipper.Open.file(zipPath);
+
+        for (const entry of directory.files) {
+            // SAFE: Entry path is confined to the extraction directory
+            const destPath = SafePathSink.resolve(target, entry.path);
+
+            if (entry.type === 'Directory') {
+                fs.mkdirSync(destPath, { recursive: true });
+            } else {
+                fs.mkdirSync(path.dirname(destPath), { recursive: true });
+                fs.writeFileSync(destPath, await entry.buffer());
+            }
+        }
+
+        return target;
+    }
+
+    /**
+     * SAFE: Tar extraction into a confined directory
+     * Absolute and ../ entry paths are stripped, links and devices skipped
+     */
+    static async extractTar(tarPath, extractTo) {
+        const tar = require('tar');
+        const target = SafePathSink.resolve(EXTRACT_DIR, extractTo);
+
+        await tar.extract({
+            file: tarPath,
+            cwd: target,
+            preservePaths: false,
+            filter: (entryPath, entry) => ['File', 'Directory'].includes(entry.type)
+        });
+
+        return target;
+    }
+
+    /**
+     * SAFE: Zip of confined data files written to the bundle directory
+     */
+    static createZip(bundleName, filePaths) {
+        if (!/^[\w-]{1,64}$/.test(String(bundleName))) {
+            return Promise.reject(new ValidationError('Invalid bundle name'));
+        }
+
+        const outputPath = path.join(BUNDLE_DIR, `${bundleName}.zip`);
+        const sources = [].concat(filePaths).map(filePath => SafePathSink.resolve(DATA_DIR, filePath));
+
+        return new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(outputPath);
+            const archive = archiver('zip');
+
+            output.on('close', () => resolve(outputPath));
+            archive.on('error', reject);
+            archive.pipe(output);
+
+            for (const source of sources) {
+                archive.file(source, { name: path.relative(DATA_DIR, source) });
+            }
+
+            archive.finalize();
+        });
+    }
+}
+
+/**
+ * Safe Log Handling
+ */
+class SafeLogSink {
+
+    /**
+     * SAFE: Confined log file; CR/LF escaped so entries cannot be forged
+     */
+    static writeLog(logFile, message) {
+        const logPath = SafePathSink.resolve(LOG_DIR, logFile);
+        const timestamp = new Date().toISOString();
+        fs.appendFileSync(logPath, `[${timestamp}] ${escapeLogMessage(message)}\n`);
+    }
+
+    /**
+     * SAFE: Fixed audit log; CR/LF escaped in every interpolated value
+     */
+    static logUserAction(userId, action) {
+        const logMessage = `User ${escapeLogMessage(userId)} performed action: ${escapeLogMessage(action)}`;
+        fs.appendFileSync(path.join(LOG_DIR, 'audit.log'), logMessage + '\n');
+    }
+
+    /**
+     * SAFE: Log read confined to the log directory
+     */
+    static readLog(logName) {
+        return fs.readFileSync(SafePathSink.resolve(LOG_DIR, logName), 'utf8');
+    }
+
+    /**
+     * SAFE: Fixed-string grep with the pattern passed as a single argument
+     */
+    static async searchLogs(pattern, logFile) {
+        const logPath = SafePathSink.resolve(LOG_DIR, logFile);
+
+        try {
+            const { stdout } = await execFileAsync('grep', ['-F', '-e', String(pattern), '--', logPath]);
+            return stdout;
+        } catch (error) {
+            // grep exits with 1 when nothing matches
+            if (error.code === 1) return '';
+            throw error;
+        }
+    }
+
+    /**
+     * SAFE: Rename in-process, compress with an argument array
+     */
+    static async rotateLog(logFile) {
+        const logPath = SafePathSink.resolve(LOG_DIR, logFile);
+        const rotatedPath = `${logPath}.${Date.now()}`;
+
+        fs.renameSync(logPath, rotatedPath);
+        await execFileAsync('gzip', ['--', rotatedPath]);
+        return `${rotatedPath}.gz`;
+    }
+}
+
+function escapeLogMessage(message) {
+    return String(message).replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+module.exports = {
+    SafePathSink,
+    SafeUploadSink,
+    SafeArchiveSink,
+    SafeLogSink,
+    DATA_DIR,
+    UPLOAD_DIR,
+    FILES_DIR,
+    LOG_DIR
+};
@@ -0,0 +1,232 @@
+/**
+ * Safe Network Sink - Allowlisted counterparts of NetworkSink
+ * Outbound requests only reach hosts named in an explicit allowlist
+ */
+
+const axios = require('axios');
+const net = require('net');
+const dns = require('dns');
+const { URL } = require('url');
+
+const { ValidationError } = require('../../utils/errors');
+
+const ALLOWED_HOSTS = (process.env.SAFE_FETCH_HOSTS || 'api.github.com,hooks.slack.com,api.stripe.com').split(',');
+const ALLOWED_ENDPOINTS = (process.env.SAFE_SOCKET_ENDPOINTS || 'smtp.internal:25,metrics.internal:2003').split(',');
+const SMTP_PORT = 25;
+const SOCKET_TIMEOUT_MS = 5000;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Internal services by name; the request picks a service and a status endpoint
+const SERVICES = {
+    billing: 'http://billing.internal:8080',
+    inventory: 'http://inventory.internal:8080',
+    search: 'http://search.internal:9200'
+};
+const SERVICE_ENDPOINTS = ['health', 'status', 'version'];
+
+const ALLOWED_DOMAINS = (process.env.SAFE_DNS_DOMAINS || 'example.com,example.org').split(',');
+
+class SafeSsrfSink {
+
+    /**
+     * SAFE: HTTPS only, no credentials, default port, allowlisted host
+     */
+    static validateUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(String(url));
+        } catch (error) {
+            throw new ValidationError('Invalid URL');
+        }
+
+        if (parsed.protocol !== 'https:' || parsed.username || parsed.password || parsed.port) {
+            throw new ValidationError('URL not allowed');
+        }
+        if (!ALLOWED_HOSTS.includes(parsed.hostname)) {
+            throw new ValidationError('Host not allowed');
+        }
+        return parsed.toString();
+    }
+
+    /**
+     * SAFE: GET to an allowlisted URL, redirects not followed
+     */
+    static async fetchUrl(url) {
+        const response = await axios.get(this.validateUrl(url), { maxRedirects: 0 });
+        return response.data;
+    }
+
+    /**
+     * SAFE: GET to a URL checked by StrongSanitizers.validateURL
+     * The connection resolves through the target's lookup, so only addresses
+     * the check accepted are dialled; redirects are not followed. Proxies
+     * from HTTP_PROXY/HTTPS_PROXY are bypassed, otherwise the lookup would
+     * only vet the proxy and the proxy would dial any address it is given
+     */
+    static async fetchPinned(target) {
+        const response = await axios.get(target.url, { lookup: target.lookup, maxRedirects: 0, proxy: false });
+        return response.data;
+    }
+
+    /**
+     * SAFE: POST to an allowlisted URL
+     */
+    static async postToUrl(url, data) {
+        const response = await axios.post(this.validateUrl(url), data, { maxRedirects: 0 });
+        return response.data;
+    }
+
+    /**
+     * SAFE: Named internal service and endpoint from fixed lists
+     */
+    static async fetchFromService(service, endpoint) {
+        if (!Object.prototype.hasOwnProperty.call(SERVICES, service) || !SERVICE_ENDPOINTS.includes(endpoint)) {
+            throw new ValidationError('Unknown service endpoint');
+        }
+
+        const response = await axios.get(`${SERVICES[service]}/${endpoint}`, { maxRedirects: 0 });
+        return response.data;
+    }
+
+    /**
+     * SAFE: Credentials only ever sent to an allowlisted URL, never across a redirect
+     */
+    static async fetchWithAuth(url, authHeader) {
+        const response = await axios.get(this.validateUrl(url), {
+            headers: { 'Authorization': authHeader },
+            maxRedirects: 0
+        });
+        return response.data;
+    }
+
+    /**
+     * SAFE: Image download from an allowlisted URL with a size cap and type check
+     */
+    static async fetchRemoteImage(imageUrl) {
+        const response = await axios.get(this.validateUrl(imageUrl), {
+            responseType: 'arraybuffer',
+            maxRedirects: 0,
+            maxContentLength: MAX_IMAGE_BYTES
+        });
+
+        if (!String(response.headers?.['content-type']).startsWith('image/')) {
+            throw new ValidationError('Not an image');
+        }
+        return Buffer.from(response.data);
+    }
+
+    /**
+     * SAFE: Webhook callback to an allowlisted URL
+     */
+    static async sendWebhook(callbackUrl, payload) {
+        const response = await axios.post(this.validateUrl(callbackUrl), payload, {
+            headers: { 'Content-Type': 'application/json' },
+            maxRedirects: 0
+        });
+        return response.status;
+    }
+}
+
+/**
+ * Safe TCP Connection
+ */
+class SafeSocketSink {
+
+    /**
+     * SAFE: Only allowlisted host:port pairs
+     */
+    static connectToHost(host, port, data) {
+        if (!ALLOWED_ENDPOINTS.includes(`${host}:${port}`)) {
+            return Promise.reject(new ValidationError('Endpoint not allowed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const client = new net.Socket();
+            let response = '';
+
+            client.setTimeout(SOCKET_TIMEOUT_MS, () => {
+                client.destroy();
+                reject(new Error('Connection timed out'));
+            });
+
+            client.connect(Number(port), host, () => {
+                client.write(String(data));
+            });
+
+            client.on('data', (chunk) => response += chunk);
+            client.on('close', () => resolve(response));
+            client.on('error', reject);
+        });
+    }
+
+    /**
+     * SAFE: SMTP through an allowlisted relay; addresses validated, DATA dot-stuffed
+     */
+    static async sendEmail(smtpHost, from, to, message) {
+        for (const address of [from, to]) {
+            if (!/^[^\s@<>,;]+@[^\s@<>,;]+$/.test(String(address))) {
+                throw new ValidationError('Invalid address');
+            }
+        }
+
+        const body = String(message).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+        return await this.connectToHost(smtpHost, SMTP_PORT,
+            `HELO localhost\r\n` +
+            `MAIL FROM:<${from}>\r\n` +
+            `RCPT TO:<${to}>\r\n` +
+            `DATA\r\n${body}\r\n.\r\n` +
+            `QUIT\r\n`
+        );
+    }
+}
+
+/**
+ * Safe DNS Operations
+ */
+class SafeDnsSink {
+
+    /**
+     * SAFE: Lookups restricted to allowlisted domains and their subdomains
+     */
+    static assertDomain(domain) {
+        const name = String(domain).toLowerCase().replace(/\.$/, '');
+        if (!ALLOWED_DOMAINS.some(allowed => name === allowed || name.endsWith(`.${allowed}`))) {
+            throw new ValidationError('Domain not allowed');
+        }
+        return name;
+    }
+
+    /**
+     * SAFE: Address lookup; request data never becomes part of the hostname
+     */
+    static async lookupHost(domain) {
+        const hostname = this.assertDomain(domain);
+
+        return new Promise((resolve, reject) => {
+            dns.lookup(hostname, (err, address) => {
+                if (err) reject(err);
+                else resolve(address);
+            });
+        });
+    }
+
+    /**
+     * SAFE: TXT query for an allowlisted domain
+     */
+    static async queryTxtRecord(domain) {
+        const hostname = this.assertDomain(domain);
+
+        return new Promise((resolve, reject) => {
+            dns.resolveTxt(hostname, (err, records) => {
+                if (err) reject(err);
+                else resolve(records);
+            });
+        });
+    }
+}
+
+module.exports = {
+    SafeSsrfSink,
+    SafeSocketSink,
+    SafeDnsSink
+};
@@ -0,0 +1,333 @@
+/**
+ * Safe Template Sink - Autoescaped counterparts of TemplateSink
+ * Requests choose a template shipped with the gateway by name and only
+ * supply data; every engine escapes interpolated values
+ */
+
+const ejs = require('ejs');
+const pug = require('pug');
+const Handlebars = require('handlebars');
+const nunjucks = require('nunjucks');
+
+const { StrongSanitizers } = require('../../utils/safe/sanitizers');
+const { ValidationError } = require('../../utils/errors');
+
+const nunjucksEnv = new nunjucks.Environment(null, { autoescape: true });
+
+// Built-in templates per engine, selected by name
+const TEMPLATES = {
+    ejs: {
+        greeting: '<h1>Hello <%= name %></h1>',
+        report: '<h1><%= title %></h1><p><%= body %></p>',
+        document: '<pre><%= content %></pre>',
+        snippet: '<div class="content"><%= content %></div>'
+    },
+    pug: {
+        greeting: 'h1 Hello #{name}',
+        report: 'h1= title\np= body',
+        document: 'pre= content',
+        snippet: 'div.content= content'
+    },
+    handlebars: {
+        greeting: '<h1>Hello {{name}}</h1>',
+        report: '<h1>{{title}}</h1><p>{{body}}</p>',
+        document: '<pre>{{content}}</pre>',
+        snippet: '<div class="content">{{content}}</div>'
+    },
+    nunjucks: {
+        greeting: '<h1>Hello {{ name }}</h1>',
+        report: '<h1>{{ title }}</h1><p>{{ body }}</p>',
+        document: '<pre>{{ content }}</pre>',
+        snippet: '<div class="content">{{ content }}</div>'
+    }
+};
+
+// Widget themes and client callbacks offered instead of user CSS and JavaScript
+const THEMES = {
+    light: 'body { background: #fff; color: #222; }',
+    dark: 'body { background: #1e1e1e; color: #eee; }',
+    contrast: 'body { background: #000; color: #ff0; }'
+};
+const WIDGET_CALLBACKS = ['showGreeting', 'logGreeting'];
+
+// Named helpers offered instead of user-supplied code
+const FUNCTIONS = {
+    sum: args => Object.values(args).map(Number).reduce((total, value) => total + value, 0),
+    max: args => Math.max(...Object.values(args).map(Number)),
+    min: args => Math.min(...Object.values(args).map(Number)),
+    count: args => Object.keys(args).length
+};
+
+class SafeTemplateSink {
+
+    /**
+     * SAFE: Built-in EJS template, <%= %> escapes output
+     * Options are passed explicitly so data keys cannot act as EJS options
+     */
+    static renderEjs(templateName, data) {
+        return ejs.render(template('ejs', templateName), plainData(data), {});
+    }
+
+    /**
+     * SAFE: Built-in Pug template, #{} and = escape output
+     */
+    static renderPug(templateName, data) {
+        return pug.render(template('pug', templateName), plainData(data));
+    }
+
+    /**
+     * SAFE: Built-in Handlebars template, {{ }} escapes output
+     */
+    static renderHandlebars(templateName, context) {
+        return Handlebars.compile(template('handlebars', templateName))(plainData(context));
+    }
+
+    /**
+     * SAFE: Built-in Nunjucks template rendered with autoescape enabled
+     */
+    static renderNunjucks(templateName, context) {
+        return nunjucksEnv.renderString(template('nunjucks', templateName), plainData(context));
+    }
+
+    /**
+     * SAFE: EJS source read from the gateway's own template directory
+     * Callers pass file content confined with SafePathSink, never request data
+     */
+    static renderTrustedEjs(source, data) {
+        return ejs.render(source, plainData(data), {});
+    }
+
+    /**
+     * SAFE: Arithmetic over numbers and context variables, no eval
+     */
+    static evaluateExpression(expression, context) {
+        return evaluateArithmetic(expression, plainData(context));
+    }
+
+    /**
+     * SAFE: Named helper from a fixed registry instead of new Function()
+     */
+    static callFunction(name, args) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+            throw new ValidationError('Unknown function');
+        }
+        return FUNCTIONS[name](plainData(args));
+    }
+}
+
+/**
+ * Safe HTML Output
+ */
+class SafeXssSink {
+
+    /**
+     * SAFE: Sends engine output that is already escaped, with a strict CSP
+     */
+    static sendHtml(res, html) {
+        res.setHeader('Content-Security-Policy', "default-src 'none'");
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.type('html').send(html);
+    }
+
+    /**
+     * SAFE: Escaped profile fields, website limited to http(s) and mailto links
+     */
+    static renderUserProfile(user) {
+        return `
+            <div class="profile">
+                <h1>${StrongSanitizers.encodeHTML(user.name)}</h1>
+                <p>${StrongSanitizers.encodeHTML(user.bio)}</p>
+                <a href="${StrongSanitizers.encodeAttribute(StrongSanitizers.safeURL(user.website))}">Website</a>
+                <img src="${StrongSanitizers.encodeAttribute(StrongSanitizers.safeURL(user.avatar))}" alt="${StrongSanitizers.encodeAttribute(user.name)}">
+            </div>
+        `;
+    }
+
+    /**
+     * SAFE: JSON with <, > and & escaped so it cannot close the script element
+     */
+    static embedJsonInScript(data) {
+        return `<script>var data = ${StrongSanitizers.encodeJS(data)};</script>`;
+    }
+
+    /**
+     * SAFE: Name embedded as a JSON string, callback picked from a fixed list
+     */
+    static generateJavaScript(userName, callback) {
+        if (!WIDGET_CALLBACKS.includes(callback)) {
+            throw new ValidationError('Unknown callback');
+        }
+
+        return `
+            <script>
+                var user = ${StrongSanitizers.encodeJS(String(userName))};
+                ${callback}(user);
+            </script>
+        `;
+    }
+
+    /**
+     * SAFE: Escaped link with an allowlisted URL scheme
+     */
+    static createLink(url, text) {
+        return `<a href="${StrongSanitizers.encodeAttribute(StrongSanitizers.safeURL(url))}">${StrongSanitizers.encodeHTML(text)}</a>`;
+    }
+
+    /**
+     * SAFE: SVG shown through <img>, where its scripts never run
+     */
+    static renderSvgContent(svgData) {
+        const encoded = Buffer.from(String(svgData)).toString('base64');
+        return `<div class="icon"><img src="data:image/svg+xml;base64,${encoded}" alt=""></div>`;
+    }
+
+    /**
+     * SAFE: Built-in theme selected by name instead of user CSS
+     */
+    static applyUserStyles(themeName) {
+        if (!Object.prototype.hasOwnProperty.call(THEMES, themeName)) {
+            throw new ValidationError('Unknown theme');
+        }
+        return `<style>${THEMES[themeName]}</style>`;
+    }
+
+    /**
+     * SAFE: textContent assignment with both values embedded as JSON strings
+     */
+    static generateDomScript(elementId, content) {
+        return `
+            <script>
+                document.getElementById(${StrongSanitizers.encodeJS(String(elementId))}).textContent = ${StrongSanitizers.encodeJS(String(content))};
+            </script>
+        `;
+    }
+
+    /**
+     * SAFE: Escaped label, allowlisted action in a data attribute, no inline handler
+     */
+    static createButton(label, action) {
+        if (!WIDGET_CALLBACKS.includes(action)) {
+            throw new ValidationError('Unknown action');
+        }
+        return `<button type="button" data-action="${action}">${StrongSanitizers.encodeHTML(label)}</button>`;
+    }
+}
+
+/**
+ * Safe Email Construction
+ */
+class SafeEmailSink {
+
+    /**
+     * SAFE: Addresses validated, CR/LF rejected in every header value
+     */
+    static createEmailHeaders(to, subject, from) {
+        for (const value of [to, subject, from]) {
+            if (/[\r\n]/.test(String(value))) {
+                throw new ValidationError('Invalid header value');
+            }
+        }
+        for (const address of [to, from]) {
+            if (!StrongSanitizers.validateEmail(address)) {
+                throw new ValidationError('Invalid address');
+            }
+        }
+
+        return {
+            to,
+            from,
+            subject,
+            headers: `To: ${to}\r\nFrom: ${from}\r\nSubject: ${subject}`
+        };
+    }
+
+    /**
+     * SAFE: Escaped HTML email body
+     */
+    static createHtmlEmail(recipientName, messageContent) {
+        return `
+            <html>
+                <body>
+                    <h1>Hello, ${StrongSanitizers.encodeHTML(recipientName)}</h1>
+                    <p>${StrongSanitizers.encodeHTML(messageContent)}</p>
+                </body>
+            </html>
+        `;
+    }
+}
+
+function template(engine, name) {
+    if (!Object.prototype.hasOwnProperty.call(TEMPLATES[engine], name)) {
+        throw new ValidationError('Unknown template');
+    }
+    return TEMPLATES[engine][name];
+}
+
+/**
+ * Own primitive values only: no prototypes, functions or nested objects
+ */
+function plainData(data) {
+    const plain = {};
+    for (const [key, value] of Object.entries(data || {})) {
+        if (['string', 'number', 'boolean'].includes(typeof value)) plain[key] = value;
+    }
+    return plain;
+}
+
+/**
+ * Recursive-descent evaluator for + - * / % and parentheses
+ */
+function evaluateArithmetic(expression, variables) {
+    const tokens = String(expression).match(/\d+(?:\.\d+)?|[A-Za-z_]\w*|\S/g) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    function primary() {
+        const token = next();
+
+        if (token === '(') {
+            const value = sum();
+            if (next() !== ')') throw new ValidationError('Invalid expression');
+            return value;
+        }
+        if (token === '-') return -primary();
+        if (token !== undefined && /^\d/.test(token)) return Number(token);
+        if (token !== undefined && Object.prototype.hasOwnProperty.call(variables, token)) {
+            const value = Number(variables[token]);
+            if (!Number.isNaN(value)) return value;
+        }
+        throw new ValidationError('Invalid expression');
+    }
+
+    function product() {
+        let value = primary();
+        while (['*', '/', '%'].includes(peek())) {
+            const operator = next();
+            const right = primary();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    }
+
+    function sum() {
+        let value = product();
+        while (['+', '-'].includes(peek())) {
+            const operator = next();
+            const right = product();
+            value = operator === '+' ? value + right : value - right;
+        }
+        return value;
+    }
+
+    const result = sum();
+    if (position !== tokens.length) throw new ValidationError('Invalid expression');
+    return result;
+}
+
+module.exports = {
+    SafeTemplateSink,
+    SafeXssSink,
+    SafeEmailSink
+};
@@ -7,6 +7,8 @@ const axios = require('axios');
 const dns = require('dns');
 const net = require('net');
 
+const SOCKET_TIMEOUT_MS = 5000;
+
 /**
  * Custom Source: External API Response
  * Data received from external APIs is tainted if URL is user-controlled
@@ -101,18 +103,30 @@ class DnsSource {
  */
 class SocketSource {
 
-    // SOURCE: Read data from TCP socket
+    // SOURCE: Read data from TCP socket, up to the first line (a service banner)
     static async readFromSocket(host, port, message) {
         return new Promise((resolve, reject) => {
             const client = new net.Socket();
             let response = '';
 
+            // Idle services would otherwise hold the request open for good
+            client.setTimeout(SOCKET_TIMEOUT_MS, () => {
+                client.destroy();
+                reject(new Error('Socket read timed out'));
+            });
+
             client.connect(port, host, () => {
                 client.write(message);
             });
 
             client.on('data', (data) => {
                 response += data.toString();  // TAINTED: Socket response
+
+                // SSH, SMTP and Redis greet and then wait for the client
+                if (response.includes('\n')) {
+                    client.destroy();
+                    resolve(response);
+                }
             });
 
             client.on('close', () => {
@@ -0,0 +1,30 @@
+/**
+ * Safe XML Source - XML/SOAP parsing without DTD processing
+ * Counterpart of XmlSource; parsed values are still tainted data
+ */
+
+class SafeXmlSource {
+    // SOURCE: Parse XML, rejecting DOCTYPE and ENTITY declarations (no XXE)
+    static async parseXml(xmlString) {
+        const { parseStringPromise } = require('xml2js');
+
+        if (/<!DOCTYPE|<!ENTITY/i.test(xmlString)) {
+            throw new Error('DTDs are not allowed');
+        }
+
+        return await parseStringPromise(xmlString, {
+            explicitArray: false,
+            ignoreAttrs: true
+        });
+    }
+
+    // SOURCE: Extract SOAP body
+    static async extractSoapBody(soapXml) {
+        const parsed = await this.parseXml(soapXml);
+        return parsed?.['soap:Envelope']?.['soap:Body'];
+    }
+}
+
+module.exports = {
+    SafeXmlSource
+};
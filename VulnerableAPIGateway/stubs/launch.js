@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Stub Launcher - Run a command with stubs/bin first on PATH
+ *
+ * Usage:
+ *   node stubs/launch.js [command ...]      (default: node server.js)
+ *
+ * STUB_LOG (default $TMPDIR/gateway-stubs.log) receives one JSON line per
+ * stub call: { time, tool, argv, stdin, cwd, code }
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+const { DEFAULT_LOG } = require('./stub');
+
+const ROOT = path.resolve(__dirname, '..');
+const STUB_BIN = path.join(__dirname, 'bin');
+
+function main(argv) {
+    const [command, ...args] = argv.length > 0 ? argv : [process.execPath, path.join(ROOT, 'server.js')];
+    const env = {
+        ...process.env,
+        PATH: [STUB_BIN, process.env.PATH].filter(Boolean).join(path.delimiter),
+        STUB_LOG: path.resolve(process.env.STUB_LOG || DEFAULT_LOG)
+    };
+
+    console.log(`Stub binaries on PATH (${STUB_BIN}), logging to ${env.STUB_LOG}`);
+
+    const child = spawn(command, args, { env, stdio: 'inherit' });
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => child.kill(signal));
+    }
+
+    child.on('error', (error) => {
+        console.error(`Cannot start ${command}: ${error.message}`);
+        process.exit(1);
+    });
+    child.on('exit', (code, signal) => {
+        process.exit(signal ? 1 : code);
+    });
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,203 @@
+/**
+ * Stub Binaries - Offline stand-ins for docker, ssh, scp, systemctl and convert
+ * Each executable in stubs/bin calls run() with its tool name. The call
+ * (argv, stdin, cwd) is appended to STUB_LOG as one JSON line, then the stub
+ * prints what the real tool would print for a successful run. Anything the
+ * shell runs around the stub (`; id`, `$(whoami)`) still executes for real.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { fakeCommandOutput } = require('../utils/fakeOutput');
+
+const DEFAULT_LOG = path.join(os.tmpdir(), 'gateway-stubs.log');
+
+// exec() leaves stdin open without writing to it; stop waiting after this long
+const STDIN_IDLE_MS = Number(process.env.STUB_STDIN_IDLE_MS) || 100;
+
+const CONTAINER_ID = 'f3b1c2d4e5a6';
+
+/**
+ * Tool handlers: argv -> { stdout, stderr, code }
+ */
+const TOOLS = {
+    docker(argv, stdin) {
+        const [subcommand, ...rest] = argv;
+
+        switch (subcommand) {
+            case 'exec': {
+                const [, ...command] = positional(rest, ['-e', '-u', '-w']);
+                return ok(fakeCommandOutput(command.join(' ')));
+            }
+            case 'run': {
+                const [, ...command] = positional(rest, ['-e', '-u', '-w', '-v', '-p', '--name']);
+                return ok(fakeCommandOutput(command.join(' ')));
+            }
+            case 'build': {
+                const tag = flagValue(rest, '-t') || 'latest';
+                const file = flagValue(rest, '-f') || 'Dockerfile';
+                if (file !== '-' && !(fs.existsSync(file) && fs.statSync(file).isFile())) {
+                    return fail(`unable to prepare context: unable to evaluate symlinks in Dockerfile path: lstat ${path.resolve(file)}: no such file or directory\n`, 1);
+                }
+                const dockerfile = file === '-' ? stdin : fs.readFileSync(file, 'utf8');
+                const steps = dockerfile.split('\n').filter(line => /^\s*[A-Z]+\s/.test(line));
+                return ok([
+                    ...steps.map((step, i) => `Step ${i + 1}/${steps.length} : ${step.trim()}`),
+                    `Successfully built ${CONTAINER_ID}`,
+                    `Successfully tagged ${tag}`,
+                    ''
+                ].join('\n'));
+            }
+            case 'ps':
+                return ok(`CONTAINER ID   IMAGE          COMMAND       STATUS\n${CONTAINER_ID}   gateway:latest "node server"  Up 3 days\n`);
+            case 'version':
+            case '--version':
+                return ok('Docker version 24.0.7, build afdd53b\n');
+            default:
+                return fail(`docker: '${subcommand}' is not a docker command.\nSee 'docker --help'\n`, 1);
+        }
+    },
+
+    ssh(argv) {
+        const [destination, ...command] = positional(argv, ['-i', '-p', '-o', '-l']);
+        if (!destination) return fail('usage: ssh [-i identity_file] [-p port] destination [command]\n', 255);
+        return ok(fakeCommandOutput(command.join(' ')));
+    },
+
+    scp(argv) {
+        const operands = argv.filter((arg, i) => !arg.startsWith('-') && !isFlagValue(argv, i, ['-i', '-P', '-o']));
+        if (operands.length < 2) return fail('usage: scp [-r] [-P port] source ... target\n', 1);
+        return ok('');
+    },
+
+    systemctl(argv) {
+        const [action, ...units] = argv.filter(arg => !arg.startsWith('-'));
+        const unit = units[0] || 'default.target';
+
+        switch (action) {
+            case 'start':
+            case 'stop':
+            case 'restart':
+            case 'reload':
+            case 'daemon-reload':
+                return ok('');
+            case 'enable':
+                return ok(`Created symlink /etc/systemd/system/multi-user.target.wants/${unit} -> /lib/systemd/system/${unit}.\n`);
+            case 'disable':
+                return ok(`Removed /etc/systemd/system/multi-user.target.wants/${unit}.\n`);
+            case 'is-active':
+                return ok('active\n');
+            case 'status':
+                return ok([
+                    `● ${unit}.service - ${unit}`,
+                    `     Loaded: loaded (/lib/systemd/system/${unit}.service; enabled)`,
+                    '     Active: active (running) since Mon 2024-01-01 12:00:00 UTC; 3 days ago',
+                    '   Main PID: 812',
+                    ''
+                ].join('\n'));
+            default:
+                return fail(`Unknown command verb ${action}.\n`, 1);
+        }
+    },
+
+    convert(argv) {
+        const operands = argv.filter((arg, i) => !arg.startsWith('-') && !isFlagValue(argv, i, ['-format', '-resize', '-quality']));
+        const [input, output] = operands;
+        if (!input || !output) return fail('convert: no images defined\n', 1);
+        if (!fs.existsSync(input)) {
+            return fail(`convert: unable to open image \`${input}': No such file or directory @ error/blob.c/OpenBlob/2924.\n`, 1);
+        }
+        return ok('');
+    }
+};
+
+function ok(stdout) {
+    return { stdout, stderr: '', code: 0 };
+}
+
+function fail(stderr, code) {
+    return { stdout: '', stderr, code };
+}
+
+function flagValue(argv, flag) {
+    const i = argv.indexOf(flag);
+    return i === -1 ? null : argv[i + 1];
+}
+
+// Operands after the leading options; everything from the first operand on is kept verbatim
+function positional(argv, valueFlags) {
+    let i = 0;
+    while (i < argv.length && argv[i].startsWith('-')) {
+        i += valueFlags.includes(argv[i]) ? 2 : 1;
+    }
+    return argv.slice(i);
+}
+
+function isFlagValue(argv, i, flags) {
+    return i > 0 && flags.includes(argv[i - 1]);
+}
+
+/**
+ * Whatever is piped in; resolves early when the writer never closes stdin
+ */
+function readStdin() {
+    if (process.stdin.isTTY) return Promise.resolve('');
+
+    return new Promise((resolve) => {
+        const chunks = [];
+        let timer = null;
+        const done = () => {
+            clearTimeout(timer);
+            process.stdin.destroy();
+            resolve(Buffer.concat(chunks).toString());
+        };
+        const idle = () => {
+            clearTimeout(timer);
+            timer = setTimeout(done, STDIN_IDLE_MS);
+        };
+
+        process.stdin.on('data', (chunk) => {
+            chunks.push(chunk);
+            idle();
+        });
+        process.stdin.on('end', done);
+        process.stdin.on('error', done);
+        idle();
+    });
+}
+
+function log(entry) {
+    const file = process.env.STUB_LOG || DEFAULT_LOG;
+    try {
+        fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    } catch (error) {
+        process.stderr.write(`stub: cannot write ${file}: ${error.message}\n`);
+    }
+}
+
+async function run(tool) {
+    const argv = process.argv.slice(2);
+    const stdin = await readStdin();
+
+    const result = TOOLS[tool](argv, stdin);
+    log({
+        time: new Date().toISOString(),
+        tool,
+        argv,
+        stdin,
+        cwd: process.cwd(),
+        code: result.code
+    });
+
+    process.stdout.write(result.stdout);
+    process.stderr.write(result.stderr);
+    process.exitCode = result.code;
+}
+
+module.exports = {
+    run,
+    TOOLS,
+    DEFAULT_LOG
+};
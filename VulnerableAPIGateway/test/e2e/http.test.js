@@ -0,0 +1,150 @@
+/**
+ * HTTP Exploit Regression - Every documented HTTP flow must still be reachable
+ * One test per manifest route. Each case sends canary proofs; the taint
+ * report must mark every vulnerable flow of the route as reached, with a
+ * canary intact in the journaled sink call. Safe twins validate or rewrite
+ * their input, so their flows are only reported, not required.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { request, agent, bench, close, flowsByRoute } = require('../support/gateway');
+const { Proof, HTTP_CASES } = require('../support/proofs');
+
+// Sinks proven by the response body rather than the journal
+const RESPONSE_SINKS = ['res.send', 'res.write'];
+
+// Matched by the 404 handler and the access log, never by a payload of its own
+const CATCH_ALL = 'ALL *';
+
+// WebSocket actions are covered by websocket.test.js
+const routes = new Map([...flowsByRoute()]
+    .filter(([route]) => route !== CATCH_ALL && !route.startsWith('WS ')));
+
+function caseKey(route) {
+    return route.replace(' /safe/', ' /');
+}
+
+function casesFor(route) {
+    const cases = HTTP_CASES[caseKey(route)];
+    return cases === undefined ? null : [].concat(cases);
+}
+
+/**
+ * Send one case; resolves with the request id and the response.
+ * Setup requests go first through the same client, which carries the
+ * session cookie into the case's own request.
+ */
+async function send(route, spec, client = request()) {
+    const [method, pattern] = route.split(' ');
+    const prefix = pattern.startsWith('/safe/') ? '/safe' : '';
+    const path = spec.path ? prefix + spec.path : pattern;
+
+    if (spec.setup) {
+        const session = agent();
+        for (const step of spec.setup) {
+            const [stepMethod, stepPath] = step.route.split(' ');
+            await send(`${stepMethod} ${prefix}${stepPath}`, step, session);
+        }
+        return send(route, { ...spec, setup: null }, session);
+    }
+
+    let req = client[method.toLowerCase()](path).set(spec.headers || {});
+    if (spec.query) req = req.query(spec.query);
+
+    if (spec.files) {
+        for (const [name, value] of Object.entries(spec.fields || {})) req = req.field(name, value);
+        for (const [field, file] of Object.entries(spec.files)) {
+            req = req.attach(field, Buffer.from(file.content), file.name);
+        }
+    } else if (spec.xml) {
+        req = req.set('Content-Type', 'application/xml').send(spec.xml);
+    } else if (spec.body) {
+        req = req.send(spec.body);
+    }
+
+    // Environment sources read process.env while the request runs
+    const saved = Object.keys(spec.env || {}).map(name => [name, process.env[name]]);
+    Object.assign(process.env, spec.env);
+    try {
+        const res = await req;
+        return { requestId: res.headers['x-bench-request'], res };
+    } finally {
+        for (const [name, value] of saved) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+}
+
+// Journal entries carry the sink name and a snapshot of the arguments or ops
+function journaledWith(entries, sink, tokens) {
+    return entries
+        .filter(entry => entry.sink === sink)
+        .some(entry => tokens.some(token => JSON.stringify(entry).includes(token)));
+}
+
+function describeFlow(flow) {
+    const line = flow.sink.callSite ? flow.sink.callSite.line : flow.sink.line;
+    return `${flow.id} ${flow.sink.symbol || flow.sink.api} (line ${line})`;
+}
+
+describe('HTTP flows', () => {
+    before(() => bench.clear());
+    after(() => close());
+
+    test('every manifest route has a proof case', () => {
+        const missing = [...routes.keys()].filter(route => !casesFor(route));
+        assert.deepEqual(missing, []);
+    });
+
+    for (const [route, flows] of routes) {
+        const cases = casesFor(route);
+        if (!cases) continue;
+
+        test(route, async (t) => {
+            await bench.clear();
+
+            const reached = new Map();
+            const skipped = {};
+
+            for (const build of cases) {
+                const proof = new Proof();
+                const spec = build(proof);
+                Object.assign(skipped, spec.unreached);
+                if (!proof.tokens.length) continue;
+
+                const { requestId, res } = await send(route, spec);
+                assert.ok(requestId, `${route} answered without a bench request id`);
+
+                const [report] = await bench.reports({ requestId });
+                assert.ok(report, `no taint report for ${route}`);
+                assert.equal(report.route, route, `request was routed to ${report.route}`);
+
+                const entries = await bench.journal();
+                for (const flow of report.flows.filter(candidate => candidate.reached)) {
+                    const intact = RESPONSE_SINKS.includes(flow.sink)
+                        ? proof.tokens.some(token => res.text.includes(token))
+                        : journaledWith(entries, flow.sink, proof.tokens);
+                    if (intact) reached.set(flow.flowId, flow.source);
+                }
+                await bench.clear();
+            }
+
+            for (const [sink, reason] of Object.entries(skipped)) {
+                t.diagnostic(`${sink} not asserted: ${reason}`);
+            }
+
+            const unreached = flows
+                .filter(flow => !reached.has(flow.id))
+                .filter(flow => !(flow.sink.symbol in skipped) && !(flow.sink.api in skipped));
+            for (const flow of unreached.filter(candidate => !candidate.vulnerable)) {
+                t.diagnostic(`safe flow not reached: ${describeFlow(flow)}`);
+            }
+
+            const missed = unreached.filter(flow => flow.vulnerable).map(describeFlow);
+            assert.deepEqual(missed, [], `${route} has flows no proof reached`);
+        });
+    }
+});
@@ -0,0 +1,135 @@
+/**
+ * Vulnerability Profile - Disabled flows are swapped out at runtime
+ * Runs the gateway under a custom profile that disables two routes (one of
+ * them behind the admin auth chain), one webhook case and one WebSocket
+ * action and answers errors at debug level,
+ * and checks that the generated ground truth marks exactly those flows (and
+ * the other disclosure levels) as not live.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The profile is read once, when the gateway modules load
+const PROFILE_FILE = path.join(os.tmpdir(), `vuln-profile-e2e-${process.pid}.json`);
+fs.writeFileSync(PROFILE_FILE, JSON.stringify({
+    name: 'e2e',
+    description: 'Two routes, one webhook case and one WebSocket action disabled',
+    disable: [
+        { routes: ['POST /api/system/execute', 'POST /admin/audit/export', 'WS execute_command'] },
+        { flows: ['post-webhook-cicd.build.CommandSink.executeCommand'] }
+    ],
+    disclosure: 'debug'
+}));
+process.env.VULN_PROFILE = PROFILE_FILE;
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { request, bench, listen, close, sendMessage } = require('../support/gateway');
+const { Proof, HTTP_CASES } = require('../support/proofs');
+const { ManifestGenerator } = require('../../bench/ManifestGenerator');
+
+const ROOT = path.resolve(__dirname, '../..');
+
+async function sinksCalled() {
+    return (await bench.journal()).map(entry => entry.sink);
+}
+
+describe('Vulnerability profile', () => {
+    let port;
+
+    before(async () => {
+        port = await listen();
+    });
+    after(async () => {
+        await close();
+        fs.rmSync(PROFILE_FILE, { force: true });
+    });
+
+    test('a disabled route is served by its safe twin', async () => {
+        await bench.clear();
+        const proof = new Proof();
+
+        await request().post('/api/system/execute').send({ command: proof.command(), target: 'localhost' });
+
+        const sinks = await sinksCalled();
+        assert.ok(!sinks.includes('CommandSink.executeCommand'), 'vulnerable handler ran');
+        assert.ok(sinks.includes('SafeCommandSink.executeCommand'), `safe twin did not run: ${sinks}`);
+    });
+
+    test('a disabled admin route sits behind the safe auth chain only', async () => {
+        await bench.clear();
+        const proof = new Proof();
+        const { body, headers } = HTTP_CASES['POST /admin/audit/export'][0](proof);
+
+        // Unsigned claims get past AuthMiddleware.extractUser, not SafeAuthMiddleware.verifyUser
+        const forged = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from('{"sub":"1","role":"admin"}').toString('base64url')}.`;
+        const refused = await request().post('/admin/audit/export').set('Authorization', `Bearer ${forged}`).send(body);
+
+        assert.equal(refused.status, 401);
+        assert.ok(!(await sinksCalled()).some(sink => sink.endsWith('AuditLogger.getLogsForUser')), 'a handler ran');
+
+        await request().post('/admin/audit/export').set(headers).send(body);
+
+        const sinks = await sinksCalled();
+        assert.ok(!sinks.includes('AuditLogger.getLogsForUser'), 'vulnerable handler ran');
+        assert.ok(sinks.includes('SafeAuditLogger.getLogsForUser'), `safe twin did not run: ${sinks}`);
+    });
+
+    test('a disabled webhook case is served by its safe twin, the others stay live', async () => {
+        await bench.clear();
+        const proof = new Proof();
+
+        await request().post('/webhook/cicd')
+            .send({ event: 'build', project: { name: proof.text() }, branch: proof.text(), buildScript: proof.command() });
+        await request().post('/webhook/cicd')
+            .send({ event: 'push', project: { git_url: proof.url(), name: proof.text() } });
+
+        const sinks = await sinksCalled();
+        assert.ok(!sinks.includes('CommandSink.executeCommand'), 'vulnerable build case ran');
+        assert.ok(sinks.includes('SafeCommandSink.buildProject'), `safe build case did not run: ${sinks}`);
+        assert.ok(sinks.includes('CommandSink.gitClone'), `push case is no longer live: ${sinks}`);
+    });
+
+    test('a disabled WebSocket action is not mounted', async () => {
+        await bench.clear();
+
+        const reply = await sendMessage(port, { action: 'execute_command', payload: { command: 'echo', args: 'x' } });
+
+        assert.equal(reply.error, 'Unknown action');
+        assert.ok(!(await sinksCalled()).includes('CommandSink.executeWithArgs'));
+    });
+
+    test('errors are answered at the profile\'s disclosure level, safe twins at production', async () => {
+        const live = await request().post('/api/users/search').set('Content-Type', 'application/json').send('{"field":');
+
+        assert.equal(live.status, 400);
+        assert.ok(live.body.stack, 'debug level answers with the stack trace');
+        assert.equal(live.body.query, undefined);
+
+        // Rejected input is a client error, not a server error a DAST tool would flag
+        const twin = await request().post('/api/system/execute').send({ command: 'status', target: '; id' });
+
+        assert.equal(twin.status, 400);
+        assert.equal(twin.body.error, 'Invalid argument');
+        assert.deepEqual(Object.keys(twin.body).sort(), ['error', 'requestId']);
+    });
+
+    test('the ground truth marks exactly the disabled flows as not live', () => {
+        const manifest = new ManifestGenerator(ROOT, { profile: PROFILE_FILE }).generate();
+        const disabled = manifest.flows.filter(flow => !flow.live).map(flow => flow.id).sort();
+
+        assert.equal(manifest.profile.name, 'e2e');
+        assert.deepEqual(disabled, [
+            'all.verbose.LoggingMiddleware.errorLogger',
+            'post-admin-audit-export.AuditLogger.getLogsForUser',
+            'post-admin-audit-export.PathTraversalSink.writeFile',
+            'post-api-system-execute.CommandSink.executeCommand',
+            'post-webhook-cicd.build.CommandSink.executeCommand',
+            'ws-execute-command.CommandSink.executeWithArgs'
+        ]);
+        assert.equal(manifest.summary.disabled.total, 6);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Payload Replay - The corpus reaches the sinks the manifest promises
+ * Replays the command injection payloads against one vulnerable route and
+ * its safe twin over a real socket, and checks that the taint report and
+ * the sink journal agree on which parameters carried a payload through.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { listen, close, manifest } = require('../support/gateway');
+const { PayloadReplay, formatReplay } = require('../../bench/PayloadReplay');
+const { BypassExamples } = require('../../utils/sanitizers');
+
+function byParameter(run) {
+    const parameters = {};
+    for (const result of run.results) {
+        parameters[result.parameter] = parameters[result.parameter] || [];
+        if (result.reached.length > 0) parameters[result.parameter].push(result.id);
+    }
+    return parameters;
+}
+
+describe('Payload replay', () => {
+    let target;
+
+    before(async () => {
+        target = `http://127.0.0.1:${await listen()}`;
+    });
+    after(() => close());
+
+    test('every payload in an argument reaches the vulnerable sink', async () => {
+        const run = await new PayloadReplay(manifest, { target, cwes: ['CWE-78'], route: 'POST /api/system/execute' }).run();
+        const payloads = BypassExamples.forCwe('CWE-78').map(entry => entry.id);
+
+        assert.equal(run.summary.total.errors, 0);
+        assert.deepEqual(byParameter(run)['body.target'], payloads);
+        for (const result of run.results.filter(result => result.reached.length > 0)) {
+            assert.ok(result.journaled.length > 0, `${result.id} reached ${result.reached} but no sink journaled it`);
+        }
+    });
+
+    test('the safe twin refuses every payload in an argument', async () => {
+        const run = await new PayloadReplay(manifest, { target, cwes: ['CWE-78'], route: 'POST /safe/api/system/execute' }).run();
+        const parameters = byParameter(run);
+
+        assert.deepEqual(parameters['body.target'], []);
+        assert.deepEqual(parameters['body.options'], []);
+    });
+
+    test('flows without parameters are listed as not replayable', async () => {
+        const run = await new PayloadReplay(manifest, { target, cwes: ['CWE-611'], route: '/webhook/soap' }).run();
+
+        assert.deepEqual(run.results, []);
+        assert.deepEqual(run.unreplayed.map(flow => flow.flow), ['post-webhook-soap.XmlSource.extractSoapBody']);
+        assert.equal(run.summary.total.unreplayed, 1);
+        assert.equal(run.summary.total.errors, 0);
+        assert.match(formatReplay(run), /1 flows not replayable[\s\S]*post-webhook-soap\.XmlSource\.extractSoapBody: No request parameters/);
+    });
+});
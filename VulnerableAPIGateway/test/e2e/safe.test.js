@@ -0,0 +1,40 @@
+/**
+ * Safe Twins - Refused input is a client error
+ * A safe twin that rejects input answers 400 with the reason, so a DAST
+ * tool sees a validation failure rather than a crash on a true negative.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { request, listen, close } = require('../support/gateway');
+
+async function assertRefused(response, error) {
+    assert.equal(response.status, 400, JSON.stringify(response.body));
+    assert.equal(response.body.error, error);
+}
+
+describe('Safe twins', () => {
+    before(() => listen());
+    after(() => close());
+
+    test('a command without a target is refused, options do not take its place', async () => {
+        await assertRefused(await request().post('/safe/api/system/execute').send({ command: 'uptime', options: 'localhost' }), 'Missing target');
+    });
+
+    test('each command argument is checked on its own', async () => {
+        await assertRefused(await request().post('/safe/api/system/execute').send({ command: 'uptime', target: 'localhost', options: '; id' }), 'Invalid argument');
+    });
+
+    test('a malformed URL is refused', async () => {
+        await assertRefused(await request().post('/safe/api/flows/relay/object').send({ url: 'not a url' }), 'Invalid URL');
+    });
+
+    test('NoSQL operators in the query are refused', async () => {
+        await assertRefused(await request().get('/safe/api/nosql/users?username[$ne]=x'), 'Query operators are not allowed');
+    });
+
+    test('NoSQL fields outside the allowlist are refused', async () => {
+        await assertRefused(await request().get('/safe/api/nosql/users?foo=1'), 'Unknown field');
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Gateway Harness - The app in record + canary mode for the e2e suite
+ * Sinks are journaled, never executed; the taint tracker reports which
+ * manifest flows each request travelled. Must be required before anything
+ * else loads the gateway modules.
+ */
+
+process.env.SINK_MODE = 'record';
+process.env.TAINT_MODE = 'canary';
+// Safe twins verify bearer tokens; proofs sign theirs with the same key
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'e2e-signing-key';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const WebSocket = require('ws');
+
+const { app, server, ready } = require('../../server');
+const manifest = require('../../expected-findings.json');
+const { PATHS } = require('../../config/paths');
+
+// Routes hand uploads to the scratch directory themselves (image.mv before the sink runs)
+const UPLOAD_DIR = PATHS.tmp;
+const startedAt = Date.now();
+
+const bench = {
+    async clear() {
+        await request(app).delete('/__bench/journal').expect(200);
+        await request(app).delete('/__bench/taint-report').expect(200);
+    },
+
+    async journal() {
+        const res = await request(app).get('/__bench/journal').expect(200);
+        return res.body.entries;
+    },
+
+    async reports(query) {
+        const res = await request(app).get('/__bench/taint-report').query(query).expect(200);
+        return res.body.reports;
+    }
+};
+
+/**
+ * Start listening on a free port (WebSocket tests need a real socket)
+ */
+async function listen() {
+    await ready;
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server.address().port;
+}
+
+async function close() {
+    if (server.listening) await new Promise(resolve => server.close(resolve));
+    cleanUploads();
+}
+
+/**
+ * One JSON message over a fresh connection; resolves with the first reply
+ */
+function sendMessage(port, message) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/?clientId=e2e`);
+        const timer = setTimeout(() => {
+            ws.terminate();
+            reject(new Error(`No reply to ${message.action}`));
+        }, 5000);
+
+        ws.on('open', () => ws.send(JSON.stringify(message)));
+        ws.on('message', (data) => {
+            clearTimeout(timer);
+            ws.close();
+            resolve(JSON.parse(data.toString()));
+        });
+        ws.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Manifest flows grouped by route, e.g. "POST /api/users/search" -> [flow]
+ */
+function flowsByRoute() {
+    const routes = new Map();
+    for (const flow of manifest.flows) {
+        if (!routes.has(flow.route)) routes.set(flow.route, []);
+        routes.get(flow.route).push(flow);
+    }
+    return routes;
+}
+
+// Temp uploads and the copies routes move into the scratch directory during this run
+function cleanUploads() {
+    for (const name of fs.readdirSync(UPLOAD_DIR)) {
+        if (!/^(tmp-\d+-|canary_)/.test(name)) continue;
+        const file = path.join(UPLOAD_DIR, name);
+        try {
+            if (fs.statSync(file).mtimeMs >= startedAt - 1000) fs.rmSync(file, { force: true });
+        } catch (error) {
+            // Already gone
+        }
+    }
+}
+
+module.exports = {
+    app,
+    request: () => request(app),
+    // Keeps cookies, so requests of one case share a session
+    agent: () => request.agent(app),
+    bench,
+    listen,
+    close,
+    sendMessage,
+    flowsByRoute,
+    manifest
+};
@@ -0,0 +1,430 @@
+/**
+ * Proof Payloads - One benign request per route branch
+ * Every value a case builds through `p` carries a canary; the suite checks
+ * that one of them arrives intact at each manifest sink of the route. Cases
+ * may set environment variables for the request (`env`), send earlier
+ * requests on the same session first (`setup`) and declare sinks no
+ * request value can reach (`unreached`) with the reason.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Proof factory for one request; remembers the canary inside every value it
+ * hands out. Routes may normalise a path or split an address, so the suite
+ * looks for the canary rather than the whole value.
+ */
+class Proof {
+    constructor() {
+        this.tokens = [];
+    }
+
+    token() {
+        const token = `canary_${crypto.randomBytes(5).toString('hex')}`;
+        this.tokens.push(token);
+        return token;
+    }
+
+    text() {
+        return this.token();
+    }
+
+    command() {
+        return `echo ${this.token()}`;
+    }
+
+    url() {
+        return `http://${this.token()}.example.test/hook`;
+    }
+
+    host() {
+        return `${this.token()}.example.test`;
+    }
+
+    path() {
+        return `../../tmp/${this.token()}.txt`;
+    }
+
+    sql() {
+        return `${this.token()}' OR '1'='1`;
+    }
+
+    html() {
+        return `<b>${this.token()}</b>`;
+    }
+
+    template() {
+        return `<p>${this.token()}</p>`;
+    }
+
+    email() {
+        return `${this.token()}@example.test`;
+    }
+
+    filename(extension) {
+        return `${this.token()}.${extension}`;
+    }
+}
+
+// PNG signature, so the safe twin's magic-byte check accepts the upload
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const SOAP_ENVELOPE = body =>
+    `<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>${body}</soap:Body></soap:Envelope>`;
+
+// Unsigned SAML response as an IdP would POST it to the ACS (base64)
+const SAML_RESPONSE = (nameId, role) => Buffer.from(
+    '<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion">' +
+    `<saml:Assertion><saml:Subject><saml:NameID>${nameId}</saml:NameID></saml:Subject>` +
+    `<saml:AttributeStatement><saml:Attribute Name="role"><saml:AttributeValue>${role}</saml:AttributeValue></saml:Attribute></saml:AttributeStatement>` +
+    '</saml:Assertion></samlp:Response>'
+).toString('base64');
+
+/**
+ * Five-minute HS256 token (an access token unless `typ` says otherwise)
+ * signed with JWT_SECRET, which the safe twins verify and the vulnerable
+ * chain merely decodes
+ */
+function jwt(claims) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const exp = Math.floor(Date.now() / 1000) + 300;
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ typ: 'access', exp, ...claims })}`;
+    const signature = crypto.createHmac('sha256', process.env.JWT_SECRET).update(unsigned).digest('base64url');
+    return `${unsigned}.${signature}`;
+}
+
+const bearer = claims => `Bearer ${jwt(claims)}`;
+
+// One test per WebSocket action; `payload` is the message payload
+const WEBSOCKET_CASES = {
+    execute_command: p => ({ command: 'echo', args: p.text() }),
+    fetch_url: p => ({ url: p.url() }),
+    read_file: p => ({ filename: p.path() }),
+    render_template: p => ({ template: p.template(), context: { name: p.text() } }),
+    query_database: p => ({ table: 'users', field: 'name', value: p.sql() }),
+    broadcast: p => ({ message: p.html(), sender: p.text() }),
+    process_and_store: p => ({ userId: p.sql(), data: { note: p.text() }, exportPath: p.path() }),
+    fetch_and_execute: p => ({ configUrl: p.url(), defaultCommand: p.command() }),
+    render_and_broadcast: p => ({ template: p.template(), context: {} })
+};
+
+/**
+ * HTTP cases keyed by manifest route; a route with several branches lists
+ * one case per branch. Routes under /safe reuse the case of their twin.
+ */
+const HTTP_CASES = {
+    // --- /api/nosql -----------------------------------------------------
+    'POST /api/nosql/login': p => ({ body: { username: p.text(), password: { $ne: null } } }),
+    'GET /api/nosql/users': p => ({ query: { role: p.text() } }),
+    'POST /api/nosql/users/where': p => ({ body: { where: `this.username == '${p.text()}'` } }),
+    'GET /api/nosql/products': p => ({ query: { category: p.sql() } }),
+
+    // --- /api/flows ------------------------------------------------------
+    'POST /api/flows/relay/passthrough': p => ({ body: { command: p.command() } }),
+    'GET /api/flows/relay/array': p => ({ query: { file: p.path() } }),
+    'POST /api/flows/relay/object': p => ({ body: { url: p.url() } }),
+    'POST /api/flows/relay/async': p => ({ body: { template: p.template() } }),
+    'POST /api/flows/relay/callback': p => ({ body: { message: p.text() } }),
+    'GET /api/flows/relay/multi-hop': p => ({ query: { q: p.sql() } }),
+    'POST /api/flows/transform/concat': p => ({ body: { directory: p.path() } }),
+    'POST /api/flows/transform/interpolate': p => ({ body: { host: p.host(), resource: p.text() } }),
+    'POST /api/flows/transform/json': p => ({ body: { path: p.path(), content: p.text() } }),
+    'POST /api/flows/transform/base64': p => ({ body: { value: p.sql() } }),
+    'POST /api/flows/transform/array': p => ({ body: { hosts: [p.host(), p.host()] } }),
+    'POST /api/flows/transform/spread': [
+        p => ({ body: { engine: 'ejs', template: p.template() } }),
+        p => ({ body: { engine: 'pug', template: `p ${p.text()}` } }),
+        p => ({ body: { engine: 'handlebars', template: p.template() } }),
+        p => ({ body: { engine: 'nunjucks', template: p.template() } }),
+        p => ({ body: { engine: 'eval', template: `'${p.text()}'` } })
+    ],
+    'POST /api/flows/transform/destructure': p => ({ body: { a: 'users', b: p.sql(), c: 'ASC' } }),
+    'POST /api/flows/chain/simple': p => ({ body: { url: p.url() } }),
+    'POST /api/flows/chain/parallel': p => ({ body: { host: p.host() } }),
+    'POST /api/flows/chain/sequential': p => ({ body: { url: p.url(), path: p.path() } }),
+    'POST /api/flows/chain/merge': p => ({ body: { repo: p.url(), ref: p.text() } }),
+    'POST /api/flows/chain/complex': p => ({
+        body: { configName: p.sql(), args: p.text() },
+        unreached: {
+            'PathTraversalSink.readFile': 'the path comes from the configs row, and record mode answers with user rows',
+            'CommandSink.executeCommand': 'the command comes from the config file, which record mode leaves empty'
+        }
+    }),
+    'POST /api/flows/chain/ssrf-store': p => ({ body: { url: p.url(), path: p.path() } }),
+    'POST /api/flows/chain/render': p => ({ body: { template: p.template(), context: {} } }),
+    'POST /api/flows/context/execute': p => ({ body: { command: p.command() } }),
+    'POST /api/flows/context/render': p => ({ body: { template: p.template(), data: {} } }),
+    'POST /api/flows/context/chain': p => ({ body: { url: p.url() } }),
+
+    // --- /api -----------------------------------------------------------
+    'POST /api/users/search': p => ({ body: { field: 'name', value: p.sql(), orderBy: p.text(), direction: 'ASC' } }),
+    'POST /api/system/execute': p => ({ body: { command: p.command() } }),
+    'POST /api/proxy/fetch': [
+        p => ({ body: { url: p.url(), method: 'GET' } }),
+        p => ({ body: { url: p.url(), method: 'POST', body: { note: p.text() } } })
+    ],
+    'POST /api/render': [
+        p => ({ body: { template: p.template(), context: {}, engine: 'ejs' } }),
+        p => ({ body: { template: p.template(), context: {}, engine: 'pug' } }),
+        p => ({ body: { template: p.template(), context: {}, engine: 'handlebars' } }),
+        p => ({ body: { template: p.template(), context: {}, engine: 'nunjucks' } })
+    ],
+    'POST /api/files/read': p => ({ body: { filename: p.path() } }),
+    'POST /api/files/write': p => ({ body: { filename: p.path(), content: p.text() } }),
+    'POST /api/files/upload': p => ({ files: { document: { name: p.filename('txt'), content: 'proof' } } }),
+    'GET /api/search': p => ({ query: { q: p.html(), page: '1' } }),
+    'GET /api/users/:userId': p => ({ path: `/api/users/${encodeURIComponent(p.sql())}` }),
+    'POST /api/debug/run': [
+        p => ({ headers: { 'x-debug-command': p.command(), 'x-debug-host': p.host() } }),
+        p => ({ headers: { 'x-debug-command': p.command() } })
+    ],
+    'POST /api/containers/exec': p => ({ body: { containerId: p.text(), command: p.command() } }),
+    'POST /api/email/send': p => ({ body: { to: p.email(), from: p.email(), subject: p.text(), message: p.html() } }),
+    'POST /api/archive/extract': p => ({
+        files: { archive: { name: p.filename('zip'), content: 'PK' } },
+        fields: { extractTo: p.path() }
+    }),
+    'POST /api/integration/webhook-execute': p => ({ body: { callbackUrl: p.url(), commandToRun: p.command() } }),
+    'POST /api/integration/render-save': p => ({ body: { template: p.template(), context: {}, outputPath: p.path() } }),
+    'POST /api/integration/template-from-file': p => ({
+        body: { templatePath: p.path(), context: { name: p.text() } },
+        unreached: { 'XssSink.sendHtml': 'the rendered template comes from the (journaled) file read, not the request' }
+    }),
+    'GET /api/docs/search': p => ({ query: { q: p.text(), section: p.path() } }),
+    'POST /api/reports/generate': p => ({ body: { report: p.command(), format: 'csv', locale: p.text(), timezone: 'UTC' } }),
+    'POST /api/reports/pdf': p => ({ body: { html: p.html(), filename: p.path() } }),
+    'POST /api/media/transcode': p => ({ body: { source: p.path(), scale: p.text() } }),
+    'POST /api/links/preview': [
+        p => ({ body: { url: p.url(), fetcher: 'curl' } }),
+        p => ({ body: { url: p.url(), fetcher: 'native' } }),
+        p => ({ body: { url: p.url(), fetcher: 'redirects' } }),
+        p => ({ body: { url: p.url() } })
+    ],
+    'GET /api/services/status': p => ({ query: { service: p.host(), endpoint: p.text() } }),
+    'POST /api/integrations/sync': p => ({ body: { endpoint: p.url() }, headers: { authorization: `Bearer ${p.text()}` } }),
+    'POST /api/avatars/import': p => ({ body: { imageUrl: p.url() } }),
+    'GET /api/domains/verify': p => ({ query: { domain: p.host() } }),
+    'POST /api/profile/preview': p => ({ body: { name: p.html(), bio: p.html(), website: p.url(), avatar: p.url() } }),
+    'GET /api/widgets/embed': [
+        p => ({ query: { type: 'config', label: p.html(), value: p.text() } }),
+        p => ({ query: { type: 'greeting', label: p.text(), target: 'showGreeting' } }),
+        p => ({ query: { type: 'link', label: p.html(), target: p.url() } }),
+        p => ({ query: { type: 'icon', value: `<svg>${p.html()}</svg>` } }),
+        p => ({ query: { type: 'theme', value: `body { --proof: ${p.text()}; }` } }),
+        p => ({ query: { type: 'banner', target: 'banner', value: p.html() } }),
+        p => ({ query: { type: 'button', label: p.html(), value: 'showGreeting' } })
+    ],
+    'POST /api/snippets/preview': p => ({ body: { content: p.template() } }),
+    'POST /api/email/relay': p => ({ body: { smtpHost: p.host(), from: p.email(), to: p.email(), message: p.text() } }),
+    'POST /api/users/batch': p => ({ body: { ids: ['1', p.sql()] } }),
+    'POST /api/activity': p => ({ body: { userId: p.sql(), action: p.text(), details: p.text() } }),
+    'POST /api/exports/run': p => ({ body: { exporter: p.command(), configFile: p.path(), outputDir: p.path() } }),
+    'GET /api/discovery/:service': p => ({ path: `/api/discovery/${p.text()}`, query: { path: p.text() } }),
+    'GET /api/config/client': p => ({ env: { PUBLIC_PROOF_BANNER: p.html() } }),
+    'POST /api/health/tcp': p => ({ body: { host: p.host(), port: 25 } }),
+    'GET /api/me/page': p => ({
+        setup: [{ route: 'PUT /api/me/preferences', body: { theme: 'dark', customCss: p.html(), callbackUrl: p.url() } }]
+    }),
+    'POST /api/me/export': p => ({
+        setup: [{ route: 'PUT /api/me/preferences', body: { exportPath: p.path() } }]
+    }),
+
+    // --- /admin ---------------------------------------------------------
+    'GET /admin/dashboard': () => ({
+        unreached: { 'html-template': 'renders stored rows; no request value reaches the page' }
+    }),
+    'POST /admin/system/manage': [
+        p => ({ body: { action: 'restart', serviceName: p.text() } }),
+        p => ({ body: { action: 'reload-config', configPath: p.path() } }),
+        p => ({ body: { action: 'view-logs', logFile: p.path() } }),
+        p => ({ body: { action: 'clear-cache', serviceName: p.text() } })
+    ],
+    'POST /admin/containers/manage': [
+        p => ({ body: { action: 'exec', containerId: p.text(), command: p.command() } }),
+        p => ({ body: { action: 'run', image: p.text(), command: p.command() } }),
+        p => ({ body: { action: 'build', dockerfile: p.path(), image: p.text() } })
+    ],
+    'POST /admin/servers/ssh': [
+        p => ({ body: { host: p.host(), user: 'deploy', localPath: p.path(), remotePath: p.path() } }),
+        p => ({ body: { host: p.host(), user: 'deploy', command: p.command() } })
+    ],
+    'POST /admin/database/query': [
+        p => ({ body: { rawQuery: `SELECT * FROM users WHERE name = '${p.text()}'` } }),
+        p => ({ body: { table: 'users', conditions: { name: p.sql() } } })
+    ],
+    'POST /admin/filesystem/manage': [
+        p => ({ body: { action: 'read', path: p.path() } }),
+        p => ({ body: { action: 'write', path: p.path(), content: p.text() } }),
+        p => ({ body: { action: 'delete', path: p.path() } }),
+        p => ({ body: { action: 'copy', path: p.path(), destination: p.path() } }),
+        p => ({ body: { action: 'move', path: p.path(), destination: p.path() } }),
+        p => ({ body: { action: 'list', path: p.path() } })
+    ],
+    'POST /admin/logs/manage': [
+        p => ({ body: { action: 'read', logFile: p.path() } }),
+        p => ({ body: { action: 'search', pattern: p.text(), logFile: p.path() } }),
+        p => ({ body: { action: 'write', logFile: p.path(), message: p.text() } }),
+        p => ({ body: { action: 'rotate', logFile: p.path() } })
+    ],
+    'POST /admin/network/diagnose': [
+        p => ({ body: { action: 'http', target: p.url() } }),
+        p => ({ body: { action: 'tcp', target: p.host(), port: 25, data: p.text() } }),
+        p => ({ body: { action: 'dns', domain: p.host() } }),
+        p => ({ body: { action: 'exfil', data: p.text(), domain: p.host() } })
+    ],
+    'POST /admin/templates/manage': [
+        p => ({ body: { engine: 'ejs', template: p.template(), context: {} } }),
+        p => ({ body: { engine: 'pug', template: p.template(), context: {} } }),
+        p => ({ body: { engine: 'handlebars', template: p.template(), context: {} } }),
+        p => ({ body: { engine: 'nunjucks', template: p.template(), context: {} } }),
+        p => ({ body: { engine: 'eval', expression: `'${p.text()}'`, context: {} } }),
+        p => ({ body: { engine: 'function', code: `return '${p.text()}'`, context: {} } }),
+        p => ({ body: { engine: 'vm', code: `'${p.text()}'`, context: {} } })
+    ],
+    'POST /admin/audit/export': p => ({ body: { userId: p.sql(), outputPath: p.path() } }),
+    'POST /admin/backup/manage': [
+        p => ({ body: { action: 'create', backupPath: p.path(), archiveName: p.text() } }),
+        p => ({ body: { action: 'restore', backupPath: p.path(), archiveName: p.text(), restorePath: p.path() } }),
+        p => ({ body: { action: 'list', backupPath: p.path() } })
+    ],
+
+    // --- /auth, /partner, /internal --------------------------------------
+    'POST /auth/login': p => ({ body: { username: p.sql(), password: p.sql() } }),
+    'POST /auth/refresh': p => ({ body: { refreshToken: jwt({ sub: p.sql(), role: 'admin', typ: 'refresh' }) } }),
+    'GET /auth/me': p => ({ headers: { authorization: bearer({ sub: p.sql(), role: 'user' }) } }),
+    'POST /auth/saml/acs': p => ({ body: { SAMLResponse: SAML_RESPONSE(p.email(), p.text()) } }),
+    'GET /partner/activity': p => ({ headers: { 'x-api-key': p.sql() }, query: { action: p.sql() } }),
+    'POST /partner/webhooks/test': p => ({ headers: { 'x-api-key': p.sql() }, body: { url: p.url() } }),
+    // requireInternalIp only checks that the first X-Forwarded-For entry starts like a private address
+    'GET /internal/whoami': p => ({
+        headers: { 'x-forwarded-for': `10.${p.html()}`, 'x-debug-token': 'on', 'x-debug-command': p.command() }
+    }),
+    'POST /internal/logs/tail': p => ({
+        headers: { 'x-forwarded-for': '10.0.0.1', 'x-debug-token': 'on', 'x-debug-command': p.command() },
+        body: { file: p.path(), lines: 20 }
+    }),
+
+    // --- /metrics -------------------------------------------------------
+    // The scrape's own URL is recorded as a client label before the registry is rendered
+    'GET /metrics': p => ({ query: { ref: p.text() } }),
+
+    // --- /webhook -------------------------------------------------------
+    'POST /webhook/github': p => ({
+        body: {
+            event: 'push',
+            data: {
+                repository: { name: p.sql(), html_url: p.url() },
+                sender: { login: p.text() },
+                commits: [{ id: p.text(), message: p.sql(), author: { name: p.text() } }]
+            }
+        }
+    }),
+    'POST /webhook/cicd': [
+        p => ({ body: { event: 'push', project: { git_url: p.url(), name: p.text() } } }),
+        p => ({ body: { event: 'build', project: { name: p.text() }, branch: p.text(), buildScript: p.command() } }),
+        p => ({ body: { event: 'deploy', project: { name: p.text() }, branch: p.text(), commit: p.text() } })
+    ],
+    'POST /webhook/payment': p => ({
+        body: {
+            event: 'payment.completed',
+            data: { transaction_id: p.text(), amount: 10, status: 'paid', receipt_url: p.url() },
+            callback_url: p.url()
+        }
+    }),
+    'POST /webhook/soap': [
+        p => ({ xml: SOAP_ENVELOPE(`<GetUser><userId>${p.text()}</userId></GetUser>`) }),
+        p => ({ xml: SOAP_ENVELOPE(`<SearchUsers><field>name</field><pattern>${p.text()}</pattern></SearchUsers>`) }),
+        p => ({ xml: SOAP_ENVELOPE(`<CreateUser><name>${p.text()}</name></CreateUser>`) })
+    ],
+    'POST /webhook/deploy': p => ({
+        body: { artifact_url: p.url(), deploy_path: p.path(), post_deploy_script: p.command(), config: { note: p.text() } }
+    }),
+    'POST /webhook/slack': [
+        p => ({ body: { command: '/ops', text: `status ${p.text()}`, user_name: 'e2e', response_url: p.url() } }),
+        p => ({ body: { command: '/ops', text: `logs ${p.path()}`, user_name: 'e2e' } }),
+        p => ({ body: { command: '/ops', text: `exec ${p.command()}`, user_name: 'e2e' } })
+    ],
+    'POST /webhook/template': [
+        p => ({ body: { engine: 'ejs', template: p.template(), data: {}, output_url: p.url() } }),
+        p => ({ body: { engine: 'nunjucks', template: p.template(), data: {} } }),
+        p => ({ body: { engine: 'handlebars', template: p.template(), data: {} } })
+    ],
+    'POST /webhook/notification': p => ({
+        body: { type: 'info', title: p.text(), message: p.html(), user_id: p.text(), metadata: { source: p.text() } }
+    }),
+
+    // --- /files ---------------------------------------------------------
+    'POST /files/upload': p => ({ files: { file: { name: p.filename('txt'), content: 'proof' } } }),
+    'POST /files/upload/image': p => ({
+        files: { image: { name: p.filename('png'), content: PNG_HEADER } },
+        fields: { format: p.text() }
+    }),
+    'POST /files/upload/archive': p => ({
+        files: { archive: { name: p.filename('zip'), content: 'PK' } },
+        fields: { extractTo: p.path() }
+    }),
+    'POST /files/upload/template': [
+        p => ({ files: { template: { name: p.filename('ejs'), content: '' } }, fields: { engine: 'ejs', context: JSON.stringify({ name: p.text() }) } }),
+        p => ({ files: { template: { name: p.filename('pug'), content: '' } }, fields: { engine: 'pug', context: JSON.stringify({ name: p.text() }) } }),
+        p => ({ files: { template: { name: p.filename('njk'), content: '' } }, fields: { engine: 'nunjucks', context: JSON.stringify({ name: p.text() }) } })
+    ],
+    'POST /files/upload/config': p => ({
+        files: {
+            config: {
+                name: p.filename('json'),
+                content: JSON.stringify({ endpoints: { a: p.url() }, commands: { b: p.command() }, files: { c: p.path() } })
+            }
+        }
+    }),
+    'GET /files/render/:template': p => ({
+        path: `/files/render/${encodeURIComponent(p.path())}`,
+        query: { name: p.text() },
+        unreached: { 'res.send': 'the rendered template comes from the (journaled) file read, not the request' }
+    }),
+    'GET /files/download': p => ({ query: { filename: p.path() } }),
+    'GET /files/list': p => ({ query: { directory: p.path() } }),
+    'POST /files/operations': [
+        p => ({ body: { operation: 'copy', source: p.path(), destination: p.path() } }),
+        p => ({ body: { operation: 'move', source: p.path(), destination: p.path() } }),
+        p => ({ body: { operation: 'compress', source: p.path(), destination: p.path() } }),
+        p => ({ body: { operation: 'extract', source: p.path(), destination: p.path() } }),
+        p => ({ body: { operation: 'convert', source: p.path(), destination: p.path() } }),
+        p => ({ body: { operation: 'checksum', source: p.path() } })
+    ],
+    'POST /files/fetch-and-process': p => ({ body: { url: p.url(), savePath: p.path(), postProcess: p.command() } }),
+    'POST /files/symlink': p => ({ body: { target: p.path(), linkName: p.path() } }),
+    'POST /files/bulk-upload': p => ({
+        files: { first: { name: p.filename('txt'), content: 'proof' } },
+        fields: { processCommand: p.command() }
+    }),
+    'GET /files/preview': p => ({ query: { file: p.path() } }),
+    'GET /files/documents/:name': p => ({ path: `/files/documents/${encodeURIComponent(p.path())}` }),
+    'GET /files/stream': p => ({ query: { file: p.path() } }),
+    'POST /files/upload/store': [
+        p => ({ files: { file: { name: p.filename('txt'), content: 'proof' } }, fields: { directory: p.path() } }),
+        p => ({ files: { file: { name: p.filename('txt'), content: 'proof' } }, fields: { name: p.path(), extension: 'html' } }),
+        p => ({ files: { file: { name: p.filename('png'), content: 'PNG' } } })
+    ],
+    'POST /files/upload/tarball': p => ({
+        files: { archive: { name: p.filename('tar.gz'), content: 'TAR' } },
+        fields: { extractTo: p.path() }
+    }),
+    'POST /files/bundle': p => ({ body: { files: [p.path()], name: p.text() } }),
+    'POST /files/import': p => ({
+        files: { manifest: { name: 'import.json', content: JSON.stringify({ entries: [{ url: p.url(), path: p.path() }] }) } }
+    })
+};
+
+// Admin routes sit behind the JWT bearer chain
+for (const route of Object.keys(HTTP_CASES).filter(route => route.includes(' /admin/'))) {
+    HTTP_CASES[route] = [].concat(HTTP_CASES[route]).map(build => p => {
+        const spec = build(p);
+        return { ...spec, headers: { authorization: bearer({ sub: '1', role: 'admin' }), ...spec.headers } };
+    });
+}
+
+module.exports = {
+    Proof,
+    HTTP_CASES,
+    WEBSOCKET_CASES
+};
@@ -0,0 +1,38 @@
+/**
+ * Embedded Mongo - $where scripts stay inside their own realm
+ * Runs constructor-chain escapes through the stand-in's $where and checks
+ * that none of them reaches the host process.
+ */
+
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EmbeddedMongoDb } = require('../../config/embeddedMongo');
+
+const ESCAPES = [
+    "globalThis.constructor.constructor('return process')()",
+    "this.constructor.constructor('return process')()",
+    "sleep.constructor('return process')()"
+];
+
+describe('EmbeddedCollection $where', () => {
+    let collection;
+
+    before(async () => {
+        collection = new EmbeddedMongoDb('where-test').collection('users');
+        await collection.insertOne({ username: 'alice', role: 'user' });
+    });
+
+    test('runs against the document', async () => {
+        const users = await collection.find({ $where: "this.username == 'alice'" }).toArray();
+        assert.equal(users.length, 1);
+    });
+
+    for (const escape of ESCAPES) {
+        test(`${escape} does not reach the host process`, async () => {
+            const script = `try { var p = ${escape}; return typeof p === 'object' && p !== null && typeof p.pid === 'number'; } catch (e) { return false; }`;
+            const users = await collection.find({ $where: script }).toArray();
+            assert.deepEqual(users, []);
+        });
+    }
+});
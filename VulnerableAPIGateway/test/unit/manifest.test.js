@@ -0,0 +1,25 @@
+/**
+ * Manifest - Descriptions read from the doc comments are whole
+ * A `Source:` line that wraps onto the next line of its comment is joined
+ * with it, so no description stops in the middle of its chain.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const manifest = require('../../expected-findings.json');
+
+describe('Manifest', () => {
+    test('no source description is cut off', () => {
+        for (const flow of manifest.flows) {
+            assert.doesNotMatch(flow.source.description || '', /->\s*$/, flow.id);
+        }
+    });
+
+    test('a wrapped source description keeps its second line', () => {
+        const flow = manifest.flows.find(item => item.route === 'POST /api/flows/chain/complex');
+
+        assert.equal(flow.source.description,
+            'req.body.configName, req.body.args -> QueryBuilder.findByField -> PathTraversalSink.readFile -> CommandSink.executeCommand');
+    });
+});
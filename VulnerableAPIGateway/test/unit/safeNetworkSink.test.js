@@ -0,0 +1,50 @@
+/**
+ * Safe Network Sink - Pinned fetches never leave through a proxy
+ * Starts a target and a proxy on loopback, points HTTP_PROXY at the proxy
+ * and checks that fetchPinned dials the address its lookup returned.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { SafeSsrfSink } = require('../../sinks/safe/SafeNetworkSink');
+
+function serve(body) {
+    const server = http.createServer((req, res) => {
+        server.hits += 1;
+        res.end(body);
+    });
+    server.hits = 0;
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('SafeSsrfSink.fetchPinned', () => {
+    const savedProxy = process.env.HTTP_PROXY;
+    let target;
+    let proxy;
+
+    before(async () => {
+        target = await serve('direct');
+        proxy = await serve('proxied');
+        process.env.HTTP_PROXY = `http://127.0.0.1:${proxy.address().port}`;
+    });
+    after(async () => {
+        if (savedProxy === undefined) delete process.env.HTTP_PROXY;
+        else process.env.HTTP_PROXY = savedProxy;
+        await Promise.all([target, proxy].map(server => new Promise(resolve => server.close(resolve))));
+    });
+
+    test('connects to the pinned address even when HTTP_PROXY is set', async () => {
+        // Stands in for pinnedLookup: the name resolves to the address it vetted
+        const lookup = (hostname, options, callback) => {
+            if (options.all) return callback(null, [{ address: '127.0.0.1', family: 4 }]);
+            callback(null, '127.0.0.1', 4);
+        };
+
+        const content = await SafeSsrfSink.fetchPinned({ url: `http://pinned.example:${target.address().port}/`, lookup });
+
+        assert.equal(content, 'direct');
+        assert.equal(proxy.hits, 0);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * SARIF Scorer - How results are credited to flows
+ * Scores hand-written SARIF against the committed manifest. A result that
+ * only points at a sink many flows share must not count for all of them,
+ * and precision is the share of results, not of flows, that were right.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const manifest = require('../../expected-findings.json');
+const { SarifScorer } = require('../../bench/SarifScorer');
+
+const COMMAND_FLOWS = manifest.flows.filter(flow => flow.sink.symbol === 'CommandSink.executeCommand');
+const [FIRST] = COMMAND_FLOWS;
+
+function location(file, line) {
+    return { physicalLocation: { artifactLocation: { uri: file }, region: { startLine: line } } };
+}
+
+function result(cwe, ...locations) {
+    return { ruleId: `rule-${cwe}`, properties: { tags: [cwe] }, message: { text: 'finding' }, locations };
+}
+
+function score(results, options) {
+    const scorer = new SarifScorer(manifest, options);
+    return scorer.score(scorer.parseSarif({ runs: [{ tool: { driver: { name: 'test' } }, results }] }));
+}
+
+describe('SARIF scorer', () => {
+    test('the shared sink is reached by many flows', () => {
+        assert.ok(COMMAND_FLOWS.length > 1);
+    });
+
+    test('a sink-only result is credited to one flow', () => {
+        const report = score([result('CWE-78', location(FIRST.sink.file, FIRST.sink.line))]);
+
+        assert.equal(report.totals.tp, 1);
+        assert.equal(report.totals.fn, manifest.flows.filter(flow => flow.vulnerable && flow.live !== false).length - 1);
+        assert.equal(report.totals.precision, 1);
+        assert.equal(report.sinkOnly, 1);
+    });
+
+    test('each sink-only result is credited to a different flow', () => {
+        const report = score([
+            result('CWE-78', location(FIRST.sink.file, FIRST.sink.line)),
+            result('CWE-78', location(FIRST.sink.file, FIRST.sink.line))
+        ]);
+
+        assert.equal(report.totals.tp, 2);
+        assert.equal(new Set(report.detected.map(flow => flow.id)).size, 2);
+    });
+
+    test('strict mode credits no sink-only result', () => {
+        const report = score([result('CWE-78', location(FIRST.sink.file, FIRST.sink.line))], { strict: true });
+
+        assert.equal(report.totals.tp, 0);
+        assert.equal(report.totals.fp, 1);
+        assert.equal(report.totals.precision, 0);
+    });
+
+    test('a result showing the route is a path match for that flow', () => {
+        const report = score([result('CWE-78',
+            location(FIRST.entry.file, FIRST.entry.line),
+            location(FIRST.sink.file, FIRST.sink.line))]);
+
+        const detected = report.detected.find(flow => flow.id === FIRST.id);
+        assert.ok(detected);
+        assert.equal(detected.matches[0].how, 'path');
+        assert.equal(report.sinkOnly, 0);
+    });
+
+    test('precision is computed from results', () => {
+        const report = score([
+            result('CWE-78', location(FIRST.sink.file, FIRST.sink.line)),
+            result('CWE-78', location('routes/apiRoutes.js', 1)),
+            result('CWE-89', location(FIRST.sink.file, FIRST.sink.line))
+        ]);
+
+        assert.equal(report.totals.tp, 1);
+        assert.equal(report.totals.fp, 2);
+        assert.equal(report.totals.precision, 0.333);
+        assert.equal(report.byCwe['CWE-78'].precision, 0.5);
+    });
+});
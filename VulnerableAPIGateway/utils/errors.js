@@ -0,0 +1,19 @@
+/**
+ * Errors - Rejections the error pipeline answers with a client status
+ * errorLogger keeps any 4xx `status`; everything else becomes a 500
+ */
+
+/**
+ * Input refused by an allowlist or validator (400 unless told otherwise)
+ */
+class ValidationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = status;
+    }
+}
+
+module.exports = {
+    ValidationError
+};
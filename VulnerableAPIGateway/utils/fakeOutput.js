@@ -0,0 +1,56 @@
+/**
+ * Fake Output - Plausible answers for commands and files that are not run
+ * Shared by the record-mode recorder and the stub binaries in stubs/bin
+ */
+
+const path = require('path');
+
+const FAKE_COMMAND_OUTPUT = {
+    id: 'uid=33(www-data) gid=33(www-data) groups=33(www-data)\n',
+    whoami: 'www-data\n',
+    hostname: 'api-gateway\n',
+    uname: 'Linux api-gateway 5.15.0-91-generic #101-Ubuntu SMP x86_64 GNU/Linux\n',
+    pwd: '/var/app\n',
+    ls: 'config.json\nserver.js\nuploads\n',
+    uptime: ' 12:00:00 up 3 days,  2:14,  0 users,  load average: 0.08, 0.03, 0.01\n',
+    date: 'Mon Jan  1 12:00:00 UTC 2024\n',
+    df: 'Filesystem      Size  Used Avail Use% Mounted on\n/dev/sda1        40G   12G   28G  30% /\n',
+    free: '               total        used        free\nMem:            3936        1210        2726\n',
+    systemctl: 'active\n',
+    git: "Cloning into 'repo'...\n",
+    docker: 'f3b1c2d4e5a6\n',
+    sha256sum: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855  -\n'
+};
+
+const FAKE_FILES = {
+    '/etc/passwd': 'root:x:0:0:root:/root:/bin/bash\nwww-data:x:33:33:www-data:/var/www:/usr/sbin/nologin\n',
+    '/etc/hosts': '127.0.0.1 localhost\n10.0.0.5 db.internal\n',
+    '/etc/hostname': 'api-gateway\n'
+};
+
+function fakeCommandOutput(command) {
+    return String(command)
+        .split(/;|&&|\|\||\||\n|`|\$\(/)
+        .map(segment => segment.trim().replace(/^[({'"\s]+/, ''))
+        .filter(Boolean)
+        .map(segment => {
+            const [binary, ...rest] = segment.split(/\s+/);
+            const name = binary.split('/').pop();
+            if (name === 'echo') return rest.join(' ').replace(/['"]/g, '') + '\n';
+            if (name === 'cat') return rest.map(fakeFileContent).join('');
+            if (name === 'ssh') return fakeCommandOutput(rest.slice(1).join(' '));
+            return FAKE_COMMAND_OUTPUT[name] || '';
+        })
+        .join('');
+}
+
+function fakeFileContent(filePath) {
+    return FAKE_FILES[path.resolve(String(filePath))] || '';
+}
+
+module.exports = {
+    FAKE_COMMAND_OUTPUT,
+    FAKE_FILES,
+    fakeCommandOutput,
+    fakeFileContent
+};
@@ -0,0 +1,335 @@
+/**
+ * Strong Sanitizers - Correct counterparts of the checks in utils/sanitizers.js
+ * Allowlists instead of blacklists: every check either returns a value that
+ * is safe for one context or throws a ValidationError (answered with 400).
+ * The safe twins call them in front of plain sinks, so those flows are true
+ * negatives only because of the check.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const dns = require('dns');
+
+const { ValidationError } = require('../errors');
+
+// One command argument: no shell syntax, no path separator, never an option
+const ARGUMENT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:@=,+-]{0,254}$/;
+const ID_PATTERN = /^[1-9]\d{0,9}$/;
+const MAX_IDS = 100;
+
+const EMAIL_PATTERN = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]{1,64}@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const FETCH_PROTOCOLS = ['http:', 'https:'];
+
+// Keys that reach Object.prototype when a parsed document is merged or assigned
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+const MAX_JSON_DEPTH = 32;
+
+// Magic bytes per image type; the client's file name and MIME type are ignored
+const SIGNATURES = {
+    'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+    'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+    'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')]
+};
+
+// Everything an outbound request must not reach: loopback, private, link-local
+// (cloud metadata), CGNAT, documentation, multicast and reserved ranges, and
+// the IPv6 ranges that embed an IPv4 address (IPv4-compatible, NAT64, 6to4)
+const INTERNAL_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    INTERNAL_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+    INTERNAL_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+class StrongSanitizers {
+
+    /**
+     * STRONG: Command arguments from a character allowlist
+     * Absent values are dropped; anything else that could be read as an
+     * option, a path or shell syntax is refused
+     */
+    static commandArguments(...values) {
+        return values
+            .filter(value => value !== undefined && value !== null && value !== '')
+            .map(value => {
+                if (typeof value !== 'string' || !ARGUMENT_PATTERN.test(value)) {
+                    throw new ValidationError('Invalid argument');
+                }
+                return value;
+            });
+    }
+
+    /**
+     * STRONG: Canonical path inside baseDir or throw
+     * Symbolic links are resolved on both sides before the prefix check,
+     * so neither ../, an absolute path nor a link leads out of baseDir
+     */
+    static confinePath(baseDir, ...segments) {
+        if (segments.some(segment => typeof segment !== 'string' || segment.includes('\0'))) {
+            throw new ValidationError('Invalid path');
+        }
+
+        const base = canonicalPath(path.resolve(baseDir));
+        const resolved = canonicalPath(path.resolve(base, ...segments));
+
+        if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+            throw new ValidationError('Path escapes the allowed directory');
+        }
+        return resolved;
+    }
+
+    /**
+     * STRONG: SQL identifier (table, column) from an explicit allowlist
+     * Values never go through here; they are bound as parameters
+     */
+    static sqlIdentifier(name, allowed, label = 'identifier') {
+        if (typeof name !== 'string' || !allowed.includes(name)) {
+            throw new ValidationError(`Unknown ${label}`);
+        }
+        return name;
+    }
+
+    /**
+     * STRONG: List of positive integer IDs, bounded in length
+     */
+    static integerIds(values) {
+        const ids = [].concat(values ?? []).map(value => String(value).trim());
+
+        if (ids.length === 0 || ids.length > MAX_IDS || !ids.every(id => ID_PATTERN.test(id))) {
+            throw new ValidationError('Invalid id list');
+        }
+        return ids.map(Number);
+    }
+
+    /**
+     * STRONG: HTML-encode a value for element content
+     */
+    static encodeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * STRONG: Attribute encoding, every character but letters and digits
+     * as a hex entity, so the value cannot leave even an unquoted attribute
+     */
+    static encodeAttribute(value) {
+        return String(value ?? '').replace(/[^A-Za-z0-9]/gu, char => `&#x${char.codePointAt(0).toString(16)};`);
+    }
+
+    /**
+     * STRONG: JSON literal safe to place inside a <script> element
+     */
+    static encodeJS(value) {
+        return JSON.stringify(value ?? null)
+            .replace(/</g, '\\u003c')
+            .replace(/>/g, '\\u003e')
+            .replace(/&/g, '\\u0026')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+    }
+
+    /**
+     * STRONG: URL component encoding, including the characters
+     * encodeURIComponent leaves alone
+     */
+    static encodeURL(value) {
+        return encodeURIComponent(String(value ?? ''))
+            .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    /**
+     * STRONG: Link target with an allowlisted scheme, or a harmless fragment
+     */
+    static safeURL(value) {
+        try {
+            const url = new URL(String(value));
+            return LINK_PROTOCOLS.includes(url.protocol) ? url.toString() : '#';
+        } catch (error) {
+            return '#';
+        }
+    }
+
+    /**
+     * STRONG: Outbound URL that cannot reach an internal address
+     * The URL parser turns decimal, hex, octal and short IPv4 forms into
+     * dotted quads, so literal hosts are checked as written. Names are
+     * checked when the request connects: the returned lookup resolves,
+     * refuses internal answers and hands over only the addresses it checked
+     * (no DNS rebinding between check and connect). Returns { url, lookup }
+     * for SafeSsrfSink.fetchPinned
+     */
+    static validateURL(value) {
+        let url;
+        try {
+            url = new URL(String(value));
+        } catch (error) {
+            throw new ValidationError('Invalid URL');
+        }
+
+        if (!FETCH_PROTOCOLS.includes(url.protocol) || url.username || url.password) {
+            throw new ValidationError('URL not allowed');
+        }
+
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && StrongSanitizers.isInternalIP(host)) {
+            throw new ValidationError('Host not allowed');
+        }
+
+        return { url: url.toString(), lookup: pinnedLookup };
+    }
+
+    /**
+     * STRONG: Whether an address is internal, in any IPv4 notation
+     * (decimal, hex, octal, short), IPv6, IPv4-mapped IPv6 or an IPv6
+     * range that embeds an IPv4 address (IPv4-compatible, NAT64, 6to4).
+     * Anything that is not an address counts as internal; resolve names first
+     */
+    static isInternalIP(address) {
+        const ip = canonicalIP(address);
+        if (!ip) return true;
+        return INTERNAL_NETWORKS.check(ip.address, ip.family);
+    }
+
+    /**
+     * STRONG: Deep copy of a parsed document without prototype keys
+     * Every level is rebuilt from own properties, nesting is bounded
+     */
+    static sanitizeJSON(value, depth = 0) {
+        if (depth > MAX_JSON_DEPTH) {
+            throw new ValidationError('Document nested too deeply');
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => StrongSanitizers.sanitizeJSON(item, depth + 1));
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+
+        const clean = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (!UNSAFE_KEYS.includes(key)) clean[key] = StrongSanitizers.sanitizeJSON(item, depth + 1);
+        }
+        return clean;
+    }
+
+    /**
+     * STRONG: Image type sniffed from the file's magic bytes
+     * Returns the detected MIME type, or null when it is none of `allowed`
+     */
+    static validateContentType(file, allowed = Object.keys(SIGNATURES)) {
+        const header = leadingBytes(file, 8);
+        const type = Object.keys(SIGNATURES)
+            .find(mime => SIGNATURES[mime].some(signature => header.subarray(0, signature.length).equals(signature)));
+
+        return type && allowed.includes(type) ? type : null;
+    }
+
+    /**
+     * STRONG: Single address, no whitespace, CR/LF, quotes or display name
+     */
+    static validateEmail(address) {
+        const value = String(address ?? '');
+        return value.length <= 254 && EMAIL_PATTERN.test(value);
+    }
+}
+
+/**
+ * Realpath of the deepest existing ancestor with the missing rest appended
+ */
+function canonicalPath(target) {
+    const missing = [];
+    let existing = target;
+
+    while (!fs.existsSync(existing)) {
+        const parent = path.dirname(existing);
+        if (parent === existing) break;
+        missing.unshift(path.basename(existing));
+        existing = parent;
+    }
+
+    return path.join(fs.realpathSync(existing), ...missing);
+}
+
+/**
+ * { address, family } of an IP in any notation the URL parser accepts, or null
+ * IPv4-mapped IPv6 (::ffff:7f00:1) is returned as the IPv4 address it maps
+ */
+function canonicalIP(value) {
+    const text = String(value ?? '').trim().replace(/^\[|\]$/g, '');
+    let host;
+
+    try {
+        host = new URL(`http://${net.isIPv6(text) ? `[${text}]` : text}/`).hostname.replace(/^\[|\]$/g, '');
+    } catch (error) {
+        return null;
+    }
+
+    if (net.isIPv4(host)) return { address: host, family: 'ipv4' };
+    if (!net.isIPv6(host)) return null;
+
+    const mapped = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+        const high = parseInt(mapped[1], 16);
+        const low = parseInt(mapped[2], 16);
+        return { address: [high >> 8, high & 255, low >> 8, low & 255].join('.'), family: 'ipv4' };
+    }
+    return { address: host, family: 'ipv6' };
+}
+
+/**
+ * dns.lookup replacement for an outbound connection: resolves the name and
+ * fails unless every address it resolves to is public
+ */
+function pinnedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(({ address }) => StrongSanitizers.isInternalIP(address))) {
+            return callback(new ValidationError(`Host ${hostname} resolves to an internal address`));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * First bytes of an upload, kept in memory (data) or in a temp file (useTempFiles)
+ */
+function leadingBytes(file, count) {
+    if (file?.data?.length) return file.data.subarray(0, count);
+    if (!file?.tempFilePath) return Buffer.alloc(0);
+
+    const fd = fs.openSync(file.tempFilePath, 'r');
+    try {
+        const buffer = Buffer.alloc(count);
+        return buffer.subarray(0, fs.readSync(fd, buffer, 0, count, 0));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = {
+    StrongSanitizers
+};
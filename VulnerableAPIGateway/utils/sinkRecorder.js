@@ -0,0 +1,616 @@
+/**
+ * Sink Recorder - SINK_MODE=record support
+ * Wraps every sink class and the primitives underneath them (child_process,
+ * fs, axios, http, net, dns, archive libraries, global.dbConnection) so that
+ * sink calls are written to the SinkJournal and answered with fake output.
+ * The sink modules themselves are untouched, so static analysis sees exactly
+ * the same data flow as in the default execute mode.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const { Readable, Writable } = require('stream');
+const childProcess = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const dns = require('dns');
+const util = require('util');
+const axios = require('axios');
+
+const { SinkJournal } = require('./sinkJournal');
+const { fakeCommandOutput, fakeFileContent } = require('./fakeOutput');
+
+// Sink modules and the classes in them; required only after the primitives are patched
+const SINK_MODULES = {
+    '../sinks/CommandSink': ['CommandSink', 'DockerSink', 'SshSink'],
+    '../sinks/FileSink': ['PathTraversalSink', 'FileUploadSink', 'ArchiveSink', 'LogSink'],
+    '../sinks/NetworkSink': ['SsrfSink', 'SocketSink', 'DnsSink'],
+    '../sinks/TemplateSink': ['TemplateSink', 'XssSink', 'EmailSink'],
+    '../sinks/safe/SafeCommandSink': ['SafeCommandSink', 'SafeDockerSink', 'SafeSshSink'],
+    '../sinks/safe/SafeFileSink': ['SafePathSink', 'SafeUploadSink', 'SafeArchiveSink', 'SafeLogSink'],
+    '../sinks/safe/SafeNetworkSink': ['SafeSsrfSink', 'SafeSocketSink', 'SafeDnsSink'],
+    '../sinks/safe/SafeTemplateSink': ['SafeTemplateSink', 'SafeXssSink', 'SafeEmailSink']
+};
+
+// Methods outside the sink classes that carry a `// SINK:` annotation in the manifest
+const ANNOTATED_SINKS = {
+    '../middleware/loggingMiddleware': { LoggingMiddleware: ['readLog', 'writeErrorLog'] },
+    '../sources/HttpSource': { XmlSource: ['extractSoapBody'] },
+    '../sources/safe/SafeXmlSource': { SafeXmlSource: ['extractSoapBody'] }
+};
+
+// Sources that read from the network; their primitives get the same fake answers, unjournaled
+const NETWORK_SOURCES = {
+    '../sources/ExternalSource': ['ExternalApiSource', 'DnsSource', 'SocketSource']
+};
+
+// Express middleware sinks: their own body is recorded, the rest of the request is not
+const MIDDLEWARE_SINKS = {
+    '../middleware/loggingMiddleware': { LoggingMiddleware: ['logRequest'] }
+};
+
+// Query classes are instantiated per request, so their prototypes are wrapped
+const QUERY_CLASSES = ['QueryBuilder', 'AuditLogger', 'SafeQueryBuilder', 'SafeAuditLogger'];
+
+// Sinks that evaluate their first argument as code; recorded and answered without running
+const CODE_SINKS = [
+    'TemplateSink.evaluateExpression',
+    'TemplateSink.createAndExecuteFunction',
+    'TemplateSink.runInSandbox'
+];
+
+const FAKE_ROWS = [
+    { id: 1, name: 'alice', email: 'alice@example.com', role: 'admin', bio: 'Platform team' },
+    { id: 2, name: 'bob', email: 'bob@example.com', role: 'user', bio: 'Developer' }
+];
+
+const FAKE_DOCUMENTS = [
+    { _id: '65a1f0c2e4b0a1b2c3d4e5f6', username: 'alice', email: 'alice@example.com', role: 'admin' },
+    { _id: '65a1f0c2e4b0a1b2c3d4e5f7', username: 'bob', email: 'bob@example.com', role: 'user' }
+];
+
+const frames = new AsyncLocalStorage();
+
+// Frame of a network source call: faked like a sink, but not a sink call itself
+const SOURCE_FRAME = Object.freeze({ source: true });
+let installed = false;
+
+class SinkRecorder {
+
+    /**
+     * Patch primitives first, then load and wrap the sink classes. Must run
+     * before any route module is required: the sinks bind exec, execSync and
+     * friends when they are loaded.
+     */
+    static install() {
+        if (installed) return;
+        installed = true;
+
+        patchRequire();
+        patchChildProcess();
+        patchFs();
+        patchNetwork();
+        patchArchives();
+
+        for (const [modulePath, classNames] of Object.entries(SINK_MODULES)) {
+            const exported = require(modulePath);
+            for (const name of classNames) wrapStatics(exported[name], name);
+        }
+
+        for (const [modulePath, classes] of Object.entries(ANNOTATED_SINKS)) {
+            const exported = require(modulePath);
+            for (const [name, methods] of Object.entries(classes)) {
+                for (const method of methods) exported[name][method] = wrapMethod(exported[name][method], `${name}.${method}`);
+            }
+        }
+
+        for (const [modulePath, classes] of Object.entries(MIDDLEWARE_SINKS)) {
+            const exported = require(modulePath);
+            for (const [name, methods] of Object.entries(classes)) {
+                for (const method of methods) exported[name][method] = wrapMiddleware(exported[name][method], `${name}.${method}`);
+            }
+        }
+
+        for (const [modulePath, classNames] of Object.entries(NETWORK_SOURCES)) {
+            const exported = require(modulePath);
+            for (const name of classNames) wrapSourceStatics(exported[name]);
+        }
+
+        const database = require('../config/database');
+        for (const name of QUERY_CLASSES) wrapPrototype(database[name], name);
+
+        global.dbConnection = recordingConnection();
+        global.mongoDb = recordingMongo();
+    }
+
+    static get installed() {
+        return installed;
+    }
+
+    /**
+     * Current sink entry, if the caller runs inside a sink call
+     */
+    static current() {
+        const entry = frames.getStore();
+        return entry === SOURCE_FRAME ? undefined : entry;
+    }
+}
+
+/**
+ * Journal an operation and tell the caller whether to fake it
+ */
+function record(op) {
+    const entry = frames.getStore();
+    if (!entry) return false;
+    if (entry !== SOURCE_FRAME) SinkJournal.operation(entry, entry.sink, op);
+    return true;
+}
+
+/**
+ * Run fn outside the current sink frame, i.e. against the real primitives
+ */
+function unrecorded(fn) {
+    // Not frames.exit(): a sink frame opened inside it would restore the outer one on return
+    return frames.run(undefined, fn);
+}
+
+function wrapStatics(cls, className) {
+    for (const name of Object.getOwnPropertyNames(cls)) {
+        if (typeof cls[name] !== 'function' || ['length', 'name', 'prototype'].includes(name)) continue;
+        cls[name] = wrapMethod(cls[name], `${className}.${name}`);
+    }
+}
+
+function wrapSourceStatics(cls) {
+    for (const name of Object.getOwnPropertyNames(cls)) {
+        if (typeof cls[name] !== 'function' || ['length', 'name', 'prototype'].includes(name)) continue;
+
+        const original = cls[name];
+        cls[name] = function (...args) {
+            return frames.run(SOURCE_FRAME, () => original.apply(this, args));
+        };
+        Object.defineProperty(cls[name], 'name', { value: original.name });
+    }
+}
+
+function wrapPrototype(cls, className) {
+    for (const name of Object.getOwnPropertyNames(cls.prototype)) {
+        if (name === 'constructor' || typeof cls.prototype[name] !== 'function') continue;
+        cls.prototype[name] = wrapMethod(cls.prototype[name], `${className}.${name}`);
+    }
+}
+
+function wrapMethod(original, sink) {
+    const wrapped = function (...args) {
+        // Nested sink calls (sendEmail -> connectToHost) belong to the outer entry
+        if (frames.getStore()) return original.apply(this, args);
+
+        const entry = SinkJournal.open(sink, args);
+        if (CODE_SINKS.includes(sink)) {
+            SinkJournal.operation(entry, sink, { type: 'eval', code: String(args[0]) });
+            return frames.run(entry, () => fakeEvaluation(args[0]));
+        }
+
+        return frames.run(entry, () => original.apply(this, args.map(recordingUpload)));
+    };
+    Object.defineProperty(wrapped, 'name', { value: original.name });
+    return wrapped;
+}
+
+/**
+ * next() leaves the frame, so sinks further down the chain get entries of their own
+ */
+function wrapMiddleware(original, sink) {
+    const wrapped = function (req, res, next) {
+        const entry = SinkJournal.open(sink, [req.method, req.originalUrl]);
+        return frames.run(entry, () => original.call(this, req, res, (...args) => unrecorded(() => next(...args))));
+    };
+    Object.defineProperty(wrapped, 'name', { value: original.name });
+    return wrapped;
+}
+
+/**
+ * express-fileupload objects move themselves; swap mv() for a recorded no-op
+ */
+function recordingUpload(arg) {
+    if (!arg || typeof arg !== 'object' || typeof arg.mv !== 'function') return arg;
+
+    return Object.assign(Object.create(arg), {
+        mv(destPath, callback) {
+            record({ type: 'file.move', from: arg.tempFilePath || arg.name, to: destPath });
+            if (callback) return process.nextTick(callback);
+            return Promise.resolve();
+        }
+    });
+}
+
+/**
+ * Arithmetic payloads such as 7*7 still answer like the real sink would
+ */
+function fakeEvaluation(code) {
+    const { SafeTemplateSink } = require('../sinks/safe/SafeTemplateSink');
+    try {
+        return SafeTemplateSink.evaluateExpression(String(code));
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Modules loaded lazily from inside a sink (tar in ArchiveSink.extractTar,
+ * engine helpers) must be read from disk, not from the fake fs
+ */
+function patchRequire() {
+    const Module = require('module');
+    const original = Module.prototype.require;
+    Module.prototype.require = function (id) {
+        if (!frames.getStore()) return original.call(this, id);
+        return unrecorded(() => original.call(this, id));
+    };
+}
+
+// --- child_process -----------------------------------------------------------
+
+function patchChildProcess() {
+    const { exec, execSync, execFile, execFileSync, spawn, spawnSync } = childProcess;
+
+    childProcess.exec = Object.assign(function (command, options, callback) {
+        if (!record({ type: 'exec', command })) return exec.apply(this, arguments);
+        const done = typeof options === 'function' ? options : callback;
+        if (done) process.nextTick(done, null, fakeCommandOutput(command), '');
+        return fakeChild(fakeCommandOutput(command));
+    }, {
+        [util.promisify.custom]: function (command, options) {
+            if (!record({ type: 'exec', command })) return util.promisify(exec)(command, options);
+            return Promise.resolve({ stdout: fakeCommandOutput(command), stderr: '' });
+        }
+    });
+
+    childProcess.execSync = function (command, options) {
+        if (!record({ type: 'exec', command, env: options?.env && diffEnv(options.env) })) {
+            return execSync.apply(this, arguments);
+        }
+        return Buffer.from(fakeCommandOutput(command));
+    };
+
+    childProcess.execFile = Object.assign(function (file, args, options, callback) {
+        const argv = Array.isArray(args) ? args : [];
+        if (!record({ type: 'execFile', file, args: argv })) return execFile.apply(this, arguments);
+        const done = [args, options, callback].find(arg => typeof arg === 'function');
+        const output = fakeCommandOutput([file, ...argv].join(' '));
+        if (done) process.nextTick(done, null, output, '');
+        return fakeChild(output);
+    }, {
+        [util.promisify.custom]: function (file, args, options) {
+            const argv = Array.isArray(args) ? args : [];
+            if (!record({ type: 'execFile', file, args: argv })) return util.promisify(execFile)(file, args, options);
+            return Promise.resolve({ stdout: fakeCommandOutput([file, ...argv].join(' ')), stderr: '' });
+        }
+    });
+
+    childProcess.execFileSync = function (file, args) {
+        const argv = Array.isArray(args) ? args : [];
+        if (!record({ type: 'execFile', file, args: argv })) return execFileSync.apply(this, arguments);
+        return Buffer.from(fakeCommandOutput([file, ...argv].join(' ')));
+    };
+
+    childProcess.spawn = function (command, args, options) {
+        const argv = Array.isArray(args) ? args : [];
+        if (!record({ type: 'spawn', command, args: argv, shell: Boolean(options?.shell) })) {
+            return spawn.apply(this, arguments);
+        }
+        return fakeChild(fakeCommandOutput([command, ...argv].join(' ')));
+    };
+
+    childProcess.spawnSync = function (command, args, options) {
+        const argv = Array.isArray(args) ? args : [];
+        if (!record({ type: 'spawn', command, args: argv, shell: Boolean(options?.shell) })) {
+            return spawnSync.apply(this, arguments);
+        }
+        const stdout = Buffer.from(fakeCommandOutput([command, ...argv].join(' ')));
+        return { pid: 0, status: 0, signal: null, stdout, stderr: Buffer.alloc(0), output: [null, stdout, Buffer.alloc(0)] };
+    };
+}
+
+function fakeChild(output) {
+    const child = new EventEmitter();
+    child.pid = 0;
+    child.stdout = Readable.from([output]);
+    child.stderr = Readable.from([]);
+    child.stdin = new Writable({ write: (chunk, encoding, done) => done() });
+    child.kill = () => true;
+    child.stdout.on('end', () => {
+        child.emit('exit', 0, null);
+        child.emit('close', 0, null);
+    });
+    process.nextTick(() => child.stdout.resume());
+    return child;
+}
+
+function diffEnv(env) {
+    return Object.fromEntries(Object.entries(env).filter(([key, value]) => process.env[key] !== value));
+}
+
+// --- fs ----------------------------------------------------------------------
+
+// name -> [operation type, fake result]; paths are the leading string arguments
+const FS_SYNC = {
+    readFileSync: ['file.read', (file, options) => asEncoding(fakeFileContent(file), options)],
+    writeFileSync: ['file.write', () => undefined],
+    appendFileSync: ['file.append', () => undefined],
+    unlinkSync: ['file.delete', () => undefined],
+    readdirSync: ['dir.list', () => ['config.json', 'README.md', 'uploads']],
+    copyFileSync: ['file.copy', () => undefined],
+    renameSync: ['file.move', () => undefined],
+    symlinkSync: ['file.symlink', () => undefined],
+    mkdirSync: ['dir.create', () => undefined]
+};
+
+const FS_ASYNC = {
+    readFile: 'readFileSync',
+    writeFile: 'writeFileSync',
+    appendFile: 'appendFileSync',
+    unlink: 'unlinkSync',
+    readdir: 'readdirSync',
+    copyFile: 'copyFileSync',
+    rename: 'renameSync',
+    symlink: 'symlinkSync',
+    mkdir: 'mkdirSync'
+};
+
+function patchFs() {
+    for (const [name, [type, fake]] of Object.entries(FS_SYNC)) {
+        const original = fs[name];
+        fs[name] = function (...args) {
+            if (!record(fsOperation(type, args))) return original.apply(this, args);
+            return fake(...args);
+        };
+    }
+
+    for (const [name, syncName] of Object.entries(FS_ASYNC)) {
+        const [type, fake] = FS_SYNC[syncName];
+        const callbackStyle = fs[name];
+        const promiseStyle = fs.promises[name];
+
+        fs[name] = function (...args) {
+            if (!record(fsOperation(type, args))) return callbackStyle.apply(this, args);
+            const callback = args.pop();
+            process.nextTick(callback, null, fake(...args));
+        };
+        fs.promises[name] = function (...args) {
+            if (!record(fsOperation(type, args))) return promiseStyle.apply(this, args);
+            return Promise.resolve(fake(...args));
+        };
+    }
+
+    const { createReadStream, createWriteStream } = fs;
+
+    fs.createReadStream = function (file, options) {
+        if (!record({ type: 'file.read', path: String(file), resolved: path.resolve(String(file)) })) {
+            return createReadStream.apply(this, arguments);
+        }
+        return Readable.from([Buffer.from(fakeFileContent(file))]);
+    };
+
+    fs.createWriteStream = function (file, options) {
+        if (!record({ type: 'file.write', path: String(file), resolved: path.resolve(String(file)) })) {
+            return createWriteStream.apply(this, arguments);
+        }
+        return new Writable({ write: (chunk, encoding, done) => done() });
+    };
+}
+
+function fsOperation(type, args) {
+    const paths = args.filter(arg => typeof arg === 'string' || arg instanceof URL).map(String);
+    const op = { type, path: paths[0] };
+
+    if (['file.copy', 'file.move'].includes(type)) op.to = paths[1];
+    if (type === 'file.symlink') Object.assign(op, { target: paths[0], path: paths[1] });
+    if (['file.write', 'file.append'].includes(type)) {
+        op.path = String(args[0]);
+        op.content = Buffer.isBuffer(args[1]) ? { buffer: args[1].length } : String(args[1]);
+    }
+    if (op.path) op.resolved = path.resolve(op.path);
+    return op;
+}
+
+function asEncoding(content, options) {
+    const encoding = typeof options === 'string' ? options : options?.encoding;
+    return encoding ? content : Buffer.from(content);
+}
+
+// --- network -----------------------------------------------------------------
+
+function patchNetwork() {
+    for (const method of ['get', 'delete', 'head', 'options']) {
+        const original = axios[method];
+        axios[method] = function (url, config) {
+            if (!record({ type: 'http', method: method.toUpperCase(), url: String(url), headers: config?.headers })) {
+                return original.apply(this, arguments);
+            }
+            return Promise.resolve(fakeResponse(url, config));
+        };
+    }
+
+    for (const method of ['post', 'put', 'patch']) {
+        const original = axios[method];
+        axios[method] = function (url, data, config) {
+            if (!record({ type: 'http', method: method.toUpperCase(), url: String(url), body: data, headers: config?.headers })) {
+                return original.apply(this, arguments);
+            }
+            return Promise.resolve(fakeResponse(url, config));
+        };
+    }
+
+    for (const mod of [http, https]) {
+        for (const method of ['get', 'request']) {
+            const original = mod[method];
+            mod[method] = function (url, options, callback) {
+                if (!record({ type: 'http', method: method === 'get' ? 'GET' : options?.method || 'GET', url: String(url?.href || url) })) {
+                    return original.apply(this, arguments);
+                }
+                const done = [options, callback].find(arg => typeof arg === 'function');
+                return fakeClientRequest(done);
+            };
+        }
+    }
+
+    const { connect } = net.Socket.prototype;
+
+    net.Socket.prototype.connect = function (...args) {
+        const [first, second] = Array.isArray(args[0]) ? args[0] : args;
+        const target = typeof first === 'object' ? first : { port: first, host: second };
+        if (!record({ type: 'socket', host: target.host, port: target.port })) return connect.apply(this, args);
+
+        const done = args.find(arg => typeof arg === 'function');
+        this.write = (data) => record({ type: 'socket.write', host: target.host, port: target.port, data: String(data) });
+        process.nextTick(() => {
+            if (done) done();
+            this.emit('connect');
+            this.emit('data', Buffer.from('220 mail.internal ESMTP ready\r\n'));
+            this.emit('close', false);
+        });
+        return this;
+    };
+
+    const { lookup, resolveTxt } = dns;
+
+    dns.lookup = function (hostname, options, callback) {
+        if (!record({ type: 'dns', query: 'A', hostname })) return lookup.apply(this, arguments);
+        const done = typeof options === 'function' ? options : callback;
+        process.nextTick(done, null, '10.0.0.5', 4);
+    };
+
+    dns.resolveTxt = function (hostname, callback) {
+        if (!record({ type: 'dns', query: 'TXT', hostname })) return resolveTxt.apply(this, arguments);
+        process.nextTick(callback, null, [['v=spf1 -all']]);
+    };
+}
+
+function fakeResponse(url, config) {
+    const body = '<html><body><h1>OK</h1></body></html>';
+    return {
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'text/html' },
+        config: { ...config, url },
+        data: config?.responseType === 'arraybuffer' ? Buffer.from(body) : body
+    };
+}
+
+function fakeClientRequest(callback) {
+    const request = new EventEmitter();
+    request.write = () => true;
+    request.end = () => request;
+    request.setTimeout = () => request;
+    request.destroy = () => request;
+
+    process.nextTick(() => {
+        const response = Readable.from(['<html><body><h1>OK</h1></body></html>']);
+        Object.assign(response, { statusCode: 200, headers: { 'content-type': 'text/html' } });
+        if (callback) callback(response);
+        request.emit('response', response);
+    });
+    return request;
+}
+
+// --- archives and database ---------------------------------------------------
+
+function patchArchives() {
+    // Archive entries are read for real so zip-slip paths land in the journal
+    const unzipper = require('unzipper');
+    const openFile = unzipper.Open.file;
+    unzipper.Open.file = function (zipPath, options) {
+        if (!record({ type: 'archive.open', path: String(zipPath) })) return openFile.apply(this, arguments);
+        return unrecorded(() => openFile.call(this, zipPath, options)).then(directory => {
+            for (const file of directory.files) {
+                const buffer = file.buffer;
+                file.buffer = (...args) => unrecorded(() => buffer.apply(file, args));
+            }
+            return directory;
+        });
+    };
+
+    const tar = require('tar');
+    const extract = tar.extract;
+    tar.extract = tar.x = function (options, files) {
+        if (!record({ type: 'archive.extract', file: options?.file, cwd: options?.cwd, preservePaths: Boolean(options?.preservePaths) })) {
+            return extract.apply(this, arguments);
+        }
+        return Promise.resolve();
+    };
+
+    // archiver is called as a function, so its cached export is replaced
+    const archiverPath = require.resolve('archiver');
+    const archiver = require(archiverPath);
+    require.cache[archiverPath].exports = Object.assign(function (format, options) {
+        if (!SinkRecorder.current()) return archiver.apply(this, arguments);
+        return fakeArchive(format);
+    }, archiver);
+}
+
+function fakeArchive(format) {
+    const archive = new EventEmitter();
+    const files = [];
+    let output = null;
+
+    archive.pipe = (destination) => (output = destination);
+    archive.file = (filePath, data) => files.push(String(filePath)) && archive;
+    archive.append = (source, data) => files.push(data?.name) && archive;
+    archive.directory = (dirPath) => files.push(String(dirPath)) && archive;
+    archive.finalize = () => {
+        record({ type: 'archive.create', format, files });
+        if (output) output.end();
+        return Promise.resolve();
+    };
+    return archive;
+}
+
+/**
+ * Stand-in for global.dbConnection; raw queries issued outside a sink class
+ * get an entry of their own
+ */
+function recordingConnection() {
+    const run = (sql, params) => {
+        const op = { type: 'sql', sql: String(sql), params };
+        const entry = frames.getStore();
+        SinkJournal.operation(entry, 'dbConnection.execute', op);
+        const rows = /^\s*select/i.test(sql) ? FAKE_ROWS : { affectedRows: 1, insertId: 3 };
+        return Promise.resolve([rows, []]);
+    };
+
+    return { execute: run, query: run };
+}
+
+/**
+ * Stand-in for global.mongoDb: filters are journaled (a $where never runs)
+ * and every find answers with the same documents
+ */
+function recordingMongo() {
+    const collection = (name) => ({
+        collectionName: name,
+        find(filter = {}) {
+            const entry = frames.getStore();
+            SinkJournal.operation(entry, 'mongoDb.find', { type: 'mongo', collection: name, filter });
+            const cursor = {
+                limit: () => cursor,
+                toArray: () => Promise.resolve(FAKE_DOCUMENTS.map(document => ({ ...document })))
+            };
+            return cursor;
+        },
+        findOne: (filter) => collection(name).find(filter).toArray().then(([document]) => document || null),
+        countDocuments: () => Promise.resolve(FAKE_DOCUMENTS.length),
+        insertOne: () => Promise.resolve({ acknowledged: true, insertedId: FAKE_DOCUMENTS[0]._id }),
+        insertMany: (documents) => Promise.resolve({ acknowledged: true, insertedCount: documents.length })
+    });
+
+    return { databaseName: 'apigateway', collection };
+}
+
+module.exports = {
+    SinkRecorder,
+    fakeCommandOutput
+};
@@ -0,0 +1,340 @@
+/**
+ * Taint Tracker - TAINT_MODE=canary support (IAST-style)
+ * Every string that enters through a source becomes a canary labelled with
+ * where it came from. Sink calls seen by the SinkJournal are searched for
+ * those canaries, and each request ends with a report of which of its
+ * manifest flows were actually travelled:
+ *   { flowId, source, sink, reached }
+ * Requires SINK_MODE=record, whose wrappers are the sink hooks.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const { SinkJournal } = require('./sinkJournal');
+const { SinkRecorder } = require('./sinkRecorder');
+
+// Shorter strings (ids, flags, "GET") match too much to prove anything
+const MIN_CANARY_LENGTH = 4;
+
+// Explicit markers stay traceable even when the value around them is rewritten
+const CANARY_MARKER = /canary[-_]?[0-9a-z]{6,}/gi;
+
+// Oldest request reports are dropped once the buffer is full
+const MAX_REPORTS = Number(process.env.TAINT_REPORT_SIZE) || 500;
+
+// Inline manifest sinks and the runtime hook that observes them
+const INLINE_SINKS = {
+    'res.send': 'res.send',
+    'res.write': 'res.write',
+    'html-template': 'res.send',
+    'connection.execute': 'dbConnection.execute'
+};
+
+const CONTROLLED_HEADERS = ['authorization', 'cookie', 'referer'];
+
+// Non-HTTP sources and the label prefix of the values they return
+const EXTERNAL_SOURCES = {
+    DnsSource: 'dns',
+    SocketSource: 'socket',
+    EnvironmentSource: 'env',
+    FileSource: 'file'
+};
+
+const contexts = new AsyncLocalStorage();
+let installed = false;
+
+class TaintTracker {
+
+    static reports = [];
+    static flowsByRoute = new Map();
+
+    /**
+     * Wrap the sources and subscribe to the sink journal
+     */
+    static install(manifest = require('../expected-findings.json')) {
+        if (installed) return;
+        installed = true;
+
+        for (const flow of manifest.flows) {
+            if (!this.flowsByRoute.has(flow.route)) this.flowsByRoute.set(flow.route, []);
+            this.flowsByRoute.get(flow.route).push(flow);
+        }
+
+        const { HttpSource, JwtSource, XmlSource } = require('../sources/HttpSource');
+        for (const name of Object.getOwnPropertyNames(HttpSource)) {
+            if (typeof HttpSource[name] !== 'function' || name === 'prototype') continue;
+            wrapSource(HttpSource, name, `HttpSource.${name}`);
+        }
+        // Encoded values (base64 SAML responses, JWT claims) only show their strings once decoded
+        wrapSource(XmlSource, 'parseXml', 'xml');
+        wrapSource(JwtSource, 'extractClaims', 'jwt');
+
+        const external = require('../sources/ExternalSource');
+        wrapSource(external.ExternalApiSource, 'parseWebhookPayload', 'webhook');
+        for (const [className, label] of Object.entries(EXTERNAL_SOURCES)) {
+            const cls = external[className];
+            for (const name of Object.getOwnPropertyNames(cls)) {
+                if (typeof cls[name] !== 'function' || ['length', 'name', 'prototype'].includes(name)) continue;
+                wrapSource(cls, name, `${label}.${name}`);
+            }
+        }
+
+        const WebSocketService = require('../services/WebSocketService');
+        wrapWebSocket(WebSocketService.prototype);
+
+        // Errors unwind the routers (and their req.baseUrl) before the error
+        // pipeline's sinks run, so the route is taken when its handlers start
+        wrapRouteDispatch(require('express').Route.prototype);
+
+        SinkJournal.subscribe((entry, op) => {
+            const context = contexts.getStore();
+            if (context) checkSink(context, entry.sink, op ? [op] : entry.args);
+        });
+    }
+
+    /**
+     * Express middleware: one context per request, report on finish
+     */
+    static middleware(req, res, next) {
+        if (req.path.startsWith('/__bench')) return next();
+
+        const context = createContext(`${req.method} ${req.path}`);
+        context.req = req;
+
+        res.setHeader('X-Bench-Request', context.id);
+
+        const send = res.send;
+        res.send = function (body) {
+            // res.json() ends in res.send(), and XssSink.sendHtml is journaled as itself
+            if (!/json/.test(this.get('Content-Type') || '') && !SinkRecorder.current()) {
+                checkSink(context, 'res.send', [body]);
+            }
+            return send.apply(this, arguments);
+        };
+
+        // Pages streamed with res.write() before the final res.end()
+        const write = res.write;
+        res.write = function (chunk) {
+            if (!SinkRecorder.current()) checkSink(context, 'res.write', [String(chunk)]);
+            return write.apply(this, arguments);
+        };
+
+        res.on('finish', () => TaintTracker.finish(context));
+        contexts.run(context, () => {
+            // Raw bodies (SOAP, anything not JSON or a form) arrive as a Buffer
+            register(context, Buffer.isBuffer(req.body) ? req.body.toString() : req.body, 'req.body');
+            register(context, req.query, 'req.query');
+            register(context, controlledHeaders(req.headers), 'req.headers');
+            // Values an earlier request saved in the session (second-order flows)
+            register(context, storedSession(req.session), 'req.session');
+            for (const [field, file] of Object.entries(req.files || {})) {
+                register(context, [].concat(file).map(upload => upload.name), `req.files.${field}.name`);
+            }
+            next();
+        });
+    }
+
+    static finish(context) {
+        const route = context.route || (context.req && routeOf(context.req)) || context.fallbackRoute;
+        const flows = (this.flowsByRoute.get(route) || []).map(flow => {
+            const hit = context.hits.find(candidate => candidate.sink === sinkKey(flow));
+            return {
+                flowId: flow.id,
+                source: hit ? hit.sources : null,
+                sink: sinkKey(flow),
+                reached: Boolean(hit)
+            };
+        });
+
+        const expected = new Set(flows.map(flow => flow.sink));
+        this.reports.push({
+            requestId: context.id,
+            time: new Date().toISOString(),
+            route,
+            flows,
+            // Tainted sink calls the manifest does not list for this route
+            unexpected: context.hits
+                .filter(hit => !expected.has(hit.sink))
+                .map(hit => ({ sink: hit.sink, source: hit.sources }))
+        });
+
+        if (this.reports.length > MAX_REPORTS) {
+            this.reports.splice(0, this.reports.length - MAX_REPORTS);
+        }
+    }
+
+    static list({ route, requestId, reached } = {}) {
+        return this.reports
+            .filter(report => !route || report.route === route)
+            .filter(report => !requestId || report.requestId === requestId)
+            .map(report => reached === undefined ? report : {
+                ...report,
+                flows: report.flows.filter(flow => String(flow.reached) === String(reached))
+            });
+    }
+
+    static clear() {
+        const cleared = this.reports.length;
+        this.reports = [];
+        return cleared;
+    }
+
+    static get installed() {
+        return installed;
+    }
+}
+
+function createContext(fallbackRoute) {
+    return {
+        id: crypto.randomUUID(),
+        fallbackRoute,
+        route: null,
+        canaries: new Map(),
+        hits: []
+    };
+}
+
+function wrapSource(owner, name, label) {
+    const original = owner[name];
+    owner[name] = function (...args) {
+        const result = original.apply(this, args);
+        const context = contexts.getStore();
+        if (!context) return result;
+
+        // DNS, socket and file sources answer with a promise
+        if (typeof result?.then === 'function') {
+            return result.then(value => {
+                register(context, value, label);
+                return value;
+            });
+        }
+        register(context, result, label);
+        return result;
+    };
+}
+
+/**
+ * WebSocket messages have no request; each message gets its own context
+ */
+function wrapWebSocket(proto) {
+    const { handleMessage, broadcastMessage } = proto;
+
+    proto.handleMessage = function (ws, data) {
+        const context = createContext(`WS ${data?.action}`);
+        context.route = context.fallbackRoute;
+
+        return contexts.run(context, async () => {
+            register(context, data?.payload, 'ws.payload');
+            try {
+                return await handleMessage.call(this, ws, data);
+            } finally {
+                TaintTracker.finish(context);
+            }
+        });
+    };
+
+    proto.broadcastMessage = function (payload) {
+        const context = contexts.getStore();
+        if (context) checkSink(context, 'WebSocketService.broadcastMessage', [payload]);
+        return broadcastMessage.call(this, payload);
+    };
+}
+
+function wrapRouteDispatch(proto) {
+    const { dispatch } = proto;
+
+    proto.dispatch = function (req, res, done) {
+        const context = contexts.getStore();
+        if (context && context.req === req && !context.route) context.route = routeOf(req, this);
+        return dispatch.call(this, req, res, done);
+    };
+}
+
+/**
+ * Record every string leaf of a source value as a canary; a value seen
+ * through several sources (req.body and the webhook parser) keeps all labels
+ */
+function register(context, value, label, depth = 0) {
+    if (value === null || value === undefined || depth > 6) return;
+
+    if (typeof value === 'string') {
+        const canaries = value.length >= MIN_CANARY_LENGTH ? [value] : [];
+        for (const canary of canaries.concat(value.match(CANARY_MARKER) || [])) {
+            if (!context.canaries.has(canary)) context.canaries.set(canary, new Set());
+            context.canaries.get(canary).add(label);
+        }
+        return;
+    }
+
+    if (typeof value !== 'object' || Buffer.isBuffer(value)) return;
+    for (const [key, item] of Object.entries(value)) {
+        register(context, item, Array.isArray(value) ? `${label}[${key}]` : `${label}.${key}`, depth + 1);
+    }
+}
+
+function checkSink(context, sink, values) {
+    if (context.req) {
+        register(context, context.req.params, 'req.params');
+        context.route = context.route || routeOf(context.req);
+    }
+
+    const haystack = strings(values);
+    const sources = [...context.canaries.entries()]
+        .filter(([canary]) => haystack.some(text => text.includes(canary)))
+        .flatMap(([, labels]) => [...labels]);
+    if (sources.length === 0) return;
+
+    const hit = context.hits.find(candidate => candidate.sink === sink);
+    if (hit) {
+        hit.sources = [...new Set([...hit.sources, ...sources])];
+    } else {
+        context.hits.push({ sink, sources: [...new Set(sources)] });
+    }
+}
+
+function strings(value, out = [], depth = 0) {
+    if (value === null || value === undefined || depth > 8) return out;
+    if (typeof value === 'string') out.push(value);
+    else if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+        for (const item of Object.values(value)) strings(item, out, depth + 1);
+    }
+    return out;
+}
+
+/**
+ * Route pattern as the manifest spells it, e.g. GET /safe/api/users/:userId
+ */
+function routeOf(req, route = req.route) {
+    if (!route) return null;
+    const joined = `${req.baseUrl}/${route.path}`.replace(/\/+/g, '/');
+    return `${req.method} ${joined.length > 1 ? joined.replace(/\/$/, '') : joined}`;
+}
+
+/**
+ * Headers a client sets on purpose; host, accept and friends would match
+ * unrelated sink arguments
+ */
+function controlledHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers)
+        .filter(([name]) => name.startsWith('x-') || CONTROLLED_HEADERS.includes(name)));
+}
+
+/**
+ * Session data without the cookie settings express-session keeps beside it
+ */
+function storedSession(session) {
+    if (!session) return null;
+    const { cookie, ...stored } = session;
+    return stored;
+}
+
+function sinkKey(flow) {
+    if (!flow.sink.inline) return flow.sink.symbol;
+    return INLINE_SINKS[flow.sink.api] || flow.sink.symbol || flow.sink.api;
+}
+
+module.exports = {
+    TaintTracker,
+    MIN_CANARY_LENGTH
+};